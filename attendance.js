@@ -0,0 +1,144 @@
+/**
+ * attendance.js — Attendance history and reliability scores
+ *
+ * Every shift the clock-in monitor closes (see clock-in-monitor.js) becomes
+ * attendance events, one per employee involved:
+ * - ON_TIME / LATE (with minutesLate): clocked in for their own shift
+ * - NO_SHOW: never clocked in and nobody covered; CALLED_OUT when they let us know
+ * - COVERED: didn't work it, but someone covered (coveredBy); COVERED_FOR is
+ *   logged for the person who stepped in
+ * - EXCUSED: closed by hand as resolved with no clock-in time
+ * - NO_CLOCK_OUT: still clocked in 10 minutes after the shift ended
+ *
+ * Reliability (0-100) over the last windowDays: the share of shifts worked as
+ * scheduled, where a shift counts 1 on time or covering for someone, 0.75 up to
+ * 15 minutes late, 0.5 later than that or when covered, 0.25 for calling out
+ * and 0 for a no-show, less 2 points per missed clock-out. Under minEvents
+ * shifts the score is null.
+ */
+
+const { addDaysToKey, dayKey } = require('./calendar-cache');
+
+const EVENT_TYPES = ['ON_TIME', 'LATE', 'NO_SHOW', 'CALLED_OUT', 'COVERED', 'COVERED_FOR', 'EXCUSED', 'NO_CLOCK_OUT'];
+
+const CREDIT = { ON_TIME: 1, COVERED_FOR: 1, COVERED: 0.5, CALLED_OUT: 0.25, NO_SHOW: 0 };
+const SLIGHTLY_LATE_MIN = 15;
+const MISSED_CLOCK_OUT_POINTS = 2;
+
+/**
+ * Create the attendance log.
+ *
+ * @param {object} opts
+ * @param {object} opts.events - Map-like store of event key -> event
+ * @param {string} [opts.timeZone]
+ * @param {number} [opts.lateGraceMin] - clocking in up to this many minutes after start is on time
+ * @param {number} [opts.windowDays] - history a reliability score looks at
+ * @param {number} [opts.minEvents] - shifts needed before a score is given
+ */
+function createAttendance({ events, timeZone = 'America/Los_Angeles', lateGraceMin = 5, windowDays = 90, minEvents = 3 }) {
+  function put(key, event) {
+    const stored = { ...event, date: dayKey(event.scheduledStart, timeZone), recordedAt: new Date().toISOString() };
+    events.set(key, stored);
+    return stored;
+  }
+
+  function base(record, employeeId, employee) {
+    return { shiftId: record.shiftId, employeeId, employee, scheduledStart: record.start, scheduledEnd: record.end, locationId: record.locationId || null };
+  }
+
+  /**
+   * Log the outcome of a closed clock-in record. Closing the same shift again
+   * (e.g. a manager corrects it) replaces the earlier events.
+   */
+  function recordOutcome(record) {
+    const own = `${record.shiftId}:${record.employeeId}`;
+    const logged = [];
+    for (const [key, e] of [...events.entries()]) {
+      if (e.shiftId === record.shiftId && e.type !== 'NO_CLOCK_OUT') events.delete(key);
+    }
+
+    const status = record.outcome && record.outcome.status;
+    if (status === 'resolved') {
+      if (record.clockedInAt) {
+        const minutesLate = Math.max(0, Math.round((new Date(record.clockedInAt) - new Date(record.start)) / 60000));
+        const late = minutesLate > lateGraceMin;
+        logged.push(put(own, { ...base(record, record.employeeId, record.employee), type: late ? 'LATE' : 'ON_TIME', minutesLate: late ? minutesLate : 0, clockedInAt: record.clockedInAt }));
+      } else {
+        logged.push(put(own, { ...base(record, record.employeeId, record.employee), type: 'EXCUSED', note: record.outcome.note || null }));
+      }
+    } else if (status === 'no_show') {
+      const calledOut = record.calledOut || null;
+      logged.push(put(own, { ...base(record, record.employeeId, record.employee), type: calledOut ? 'CALLED_OUT' : 'NO_SHOW', ...(calledOut ? { reason: calledOut.text } : {}) }));
+    } else if (status === 'covered') {
+      const cover = record.coveredBy || record.outcome.coveredBy || null;
+      logged.push(put(own, { ...base(record, record.employeeId, record.employee), type: 'COVERED', coveredBy: cover }));
+      if (cover) {
+        logged.push(
+          put(`${record.shiftId}:${cover.id}`, { ...base(record, cover.id, cover.name), type: 'COVERED_FOR', coveredFor: { id: record.employeeId, name: record.employee } })
+        );
+      }
+    }
+    return logged;
+  }
+
+  /** Log that whoever worked a shift had to be reminded to clock out. */
+  function recordMissedClockOut(record, employeeId, employee) {
+    return put(`${record.shiftId}:${employeeId}:clockout`, { ...base(record, employeeId, employee), type: 'NO_CLOCK_OUT' });
+  }
+
+  /** Events for shifts in [start, end] (YYYY-MM-DD), optionally for one employee, oldest first. */
+  function list({ employeeId = null, start, end } = {}) {
+    return [...events.values()]
+      .filter((e) => (!employeeId || e.employeeId === employeeId) && (!start || e.date >= start) && (!end || e.date <= end))
+      .sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart));
+  }
+
+  function summarize(list) {
+    const counts = Object.fromEntries(EVENT_TYPES.map((t) => [t, 0]));
+    let minutesLate = 0;
+    let credit = 0;
+    let shifts = 0;
+    for (const e of list) {
+      counts[e.type] = (counts[e.type] || 0) + 1;
+      if (e.type === 'LATE') {
+        minutesLate += e.minutesLate;
+        credit += e.minutesLate <= SLIGHTLY_LATE_MIN ? 0.75 : 0.5;
+        shifts++;
+      } else if (e.type in CREDIT) {
+        credit += CREDIT[e.type];
+        shifts++;
+      }
+    }
+
+    const score =
+      shifts >= minEvents ? Math.max(0, Math.min(100, Math.round((100 * credit) / shifts - MISSED_CLOCK_OUT_POINTS * counts.NO_CLOCK_OUT))) : null;
+    return {
+      shifts,
+      counts,
+      avgMinutesLate: counts.LATE ? Math.round(minutesLate / counts.LATE) : 0,
+      score,
+    };
+  }
+
+  /** Reliability over the last windowDays up to asOf (YYYY-MM-DD). */
+  function reliability(employeeId, { asOf = dayKey(new Date(), timeZone) } = {}) {
+    const start = addDaysToKey(asOf, -(windowDays - 1));
+    return { ...summarize(list({ employeeId, start, end: asOf })), window: { start, end: asOf } };
+  }
+
+  /** Per-employee attendance for [start, end], least reliable first. */
+  function report({ start, end }) {
+    const byEmployee = new Map();
+    for (const e of list({ start, end })) {
+      if (!byEmployee.has(e.employeeId)) byEmployee.set(e.employeeId, { employeeId: e.employeeId, employee: e.employee, events: [] });
+      byEmployee.get(e.employeeId).events.push(e);
+    }
+    const employees = [...byEmployee.values()].map(({ events: list, ...who }) => ({ ...who, ...summarize(list) }));
+    employees.sort((a, b) => (a.score ?? 101) - (b.score ?? 101) || a.employee.localeCompare(b.employee));
+    return { period: { start, end }, employees };
+  }
+
+  return { recordOutcome, recordMissedClockOut, list, summarize, reliability, report, windowDays };
+}
+
+module.exports = { createAttendance, EVENT_TYPES };
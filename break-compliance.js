@@ -0,0 +1,226 @@
+/**
+ * break-compliance.js — California meal break checks
+ *
+ * Checks Toast timecards (clock in/out plus recorded breaks) for the meal
+ * breaks California requires, and Sling shifts for a scheduled break:
+ * - over 5 hours worked: a 30-minute unpaid meal break starting before the end of the 5th hour
+ * - over 10 hours worked: a second one starting before the end of the 10th hour
+ * A missed, short or late meal break owes the employee one extra hour of pay
+ * for that workday (at most one per day), which is reported as exposure.
+ * The first meal can be waived on shifts of 6 hours or less and the second on
+ * shifts of 12 hours or less, so those violations are marked waivable.
+ *
+ * Rest breaks are paid and Toast doesn't record them, so they aren't checked.
+ */
+
+const MEAL_MINUTES = 30;
+const FIRST_MEAL_AFTER_HOURS = 5;
+const SECOND_MEAL_AFTER_HOURS = 10;
+const FIRST_WAIVER_MAX_HOURS = 6;
+const SECOND_WAIVER_MAX_HOURS = 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function formatTime(iso, timeZone) {
+  return new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+}
+
+function isClockedOut(timecard) {
+  return Boolean(timecard.clock_out) && timecard.clock_out !== 'Still clocked in';
+}
+
+/** Unpaid breaks on a Toast timecard, oldest first. Accepts snake_case or Toast's camelCase fields. */
+function mealBreaks(timecard) {
+  return (timecard.breaks || [])
+    .map((b) => ({
+      start: b.start || b.in_date || b.inDate,
+      end: b.end || b.out_date || b.outDate,
+      paid: Boolean(b.paid),
+      missed: Boolean(b.missed),
+    }))
+    .filter((b) => b.start && b.end && !b.paid && !b.missed)
+    .map((b) => ({ ...b, minutes: (new Date(b.end) - new Date(b.start)) / 60000 }))
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Check one meal period. `after` is the number of hours worked the meal must
+ * start within; `breaks` are the unpaid breaks not already used by an earlier meal.
+ */
+function checkMeal(n, breaks, clockIn, after, waivable, timeZone) {
+  const deadline = clockIn + after * HOUR_MS;
+  const meal = breaks.find((b) => b.minutes >= MEAL_MINUTES);
+  const label = n === 1 ? 'Meal break' : 'Second meal break';
+
+  if (!meal) {
+    const short = breaks.find((b) => new Date(b.start).getTime() <= deadline);
+    if (short) {
+      return {
+        violation: { type: 'SHORT_MEAL', meal: n, waivable, message: `${label} was only ${Math.round(short.minutes)} min (${MEAL_MINUTES} required)` },
+        used: short,
+      };
+    }
+    return { violation: { type: 'MISSED_MEAL', meal: n, waivable, message: `No ${label.toLowerCase()} recorded` }, used: null };
+  }
+
+  if (new Date(meal.start).getTime() > deadline) {
+    return {
+      violation: {
+        type: 'LATE_MEAL',
+        meal: n,
+        waivable: false,
+        message: `${label} started ${formatTime(meal.start, timeZone)}, after the ${after}th hour (due by ${formatTime(deadline, timeZone)})`,
+      },
+      used: meal,
+    };
+  }
+  return { violation: null, used: meal };
+}
+
+/**
+ * Check a Toast timecard. A timecard without a breaks list can't be checked,
+ * so a shift long enough to need a meal is marked breakDataMissing instead.
+ * @returns {{ employee, clockIn, clockOut, hours, breaks, violations: object[], incomplete: boolean, breakDataMissing: boolean }}
+ */
+function checkTimecard(timecard, { timeZone = 'America/Los_Angeles' } = {}) {
+  const clockIn = new Date(timecard.clock_in).getTime();
+  const result = {
+    employee: timecard.employee || 'Unknown',
+    clockIn: timecard.clock_in,
+    clockOut: isClockedOut(timecard) ? timecard.clock_out : null,
+    hours: round2(timecard.hours || 0),
+    breaks: [],
+    violations: [],
+    incomplete: !isClockedOut(timecard),
+    breakDataMissing: false,
+  };
+  if (result.incomplete || Number.isNaN(clockIn)) return result;
+
+  if (!Array.isArray(timecard.breaks)) {
+    if (!timecard.hours) result.hours = round2((new Date(timecard.clock_out) - clockIn) / HOUR_MS);
+    result.breakDataMissing = result.hours > FIRST_MEAL_AFTER_HOURS;
+    return result;
+  }
+
+  const breaks = mealBreaks(timecard);
+  result.breaks = breaks.map((b) => ({ start: b.start, end: b.end, minutes: Math.round(b.minutes) }));
+  if (!timecard.hours) {
+    const unpaid = breaks.reduce((sum, b) => sum + b.minutes, 0) / 60;
+    result.hours = round2((new Date(timecard.clock_out) - clockIn) / HOUR_MS - unpaid);
+  }
+
+  let remaining = breaks;
+  const meals = [
+    { n: 1, required: result.hours > FIRST_MEAL_AFTER_HOURS, after: FIRST_MEAL_AFTER_HOURS, waivable: result.hours <= FIRST_WAIVER_MAX_HOURS },
+    { n: 2, required: result.hours > SECOND_MEAL_AFTER_HOURS, after: SECOND_MEAL_AFTER_HOURS, waivable: result.hours <= SECOND_WAIVER_MAX_HOURS },
+  ];
+  for (const m of meals) {
+    if (!m.required) break;
+    const { violation, used } = checkMeal(m.n, remaining, clockIn, m.after, m.waivable, timeZone);
+    if (violation) result.violations.push(violation);
+    if (used) remaining = remaining.filter((b) => b !== used);
+  }
+  return result;
+}
+
+/** A Sling shift long enough to need a meal break but scheduled without one. */
+function checkScheduledShift(shift) {
+  if (!shift.employeeId || shift.duration <= FIRST_MEAL_AFTER_HOURS) return null;
+  if ((shift.breakDuration || 0) >= MEAL_MINUTES) return null;
+  return {
+    type: 'NO_SCHEDULED_BREAK',
+    message: `${shift.duration.toFixed(1)}hr shift scheduled with ${shift.breakDuration ? `only a ${shift.breakDuration} min break` : 'no break'}`,
+  };
+}
+
+/**
+ * Build the compliance report for one day.
+ *
+ * @param {object} opts
+ * @param {string} opts.date - YYYY-MM-DD
+ * @param {object[]} opts.timecards - Toast labor shifts for the day
+ * @param {object[]} opts.shifts - Sling shifts for the day
+ * @param {(name: string) => number} opts.rateFor - hourly rate used to price premium pay
+ * @param {string} [opts.timeZone]
+ */
+function buildBreakReport({ date, timecards, shifts, rateFor, timeZone = 'America/Los_Angeles' }) {
+  const employees = [];
+  const byName = new Map();
+
+  for (const tc of timecards) {
+    const checked = checkTimecard(tc, { timeZone });
+    let entry = byName.get(checked.employee);
+    if (!entry) {
+      entry = { employee: checked.employee, timecards: [], violations: [], scheduled: [], premiumHours: 0, premiumPay: 0 };
+      byName.set(checked.employee, entry);
+      employees.push(entry);
+    }
+    entry.timecards.push(checked);
+    entry.violations.push(...checked.violations);
+  }
+
+  // Meal premium is one hour per workday, however many meal periods were missed
+  let exposure = 0;
+  for (const entry of employees) {
+    if (entry.violations.length === 0) continue;
+    entry.premiumHours = 1;
+    entry.premiumPay = round2(rateFor(entry.employee));
+    entry.waivable = entry.violations.every((v) => v.waivable);
+    exposure += entry.premiumPay;
+  }
+
+  const scheduled = shifts
+    .map((s) => {
+      const issue = checkScheduledShift(s);
+      return issue ? { employee: s.employee, employeeId: s.employeeId, shiftId: s.id, start: s.start, end: s.end, ...issue } : null;
+    })
+    .filter(Boolean);
+
+  const flagged = employees.filter((e) => e.violations.length > 0);
+  return {
+    date,
+    timecardsChecked: timecards.length,
+    incomplete: employees.flatMap((e) => e.timecards.filter((t) => t.incomplete).map(() => e.employee)),
+    breakDataMissing: employees.flatMap((e) => e.timecards.filter((t) => t.breakDataMissing).map(() => e.employee)),
+    violationCount: flagged.reduce((sum, e) => sum + e.violations.length, 0),
+    premiumExposure: round2(exposure),
+    employees: flagged,
+    scheduledWithoutBreak: scheduled,
+  };
+}
+
+/** Slack mrkdwn summary of a report. */
+function formatBreakSummary(report, dateLabel) {
+  let msg = `*🍽️ SF Break Compliance — ${dateLabel}*\n\n`;
+
+  if (report.employees.length === 0 && report.breakDataMissing.length === 0) {
+    msg += `✅ All ${report.timecardsChecked} timecards have the required meal breaks.\n`;
+  } else if (report.employees.length === 0) {
+    msg += `✅ No meal break violations in the timecards with break data.\n`;
+  } else {
+    for (const e of report.employees) {
+      const waiver = e.waivable ? ' _(waivable if a signed waiver is on file)_' : '';
+      msg += `⚠️ *${e.employee}* — ${e.violations.map((v) => v.message).join('; ')} · +$${e.premiumPay.toFixed(2)}${waiver}\n`;
+    }
+    msg += `\n*Premium pay exposure: $${report.premiumExposure.toFixed(2)}* (${report.employees.length} employee${report.employees.length === 1 ? '' : 's'})\n`;
+  }
+
+  if (report.scheduledWithoutBreak.length > 0) {
+    msg += `\n*Scheduled without a meal break in Sling:*\n`;
+    for (const s of report.scheduledWithoutBreak) {
+      msg += `  • ${s.employee}: ${s.message}\n`;
+    }
+  }
+
+  if (report.breakDataMissing.length > 0) {
+    msg += `\n_Break data unavailable from Toast, not checked: ${report.breakDataMissing.join(', ')}_\n`;
+  }
+
+  if (report.incomplete.length > 0) {
+    msg += `\n_Not checked (still clocked in): ${report.incomplete.join(', ')}_\n`;
+  }
+  return msg;
+}
+
+module.exports = { checkTimecard, checkScheduledShift, buildBreakReport, formatBreakSummary, MEAL_MINUTES };
@@ -0,0 +1,257 @@
+/**
+ * calendar-cache.js — In-process cache for Sling calendar data
+ *
+ * Calendar items (shifts, leave, availability) are cached per local day.
+ * A request for a date range only fetches the days that are missing or
+ * stale, and adjacent missing days are fetched together in one call.
+ * Requests that overlap a fetch already in flight wait for it instead of
+ * issuing their own. Users and groups are cached separately with a longer TTL.
+ *
+ * Write routes must call invalidate()/invalidateShift() after touching a
+ * shift so the next read goes back to Sling.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Day helpers ──────────────────────────────────────────────────────────────
+
+function dayKey(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone });
+}
+
+function addDaysToKey(key, n) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// Offset (ms) of the zone from UTC at the given instant
+function zoneOffset(ms, timeZone) {
+  const local = new Date(new Date(ms).toLocaleString('en-US', { timeZone }));
+  const utc = new Date(new Date(ms).toLocaleString('en-US', { timeZone: 'UTC' }));
+  return local.getTime() - utc.getTime();
+}
+
+/** UTC instant (ms) of a wall-clock time, given as minutes after midnight, on a local day. */
+function zonedTime(key, minutes, timeZone) {
+  const [y, m, d] = key.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, 0, minutes);
+  let instant = guess - zoneOffset(guess, timeZone);
+  // Re-check once in case the guess landed on the other side of a DST change
+  instant = guess - zoneOffset(instant, timeZone);
+  return instant;
+}
+
+/** UTC instant of local midnight at the start of the given day. */
+function dayStart(key, timeZone) {
+  return zonedTime(key, 0, timeZone);
+}
+
+function dayEnd(key, timeZone) {
+  return dayStart(addDaysToKey(key, 1), timeZone) - 1;
+}
+
+// A bare YYYY-MM-DD is already a day in the cache's zone; anything else is an instant
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function keyOf(value, timeZone) {
+  return typeof value === 'string' && DATE_ONLY.test(value) ? value : dayKey(value, timeZone);
+}
+
+function daysInRange(startISO, endISO, timeZone) {
+  const first = keyOf(startISO, timeZone);
+  const last = keyOf(endISO, timeZone);
+  const days = [];
+  for (let k = first; k <= last; k = addDaysToKey(k, 1)) days.push(k);
+  return days;
+}
+
+function itemKey(item) {
+  return `${item.type}:${item.id}`;
+}
+
+function overlaps(item, startMs, endMs) {
+  const s = new Date(item.dtstart).getTime();
+  const e = new Date(item.dtend || item.dtstart).getTime();
+  return s <= endMs && e >= startMs;
+}
+
+// ── Cache ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a calendar cache.
+ *
+ * @param {object} opts
+ * @param {(startISO: string, endISO: string) => Promise<object[]>} opts.fetchCalendar
+ * @param {() => Promise<object[]>} opts.fetchUsers
+ * @param {() => Promise<object[]>} opts.fetchGroups
+ * @param {string} opts.timeZone - zone used to split items into days
+ * @param {number} [opts.ttlMs] - how long a cached day stays fresh
+ * @param {number} [opts.referenceTtlMs] - how long users/groups stay fresh
+ * @param {number} [opts.maxDays] - cached days kept before the oldest are evicted
+ */
+function createCalendarCache({ fetchCalendar, fetchUsers, fetchGroups, timeZone, ttlMs = 5 * 60 * 1000, referenceTtlMs = 10 * 60 * 1000, maxDays = 120 }) {
+  const days = new Map(); // dayKey -> { fetchedAt, items: Map<itemKey, item> }
+  const inflight = new Map(); // dayKey -> Promise<Map<itemKey, item>>
+  const epochs = new Map(); // dayKey -> invalidation counter
+  const reference = { users: null, groups: null };
+  const counters = { hits: 0, misses: 0, fetches: 0, invalidations: 0 };
+
+  function isFresh(key) {
+    const entry = days.get(key);
+    return entry && Date.now() - entry.fetchedAt < ttlMs;
+  }
+
+  function evictOldest() {
+    if (days.size <= maxDays) return;
+    const sorted = [...days.entries()].sort((a, b) => a[1].fetchedAt - b[1].fetchedAt);
+    for (const [key] of sorted.slice(0, days.size - maxDays)) days.delete(key);
+  }
+
+  // Fetch a contiguous run of days in one Sling call and split the result by day
+  function fetchRun(run) {
+    const startEpochs = run.map((k) => epochs.get(k) || 0);
+    counters.fetches++;
+
+    const promise = fetchCalendar(new Date(dayStart(run[0], timeZone)).toISOString(), new Date(dayEnd(run[run.length - 1], timeZone)).toISOString())
+      .then((raw) => {
+        const list = Array.isArray(raw) ? raw : [];
+        const byDay = new Map(run.map((k) => [k, new Map()]));
+
+        for (const item of list) {
+          for (const k of run) {
+            if (overlaps(item, dayStart(k, timeZone), dayEnd(k, timeZone))) byDay.get(k).set(itemKey(item), item);
+          }
+        }
+
+        const fetchedAt = Date.now();
+        run.forEach((k, i) => {
+          // Skip days invalidated while this fetch was in flight
+          if ((epochs.get(k) || 0) === startEpochs[i]) days.set(k, { fetchedAt, items: byDay.get(k) });
+        });
+        evictOldest();
+        return byDay;
+      })
+      .finally(() => {
+        run.forEach((k) => {
+          if (inflight.get(k) === dayPromises.get(k)) inflight.delete(k);
+        });
+      });
+
+    const dayPromises = new Map(run.map((k) => [k, promise.then((byDay) => byDay.get(k))]));
+    run.forEach((k) => inflight.set(k, dayPromises.get(k)));
+    return dayPromises;
+  }
+
+  /** Raw calendar items overlapping [startISO, endISO], fetching only missing days. */
+  async function getItems(startISO, endISO) {
+    const wanted = daysInRange(startISO, endISO, timeZone);
+    const pending = new Map();
+    let run = [];
+
+    const flush = () => {
+      if (run.length === 0) return;
+      for (const [k, p] of fetchRun(run)) pending.set(k, p);
+      run = [];
+    };
+
+    for (const k of wanted) {
+      if (isFresh(k)) {
+        counters.hits++;
+        flush();
+      } else if (inflight.has(k)) {
+        counters.hits++;
+        pending.set(k, inflight.get(k));
+        flush();
+      } else {
+        counters.misses++;
+        run.push(k);
+      }
+    }
+    flush();
+
+    const resolved = new Map();
+    await Promise.all([...pending.entries()].map(async ([k, p]) => resolved.set(k, await p)));
+
+    const startMs = new Date(startISO).getTime();
+    const endMs = new Date(endISO).getTime();
+    const merged = new Map();
+    for (const k of wanted) {
+      const items = resolved.get(k) || (days.get(k) && days.get(k).items) || new Map();
+      for (const [key, item] of items) {
+        if (!merged.has(key) && overlaps(item, startMs, endMs)) merged.set(key, item);
+      }
+    }
+    return [...merged.values()];
+  }
+
+  async function getReference(name, fetcher) {
+    const entry = reference[name];
+    if (entry && Date.now() - entry.fetchedAt < referenceTtlMs) return entry.promise;
+    const promise = fetcher();
+    reference[name] = { fetchedAt: Date.now(), promise };
+    promise.catch(() => {
+      if (reference[name] && reference[name].promise === promise) reference[name] = null;
+    });
+    return promise;
+  }
+
+  function getUsers() {
+    return getReference('users', fetchUsers);
+  }
+
+  function getGroups() {
+    return getReference('groups', fetchGroups);
+  }
+
+  function dropDay(key) {
+    days.delete(key);
+    inflight.delete(key);
+    epochs.set(key, (epochs.get(key) || 0) + 1);
+  }
+
+  /**
+   * Drop cached days overlapping [start, end] (instants, or YYYY-MM-DD days in
+   * the cache's zone); with no range, drop everything.
+   */
+  function invalidate(start, end) {
+    counters.invalidations++;
+    if (!start) {
+      for (const key of new Set([...days.keys(), ...inflight.keys()])) dropDay(key);
+      return;
+    }
+    for (const key of daysInRange(start, end || start, timeZone)) dropDay(key);
+  }
+
+  /** Drop every cached day that contains the given shift. Returns false if it wasn't cached. */
+  function invalidateShift(shiftId) {
+    counters.invalidations++;
+    let found = false;
+    for (const [key, entry] of days) {
+      if (entry.items.has(`shift:${shiftId}`)) {
+        dropDay(key);
+        found = true;
+      }
+    }
+    return found;
+  }
+
+  function invalidateReference() {
+    reference.users = null;
+    reference.groups = null;
+  }
+
+  function stats() {
+    return {
+      ...counters,
+      cachedDays: days.size,
+      inflightDays: inflight.size,
+      oldestDay: days.size ? [...days.keys()].sort()[0] : null,
+      newestDay: days.size ? [...days.keys()].sort().slice(-1)[0] : null,
+      ttlMs,
+    };
+  }
+
+  return { getItems, getUsers, getGroups, invalidate, invalidateShift, invalidateReference, stats };
+}
+
+module.exports = { createCalendarCache, dayKey, dayStart, dayEnd, zonedTime, addDaysToKey, DAY_MS };
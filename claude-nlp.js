@@ -8,104 +8,23 @@
  * Requires: ANTHROPIC_API_KEY env var
  */
 
+const { parseDateRange } = require('./date-expressions');
+const { loadLocations } = require('./locations');
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const SLING_API_BASE = `http://localhost:${process.env.PORT || 3000}`;
 
+const locations = loadLocations();
+
 /**
- * Determine what date range to fetch based on the user's message.
- * Returns { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }
+ * Determine what date range to fetch based on the user's message
+ * (date-expressions.js). Returns { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }
  */
 function determineDateRange(text) {
-  const now = new Date();
-  const pst = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-  const today = new Date(pst.getFullYear(), pst.getMonth(), pst.getDate());
-
-  const fmt = (d) => d.toLocaleDateString('en-CA'); // YYYY-MM-DD
-  const addDays = (d, n) => new Date(d.getTime() + n * 86400000);
-  const t = text.toLowerCase();
-
-  // "this week"
-  if (/\b(this\s+week|the\s+week|weekly|full\s+week)\b/.test(t)) {
-    const dow = today.getDay(); // 0=Sun
-    const monday = addDays(today, dow === 0 ? -6 : 1 - dow);
-    return { startDate: fmt(monday), endDate: fmt(addDays(monday, 6)) };
-  }
-
-  // "next week"
-  if (/\bnext\s+week\b/.test(t)) {
-    const dow = today.getDay();
-    const monday = addDays(today, dow === 0 ? 1 : 8 - dow);
-    return { startDate: fmt(monday), endDate: fmt(addDays(monday, 6)) };
-  }
-
-  // "last week"
-  if (/\blast\s+week\b/.test(t)) {
-    const dow = today.getDay();
-    const monday = addDays(today, dow === 0 ? -13 : -6 - dow);
-    return { startDate: fmt(monday), endDate: fmt(addDays(monday, 6)) };
-  }
-
-  // "weekend" / "this weekend"
-  if (/\b(this\s+)?weekend\b/.test(t) && !/next/.test(t)) {
-    const dow = today.getDay();
-    let sat;
-    if (dow === 6) sat = today;
-    else if (dow === 0) sat = addDays(today, -1);
-    else sat = addDays(today, 6 - dow);
-    return { startDate: fmt(sat), endDate: fmt(addDays(sat, 1)) };
-  }
-
-  // "next weekend"
-  if (/\bnext\s+weekend\b/.test(t)) {
-    const dow = today.getDay();
-    const daysToSat = (6 - dow + 7) % 7 || 7;
-    const sat = addDays(today, daysToSat + (dow <= 6 ? 7 : 0));
-    return { startDate: fmt(sat), endDate: fmt(addDays(sat, 1)) };
-  }
-
-  // Specific date YYYY-MM-DD
-  const dateMatch = t.match(/(\d{4}-\d{2}-\d{2})/);
-  if (dateMatch) {
-    return { startDate: dateMatch[1], endDate: dateMatch[1] };
-  }
-
-  // "today"
-  if (/\btoday\b/.test(t)) {
-    return { startDate: fmt(today), endDate: fmt(today) };
-  }
-
-  // "tomorrow"
-  if (/\btomorrow\b/.test(t)) {
-    const d = addDays(today, 1);
-    return { startDate: fmt(d), endDate: fmt(d) };
-  }
-
-  // "yesterday"
-  if (/\byesterday\b/.test(t)) {
-    const d = addDays(today, -1);
-    return { startDate: fmt(d), endDate: fmt(d) };
-  }
-
-  // Day of week
-  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  for (let i = 0; i < dayNames.length; i++) {
-    const re = new RegExp(`\\b${dayNames[i]}\\b`);
-    if (re.test(t)) {
-      const currentDow = today.getDay();
-      let diff = (i - currentDow + 7) % 7;
-      if (diff === 0) {
-        if (/next/.test(t)) diff = 7;
-      }
-      if (/last/.test(t)) {
-        diff = diff > 0 ? diff - 7 : -7;
-      }
-      const d = addDays(today, diff);
-      return { startDate: fmt(d), endDate: fmt(d) };
-    }
-  }
-
+  const opts = { timeZone: 'America/Los_Angeles' };
   // Default: today + next 6 days
-  return { startDate: fmt(today), endDate: fmt(addDays(today, 6)) };
+  const found = parseDateRange(text, opts) || parseDateRange('next 7 days', opts);
+  return { startDate: found.startDate, endDate: found.endDate };
 }
 
 
@@ -149,30 +68,15 @@ async function fetchScheduleContext(startDate, endDate) {
     const totalHours = shifts.reduce((sum, s) => sum + (s.duration || 0), 0);
     context += `\n${dayLabel} (${date}) — ${shifts.length} shifts, ${totalHours.toFixed(1)}h total:\n`;
 
-    const clement = shifts.filter(s => (s.location || '').includes('Clement'));
-    const ninth = shifts.filter(s => (s.location || '').includes('9th'));
-    const other = shifts.filter(s => !(s.location || '').includes('Clement') && !(s.location || '').includes('9th'));
+    // One block per Sling store, in registry order, then anything unmatched
+    const groups = locations.withSling().map(l => ({ label: `${l.shortName}:`, timeZone: l.timeZone, shifts: shifts.filter(s => locations.ofShift(s) === l) }));
+    groups.push({ label: null, timeZone: 'America/Los_Angeles', shifts: shifts.filter(s => !locations.ofShift(s)) });
 
-    if (clement.length > 0) {
-      context += '  Clement St:\n';
-      for (const s of clement.sort((a, b) => a.start.localeCompare(b.start))) {
-        const st = new Date(s.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' });
-        const et = new Date(s.end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' });
-        context += `    - ${s.employee} | ${s.position || 'TBD'} | ${st}-${et} | ${(s.duration || 0).toFixed(1)}h\n`;
-      }
-    }
-    if (ninth.length > 0) {
-      context += '  9th St:\n';
-      for (const s of ninth.sort((a, b) => a.start.localeCompare(b.start))) {
-        const st = new Date(s.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' });
-        const et = new Date(s.end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' });
-        context += `    - ${s.employee} | ${s.position || 'TBD'} | ${st}-${et} | ${(s.duration || 0).toFixed(1)}h\n`;
-      }
-    }
-    if (other.length > 0) {
-      for (const s of other.sort((a, b) => a.start.localeCompare(b.start))) {
-        const st = new Date(s.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' });
-        const et = new Date(s.end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' });
+    for (const { label, timeZone, shifts: list } of groups.filter(g => g.shifts.length > 0)) {
+      if (label) context += `  ${label}\n`;
+      for (const s of list.sort((a, b) => a.start.localeCompare(b.start))) {
+        const st = new Date(s.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+        const et = new Date(s.end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
         context += `    - ${s.employee} | ${s.position || 'TBD'} | ${st}-${et} | ${(s.duration || 0).toFixed(1)}h\n`;
       }
     }
@@ -202,7 +106,10 @@ async function askClaude(userMessage, scheduleContext) {
     hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles'
   });
 
-  const systemPrompt = `You are the Pixlcat SF scheduling assistant in Slack. You answer questions about employee schedules at Pixlcat Coffee's San Francisco locations (Clement St and 9th St).
+  const stores = locations.withSling().map(l => l.shortName);
+  const storeList = stores.length > 1 ? `${stores.slice(0, -1).join(', ')} and ${stores[stores.length - 1]}` : stores[0];
+
+  const systemPrompt = `You are the Pixlcat SF scheduling assistant in Slack. You answer questions about employee schedules at Pixlcat Coffee's Sling-scheduled locations (${storeList}).
 
 Current date/time: ${todayStr}, ${timeStr} PT (Pacific Time)
 
@@ -214,7 +121,7 @@ RULES:
 - Be concise and direct — this is Slack, not an essay
 - If asked about a specific person, pull their info from the data
 - If asked "who's working" without a date, default to tomorrow
-- Distinguish between Clement St and 9th St locations when both have shifts
+- Distinguish between ${storeList} when more than one has shifts
 - If someone asks about hours, calculate from the shift data
 - If asked about coverage gaps or staffing, analyze the data
 - If the schedule data doesn't cover the dates asked about, say so
@@ -2,196 +2,84 @@
  * claude-ops.js — Claude-powered Analytics NLP for Pixlcat Ops
  * 
  * Handles conversational queries in #pixlcat-intelligence-ops about:
- * - Sales data (SF via Toast, Boston via Square)
+ * - Sales data (each store's Toast or Square POS, see locations.json)
  * - Mochi attachment rates, flavors, counts
  * - Labor hours, SPLH, costs
- * - Schedules (SF via Sling, Boston via Square)
+ * - Schedules (Sling, or Square for stores scheduled there)
  * - Daypart breakdowns, category analysis
  * - Cross-location comparisons
  * 
  * Requires: ANTHROPIC_API_KEY env var
  */
 
+const { parseDateRange } = require('./date-expressions');
+const { loadLocations } = require('./locations');
+const { sharedStoreCalendar } = require('./store-calendar');
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const TOAST_URL = process.env.TOAST_API_URL || 'https://toast-api-1.onrender.com';
-const SQUARE_URL = process.env.SQUARE_API_URL || 'https://square-api-mi4f.onrender.com';
-const FERRY_URL = process.env.FERRY_API_URL || 'https://pixlcat-square-ferry.onrender.com';
 const SLING_URL = process.env.SLING_API_URL || 'https://pixlcat-sling-api.onrender.com';
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 
-// SF Clement benchmarks
-const SF_BENCH = {
-  weekday: { sales: 1807, splh: 96 },
-  weekend: { sales: 3610, splh: 111 },
-};
-
-// Boston benchmarks
-const BOS_BENCH = {
-  weekday: { sales: 500, splh: 25 },
-  weekend: { sales: 800, splh: 40 },
-};
-
-// Ferry Building benchmarks (new location — TBD, using placeholder)
-const FERRY_BENCH = {
-  weekday: { sales: 0, splh: 0 },
-  weekend: { sales: 0, splh: 0 },
-};
+// Stores, their POS and benchmarks come from locations.json
+const locations = loadLocations();
+// Shared with index.js, which edits it through /store-calendar
+const storeCalendar = sharedStoreCalendar();
 
 // ── Date range detection ─────────────────────────────────────────────────────
 
-function determineDateRange(text) {
-  const now = new Date();
-  const pst = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-  const today = new Date(pst.getFullYear(), pst.getMonth(), pst.getDate());
-
-  const fmt = (d) => d.toLocaleDateString('en-CA');
-  const addDays = (d, n) => new Date(d.getTime() + n * 86400000);
-  const t = text.toLowerCase();
-
-  // "this week"
-  if (/\b(this\s+week|the\s+week|weekly)\b/.test(t)) {
-    const dow = today.getDay();
-    const monday = addDays(today, dow === 0 ? -6 : 1 - dow);
-    return { startDate: fmt(monday), endDate: fmt(addDays(monday, 6)), range: 'week' };
-  }
-
-  // "last week"
-  if (/\blast\s+week\b/.test(t)) {
-    const dow = today.getDay();
-    const monday = addDays(today, dow === 0 ? -13 : -6 - dow);
-    return { startDate: fmt(monday), endDate: fmt(addDays(monday, 6)), range: 'week' };
-  }
-
-  // "weekend"
-  if (/\b(this\s+)?weekend\b/.test(t) && !/next|last/.test(t)) {
-    const dow = today.getDay();
-    let sat;
-    if (dow === 6) sat = today;
-    else if (dow === 0) sat = addDays(today, -1);
-    else sat = addDays(today, 6 - dow);
-    return { startDate: fmt(sat), endDate: fmt(addDays(sat, 1)), range: 'weekend' };
-  }
-
-  // "last weekend"
-  if (/\blast\s+weekend\b/.test(t)) {
-    const dow = today.getDay();
-    const lastSun = addDays(today, -dow);
-    const lastSat = addDays(lastSun, -1);
-    return { startDate: fmt(lastSat), endDate: fmt(lastSun), range: 'weekend' };
-  }
-
-  // Specific date YYYY-MM-DD
-  const dateMatch = t.match(/(\d{4}-\d{2}-\d{2})/);
-  if (dateMatch) {
-    return { startDate: dateMatch[1], endDate: dateMatch[1], range: 'day' };
-  }
-
-  // "today"
-  if (/\btoday\b/.test(t)) {
-    return { startDate: fmt(today), endDate: fmt(today), range: 'day' };
-  }
-
-  // "yesterday"
-  if (/\byesterday\b/.test(t)) {
-    return { startDate: fmt(addDays(today, -1)), endDate: fmt(addDays(today, -1)), range: 'day' };
-  }
-
-  // Day of week
-  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  for (let i = 0; i < dayNames.length; i++) {
-    const re = new RegExp(`\\b${dayNames[i]}\\b`);
-    if (re.test(t)) {
-      const currentDow = today.getDay();
-      let diff = (i - currentDow + 7) % 7;
-      // Default to last occurrence for past-looking queries (sales, mochi sold, etc.)
-      if (/\b(last|sold|sales|revenue|mochi|labor|splh|how many|how much)\b/.test(t)) {
-        if (diff === 0) diff = -7;
-        else diff = diff - 7;
-      }
-      if (/\bnext\b/.test(t)) {
-        if (diff === 0) diff = 7;
-      }
-      if (/\blast\b/.test(t) && diff > 0) {
-        diff = diff - 7;
-      }
-      const d = addDays(today, diff);
-      return { startDate: fmt(d), endDate: fmt(d), range: 'day' };
-    }
-  }
+// Sales-style questions look back ("how was Tuesday" is last Tuesday); anything
+// else reads forward. A question about one store reads days in its time zone.
+const PAST_WORDS = /\b(last|sold|sales|revenue|mochi|labor|splh|how many|how much|how did|how was)\b/;
 
+function determineDateRange(text) {
+  const stores = detectLocation(text);
+  const opts = {
+    timeZone: stores.length === 1 ? stores[0].timeZone : 'America/Los_Angeles',
+    prefer: PAST_WORDS.test(text.toLowerCase()) ? 'past' : 'future',
+  };
   // Default: yesterday (most common for "how did we do" type questions)
-  return { startDate: fmt(addDays(today, -1)), endDate: fmt(addDays(today, -1)), range: 'day' };
+  const found = parseDateRange(text, opts) || parseDateRange('yesterday', opts);
+  return { startDate: found.startDate, endDate: found.endDate, range: found.range };
 }
 
 
 // ── Detect which location(s) the user is asking about ────────────────────────
 
+// Stores with sales or schedules to report on
+const reportable = () => locations.all().filter((l) => l.pos || l.scheduling);
+
 function detectLocation(text) {
   const t = text.toLowerCase();
-  // Specific location detection
-  const hasFerry = /\b(ferry|ferry\s*building|fb)\b/.test(t);
-  const hasBoston = /\b(boston|charlestown|bos)\b/.test(t);
-  const hasSF = /\b(clement|richmond|toast)\b/.test(t);
-  const hasAll = /\b(all|every|each|company|combined|total)\b/.test(t);
-
-  // If they say "all locations" or multiple specific ones
-  if (hasAll) return 'all';
-  
-  // Specific single locations
-  if (hasFerry && !hasBoston && !hasSF) return 'ferry';
-  if (hasBoston && !hasFerry && !hasSF) return 'boston';
-  if (hasSF && !hasBoston && !hasFerry) return 'sf';
+  // "all locations", "company-wide", ...
+  if (/\b(all|every|each|company|combined|total)\b/.test(t)) return reportable();
 
-  // "SF" alone could mean Clement or Ferry — default to all SF if ambiguous
-  if (/\b(sf|san\s*francisco)\b/.test(t) && !hasFerry && !hasSF) return 'all';
+  // Named stores; a region ("SF") is all of its stores, a POS ("toast") all stores on it
+  const named = locations.mentionedIn(t).filter((l) => l.pos || l.scheduling);
+  const byPos = reportable().filter((l) => l.pos && new RegExp(`\\b${l.pos.provider}\\b`).test(t));
+  const found = [...new Set([...named, ...byPos])];
 
   // Default: all locations
-  return 'all';
+  return found.length ? found : reportable();
 }
 
 
 // ── Fetch data from APIs ─────────────────────────────────────────────────────
 
-async function fetchToastData(date) {
-  try {
-    const res = await fetch(`${TOAST_URL}/sales?date=${date}`);
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (data.status !== 'success') return null;
-    return data;
-  } catch (e) {
-    console.error(`Toast fetch error for ${date}:`, e.message);
-    return null;
-  }
-}
-
-async function fetchSquareData(date) {
-  try {
-    const res = await fetch(`${SQUARE_URL}/sales/${date}`);
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (data.status !== 'success') return null;
-    return data;
-  } catch (e) {
-    console.error(`Square fetch error for ${date}:`, e.message);
-    return null;
-  }
-}
-
-async function fetchFerryData(date) {
+async function fetchSalesData(location, date) {
+  const { provider, url } = location.pos;
   try {
-    const res = await fetch(`${FERRY_URL}/sales/${date}`);
+    const res = await fetch(provider === 'toast' ? `${url}/sales?date=${date}` : `${url}/sales/${date}`);
     if (!res.ok) return null;
     const data = await res.json();
     if (data.status !== 'success') return null;
     return data;
   } catch (e) {
-    console.error(`Ferry fetch error for ${date}:`, e.message);
+    console.error(`${location.shortName} sales fetch error for ${date}:`, e.message);
     return null;
   }
 }
 
-async function fetchSFSchedule(date) {
+async function fetchSlingSchedule(date) {
   try {
     const res = await fetch(`${SLING_URL}/schedule/${date}`);
     if (!res.ok) return null;
@@ -202,13 +90,13 @@ async function fetchSFSchedule(date) {
   }
 }
 
-async function fetchBostonSchedule(date) {
+async function fetchSquareSchedule(location, date) {
   try {
-    const res = await fetch(`${SQUARE_URL}/schedule/${date}`);
+    const res = await fetch(`${location.pos.url}/schedule/${date}`);
     if (!res.ok) return null;
     return await res.json();
   } catch (e) {
-    console.error(`Square schedule fetch error for ${date}:`, e.message);
+    console.error(`${location.shortName} schedule fetch error for ${date}:`, e.message);
     return null;
   }
 }
@@ -216,16 +104,23 @@ async function fetchBostonSchedule(date) {
 
 // ── Build context for Claude ─────────────────────────────────────────────────
 
-function formatSFContext(date, data) {
-  if (!data) return `\nSF (${date}): No data available.\n`;
+// Benchmarks for the day as the store calendar sees it (a Monday holiday is a weekend)
+function benchmarkLine(location, date) {
+  const plan = storeCalendar.dayPlan(location, date);
+  const note = plan.note ? `Store calendar: ${plan.closed ? 'closed, ' : ''}${plan.note}\n` : '';
+  if (!plan.benchmark) return note;
+  const bench = plan.benchmark;
+  return `${note}Benchmarks: ${plan.dayType === 'weekend' ? 'Weekend' : 'Weekday'} avg sales $${bench.sales}, SPLH $${bench.splh}\n`;
+}
+
+function formatToastContext(location, date, data) {
+  if (!data) return `\n${location.reportName} (${date}): No data available.\n`;
 
   const m = data.metrics;
-  const day = new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long', timeZone: 'America/Los_Angeles' });
-  const isWE = ['Saturday', 'Sunday'].includes(day);
-  const bench = isWE ? SF_BENCH.weekend : SF_BENCH.weekday;
+  const day = new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long', timeZone: location.timeZone });
 
-  let ctx = `\n=== SF / SAN FRANCISCO — ${day}, ${date} ===\n`;
-  ctx += `Benchmarks: ${isWE ? 'Weekend' : 'Weekday'} avg sales $${bench.sales}, SPLH $${bench.splh}\n`;
+  let ctx = `\n=== ${location.reportName.toUpperCase()} — ${day}, ${date} ===\n`;
+  ctx += benchmarkLine(location, date);
   ctx += `Net Sales: $${(m.net_sales || 0).toFixed(2)}\n`;
   ctx += `Tickets: ${m.transaction_count || 0} | Avg Check: $${(m.average_check || 0).toFixed(2)}\n`;
   ctx += `SPLH: $${(m.splh || 0).toFixed(2)}\n`;
@@ -264,16 +159,14 @@ function formatSFContext(date, data) {
   return ctx;
 }
 
-function formatBostonContext(date, data) {
-  if (!data) return `\nBoston (${date}): No data available.\n`;
+function formatSquareContext(location, date, data) {
+  if (!data) return `\n${location.reportName} (${date}): No data available.\n`;
 
   const m = data.metrics;
   const day = data.day_of_week || new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long' });
-  const isWE = ['Saturday', 'Sunday'].includes(day);
-  const bench = isWE ? BOS_BENCH.weekend : BOS_BENCH.weekday;
 
-  let ctx = `\n=== BOSTON / CHARLESTOWN — ${day}, ${date} ===\n`;
-  ctx += `Benchmarks: ${isWE ? 'Weekend' : 'Weekday'} avg sales $${bench.sales}, SPLH $${bench.splh}\n`;
+  let ctx = `\n=== ${location.reportName.toUpperCase()} — ${day}, ${date} ===\n`;
+  ctx += benchmarkLine(location, date);
   ctx += `Net Sales: $${(m.net_sales || 0).toFixed(2)}\n`;
   ctx += `Total Orders: ${m.total_orders || 0} | Avg Check: $${(m.avg_check || 0).toFixed(2)}\n`;
   ctx += `Gross Sales: $${(m.gross_sales || 0).toFixed(2)} | Discounts: $${(m.total_discount || 0).toFixed(2)}\n`;
@@ -336,53 +229,7 @@ function formatBostonContext(date, data) {
   return ctx;
 }
 
-function formatFerryContext(date, data) {
-  if (!data) return `\nFerry Building (${date}): No data available.\n`;
-
-  const m = data.metrics;
-  const day = data.day_of_week || new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long' });
-
-  let ctx = `\n=== SF / FERRY BUILDING — ${day}, ${date} ===\n`;
-  ctx += `Net Sales: $${(m.net_sales || 0).toFixed(2)}\n`;
-  ctx += `Total Orders: ${m.total_orders || 0} | Avg Check: $${(m.avg_check || 0).toFixed(2)}\n`;
-  ctx += `Gross Sales: $${(m.gross_sales || 0).toFixed(2)} | Discounts: $${(m.total_discount || 0).toFixed(2)}\n`;
-  ctx += `Tips: $${(m.total_tip || 0).toFixed(2)} | Tax: $${(m.total_tax || 0).toFixed(2)}\n`;
-
-  if (data.splh) {
-    ctx += `SPLH: $${(data.splh.splh || 0).toFixed(2)} | Labor Cost: $${(data.splh.total_labor_cost || 0).toFixed(2)} | Labor %: ${(data.splh.labor_percentage || 0).toFixed(1)}%\n`;
-  }
-
-  if (m.mochi) {
-    ctx += `Mochi Attachment Rate: ${(m.mochi.attachment_rate || 0).toFixed(1)}% (target: 25%)\n`;
-    ctx += `Mochi Revenue: $${(m.mochi.mochi_revenue || 0).toFixed(2)} | Count: ${m.mochi.total_mochi_items || 0}\n`;
-    if (m.mochi.flavors) {
-      ctx += `Mochi Flavors:\n`;
-      for (const [name, d] of Object.entries(m.mochi.flavors)) {
-        ctx += `  ${name}: ${d.count || 0} sold, $${(d.revenue || 0).toFixed(2)}\n`;
-      }
-    }
-  }
-
-  if (data.labor) {
-    ctx += `Labor: ${(data.labor.total_hours || 0).toFixed(1)}h total, ${data.labor.total_shifts || 0} shifts\n`;
-    ctx += `Labor Cost: $${(data.labor.total_labor_cost || 0).toFixed(2)}\n`;
-    if (data.labor.team) {
-      ctx += `Team:\n`;
-      for (const [name, d] of Object.entries(data.labor.team)) {
-        ctx += `  ${name}: ${(d.hours || 0).toFixed(1)}h @ $${(d.hourly_rate || 0).toFixed(2)}/hr = $${(d.cost || 0).toFixed(2)}\n`;
-      }
-    }
-  }
-
-  if (m.categories) {
-    ctx += `Categories:\n`;
-    for (const [name, d] of Object.entries(m.categories)) {
-      ctx += `  ${name}: ${d.count || 0} items, $${(d.revenue || 0).toFixed(2)}\n`;
-    }
-  }
-
-  return ctx;
-}
+const SALES_FORMATTERS = { toast: formatToastContext, square: formatSquareContext };
 
 function formatScheduleContext(location, date, data) {
   if (!data) return '';
@@ -390,11 +237,10 @@ function formatScheduleContext(location, date, data) {
   if (shifts.length === 0) return '';
 
   const totalHours = shifts.reduce((sum, s) => sum + (s.duration || 0), 0);
-  let ctx = `\n${location} Schedule (${date}): ${shifts.length} shifts, ${totalHours.toFixed(1)}h\n`;
+  const time = (iso) => new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: location.timeZone });
+  let ctx = `\n${location.shortName} Schedule (${date}): ${shifts.length} shifts, ${totalHours.toFixed(1)}h\n`;
   for (const s of shifts.sort((a, b) => (a.start || '').localeCompare(b.start || ''))) {
-    const st = new Date(s.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: location === 'SF' ? 'America/Los_Angeles' : 'America/New_York' });
-    const et = new Date(s.end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: location === 'SF' ? 'America/Los_Angeles' : 'America/New_York' });
-    ctx += `  ${s.employee} — ${s.position || 'Team Member'} (${st}-${et}) ${(s.duration || 0).toFixed(1)}h\n`;
+    ctx += `  ${s.employee} — ${s.position || 'Team Member'} (${time(s.start)}-${time(s.end)}) ${(s.duration || 0).toFixed(1)}h\n`;
   }
   return ctx;
 }
@@ -402,7 +248,7 @@ function formatScheduleContext(location, date, data) {
 
 // ── Fetch all data for a date range ──────────────────────────────────────────
 
-async function fetchAllData(startDate, endDate, location) {
+async function fetchAllData(startDate, endDate, stores = reportable()) {
   const start = new Date(startDate + 'T00:00:00');
   const end = new Date(endDate + 'T00:00:00');
   let context = '';
@@ -410,24 +256,19 @@ async function fetchAllData(startDate, endDate, location) {
   const current = new Date(start);
   while (current <= end) {
     const dateStr = current.toLocaleDateString('en-CA');
+    let sling; // one Sling day serves every Sling store
 
-    if (location === 'sf' || location === 'all') {
-      const toastData = await fetchToastData(dateStr);
-      context += formatSFContext(dateStr, toastData);
-      const sfSched = await fetchSFSchedule(dateStr);
-      context += formatScheduleContext('SF Clement', dateStr, sfSched);
-    }
-
-    if (location === 'boston' || location === 'all') {
-      const squareData = await fetchSquareData(dateStr);
-      context += formatBostonContext(dateStr, squareData);
-      const bosSched = await fetchBostonSchedule(dateStr);
-      context += formatScheduleContext('Boston', dateStr, bosSched);
-    }
-
-    if (location === 'ferry' || location === 'all') {
-      const ferryData = await fetchFerryData(dateStr);
-      context += formatFerryContext(dateStr, ferryData);
+    for (const location of stores) {
+      if (location.pos) {
+        context += SALES_FORMATTERS[location.pos.provider](location, dateStr, await fetchSalesData(location, dateStr));
+      }
+      if (location.scheduling === 'sling') {
+        if (sling === undefined) sling = await fetchSlingSchedule(dateStr);
+        const shifts = sling ? (sling.shifts || []).filter((s) => locations.ofShift(s) === location) : [];
+        context += formatScheduleContext(location, dateStr, { shifts });
+      } else if (location.scheduling === 'square') {
+        context += formatScheduleContext(location, dateStr, await fetchSquareSchedule(location, dateStr));
+      }
     }
 
     current.setDate(current.getDate() + 1);
@@ -437,6 +278,51 @@ async function fetchAllData(startDate, endDate, location) {
 }
 
 
+// ── Describe the stores for the system prompt ────────────────────────────────
+
+const money = (n) => `$${Number(n).toLocaleString('en-US')}`;
+
+function describeHours(location) {
+  if (!location.hours) return '';
+  const clock = (min) => {
+    const h = Math.floor(min / 60);
+    const m = min % 60;
+    return `${h % 12 || 12}${m ? `:${String(m).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+  };
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const open = location.hours.map((h, i) => (h ? `${days[i]} ${clock(h.open)}-${clock(h.close)}` : null)).filter(Boolean);
+  return ` Hours: ${open.join(', ')}.`;
+}
+
+function describeLocations() {
+  return locations
+    .all()
+    .map((l) => {
+      const zone = new Intl.DateTimeFormat('en-US', { timeZone: l.timeZone, timeZoneName: 'longGeneric' })
+        .formatToParts(new Date())
+        .find((p) => p.type === 'timeZoneName').value;
+      const pos = l.pos ? l.pos.provider[0].toUpperCase() + l.pos.provider.slice(1) : 'none';
+      const scheduling = l.scheduling ? l.scheduling[0].toUpperCase() + l.scheduling.slice(1) : 'none yet';
+      return `- ${l.reportName}${l.reportName === l.name ? '' : ` (${l.name})`}: ${l.address ? `${l.address}. ` : ''}POS: ${pos}. Scheduling: ${scheduling}. Timezone: ${zone}.${describeHours(l)}`;
+    })
+    .join('\n');
+}
+
+function describeBenchmarks() {
+  const lines = [];
+  for (const l of locations.all()) {
+    const b = l.benchmarks;
+    if (b && b.weekday && b.weekend) {
+      lines.push(`- ${l.shortName} benchmarks: Weekday avg ${money(b.weekday.sales)} sales, ${money(b.weekday.splh)} SPLH. Weekend avg ${money(b.weekend.sales)} sales, ${money(b.weekend.splh)} SPLH.`);
+    }
+  }
+  for (const l of locations.all()) {
+    if (l.notes) lines.push(`- ${l.shortName}: ${l.notes}`);
+  }
+  return lines.join('\n');
+}
+
+
 // ── Ask Claude ───────────────────────────────────────────────────────────────
 
 async function askClaude(userMessage, dataContext) {
@@ -450,22 +336,16 @@ async function askClaude(userMessage, dataContext) {
   const todayStr = pst.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
   const timeStr = pst.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 
-  const systemPrompt = `You are the Pixlcat business intelligence assistant in Slack. You answer questions about sales, mochi, labor, scheduling, and operations across both Pixlcat locations.
+  const systemPrompt = `You are the Pixlcat business intelligence assistant in Slack. You answer questions about sales, mochi, labor, scheduling, and operations across every Pixlcat location.
 
 LOCATIONS:
-- SF / San Francisco / Clement: 519 Clement St, Inner Richmond. POS: Toast. Scheduling: Sling. Timezone: Pacific.
-- SF / Ferry Building: San Francisco Ferry Building. POS: Square. No scheduling yet. Timezone: Pacific. New location. Open Saturdays only, 8am-2pm.
-- Boston / Charlestown: New location. POS: Square. Scheduling: Square. Timezone: Eastern.
+${describeLocations()}
 
 Current date/time: ${todayStr}, ${timeStr} PT
 
 BUSINESS CONTEXT:
 - Butter mochi is the signature product. Target attachment rate: 25%.
-- SF benchmarks: Weekday avg $1,807 sales, $96 SPLH. Weekend avg $3,610 sales, $111 SPLH.
-- Boston benchmarks: Weekday avg $500 sales, $25 SPLH. Weekend avg $800 sales, $40 SPLH.
-- SF dayparts: Warmup 7-8am, Rush 8-11am, Core 11am-2pm, Drift 2-4pm, Dead 4-5pm.
-- Boston is newer, still ramping up.
-- Sat-Sun = ~47% of weekly revenue in SF. Sunday is typically peak.
+${describeBenchmarks()}
 - Key metrics: Net sales, mochi attachment rate, SPLH, avg check, labor hours.
 
 DATA:
@@ -567,11 +447,11 @@ async function handleOpsQuery(messageText, channel, threadTs) {
 
   try {
     const { startDate, endDate } = determineDateRange(messageText);
-    const location = detectLocation(messageText);
+    const stores = detectLocation(messageText);
 
-    console.log(`[ops] Query: "${messageText}" -> ${startDate} to ${endDate}, location: ${location}`);
+    console.log(`[ops] Query: "${messageText}" -> ${startDate} to ${endDate}, locations: ${stores.map((l) => l.key).join(', ')}`);
 
-    const dataContext = await fetchAllData(startDate, endDate, location);
+    const dataContext = await fetchAllData(startDate, endDate, stores);
     const response = await askClaude(messageText, dataContext);
 
     if (response) {
@@ -616,27 +496,22 @@ async function generateWeeklyReport() {
   console.log(`[weekly] Last week: ${fmt(lastMonday)} to ${fmt(lastSunday)}`);
   console.log(`[weekly] Prev week: ${fmt(prevMonday)} to ${fmt(prevSunday)}`);
 
-  // Fetch raw data for both weeks, both locations
-  const lastWeekSF = [];
-  const lastWeekBOS = [];
-  const prevWeekSF = [];
-  const prevWeekBOS = [];
+  // Fetch raw data for both weeks, every store with a POS
+  const stores = locations.withPos();
+  const lastWeek = new Map(stores.map((l) => [l.key, []]));
+  const prevWeek = new Map(stores.map((l) => [l.key, []]));
 
   for (let i = 0; i < 7; i++) {
     const lwDate = fmt(addDays(lastMonday, i));
     const pwDate = fmt(addDays(prevMonday, i));
 
-    const [lwToast, lwSquare, pwToast, pwSquare] = await Promise.all([
-      fetchToastData(lwDate),
-      fetchSquareData(lwDate),
-      fetchToastData(pwDate),
-      fetchSquareData(pwDate),
-    ]);
-
-    lastWeekSF.push({ date: lwDate, data: lwToast });
-    lastWeekBOS.push({ date: lwDate, data: lwSquare });
-    prevWeekSF.push({ date: pwDate, data: pwToast });
-    prevWeekBOS.push({ date: pwDate, data: pwSquare });
+    await Promise.all(
+      stores.map(async (l) => {
+        const [lw, pw] = await Promise.all([fetchSalesData(l, lwDate), fetchSalesData(l, pwDate)]);
+        lastWeek.get(l.key).push({ date: lwDate, data: lw });
+        prevWeek.get(l.key).push({ date: pwDate, data: pw });
+      })
+    );
   }
 
   // Aggregate weekly totals
@@ -712,52 +587,58 @@ async function generateWeeklyReport() {
     return { sales, orders, avgCheck, splh, hours, laborCost, mochiCount, mochiRev, mochiAtt, mochiOrders, dailyData, flavorTotals, daysWithData: days.filter(d => d.data).length };
   }
 
-  const lwSF = aggregateToast(lastWeekSF);
-  const pwSF = aggregateToast(prevWeekSF);
-  const lwBOS = aggregateSquare(lastWeekBOS);
-  const pwBOS = aggregateSquare(prevWeekBOS);
+  const aggregate = { toast: aggregateToast, square: aggregateSquare };
+  const sections = stores.map((l) => ({
+    location: l,
+    lw: aggregate[l.pos.provider](lastWeek.get(l.key)),
+    pw: aggregate[l.pos.provider](prevWeek.get(l.key)),
+  }));
 
   // Build context string for Claude
   const lwLabel = `${lastMonday.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${lastSunday.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
   const pwLabel = `${prevMonday.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${prevSunday.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
 
+  function weekContext(location, label, w, withFlavors) {
+    const name = location.reportName.toUpperCase();
+    let ctx = `--- ${name} ${label} ---\n`;
+    ctx += `Total Sales: $${w.sales.toFixed(2)} (${w.daysWithData} days with data)\n`;
+    if (location.pos.provider === 'toast') {
+      ctx += `Tickets: ${w.tickets} | Avg Check: $${w.avgCheck.toFixed(2)}\n`;
+      ctx += `SPLH: $${w.splh.toFixed(2)} | Labor Hours: ${w.hours.toFixed(1)}h\n`;
+    } else {
+      ctx += `Orders: ${w.orders} | Avg Check: $${w.avgCheck.toFixed(2)}\n`;
+      ctx += `SPLH: $${w.splh.toFixed(2)} | Labor Hours: ${w.hours.toFixed(1)}h | Labor Cost: $${w.laborCost.toFixed(2)}\n`;
+    }
+    ctx += `Mochi: ${w.mochiCount} pieces, $${w.mochiRev.toFixed(2)} rev, ${w.mochiAtt.toFixed(1)}% attachment\n`;
+    ctx += `Daily: ${w.dailyData.map(d => `${d.dayName} $${d.sales.toFixed(0)}`).join(', ')}\n`;
+    if (withFlavors) {
+      ctx += `Top Flavors: ${Object.entries(w.flavorTotals).sort((a, b) => b[1].count - a[1].count).map(([n, d]) => `${n}(${d.count})`).join(', ')}\n`;
+    }
+    return ctx + '\n';
+  }
+
   let context = `=== WEEKLY REPORT DATA ===\n`;
   context += `Last Week: ${lwLabel} | Previous Week: ${pwLabel}\n\n`;
 
-  context += `--- SF LAST WEEK (${lwLabel}) ---\n`;
-  context += `Total Sales: $${lwSF.sales.toFixed(2)} (${lwSF.daysWithData} days with data)\n`;
-  context += `Tickets: ${lwSF.tickets} | Avg Check: $${lwSF.avgCheck.toFixed(2)}\n`;
-  context += `SPLH: $${lwSF.splh.toFixed(2)} | Labor Hours: ${lwSF.hours.toFixed(1)}h\n`;
-  context += `Mochi: ${lwSF.mochiCount} pieces, $${lwSF.mochiRev.toFixed(2)} rev, ${lwSF.mochiAtt.toFixed(1)}% attachment\n`;
-  context += `Daily: ${lwSF.dailyData.map(d => `${d.dayName} $${d.sales.toFixed(0)}`).join(', ')}\n`;
-  context += `Top Flavors: ${Object.entries(lwSF.flavorTotals).sort((a, b) => b[1].count - a[1].count).map(([n, d]) => `${n}(${d.count})`).join(', ')}\n\n`;
-
-  context += `--- SF PREVIOUS WEEK (${pwLabel}) ---\n`;
-  context += `Total Sales: $${pwSF.sales.toFixed(2)} (${pwSF.daysWithData} days with data)\n`;
-  context += `Tickets: ${pwSF.tickets} | Avg Check: $${pwSF.avgCheck.toFixed(2)}\n`;
-  context += `SPLH: $${pwSF.splh.toFixed(2)} | Labor Hours: ${pwSF.hours.toFixed(1)}h\n`;
-  context += `Mochi: ${pwSF.mochiCount} pieces, $${pwSF.mochiRev.toFixed(2)} rev, ${pwSF.mochiAtt.toFixed(1)}% attachment\n`;
-  context += `Daily: ${pwSF.dailyData.map(d => `${d.dayName} $${d.sales.toFixed(0)}`).join(', ')}\n\n`;
-
-  context += `--- BOSTON LAST WEEK (${lwLabel}) ---\n`;
-  context += `Total Sales: $${lwBOS.sales.toFixed(2)} (${lwBOS.daysWithData} days with data)\n`;
-  context += `Orders: ${lwBOS.orders} | Avg Check: $${lwBOS.avgCheck.toFixed(2)}\n`;
-  context += `SPLH: $${lwBOS.splh.toFixed(2)} | Labor Hours: ${lwBOS.hours.toFixed(1)}h | Labor Cost: $${lwBOS.laborCost.toFixed(2)}\n`;
-  context += `Mochi: ${lwBOS.mochiCount} pieces, $${lwBOS.mochiRev.toFixed(2)} rev, ${lwBOS.mochiAtt.toFixed(1)}% attachment\n`;
-  context += `Daily: ${lwBOS.dailyData.map(d => `${d.dayName} $${d.sales.toFixed(0)}`).join(', ')}\n`;
-  context += `Top Flavors: ${Object.entries(lwBOS.flavorTotals).sort((a, b) => b[1].count - a[1].count).map(([n, d]) => `${n}(${d.count})`).join(', ')}\n\n`;
-
-  context += `--- BOSTON PREVIOUS WEEK (${pwLabel}) ---\n`;
-  context += `Total Sales: $${pwBOS.sales.toFixed(2)} (${pwBOS.daysWithData} days with data)\n`;
-  context += `Orders: ${pwBOS.orders} | Avg Check: $${pwBOS.avgCheck.toFixed(2)}\n`;
-  context += `SPLH: $${pwBOS.splh.toFixed(2)} | Labor Hours: ${pwBOS.hours.toFixed(1)}h | Labor Cost: $${pwBOS.laborCost.toFixed(2)}\n`;
-  context += `Mochi: ${pwBOS.mochiCount} pieces, $${pwBOS.mochiRev.toFixed(2)} rev, ${pwBOS.mochiAtt.toFixed(1)}% attachment\n`;
-  context += `Daily: ${pwBOS.dailyData.map(d => `${d.dayName} $${d.sales.toFixed(0)}`).join(', ')}\n\n`;
+  for (const { location, lw, pw } of sections) {
+    context += weekContext(location, `LAST WEEK (${lwLabel})`, lw, true);
+    context += weekContext(location, `PREVIOUS WEEK (${pwLabel})`, pw, false);
+  }
 
+  const sum = (week, field) => sections.reduce((total, sec) => total + sec[week][field], 0);
   context += `--- COMBINED TOTALS ---\n`;
-  context += `Last Week Combined Sales: $${(lwSF.sales + lwBOS.sales).toFixed(2)}\n`;
-  context += `Previous Week Combined Sales: $${(pwSF.sales + pwBOS.sales).toFixed(2)}\n`;
-  context += `Last Week Combined Mochi: ${lwSF.mochiCount + lwBOS.mochiCount} pieces, $${(lwSF.mochiRev + lwBOS.mochiRev).toFixed(2)}\n`;
+  context += `Last Week Combined Sales: $${sum('lw', 'sales').toFixed(2)}\n`;
+  context += `Previous Week Combined Sales: $${sum('pw', 'sales').toFixed(2)}\n`;
+  context += `Last Week Combined Mochi: ${sum('lw', 'mochiCount')} pieces, $${sum('lw', 'mochiRev').toFixed(2)}\n`;
+
+  const [first, ...rest] = stores;
+  const benchmarks = stores
+    .filter((l) => l.benchmarks && l.benchmarks.weekday && l.benchmarks.weekend)
+    .map((l) => {
+      const b = l.benchmarks;
+      return `${l.shortName}: Weekday avg ${money(b.weekday.sales)}/day, Weekend avg ${money(b.weekend.sales)}/day, SPLH ${money(b.weekday.splh)} weekday/${money(b.weekend.splh)} weekend`;
+    })
+    .join('\n');
 
   // Ask Claude to generate the report
   const reportPrompt = `Generate a weekly performance report comparing last week to the previous week. Use ONLY Slack mrkdwn formatting (NEVER use # headers).
@@ -766,7 +647,7 @@ Format it like this structure:
 
 *📊 WEEKLY REPORT — [last week date range]*
 
-*☕ SF / SAN FRANCISCO*
+*${first.emoji} ${first.reportName.toUpperCase()}*
 Use a table-like format showing key metrics with WoW (week-over-week) deltas:
 - Net Sales with $ and % change
 - Tickets/Orders with change  
@@ -777,8 +658,7 @@ Use a table-like format showing key metrics with WoW (week-over-week) deltas:
 - Best and worst day of the week
 - Top 3 mochi flavors
 
-*🦞 BOSTON / CHARLESTOWN*
-Same format as SF
+${rest.map((l) => `*${l.emoji} ${l.reportName.toUpperCase()}*\nSame format as ${first.shortName}`).join('\n\n')}
 
 *📈 COMBINED / COMPANY-WIDE*
 - Total combined sales with WoW change
@@ -804,9 +684,8 @@ Same format as SF
         system: `You are the Pixlcat business intelligence assistant. Generate a weekly performance report for the CEO. Use ONLY Slack mrkdwn formatting — NEVER use markdown headers (#, ##). Use *bold* with emoji for section headers. Use 🟢 for improvements and 🔴 for declines. Be analytical and specific.
 
 BENCHMARKS:
-SF: Weekday avg $1,807/day, Weekend avg $3,610/day, SPLH $96 weekday/$111 weekend
-Boston: Weekday avg $500/day, Weekend avg $800/day, SPLH $25 weekday/$40 weekend
-Mochi target: 25% attachment rate at both locations
+${benchmarks}
+Mochi target: 25% attachment rate at every location
 
 DATA:
 ${context}`,
@@ -0,0 +1,366 @@
+/**
+ * clock-in-monitor.js — Per-shift clock-in state machine
+ *
+ * Every assigned shift today gets a record that moves through:
+ *
+ *   scheduled → late → reminded → escalated (lead, then owner) → covered | no_show | resolved
+ *
+ * - scheduled: waiting for the shift to start. Clocking in resolves it.
+ * - late:      lateAfterMin past start with no clock-in; the employee is DM'd → reminded.
+ * - reminded:  waiting for a clock-in or a reply (see handleReply). After
+ *              escalateLeadAfterMin it escalates to the shift lead; calling out
+ *              escalates at once, running late holds off until the ETA.
+ * - escalated: level 1 = shift lead (Sling DM + Slack), level 2 = owner after
+ *              escalateOwnerAfterMin. noShowAfterMin past start (or once the
+ *              shift is over) it ends as no_show.
+ * Final states record an outcome: resolved (clocked in), covered (someone else
+ * took the shift) or no_show. Managers can also close a record by hand.
+ *
+ * Side effects (Sling, Toast, Slack) are passed in, so the machine itself is
+ * plain logic over records kept in a persistent map (see state-store.js).
+ * When findClockIn throws (Toast unreachable) the record stays where it was
+ * and is retried on the next tick, so no outcome is recorded on a guess.
+ */
+
+const TERMINAL = ['resolved', 'covered', 'no_show'];
+const STATES = ['scheduled', 'late', 'reminded', 'escalated', ...TERMINAL];
+
+const DEFAULT_TIMEOUTS = {
+  lateAfterMin: 10,
+  escalateLeadAfterMin: 15,
+  escalateOwnerAfterMin: 15,
+  noShowAfterMin: 120,
+};
+
+const MIN_MS = 60 * 1000;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Create a monitor.
+ *
+ * @param {object} opts
+ * @param {object} opts.records - Map-like store of shiftId -> record
+ * @param {() => Promise<object[]>} opts.getShifts - today's assigned shifts
+ * @param {(employeeId, shift) => Promise<string|null>} opts.findClockIn - clock-in time for the shift, if any
+ * @param {(employeeId, text) => Promise<{conversationId?: string}>} opts.sendDM
+ * @param {(text) => Promise<void>} opts.notify - post to the managers' Slack channel
+ * @param {(conversationId, sinceISO) => Promise<{content, timestamp}[]>} opts.getReplies
+ * @param {(text, ctx) => Promise<{intent, coverName, etaMinutes, source}>} opts.classifyReply - see reply-classifier.js
+ * @param {(name) => Promise<{employee: {id, name}|null, error: string|null}>} opts.resolveCover - roster lookup for a named cover
+ * @param {(record) => Promise<{id, name}|null>} opts.findLead - shift lead on duty, if any
+ * @param {() => Promise<{id, name}|null>} opts.findOwner
+ * @param {(iso) => string} opts.formatTime
+ * @param {object} [opts.timeouts] - overrides for DEFAULT_TIMEOUTS (minutes)
+ * @param {(record) => void} [opts.onOutcome] - called whenever a record reaches a final state
+ * @param {() => number} [opts.clock] - current time in ms
+ */
+function createClockInMonitor({ records, getShifts, findClockIn, sendDM, notify, getReplies, classifyReply, resolveCover, findLead, findOwner, formatTime, timeouts = {}, onOutcome = () => {}, clock = Date.now }) {
+  const t = { ...DEFAULT_TIMEOUTS };
+  for (const [key, minutes] of Object.entries(timeouts)) {
+    if (Number.isFinite(minutes)) t[key] = minutes;
+  }
+
+  function transition(record, state, note, extra = {}) {
+    const at = new Date(clock()).toISOString();
+    const next = { ...record, ...extra, state, updatedAt: at, history: [...record.history, { state, at, note }] };
+    if (TERMINAL.includes(state)) next.outcome = { status: state, at, note, ...(extra.coveredBy ? { coveredBy: extra.coveredBy } : {}) };
+    records.set(record.shiftId, next);
+    if (next.outcome && next.outcome !== record.outcome) {
+      try {
+        onOutcome(next);
+      } catch (err) {
+        console.error(`[clockin] Recording outcome for shift ${next.shiftId} failed:`, err.message);
+      }
+    }
+    return next;
+  }
+
+  // Resolve the record if the employee has clocked in, keeping the clock-in time
+  async function clockedIn(record, note) {
+    const clockedInAt = await findClockIn(record.employeeId, record);
+    return clockedInAt ? transition(record, 'resolved', note, { clockedInAt }) : null;
+  }
+
+  /** Add records for shifts not tracked yet. */
+  function track(shifts) {
+    let added = 0;
+    for (const s of shifts) {
+      if (!s.employeeId || records.has(s.id)) continue;
+      const at = new Date(clock()).toISOString();
+      records.set(s.id, {
+        shiftId: s.id,
+        employeeId: s.employeeId,
+        employee: s.employee,
+        position: s.position || null,
+        location: s.location || null,
+        locationId: s.locationId || null,
+        start: s.start,
+        end: s.end,
+        state: 'scheduled',
+        escalationLevel: 0,
+        conversations: [],
+        repliesCheckedAt: null,
+        outcome: null,
+        createdAt: at,
+        updatedAt: at,
+        history: [{ state: 'scheduled', at, note: null }],
+      });
+      added++;
+    }
+    return added;
+  }
+
+  async function dm(employeeId, text) {
+    try {
+      const result = await sendDM(employeeId, text);
+      return (result && result.conversationId) || null;
+    } catch (err) {
+      console.error(`[clockin] DM to ${employeeId} failed:`, err.message);
+      return null;
+    }
+  }
+
+  function save(record) {
+    records.set(record.shiftId, record);
+    return record;
+  }
+
+  // Conversations we've messaged about a shift: { conversationId, employeeId, role }
+  function contactsOf(record) {
+    return record.conversations.map((c) => (typeof c === 'string' ? { conversationId: c, employeeId: record.employeeId, role: 'employee' } : c));
+  }
+
+  // New replies in any conversation we've messaged about this shift, oldest first
+  async function readReplies(record) {
+    const since = record.repliesCheckedAt || record.history[0].at;
+    const checkedAt = new Date(clock()).toISOString();
+    const replies = [];
+    for (const contact of contactsOf(record)) {
+      for (const reply of await getReplies(contact.conversationId, since)) replies.push({ ...reply, from: contact });
+    }
+    replies.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return { record: save({ ...record, repliesCheckedAt: checkedAt }), replies };
+  }
+
+  async function coverShift(r, cover, from) {
+    if (await findClockIn(cover.id, r)) {
+      await dm(from.employeeId, `Perfect! ${cover.name} already clocked in. You're all set 👍`);
+    } else {
+      await dm(cover.id, `Hey ${cover.name}! You're covering ${r.employee}'s ${formatTime(r.start)} shift. Can you clock in now?`);
+      await dm(from.employeeId, `Got it! I messaged ${cover.name} to clock in.`);
+    }
+    await notify(`✅ ${cover.name} is covering ${r.employee}'s ${formatTime(r.start)} shift`).catch(() => {});
+    return transition(r, 'covered', `Covered by ${cover.name}`, { coveredBy: { id: cover.id, name: cover.name } });
+  }
+
+  /**
+   * Act on one reply. Each intent has its own follow-up:
+   * COVERED closes the shift, CLOCKED_IN is checked against Toast, RUNNING_LATE
+   * holds escalation until the ETA, CALLING_OUT escalates straight away and
+   * anything else is passed on to Slack for a human to read.
+   */
+  async function handleReply(record, reply, now) {
+    const text = (reply.content || '').trim();
+    const from = reply.from;
+    const c = await classifyReply(text, { now: new Date(now), shiftStart: record.start });
+    let r = save({
+      ...record,
+      replies: [
+        ...(record.replies || []),
+        { at: reply.timestamp || new Date(now).toISOString(), from: from.role, text, intent: c.intent, coverName: c.coverName, etaMinutes: c.etaMinutes, source: c.source },
+      ],
+    });
+    const post = (msg) => notify(msg).catch((err) => console.error('[clockin] Slack post failed:', err.message));
+
+    switch (c.intent) {
+      case 'COVERED': {
+        const cover = await resolveCover(c.coverName);
+        if (cover.employee) return coverShift(r, cover.employee, from);
+        if (cover.error) await dm(from.employeeId, cover.error);
+        return r;
+      }
+      case 'CLOCKED_IN': {
+        const resolved = await clockedIn(r, 'Said they were clocked in; confirmed on Toast');
+        if (resolved) return resolved;
+        await dm(from.employeeId, `I don't see a clock-in on Toast yet. Can you double-check the POS? I'll look again in a few minutes.`);
+        return save({ ...r, holdUntil: new Date(now + t.lateAfterMin * MIN_MS).toISOString() });
+      }
+      case 'RUNNING_LATE': {
+        const eta = c.etaMinutes !== null ? now + c.etaMinutes * MIN_MS : null;
+        await dm(from.employeeId, eta ? `Thanks for the heads up! See you around ${formatTime(eta)}.` : `Thanks for the heads up! Clock in as soon as you get there.`);
+        await post(`🏃 *${r.employee}* is running late for their ${formatTime(r.start)} shift${eta ? ` — ETA ${formatTime(eta)}` : ''}`);
+        return save({
+          ...r,
+          expectedAt: eta ? new Date(eta).toISOString() : null,
+          holdUntil: new Date((eta || now) + t.lateAfterMin * MIN_MS).toISOString(),
+        });
+      }
+      case 'CALLING_OUT': {
+        await dm(from.employeeId, from.role === 'employee' ? `Sorry to hear that. Feel better! I'll let the team know so we can find cover.` : `Thanks, I'll keep looking for cover.`);
+        await post(`🤒 *${r.employee}* called out of their ${formatTime(r.start)} shift: "${text}"`);
+        r = save({ ...r, calledOut: { at: new Date(now).toISOString(), text }, holdUntil: null });
+        return r.state === 'reminded' ? escalate(r, 1) : r;
+      }
+      default:
+        await post(`💬 ${from.role === 'employee' ? r.employee : `About ${r.employee}`} (${formatTime(r.start)} shift): "${text}"`);
+        return r;
+    }
+  }
+
+  async function escalate(record, level) {
+    const startTime = formatTime(record.start);
+    const contact = level === 1 ? await findLead(record) : await findOwner();
+
+    // No lead on shift: go straight to the owner
+    if (level === 1 && !contact) return escalate(record, 2);
+
+    const conversations = contactsOf(record);
+    if (contact) {
+      let reason = `haven't clocked in or replied`;
+      if (record.calledOut) reason = `called out ("${record.calledOut.text}")`;
+      else if (record.replies && record.replies.length) reason = `haven't clocked in yet (last said: "${record.replies[record.replies.length - 1].text}")`;
+      const conversationId = await dm(
+        contact.id,
+        `Heads up about ${record.employee}'s ${startTime} shift${record.location ? ` at ${record.location}` : ''}: they ${reason}. Reply with who's covering, e.g. "Maya is covering".`
+      );
+      if (conversationId && !conversations.some((c) => c.conversationId === conversationId)) {
+        conversations.push({ conversationId, employeeId: contact.id, role: level === 1 ? 'lead' : 'owner' });
+      }
+    }
+
+    const who = contact ? contact.name : 'nobody (no owner on the roster)';
+    await notify(`⏰ *${record.employee}* ${record.calledOut ? 'called out of' : `hasn't clocked in for`} their ${startTime} shift — escalated to ${who}`).catch((err) =>
+      console.error('[clockin] Slack escalation failed:', err.message)
+    );
+    return transition(record, 'escalated', `Escalated to ${level === 1 ? 'shift lead' : 'owner'} ${contact ? contact.name : ''}`.trim(), {
+      escalationLevel: level,
+      escalatedAt: new Date(clock()).toISOString(),
+      escalatedTo: contact ? contact.id : null,
+      conversations,
+    });
+  }
+
+  /** Move one record forward as far as it can go right now. */
+  async function advance(record, now) {
+    const start = new Date(record.start).getTime();
+    let r = record;
+
+    // Shift is over: close whatever is still open
+    if (now >= new Date(r.end).getTime()) {
+      return (await clockedIn(r, 'Clocked in')) || transition(r, 'no_show', 'Shift ended without a clock-in or cover');
+    }
+
+    if (r.state === 'scheduled') {
+      if (now < start + t.lateAfterMin * MIN_MS) return r;
+      const resolved = await clockedIn(r, 'Clocked in');
+      if (resolved) return resolved;
+      r = transition(r, 'late', `No clock-in ${t.lateAfterMin} min after start`);
+    }
+
+    if (r.state === 'late') {
+      const firstName = (r.employee || '').split(' ')[0];
+      const conversationId = await dm(r.employeeId, `Hey ${firstName}! You're scheduled at ${formatTime(r.start)} but haven't clocked in yet. Everything ok? Let me know if you're running late or out sick, or who's covering for you.`);
+      return transition(r, 'reminded', conversationId ? 'Reminder DM sent' : 'Reminder DM failed', {
+        remindedAt: new Date(clock()).toISOString(),
+        conversations: conversationId ? [{ conversationId, employeeId: r.employeeId, role: 'employee' }] : [],
+      });
+    }
+
+    if (r.state !== 'reminded' && r.state !== 'escalated') return r;
+
+    const resolved = await clockedIn(r, 'Clocked in late');
+    if (resolved) return resolved;
+
+    const read = await readReplies(r);
+    r = read.record;
+    for (const reply of read.replies) {
+      r = await handleReply(r, reply, now);
+      if (TERMINAL.includes(r.state)) return r;
+    }
+
+    // Running late or says they're clocked in: give them until then
+    if (r.holdUntil && now < new Date(r.holdUntil).getTime()) return r;
+
+    if (r.state === 'reminded' && now >= new Date(r.remindedAt).getTime() + t.escalateLeadAfterMin * MIN_MS) return escalate(r, 1);
+    if (r.state === 'escalated' && now >= start + t.noShowAfterMin * MIN_MS) {
+      const msg = r.calledOut ? `No cover found for *${r.employee}*'s ${formatTime(r.start)} shift (called out)` : `*${r.employee}* is a no-show for their ${formatTime(r.start)} shift`;
+      await notify(`🚫 ${msg}`).catch(() => {});
+      return transition(r, 'no_show', `No clock-in or cover ${t.noShowAfterMin} min after start`);
+    }
+    if (r.state === 'escalated' && r.escalationLevel < 2 && now >= new Date(r.escalatedAt).getTime() + t.escalateOwnerAfterMin * MIN_MS) {
+      return escalate(r, 2);
+    }
+    return r;
+  }
+
+  /** Pick up today's shifts and advance every open record. */
+  async function tick() {
+    const now = clock();
+    track(await getShifts());
+    const changes = [];
+    for (const record of [...records.values()]) {
+      if (TERMINAL.includes(record.state)) continue;
+      try {
+        const next = await advance(record, now);
+        if (next.state !== record.state || next.escalationLevel !== record.escalationLevel) {
+          changes.push({ shiftId: next.shiftId, employee: next.employee, from: record.state, to: next.state, escalationLevel: next.escalationLevel });
+        }
+      } catch (err) {
+        console.error(`[clockin] Shift ${record.shiftId} failed:`, err.message);
+      }
+    }
+    return changes;
+  }
+
+  /** Close a record by hand (e.g. a manager found cover). */
+  function resolve(shiftId, { outcome, coveredBy = null, note = null, by = null }) {
+    if (!TERMINAL.includes(outcome)) throw invalid(`outcome must be one of: ${TERMINAL.join(', ')}`);
+    const record = records.get(shiftId);
+    if (!record) {
+      const err = new Error(`Shift ${shiftId} is not being monitored`);
+      err.status = 404;
+      throw err;
+    }
+    return transition(record, outcome, [note, by ? `by ${by}` : null].filter(Boolean).join(' ') || 'Closed manually', coveredBy ? { coveredBy } : {});
+  }
+
+  /** Attach bookkeeping to a record without changing its state (e.g. a clock-out reminder). */
+  function annotate(shiftId, fields) {
+    const record = records.get(shiftId);
+    if (!record) return null;
+    const next = { ...record, ...fields, updatedAt: new Date(clock()).toISOString() };
+    records.set(shiftId, next);
+    return next;
+  }
+
+  /**
+   * Whether a follow-up here was waiting on this person's reply at the given
+   * time: they'd been DM'd about a shift (as the employee, lead or owner) that
+   * was still open. Other jobs sharing the DM conversation leave such replies alone.
+   */
+  function awaitsReplyFrom(employeeId, at) {
+    const when = new Date(at).getTime();
+    return [...records.values()].some(
+      (r) =>
+        r.remindedAt &&
+        new Date(r.remindedAt).getTime() <= when &&
+        (!r.outcome || new Date(r.outcome.at).getTime() >= when) &&
+        (r.conversations || []).some((c) => c.employeeId === employeeId)
+    );
+  }
+
+  function list({ date, formatDate } = {}) {
+    return [...records.values()]
+      .filter((r) => !date || formatDate(r.start) === date)
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  return { track, tick, resolve, annotate, awaitsReplyFrom, list, get: (id) => records.get(id) || null, timeouts: t };
+}
+
+module.exports = { createClockInMonitor, STATES, TERMINAL, DEFAULT_TIMEOUTS };
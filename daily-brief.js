@@ -1,73 +1,32 @@
 const { WebClient } = require('@slack/web-api');
+const { rateFor } = require('./wages');
+const { loadLocations } = require('./locations');
+const { sharedStoreCalendar } = require('./store-calendar');
 
 const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
 const CHANNEL = process.env.SLACK_CHANNEL_ID;
-const TOAST_URL = process.env.TOAST_API_URL || 'https://toast-api-1.onrender.com';
-const SQUARE_URL = process.env.SQUARE_API_URL || 'https://square-api-mi4f.onrender.com';
 const SLING_URL = process.env.SLING_API_URL || 'https://pixlcat-sling-api.onrender.com';
 
-// SF benchmarks (established)
-const SF_BENCH = {
-  weekday: { sales: 1807, splh: 96 },
-  weekend: { sales: 3610, splh: 111 }
-};
-
-// Boston benchmarks (early stage)
-const BOS_BENCH = {
-  weekday: { sales: 500, splh: 25 },
-  weekend: { sales: 800, splh: 40 }
-};
-
-// SF Employee Hourly Rates
-const SF_HOURLY_RATES = {
-  'Anya': 22.00,
-  'Brianna': 21.00,
-  'Clayton': 21.00,
-  'Clayton Durning': 21.00,
-  'Emily': 19.18,
-  'Emily Mutchie': 19.18,
-  'Hayden': 21.00,
-  'Hayden Gardiner': 21.00,
-  'Hera': 19.18,
-  'James': 21.00,
-  'Jessica': 22.00,
-  'Jessica Broussard': 22.00,
-  'Jesus': 24.00,
-  'Maya': 19.18,
-  'Maya M': 19.18,
-  'Maya Mendoza': 19.18,
-  'Maya L': 19.18,
-  'Mirä': 22.00,
-  'Mira': 22.00,
-  'Otilia': 19.18,
-  'Otilia Saetern': 19.18,
-  'Saige': 21.00,
-  'Sara': 19.18,
-  'Milla': 19.18,
-  'Milla L': 19.18
-};
+// Stores, POS endpoints and benchmarks: locations.json
+const locations = loadLocations();
+const storeCalendar = sharedStoreCalendar();
 
 const fmt = n => '$' + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 const ico = (v, target) => v >= target ? '🟢' : '🔴';
 
-function fmtTime(isoStr) {
-  return new Date(isoStr).toLocaleTimeString('en-US', {
-    hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles'
-  }).toLowerCase();
+// Net sales against the store's benchmark, when it has one
+function salesLine(sales, bench, isWE) {
+  if (!bench) return `💵 *Net Sales:* ${fmt(sales)}\n`;
+  const delta = ((sales - bench.sales) / bench.sales * 100).toFixed(1);
+  return `${ico(sales, bench.sales)} *Net Sales:* ${fmt(sales)} (${delta > 0 ? '+' : ''}${delta}% vs ${isWE ? 'weekend' : 'weekday'} avg)\n`;
 }
 
-function fmtTimeET(isoStr) {
+function fmtTime(isoStr, timeZone = 'America/Los_Angeles') {
   return new Date(isoStr).toLocaleTimeString('en-US', {
-    hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York'
+    hour: 'numeric', minute: '2-digit', timeZone
   }).toLowerCase();
 }
 
-function today() {
-  return new Date().toLocaleDateString('en-US', {
-    weekday: 'long', timeZone: 'America/Los_Angeles'
-  });
-}
-
 // ─── Sling Schedule ──────────────────────────────────────
 
 async function fetchSchedule(dateStr) {
@@ -83,45 +42,42 @@ async function fetchSchedule(dateStr) {
   }
 }
 
-function formatScheduleSection(schedule, dateStr) {
-  if (!schedule || !schedule.shifts || schedule.shifts.length === 0) return '';
-
-  const targetDate = dateStr || new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
-  const shifts = schedule.shifts
-    .filter(s => {
-      const shiftDate = new Date(s.start).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
-      return shiftDate === targetDate;
-    })
+// Shifts on dateStr in the store's time zone; Sling stores without a POS
+// (9th St) ride along in the section of a POS store in the same region
+function formatScheduleSection(location, shifts, dateStr, others = []) {
+  const tz = location.timeZone;
+  const targetDate = dateStr || new Date().toLocaleDateString('en-CA', { timeZone: tz });
+  const onDay = list => list
+    .filter(s => new Date(s.start).toLocaleDateString('en-CA', { timeZone: tz }) === targetDate)
     .sort((a, b) => a.start.localeCompare(b.start));
 
-  if (shifts.length === 0) return '';
-
-  const clement = shifts.filter(s => (s.location || '').includes('Clement'));
-  const ninth = shifts.filter(s => (s.location || '').includes('9th'));
-  const totalHours = shifts.reduce((sum, s) => sum + (s.duration || 0), 0);
+  // Sling returns every store's shifts; a Square schedule is already the store's own
+  const own = onDay(location.scheduling === 'sling' ? shifts.filter(s => locations.ofShift(s) === location) : shifts);
+  const extra = others.map(o => ({ location: o, shifts: onDay(shifts.filter(s => locations.ofShift(s) === o)) }));
+  const all = [...own, ...extra.flatMap(e => e.shifts)];
+  if (all.length === 0) return '';
 
-  let msg = `\n*Scheduled:* ${shifts.length} shifts | ${totalHours.toFixed(1)}h total\n`;
+  const totalHours = all.reduce((sum, s) => sum + (s.duration || 0), 0);
+  let msg = `\n*Scheduled:* ${all.length} shifts | ${totalHours.toFixed(1)}h total\n`;
 
-  if (clement.length > 0) {
-    for (const s of clement) {
-      msg += `  ${fmtTime(s.start)}-${fmtTime(s.end)}  ${s.employee} _(${s.position})_\n`;
-    }
+  for (const s of own) {
+    msg += `  ${fmtTime(s.start, tz)}-${fmtTime(s.end, tz)}  ${s.employee} _(${s.position})_\n`;
   }
 
-  if (ninth.length > 0) {
-    msg += `  _9th St:_\n`;
-    for (const s of ninth) {
-      msg += `  ${fmtTime(s.start)}-${fmtTime(s.end)}  ${s.employee} _(${s.position})_\n`;
+  for (const e of extra.filter(e => e.shifts.length > 0)) {
+    msg += `  _${e.location.shortName}:_\n`;
+    for (const s of e.shifts) {
+      msg += `  ${fmtTime(s.start, tz)}-${fmtTime(s.end, tz)}  ${s.employee} _(${s.position})_\n`;
     }
   }
 
   return msg;
 }
 
-// ─── SF (Toast API) ──────────────────────────────────────
+// ─── Toast stores ────────────────────────────────────────
 
-async function fetchSF() {
-  const res = await fetch(TOAST_URL + '/sales/yesterday');
+async function fetchToastBrief(location) {
+  const res = await fetch(location.pos.url + '/sales/yesterday');
   if (!res.ok) throw new Error('Toast /sales/yesterday -> ' + res.status);
   const data = await res.json();
   if (data.status !== 'success') throw new Error('Toast API error: ' + data.status);
@@ -129,8 +85,10 @@ async function fetchSF() {
   const m = data.metrics;
   const date = data.date;
   const day = new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long' });
-  const isWE = ['Saturday', 'Sunday'].includes(day);
-  const bench = isWE ? SF_BENCH.weekend : SF_BENCH.weekday;
+  // Benchmarked as the store calendar sees the day (a Monday holiday counts as a weekend)
+  const plan = storeCalendar.dayPlan(location, date);
+  const isWE = plan.dayType === 'weekend';
+  const bench = plan.benchmark;
 
   const sales = m.net_sales || 0;
   const tix = m.transaction_count || 0;
@@ -140,15 +98,14 @@ async function fetchSF() {
   const mochiRev = m.mochi?.total_revenue || 0;
   const mochiCount = m.mochi?.total_count || 0;
   const totalHours = m.labor?.total_hours || 0;
-  const delta = ((sales - bench.sales) / bench.sales * 100).toFixed(1);
 
-  let msg = `*☕ SAN FRANCISCO — ${day}, ${date}*\n\n`;
-  msg += `${ico(sales, bench.sales)} *Net Sales:* ${fmt(sales)} (${delta > 0 ? '+' : ''}${delta}% vs ${isWE ? 'weekend' : 'weekday'} avg)\n`;
+  let msg = `*${location.emoji} ${location.reportName.toUpperCase()} — ${day}, ${date}*${plan.note ? ` _(${plan.note})_` : ''}\n\n`;
+  msg += salesLine(sales, bench, isWE);
   msg += `🧾 *Tickets:* ${tix} | *Avg Check:* ${fmt(avgChk)}\n`;
   msg += `${ico(mochiAtt, 25)} *Mochi Attachment:* ${mochiAtt.toFixed(1)}% (target: 25%) | ${fmt(mochiRev)} rev | ${mochiCount} pieces\n`;
 
   if (totalHours > 0) {
-    msg += `${ico(splh, bench.splh)} *SPLH:* ${fmt(splh)} | *Labor:* ${totalHours.toFixed(1)}h\n`;
+    msg += `${bench ? ico(splh, bench.splh) : '⏱️'} *SPLH:* ${fmt(splh)} | *Labor:* ${totalHours.toFixed(1)}h\n`;
   }
 
   // Labor report
@@ -163,15 +120,7 @@ async function fetchSF() {
       const name = s.employee || 'Unknown';
       const hours = s.hours || 0;
       
-      // Match rate - try exact match first, then first name
-      let rate = SF_HOURLY_RATES[name];
-      if (!rate) {
-        const firstName = name.split(' ')[0];
-        rate = SF_HOURLY_RATES[firstName];
-      }
-      if (!rate) {
-        rate = 20.00; // Fallback default
-      }
+      const rate = rateFor(name);
       
       const cost = hours * rate;
       totalCost += cost;
@@ -201,10 +150,10 @@ async function fetchSF() {
   return { msg, date, day };
 }
 
-// ─── BOSTON (Square API) ──────────────────────────────────
+// ─── Square stores ───────────────────────────────────────
 
-async function fetchBoston() {
-  const res = await fetch(SQUARE_URL + '/sales/yesterday');
+async function fetchSquareBrief(location) {
+  const res = await fetch(location.pos.url + '/sales/yesterday');
   if (!res.ok) throw new Error('Square /sales/yesterday -> ' + res.status);
   const data = await res.json();
   if (data.status !== 'success') throw new Error('Square API error: ' + data.status);
@@ -212,8 +161,10 @@ async function fetchBoston() {
   const m = data.metrics;
   const date = data.date;
   const day = data.day_of_week || new Date(date + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'long' });
-  const isWE = ['Saturday', 'Sunday'].includes(day);
-  const bench = isWE ? BOS_BENCH.weekend : BOS_BENCH.weekday;
+  // Benchmarked as the store calendar sees the day (a Monday holiday counts as a weekend)
+  const plan = storeCalendar.dayPlan(location, date);
+  const isWE = plan.dayType === 'weekend';
+  const bench = plan.benchmark;
 
   const sales = m.net_sales || 0;
   const tix = m.total_orders || 0;
@@ -225,15 +176,14 @@ async function fetchBoston() {
   const totalHours = data.splh?.total_labor_hours || data.labor?.total_hours || 0;
   const laborCost = data.splh?.total_labor_cost || data.labor?.total_labor_cost || 0;
   const laborPct = data.splh?.labor_percentage || 0;
-  const delta = ((sales - bench.sales) / bench.sales * 100).toFixed(1);
 
-  let msg = `*🦞 BOSTON / CHARLESTOWN — ${day}, ${date}*\n\n`;
-  msg += `${ico(sales, bench.sales)} *Net Sales:* ${fmt(sales)} (${delta > 0 ? '+' : ''}${delta}% vs ${isWE ? 'weekend' : 'weekday'} avg)\n`;
+  let msg = `*${location.emoji} ${location.reportName.toUpperCase()} — ${day}, ${date}*${plan.note ? ` _(${plan.note})_` : ''}\n\n`;
+  msg += salesLine(sales, bench, isWE);
   msg += `🧾 *Tickets:* ${tix} | *Avg Check:* ${fmt(avgChk)}\n`;
   msg += `${ico(mochiAtt, 25)} *Mochi Attachment:* ${mochiAtt.toFixed(1)}% (target: 25%) | ${fmt(mochiRev)} rev | ${mochiCount} pieces\n`;
 
   if (totalHours > 0) {
-    msg += `${ico(splh, bench.splh)} *SPLH:* ${fmt(splh)} | *Labor:* ${totalHours.toFixed(1)}h | *Cost:* ${fmt(laborCost)} (${laborPct.toFixed(1)}%)\n`;
+    msg += `${bench ? ico(splh, bench.splh) : '⏱️'} *SPLH:* ${fmt(splh)} | *Labor:* ${totalHours.toFixed(1)}h | *Cost:* ${fmt(laborCost)} (${laborPct.toFixed(1)}%)\n`;
   }
 
   // Labor report
@@ -272,106 +222,67 @@ async function fetchBoston() {
   return { msg, date, day };
 }
 
-// ─── Boston Schedule (Square ScheduledShift API) ─────────
+// ─── Square Schedule (ScheduledShift API) ────────────────
 
-async function fetchBostonSchedule(dateStr) {
+async function fetchSquareSchedule(location, dateStr) {
   try {
     const endpoint = dateStr ? '/schedule/' + dateStr : '/schedule/today';
-    const res = await fetch(SQUARE_URL + endpoint);
+    const res = await fetch(location.pos.url + endpoint);
     if (!res.ok) return null;
     const data = await res.json();
     if (data.status !== 'success') return null;
     return data;
   } catch (e) {
-    console.error('Boston schedule error:', e.message);
+    console.error(`${location.shortName} schedule error:`, e.message);
     return null;
   }
 }
 
-function formatBostonScheduleSection(scheduleData, dateStr) {
-  if (!scheduleData || !scheduleData.shifts || scheduleData.shifts.length === 0) return '';
-
-  const targetDate = dateStr || new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-  const shifts = scheduleData.shifts
-    .filter(s => {
-      const shiftDate = new Date(s.start).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-      return shiftDate === targetDate;
-    })
-    .sort((a, b) => a.start.localeCompare(b.start));
-
-  if (shifts.length === 0) return '';
-
-  const totalHours = shifts.reduce((sum, s) => sum + (s.duration || 0), 0);
-  let msg = `\n*Scheduled:* ${shifts.length} shifts | ${totalHours.toFixed(1)}h total\n`;
-  for (const s of shifts) {
-    msg += `  ${fmtTimeET(s.start)}-${fmtTimeET(s.end)}  ${s.employee} _(${s.position})_\n`;
-  }
-  return msg;
-}
-
 // ─── MAIN ────────────────────────────────────────────────
 
+const BRIEFS = { toast: fetchToastBrief, square: fetchSquareBrief };
+
 async function main() {
-  let sfMsg = '', bosMsg = '';
+  const sections = [];
   let date = '', day = '';
 
-  try {
-    const sf = await fetchSF();
-    sfMsg = sf.msg;
-    date = sf.date;
-    day = sf.day;
-  } catch (e) {
-    sfMsg = `*☕ SAN FRANCISCO* — ⚠️ Error: ${e.message}\n`;
-    console.error('SF error:', e.message);
-  }
-
-  try {
-    const bos = await fetchBoston();
-    bosMsg = bos.msg;
-    if (!date) { date = bos.date; day = bos.day; }
-  } catch (e) {
-    bosMsg = `*🦞 BOSTON / CHARLESTOWN* — ⚠️ Error: ${e.message}\n`;
-    console.error('Boston error:', e.message);
-  }
-
-  // Fetch yesterday's Sling schedule (matches sales report date)
-  let scheduleMsg = '';
-  try {
-    const schedule = await fetchSchedule(date);
-    scheduleMsg = formatScheduleSection(schedule, date);
-  } catch (e) {
-    console.error('Schedule error:', e.message);
-  }
-
-  // Insert schedule after SF labor report
-  if (scheduleMsg) {
-    sfMsg += scheduleMsg;
-  }
-
-  // Fetch yesterday's Boston schedule from Square
-  let bosScheduleMsg = '';
-  try {
-    const bosSchedule = await fetchBostonSchedule(date);
-    bosScheduleMsg = formatBostonScheduleSection(bosSchedule, date);
-  } catch (e) {
-    console.error('Boston schedule error:', e.message);
+  for (const location of locations.withPos()) {
+    // Skip stores that weren't open yesterday (Ferry Building is Saturdays only; holidays on the store calendar)
+    const yesterday = new Date(Date.now() - 86400000).toLocaleDateString('en-CA', { timeZone: location.timeZone });
+    if (storeCalendar.dayPlan(location, yesterday).closed) continue;
+
+    try {
+      const brief = await BRIEFS[location.pos.provider](location);
+      sections.push({ location, msg: brief.msg });
+      if (!date) { date = brief.date; day = brief.day; }
+    } catch (e) {
+      sections.push({ location, msg: `*${location.emoji} ${location.reportName.toUpperCase()}* — ⚠️ Error: ${e.message}\n` });
+      console.error(`${location.shortName} error:`, e.message);
+    }
   }
 
-  if (bosScheduleMsg) {
-    bosMsg += bosScheduleMsg;
+  // Yesterday's schedules (matches sales report date), after each store's labor report
+  let sling;
+  for (const section of sections) {
+    const { location } = section;
+    try {
+      if (location.scheduling === 'sling') {
+        if (sling === undefined) sling = await fetchSchedule(date);
+        const others = locations.withSling().filter(l => !l.pos && l.region && l.region === location.region);
+        section.msg += formatScheduleSection(location, (sling && sling.shifts) || [], date, others);
+      } else if (location.scheduling === 'square') {
+        const schedule = await fetchSquareSchedule(location, date);
+        section.msg += formatScheduleSection(location, (schedule && schedule.shifts) || [], date);
+      }
+    } catch (e) {
+      console.error(`${location.shortName} schedule error:`, e.message);
+    }
   }
 
-  const todayName = today();
   const header = `*📊 Pixlcat Daily Ops Brief — ${day}, ${date}*\n${'─'.repeat(40)}\n\n`;
   const divider = `\n${'─'.repeat(40)}\n\n`;
 
-  // Schedule section label
-  let scheduleHeader = '';
-  if (scheduleMsg) {
-    // Already included in sfMsg above
-  }
-
-  const fullMsg = header + sfMsg + divider + bosMsg;
+  const fullMsg = header + sections.map(s => s.msg).join(divider);
 
   await slack.chat.postMessage({
     channel: CHANNEL,
@@ -0,0 +1,395 @@
+/**
+ * date-expressions.js — One parser for the dates people type
+ *
+ * Finds the date or date range in a message ("who's on next Tuesday?", "sales
+ * last month") or a bare expression ("3/14", "Mon–Wed") and resolves it to
+ * calendar days in the given time zone, so "today" in Boston is an ET day:
+ *
+ *   parseDateRange('next 2 weeks', { timeZone: 'America/New_York' })
+ *   -> { startDate: '2026-10-19', endDate: '2026-11-01', days: 14, range: 'days', start, end, ... }
+ *
+ * Understood, most specific first:
+ * - ranges of any two days: "Mon–Wed", "Feb 15 to Feb 20", "3/14-3/16", "Feb 15-20"
+ * - "next 2 weeks", "last 7 days", "past 3 months"
+ * - "this/next/last week" (Monday to Sunday), "week of Feb 15",
+ *   "this/next/last weekend", "this/next/last month", "in March"
+ * - single days: ISO dates, "Feb 15", "15 February 2027", "3/14", "3/14/26",
+ *   holidays ("Thanksgiving", "Christmas Eve", "July 4th"), today /
+ *   tomorrow / yesterday, weekdays ("tue", "next Tuesday"), and last of all
+ *   "on the 20th" (in a sentence a bare ordinal needs "the" or "on", so the
+ *   "9th" store isn't a date)
+ *
+ * A day given without its year or month, and a bare weekday, is read forward
+ * from today (today included) by default, or backward with prefer: 'past'
+ * (yesterday at the latest for weekdays, since today isn't over); with
+ * afterToday a bare weekday skips today ("monday" on a Monday is next week's).
+ * "next Tuesday" is the Tuesday of next week, so on a Monday it is eight days
+ * away rather than tomorrow; "last Tuesday" is the latest before today.
+ */
+
+const { addDaysToKey, dayKey, zonedTime } = require('./calendar-cache');
+
+const WEEKDAYS = [
+  ['sunday', 'sun'],
+  ['monday', 'mon'],
+  ['tuesday', 'tues', 'tue'],
+  ['wednesday', 'weds', 'wed'],
+  ['thursday', 'thurs', 'thur', 'thu'],
+  ['friday', 'fri'],
+  ['saturday', 'sat'],
+];
+
+const MONTHS = [
+  ['january', 'jan'],
+  ['february', 'feb'],
+  ['march', 'mar'],
+  ['april', 'apr'],
+  ['may'],
+  ['june', 'jun'],
+  ['july', 'jul'],
+  ['august', 'aug'],
+  ['september', 'sept', 'sep'],
+  ['october', 'oct'],
+  ['november', 'nov'],
+  ['december', 'dec'],
+];
+
+const NUMBER_WORDS = { a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2, few: 3 };
+
+const pad = (n) => String(n).padStart(2, '0');
+const keyOf = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+const weekdayOf = (key) => new Date(`${key}T12:00:00Z`).getUTCDay();
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+const daysBetween = (a, b) => Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+
+// nth weekday of a month (n = -1 for the last one)
+function nthWeekday(y, m, weekday, n) {
+  if (n > 0) {
+    const first = weekdayOf(keyOf(y, m, 1));
+    return keyOf(y, m, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = daysInMonth(y, m);
+  const last = weekdayOf(keyOf(y, m, lastDay));
+  return keyOf(y, m, lastDay - ((last - weekday + 7) % 7));
+}
+
+// Western Easter (anonymous Gregorian algorithm)
+function easter(y) {
+  const a = y % 19;
+  const b = Math.floor(y / 100);
+  const c = y % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return keyOf(y, month, day);
+}
+
+/** Holidays by name pattern -> (year) => YYYY-MM-DD. */
+const HOLIDAYS = [
+  ["new year'?s eve|nye", (y) => keyOf(y, 12, 31)],
+  ["new year'?s(?: day)?", (y) => keyOf(y, 1, 1)],
+  ['mlk(?: jr\\.?)? day|martin luther king(?: jr\\.?)? day', (y) => nthWeekday(y, 1, 1, 3)],
+  ["valentine'?s(?: day)?", (y) => keyOf(y, 2, 14)],
+  ["presidents'? day|president'?s day", (y) => nthWeekday(y, 2, 1, 3)],
+  ["st\\.? patrick'?s day|saint patrick'?s day", (y) => keyOf(y, 3, 17)],
+  ['easter(?: sunday)?', easter],
+  ["mother'?s day", (y) => nthWeekday(y, 5, 0, 2)],
+  ['memorial day', (y) => nthWeekday(y, 5, 1, -1)],
+  ["father'?s day", (y) => nthWeekday(y, 6, 0, 3)],
+  ['juneteenth', (y) => keyOf(y, 6, 19)],
+  ['independence day|(?:the )?(?:4th|fourth) of july|july (?:4th|4|fourth)', (y) => keyOf(y, 7, 4)],
+  ['labor day', (y) => nthWeekday(y, 9, 1, 1)],
+  ["indigenous peoples'? day|columbus day", (y) => nthWeekday(y, 10, 1, 2)],
+  ['halloween', (y) => keyOf(y, 10, 31)],
+  ["veterans'? day", (y) => keyOf(y, 11, 11)],
+  ['black friday', (y) => addDaysToKey(nthWeekday(y, 11, 4, 4), 1)],
+  ['thanksgiving(?: day)?', (y) => nthWeekday(y, 11, 4, 4)],
+  ['christmas eve|xmas eve', (y) => keyOf(y, 12, 24)],
+  ['christmas(?: day)?|xmas', (y) => keyOf(y, 12, 25)],
+];
+
+const alternation = (lists) =>
+  lists
+    .flat()
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+
+const WEEKDAY = alternation(WEEKDAYS);
+// "sat", "sun" and "wed" are also words; alone they count only before punctuation or a range
+const AMBIGUOUS = ['sat', 'sun', 'wed'];
+const PLAIN_WEEKDAY = alternation(WEEKDAYS.map((names) => names.filter((n) => !AMBIGUOUS.includes(n))));
+const ALONE = '(?=\\s*(?:$|[.,;:?!)]|-|–|—|\\s(?:to|through|thru|and)\\b))';
+const MONTH = alternation(MONTHS);
+const ORD = '(?:st|nd|rd|th)';
+const HOLIDAY = HOLIDAYS.map(([p]) => `(?:${p})`).join('|');
+
+// One day, as written, other than a bare ordinal; each alternative is tried by resolveDay below
+const NAMED_DAY = [
+  '\\d{4}-\\d{1,2}-\\d{1,2}',
+  `(?:${HOLIDAY})(?:\\s+\\d{4})?`,
+  `(?:${MONTH})\\.?\\s+\\d{1,2}${ORD}?(?:,?\\s+\\d{4})?`,
+  `\\d{1,2}${ORD}?\\s+(?:of\\s+)?(?:${MONTH})(?:,?\\s+\\d{4})?`,
+  '\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?',
+  `(?:this|next|last|coming|past)\\s+(?:${WEEKDAY})|(?:${PLAIN_WEEKDAY})|(?:${AMBIGUOUS.join('|')})${ALONE}`,
+  'today|tonight|tomorrow|tmrw|tmr|tmw|yesterday',
+].join('|');
+// "9th St" is a street (and a store), never the 9th
+const NOT_STREET = '(?!\\s+st(?:reet)?\\b)';
+const DAY = `${NAMED_DAY}|(?:the\\s+)?\\d{1,2}${ORD}${NOT_STREET}`;
+
+const SEP = '\\s*(?:-|–|—|to|through|thru|until|till)\\s*';
+const RANGE_RE = new RegExp(`\\b(?:from\\s+|between\\s+)?(${DAY})\\b(?:${SEP}|\\s+and\\s+)(${DAY})\\b`, 'i');
+const MONTH_SPAN_RE = new RegExp(`\\b(${MONTH})\\.?\\s+(\\d{1,2})${ORD}?${SEP}(\\d{1,2})${ORD}?(?:,?\\s+(\\d{4}))?\\b`, 'i');
+const RELATIVE_RE = /\b(next|past|last|coming|previous)\s+(\d+|a|one|two|three|four|five|six|seven|eight|nine|ten|couple(?:\s+of)?|few)\s+(days?|weeks?|months?)\b/i;
+const WEEK_RE = /\b(this|next|last|the|previous|coming)\s+week\b/i;
+const WEEK_OF_RE = new RegExp(`\\bweek\\s+of\\s+(${DAY})\\b`, 'i');
+const WEEKEND_RE = /\b(?:(this|next|last|the|previous|coming)\s+)?weekend\b/i;
+const MONTH_RE = /\b(this|next|last|previous|the)\s+month\b/i;
+const IN_MONTH_RE = new RegExp(`\\b(?:in|during|all\\s+of|for)\\s+(${alternation(MONTHS.map((m) => m[0]))})(?:\\s+(\\d{4}))?\\b`, 'i');
+const DAY_RE = new RegExp(`\\b(${NAMED_DAY})\\b`, 'i');
+// A bare ordinal in a sentence needs "the" or "on" ("on the 9th"), so "at 9th today" is about today
+const ORDINAL_RE = new RegExp(`^\\s*((?:the\\s+)?\\d{1,2}${ORD})\\s*$|\\b(?:the|on)\\s+(\\d{1,2}${ORD})\\b${NOT_STREET}`, 'i');
+
+function monthIndex(word) {
+  const w = word.toLowerCase().replace(/\.$/, '');
+  return MONTHS.findIndex((names) => names.includes(w)) + 1;
+}
+
+function weekdayIndex(word) {
+  const w = word.toLowerCase();
+  return WEEKDAYS.findIndex((names) => names.includes(w));
+}
+
+function fullYear(y) {
+  const n = parseInt(y, 10);
+  return n < 100 ? 2000 + n : n;
+}
+
+function validDay(y, m, d) {
+  return m >= 1 && m <= 12 && d >= 1 && d <= daysInMonth(y, m);
+}
+
+/**
+ * Pick the candidate nearest `from` in the preferred direction; candidates(offset)
+ * gives the day for offset years/months away (null when it doesn't exist).
+ */
+function nearest(candidates, from, prefer) {
+  for (let offset = 0; offset <= 12; offset++) {
+    const step = prefer === 'past' ? -offset : offset;
+    const key = candidates(step);
+    if (key && (prefer === 'past' ? key <= from : key >= from)) return key;
+  }
+  return null;
+}
+
+/** A single day as written (one of the DAY alternatives) -> YYYY-MM-DD, or null. */
+function resolveDay(text, { today, prefer, afterToday = false, from = today }) {
+  const t = text.toLowerCase().trim().replace(/\s+/g, ' ');
+  const [fy, fm] = from.split('-').map(Number);
+  let m;
+
+  if ((m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return validDay(+m[1], +m[2], +m[3]) ? keyOf(+m[1], +m[2], +m[3]) : null;
+  }
+
+  for (const [pattern, dayIn] of HOLIDAYS) {
+    if ((m = t.match(new RegExp(`^(?:${pattern})(?:\\s+(\\d{4}))?$`)))) {
+      return m[1] ? dayIn(+m[1]) : nearest((n) => dayIn(fy + n), from, prefer);
+    }
+  }
+
+  if ((m = t.match(new RegExp(`^(${MONTH})\\.?\\s+(\\d{1,2})${ORD}?(?:,?\\s+(\\d{4}))?$`))) ||
+      (m = t.match(new RegExp(`^(\\d{1,2})${ORD}?\\s+(?:of\\s+)?(${MONTH})(?:,?\\s+(\\d{4}))?$`)))) {
+    const [month, day] = /^\d/.test(m[1]) ? [monthIndex(m[2]), +m[1]] : [monthIndex(m[1]), +m[2]];
+    if (m[3]) return validDay(+m[3], month, day) ? keyOf(+m[3], month, day) : null;
+    return nearest((n) => (validDay(fy + n, month, day) ? keyOf(fy + n, month, day) : null), from, prefer);
+  }
+
+  if ((m = t.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+    const [month, day] = [+m[1], +m[2]];
+    if (m[3]) return validDay(fullYear(m[3]), month, day) ? keyOf(fullYear(m[3]), month, day) : null;
+    return nearest((n) => (validDay(fy + n, month, day) ? keyOf(fy + n, month, day) : null), from, prefer);
+  }
+
+  if ((m = t.match(new RegExp(`^(?:(this|next|last|coming|past) )?(${WEEKDAY})$`)))) {
+    const target = weekdayIndex(m[2]);
+    const ahead = (target - weekdayOf(from) + 7) % 7;
+    const modifier = m[1] || (from !== today ? 'on_or_after' : prefer === 'past' ? 'last' : afterToday ? 'next_one' : 'this');
+    // Next week runs Monday to Sunday, as "next week" does
+    if (modifier === 'next') return addDaysToKey(mondayOf(today), 7 + ((target + 6) % 7));
+    if (modifier === 'next_one') return addDaysToKey(from, ahead || 7);
+    if (modifier === 'last' || modifier === 'past') return addDaysToKey(from, ahead ? ahead - 7 : -7);
+    return addDaysToKey(from, ahead);
+  }
+
+  if (t === 'today' || t === 'tonight') return today;
+  if (['tomorrow', 'tmrw', 'tmr', 'tmw'].includes(t)) return addDaysToKey(today, 1);
+  if (t === 'yesterday') return addDaysToKey(today, -1);
+
+  if ((m = t.match(new RegExp(`^(?:the )?(\\d{1,2})${ORD}$`)))) {
+    const day = +m[1];
+    return nearest(
+      (n) => {
+        const d = new Date(Date.UTC(fy, fm - 1 + n, 1));
+        const [y, mo] = [d.getUTCFullYear(), d.getUTCMonth() + 1];
+        return validDay(y, mo, day) ? keyOf(y, mo, day) : null;
+      },
+      from,
+      prefer
+    );
+  }
+  return null;
+}
+
+const mondayOf = (key) => addDaysToKey(key, -((weekdayOf(key) + 6) % 7));
+
+// Same day n months away, or the month's last day when it is shorter
+function addMonthsToKey(key, n) {
+  const [y, m, d] = key.split('-').map(Number);
+  const first = new Date(Date.UTC(y, m - 1 + n, 1));
+  const [yy, mm] = [first.getUTCFullYear(), first.getUTCMonth() + 1];
+  return keyOf(yy, mm, Math.min(d, daysInMonth(yy, mm)));
+}
+
+function monthSpan(y, m) {
+  const d = new Date(Date.UTC(y, m - 1, 1));
+  const [yy, mm] = [d.getUTCFullYear(), d.getUTCMonth() + 1];
+  return [keyOf(yy, mm, 1), keyOf(yy, mm, daysInMonth(yy, mm))];
+}
+
+function countOf(word) {
+  const w = word.toLowerCase().replace(/\s+of$/, '');
+  return /^\d+$/.test(w) ? parseInt(w, 10) : NUMBER_WORDS[w];
+}
+
+// Each matcher returns [startDate, endDate, range] or null
+const MATCHERS = [
+  (text, ctx) => {
+    const m = text.match(MONTH_SPAN_RE);
+    if (!m) return null;
+    const month = monthIndex(m[1]);
+    const first = resolveDay(`${m[1]} ${m[2]}${m[4] ? ` ${m[4]}` : ''}`, ctx);
+    if (!first) return null;
+    const y = +first.slice(0, 4);
+    const last = validDay(y, month, +m[3]) ? keyOf(y, month, +m[3]) : null;
+    return last && last >= first ? [first, last, 'days', m[0]] : null;
+  },
+  (text, ctx) => {
+    const m = text.match(RANGE_RE);
+    if (!m) return null;
+    const first = resolveDay(m[1], ctx);
+    const last = first && resolveDay(m[2], { ...ctx, prefer: 'future', from: first });
+    return first && last ? [first, last, 'days', m[0]] : null;
+  },
+  (text, { today }) => {
+    const m = text.match(RELATIVE_RE);
+    if (!m) return null;
+    const n = countOf(m[2]);
+    const unit = m[3].toLowerCase().replace(/s$/, '');
+    const back = /past|last|previous/i.test(m[1]);
+    if (unit === 'month') {
+      return back
+        ? [addMonthsToKey(today, -n), addDaysToKey(today, -1), 'days', m[0]]
+        : [today, addDaysToKey(addMonthsToKey(today, n), -1), 'days', m[0]];
+    }
+    const days = unit === 'week' ? n * 7 : n;
+    return back ? [addDaysToKey(today, -days), addDaysToKey(today, -1), 'days', m[0]] : [today, addDaysToKey(today, days - 1), 'days', m[0]];
+  },
+  (text, ctx) => {
+    const m = text.match(WEEK_OF_RE);
+    if (!m) return null;
+    const day = resolveDay(m[1], ctx);
+    return day ? [mondayOf(day), addDaysToKey(mondayOf(day), 6), 'week', m[0]] : null;
+  },
+  (text, { today }) => {
+    const m = text.match(WEEK_RE);
+    if (!m) return null;
+    const shift = { next: 7, coming: 7, last: -7, previous: -7 }[m[1].toLowerCase()] || 0;
+    const monday = addDaysToKey(mondayOf(today), shift);
+    return [monday, addDaysToKey(monday, 6), 'week', m[0]];
+  },
+  (text, { today }) => {
+    const m = text.match(WEEKEND_RE);
+    if (!m) return null;
+    const which = (m[1] || 'this').toLowerCase();
+    const dow = weekdayOf(today);
+    // "This weekend" is the one under way, or else the coming one
+    const saturday = dow === 0 ? addDaysToKey(today, -1) : addDaysToKey(today, 6 - dow);
+    const shift = { next: 7, last: -7, previous: -7 }[which] || 0;
+    return [addDaysToKey(saturday, shift), addDaysToKey(saturday, shift + 1), 'weekend', m[0]];
+  },
+  (text, { today }) => {
+    const m = text.match(MONTH_RE);
+    if (!m) return null;
+    const [y, mo] = today.split('-').map(Number);
+    const shift = { next: 1, last: -1, previous: -1 }[m[1].toLowerCase()] || 0;
+    return [...monthSpan(y, mo + shift), 'month', m[0]];
+  },
+  (text, { today, prefer }) => {
+    const m = text.match(IN_MONTH_RE);
+    if (!m) return null;
+    const month = monthIndex(m[1]);
+    const [y] = today.split('-').map(Number);
+    if (m[2]) return [...monthSpan(+m[2], month), 'month', m[0]];
+    const [, current] = today.split('-').map(Number);
+    const year = prefer === 'past' ? (month > current ? y - 1 : y) : month < current ? y + 1 : y;
+    return [...monthSpan(year, month), 'month', m[0]];
+  },
+  (text, ctx) => {
+    const m = text.match(DAY_RE);
+    if (!m) return null;
+    const day = resolveDay(m[1], ctx);
+    return day ? [day, day, 'day', m[0]] : null;
+  },
+  (text, ctx) => {
+    const m = text.match(ORDINAL_RE);
+    if (!m) return null;
+    const day = resolveDay(m[1] || m[2], ctx);
+    return day ? [day, day, 'day', m[0]] : null;
+  },
+];
+
+/**
+ * Find the date expression in text.
+ *
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {Date|number|string} [opts.now]
+ * @param {string} [opts.timeZone] - whose "today" it is, and the zone of start/end
+ * @param {'future'|'past'} [opts.prefer] - how to read days with no year, month or modifier
+ * @param {boolean} [opts.afterToday] - a bare weekday is the next one after today, never today
+ * @returns {{startDate, endDate, days, range, start, end, timeZone, matched}|null} range is day, days, week, weekend or month
+ */
+function parseDateRange(text, { now = new Date(), timeZone = 'America/Los_Angeles', prefer = 'future', afterToday = false } = {}) {
+  const input = String(text || '').replace(/[’‘]/g, "'");
+  if (!input.trim()) return null;
+  const today = dayKey(now, timeZone);
+  const ctx = { today, prefer, afterToday };
+
+  for (const match of MATCHERS) {
+    const found = match(input, ctx);
+    if (!found) continue;
+    const [startDate, endDate, range, matched] = found;
+    return {
+      startDate,
+      endDate,
+      days: daysBetween(startDate, endDate) + 1,
+      range,
+      start: new Date(zonedTime(startDate, 0, timeZone)).toISOString(),
+      end: new Date(zonedTime(addDaysToKey(endDate, 1), 0, timeZone) - 1).toISOString(),
+      timeZone,
+      matched: matched.trim(),
+    };
+  }
+  return null;
+}
+
+module.exports = { parseDateRange, resolveDay, HOLIDAYS };
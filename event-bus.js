@@ -0,0 +1,126 @@
+/**
+ * event-bus.js — Server-sent events for floor and schedule changes
+ *
+ * Anything that changes the schedule or the floor publishes an event here
+ * (shift created / swapped / assigned / updated / deleted, schedule published,
+ * clock-in / clock-out detected, new conflict). Clients hold one connection
+ * open instead of polling:
+ *
+ *   id: 42
+ *   event: shift.swapped
+ *   data: {"id":42,"type":"shift.swapped","at":"...","locationId":16124319,"data":{...}}
+ *
+ * The last replaySize events are kept (in the Map-like log, so they survive
+ * restarts) and replayed on connect: everything after Last-Event-ID when the
+ * browser reconnects, otherwise the most recent `replay` events. A client can
+ * ask for one location; events with no location (e.g. a publish) go to all.
+ *
+ * Code in this process can subscribe() to the same events (by type, or '*').
+ * Handlers run after the event is sent to clients; their errors are logged.
+ */
+
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+/**
+ * Create the bus.
+ *
+ * @param {object} opts
+ * @param {object} opts.log - Map-like store of event id -> event
+ * @param {number} [opts.replaySize] - events kept for replay
+ * @param {number} [opts.heartbeatMs] - comment line sent to keep idle connections open
+ */
+function createEventBus({ log, replaySize = 200, heartbeatMs = HEARTBEAT_MS }) {
+  const clients = new Set(); // { res, locationId }
+  const handlers = new Set(); // { types: Set|null, handler }
+  let lastId = Math.max(0, ...[...log.keys()].map(Number).filter(Number.isFinite));
+
+  const matches = (event, locationId) => !locationId || !event.locationId || event.locationId === locationId;
+  const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+  function trim() {
+    const ids = [...log.keys()].sort((a, b) => a - b);
+    for (const id of ids.slice(0, Math.max(0, ids.length - replaySize))) log.delete(id);
+  }
+
+  /** Publish an event to every connected client whose location filter it matches. */
+  function publish(type, data = {}, { locationId = null } = {}) {
+    const event = { id: ++lastId, type, at: new Date().toISOString(), locationId: locationId || null, data };
+    log.set(event.id, event);
+    trim();
+
+    for (const client of clients) {
+      if (!matches(event, client.locationId)) continue;
+      try {
+        client.res.write(format(event));
+      } catch (err) {
+        console.error('[events] Could not write to client:', err.message);
+      }
+    }
+
+    for (const { types, handler } of handlers) {
+      if (types && !types.has(type)) continue;
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch((err) => console.error(`[events] Handler for ${type} failed:`, err.message));
+    }
+    return event;
+  }
+
+  /** Run handler(event) for every event of the given type(s) ('*' for all). Returns an unsubscribe function. */
+  function subscribe(types, handler) {
+    const entry = { types: types === '*' ? null : new Set([].concat(types)), handler };
+    handlers.add(entry);
+    return () => handlers.delete(entry);
+  }
+
+  /** Stored events after afterId (or the latest `limit`), oldest first. */
+  function recent({ afterId = null, locationId = null, limit = replaySize } = {}) {
+    const list = [...log.values()].filter((e) => (afterId === null || e.id > afterId) && matches(e, locationId)).sort((a, b) => a.id - b.id);
+    if (afterId !== null) return list;
+    return limit > 0 ? list.slice(-limit) : [];
+  }
+
+  /**
+   * Serve an SSE stream on an Express response and keep it open until the
+   * client goes away.
+   *
+   * @param {object} req
+   * @param {object} res
+   * @param {object} [opts]
+   * @param {number|null} [opts.locationId]
+   * @param {number} [opts.replay] - recent events sent to a fresh connection
+   */
+  function stream(req, res, { locationId = null, replay = 20 } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    const backlog = Number.isFinite(lastEventId) ? recent({ afterId: lastEventId, locationId }) : recent({ locationId, limit: replay });
+    for (const event of backlog) res.write(format(event));
+
+    const client = { res, locationId };
+    clients.add(client);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  function stats() {
+    return { clients: clients.size, subscribers: handlers.size, buffered: log.size, lastEventId: lastId };
+  }
+
+  return { publish, subscribe, recent, stream, stats };
+}
+
+module.exports = { createEventBus };
@@ -0,0 +1,140 @@
+/**
+ * floor-status.js — Who is actually on the floor right now
+ *
+ * Joins the Sling schedule with Toast timecards, per location:
+ * - onFloor:      scheduled now and clocked in
+ * - late:         scheduled to have started lateAfterMin ago, not clocked in
+ * - starting:     shift just started (inside lateAfterMin), not clocked in yet
+ * - notScheduled: clocked in with no shift now (more than earlyMin before one)
+ * - pastEnd:      still clocked in more than overEndGraceMin after their shift ended
+ * and the clocked-in head-count against the location's minimum staffing.
+ *
+ * Toast timecards are matched to Sling employees by id, the same way the
+ * clock-in monitor does; see normalizeTimecard for the fields read.
+ */
+
+const MIN_MS = 60 * 1000;
+
+/** Toast timecard -> { employeeId, employee, clockIn, clockOut } (clockOut null while clocked in). */
+function normalizeTimecard(card) {
+  const clockOut = card.outDate || card.clockOut || card.clock_out || null;
+  return {
+    employeeId: card.employeeId || card.userId || null,
+    employee: card.employeeName || card.employee || null,
+    clockIn: card.inDate || card.clockIn || card.clock_in || null,
+    clockOut: clockOut && clockOut !== 'Still clocked in' ? clockOut : null,
+    locationId: card.locationId || null,
+  };
+}
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MIN_MS);
+
+/**
+ * Build the floor view.
+ *
+ * @param {object} opts
+ * @param {Date} [opts.now]
+ * @param {object[]} opts.shifts - today's Sling shifts (normalized)
+ * @param {object[]} opts.timecards - today's Toast timecards
+ * @param {{id, name, minStaff}[]} opts.locations
+ * @param {(employeeId) => string} opts.nameOf
+ * @param {(employeeId) => number|null} [opts.homeLocationOf] - where an unscheduled clock-in is counted
+ * @param {(shiftId) => object|null} [opts.followUpOf] - clock-in monitor record for a shift
+ * @param {number} [opts.lateAfterMin]
+ * @param {number} [opts.earlyMin] - clocking in this early still counts toward the coming shift
+ * @param {number} [opts.overEndGraceMin]
+ */
+function buildFloorStatus({
+  now = new Date(),
+  shifts,
+  timecards,
+  locations,
+  nameOf,
+  homeLocationOf = () => null,
+  followUpOf = () => null,
+  lateAfterMin = 10,
+  earlyMin = 30,
+  overEndGraceMin = 10,
+}) {
+  const at = now.getTime();
+  const cards = timecards.map(normalizeTimecard).filter((c) => c.employeeId && c.clockIn);
+  const openCards = cards.filter((c) => !c.clockOut);
+  const assigned = shifts.filter((s) => s.employeeId);
+
+  const view = new Map(
+    locations.map((l) => [
+      l.id,
+      { locationId: l.id, location: l.name, minStaff: l.minStaff, onFloor: [], late: [], starting: [], notScheduled: [], pastEnd: [] },
+    ])
+  );
+  const unknown = { locationId: null, location: 'Unknown location', minStaff: 0, onFloor: [], late: [], starting: [], notScheduled: [], pastEnd: [] };
+  const bucket = (locationId) => view.get(locationId) || unknown;
+
+  const counted = new Set(); // employee ids placed from an open timecard
+
+  for (const s of assigned) {
+    const start = new Date(s.start).getTime();
+    const end = new Date(s.end).getTime();
+    const card = openCards.find((c) => c.employeeId === s.employeeId);
+    const who = { employeeId: s.employeeId, employee: s.employee, position: s.position, shiftId: s.id, shiftStart: s.start, shiftEnd: s.end };
+
+    if (at >= start - earlyMin * MIN_MS && at < end) {
+      if (card) {
+        bucket(s.locationId).onFloor.push({ ...who, clockedInAt: card.clockIn });
+        counted.add(s.employeeId);
+      } else if (at >= start) {
+        const minutesLate = minutesBetween(s.start, now);
+        const followUp = followUpOf(s.id);
+        const entry = {
+          ...who,
+          minutesLate,
+          followUp: followUp ? { state: followUp.state, expectedAt: followUp.expectedAt || null, coveredBy: followUp.coveredBy || null } : null,
+        };
+        bucket(s.locationId)[minutesLate >= lateAfterMin ? 'late' : 'starting'].push(entry);
+      }
+    } else if (at >= end + overEndGraceMin * MIN_MS && card && !counted.has(s.employeeId)) {
+      // Unless they're staying on for another shift of theirs
+      const later = assigned.some((o) => o.employeeId === s.employeeId && new Date(o.start).getTime() > end && new Date(o.start).getTime() - earlyMin * MIN_MS <= at);
+      if (!later) {
+        bucket(s.locationId).pastEnd.push({ ...who, clockedInAt: card.clockIn, minutesOver: minutesBetween(s.end, now) });
+        counted.add(s.employeeId);
+      }
+    }
+  }
+
+  for (const c of openCards) {
+    if (counted.has(c.employeeId)) continue;
+    const ended = assigned.find((s) => s.employeeId === c.employeeId && new Date(s.end).getTime() <= at);
+    // Inside the grace after their shift ended: not flagged, still counted on the floor
+    if (ended && at < new Date(ended.end).getTime() + overEndGraceMin * MIN_MS) {
+      bucket(ended.locationId).onFloor.push({ employeeId: c.employeeId, employee: ended.employee, position: ended.position, shiftId: ended.id, shiftStart: ended.start, shiftEnd: ended.end, clockedInAt: c.clockIn });
+    } else {
+      bucket(c.locationId || homeLocationOf(c.employeeId)).notScheduled.push({ employeeId: c.employeeId, employee: nameOf(c.employeeId) || c.employee, clockedInAt: c.clockIn });
+    }
+    counted.add(c.employeeId);
+  }
+
+  const result = [...view.values()];
+  if (Object.values(unknown).some((v) => Array.isArray(v) && v.length)) result.push(unknown);
+
+  for (const l of result) {
+    const clockedIn = l.onFloor.length + l.notScheduled.length + l.pastEnd.length;
+    const scheduled = l.onFloor.length + l.late.length + l.starting.length;
+    l.headcount = { clockedIn, scheduled, minimum: l.minStaff };
+    l.belowMinimum = l.minStaff > 0 && scheduled > 0 && clockedIn < l.minStaff;
+  }
+
+  return {
+    asOf: now.toISOString(),
+    locations: result,
+    totals: {
+      clockedIn: result.reduce((sum, l) => sum + l.headcount.clockedIn, 0),
+      late: result.reduce((sum, l) => sum + l.late.length, 0),
+      notScheduled: result.reduce((sum, l) => sum + l.notScheduled.length, 0),
+      pastEnd: result.reduce((sum, l) => sum + l.pastEnd.length, 0),
+      belowMinimum: result.filter((l) => l.belowMinimum).map((l) => l.location),
+    },
+  };
+}
+
+module.exports = { buildFloorStatus, normalizeTimecard };
@@ -5,7 +5,23 @@
  * Copy-paste into: index.js
  *
  * Required env:
- * - SLING_TOKEN
+ * - SLING_TOKEN (or SLING_EMAIL + SLING_PASSWORD)
+ * - SLING_EMAIL / SLING_PASSWORD (optional, enables automatic token refresh)
+ * - SLING_TIMEOUT_MS / SLING_MAX_RETRIES / SLING_MAX_CONCURRENCY / SLING_MAX_PER_MINUTE (optional)
+ * - CALENDAR_CACHE_TTL_MS / CALENDAR_REFERENCE_TTL_MS (optional)
+ * - ROSTER_OVERLAY_PATH (optional, default STATE_DIR/roster-overlay.json, seeded from ./roster-overlay.json)
+ * - LOCATIONS_PATH (optional, default ./locations.json; the store registry, see locations.js)
+ * - STORE_CALENDAR_PATH (optional, default STATE_DIR/store-calendar.json, seeded from ./store-calendar.json; closures and special days, see store-calendar.js)
+ * - RULES_CONFIG_PATH (optional, default ./rules-config.json)
+ * - STATE_DIR (optional, default ./data; monitoring and bot state survive restarts)
+ * - PREDICTIVE_LOG_PATH / PAY_PERIOD_START (optional, predictability pay log, default STATE_DIR/predictive-log.json, and first day of a pay period)
+ * - CLOCKIN_LATE_AFTER_MIN / CLOCKIN_ESCALATE_LEAD_AFTER_MIN / CLOCKIN_ESCALATE_OWNER_AFTER_MIN / CLOCKIN_NO_SHOW_AFTER_MIN (optional)
+ * - REPLY_CLASSIFIER (optional, "rules" skips Claude for clock-in DM replies)
+ * - SCHEDULE_WATCH_INTERVAL_MIN / SCHEDULE_WATCH_DAYS / SCHEDULE_WATCH_SLACK_HOURS (optional, Sling change polling; 0 minutes disables)
+ * - SHIFT_DMS / SHIFT_DM_BATCH_MIN / SHIFT_DM_QUIET_HOURS (optional, "off" / 10 / "21-8": DMs to employees whose shifts changed)
+ * - SHIFT_REMINDERS / SHIFT_REMINDER_HOUR (optional, "off" / 19: night-before shift reminder DMs)
+ * - JOBS_DISABLED / JOB_<NAME>_CRON (optional, comma-separated job names to turn off; cron override per job)
+ * - JOB_ALERT_CHANNEL (optional, Slack channel for job failures; default the ops channel)
  * - API_KEY
  * - SLACK_SIGNING_SECRET (for /slack/events verification)
  * - SLACK_BOT_TOKEN (optional if using bot token)
@@ -25,6 +41,27 @@ const { handleWithClaude } = require('./claude-nlp');
 const { handleOpsQuery } = require('./claude-ops');
 const { generateWeeklyReport } = require('./weekly-report');
 const { generateDigest, findTimecardConversation, getLastWeekMessages } = require('./timecard_digest');
+const slingClient = require('./sling-client');
+const { createCalendarCache, zonedTime, addDaysToKey, dayKey, DAY_MS } = require('./calendar-cache');
+const { createRoster } = require('./roster');
+const rules = require('./rules');
+const { rateFor } = require('./wages');
+const { buildBreakReport, formatBreakSummary } = require('./break-compliance');
+const { createPredictiveLog, INITIATORS } = require('./predictive-scheduling');
+const { createStateStore } = require('./state-store');
+const { createClockInMonitor, TERMINAL } = require('./clock-in-monitor');
+const { createAttendance } = require('./attendance');
+const { createReplyClassifier } = require('./reply-classifier');
+const { buildFloorStatus } = require('./floor-status');
+const { createEventBus } = require('./event-bus');
+const { createScheduleWatcher, CHANGE_TYPES } = require('./schedule-watcher');
+const { createShiftNotifier, parseQuietHours } = require('./shift-notifier');
+const { createShiftReminders } = require('./shift-reminders');
+const { createJobScheduler } = require('./job-scheduler');
+const { parseDateRange } = require('./date-expressions');
+const { loadLocations } = require('./locations');
+const { sharedStoreCalendar } = require('./store-calendar');
+const { slingGet, slingPost, slingPut, slingDelete } = slingClient;
 
 
 // Node 18+ has global fetch. For older Node, install node-fetch and uncomment:
@@ -35,18 +72,17 @@ if (typeof fetch === 'undefined') {
 }
 
 const PORT = process.env.PORT || 3000;
-const SLING_BASE = 'https://api.getsling.com';
-const SLING_TOKEN = process.env.SLING_TOKEN;
 const API_KEY = process.env.API_KEY;
 const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
 
 // ============================================================
 // MONITORING STATE MANAGEMENT
 // ============================================================
+
+// Written through to STATE_DIR so a restart doesn't drop follow-ups mid-conversation
+const stateStore = createStateStore();
+
 const monitoringState = {
-  activeShifts: new Map(),
-  pendingReplies: new Map(),
-  resolvedToday: new Set(),
   apiCallCount: {
     sling: 0,
     toast: 0,
@@ -54,93 +90,132 @@ const monitoringState = {
   }
 };
 
-// Helper: Parse name from message
-function parseNameFromMessage(text) {
-  const patterns = [
-    /(\w+)\s+is covering/i,
-    /(\w+)\s+covered/i,
-    /(\w+)\s+will cover/i,
-    /(\w+)\s+can cover/i,
-    /got it covered,?\s+(\w+)/i,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) return match[1];
+// Count outbound API calls per service (reset daily)
+function countApiCall(service) {
+  const counts = monitoringState.apiCallCount;
+  const today = new Date().toDateString();
+  if (counts.lastReset !== today) {
+    counts.sling = 0;
+    counts.toast = 0;
+    counts.lastReset = today;
   }
-  return null;
+  counts[service] = (counts[service] || 0) + 1;
 }
 
-// Helper: Find user by name
-async function findUserByName(firstName) {
-  const response = await fetch('https://pixlcat-sling-api.onrender.com/users');
-  const data = await response.json();
-  const users = data.users || [];
-  
-  return users.find(u => 
-    u.firstName?.toLowerCase() === firstName.toLowerCase() ||
-    u.fullName?.toLowerCase().includes(firstName.toLowerCase())
-  );
+slingClient.onRequest(() => countApiCall('sling'));
+
+// Helper: Toast timecards for a day (YYYY-MM-DD)
+async function getToastTimecards(date) {
+  countApiCall('toast');
+  const response = await fetch(`${TOAST_URL}/labor/timecards?date=${date}`);
+
+  if (!response.ok) {
+    const err = new Error(`Toast API error: ${response.status}`);
+    err.status = 502;
+    throw err;
+  }
+
+  return response.json();
 }
 
-// Helper: Check clock status via Toast API
-async function checkClockStatus(userId, time, type = 'in') {
-  try {
-    const date = new Date(time).toISOString().split('T')[0];
+// Helper: Find a clock-in/out time via Toast API (ISO string, or null if none).
+// Clock-ins count from 30 min early up to lateToleranceMs after the scheduled time.
+// Toast errors are thrown: "couldn't check" must not read as "didn't clock in".
+async function findClockTime(userId, time, type = 'in', { lateToleranceMs } = {}) {
+  const timecards = await getToastTimecards(toISODatePT(time));
+  
+  // Check if user has clock-in/out within 30 min tolerance
+  const scheduledTime = new Date(time).getTime();
+  const tolerance = 30 * 60 * 1000; // 30 minutes
+  const lateTolerance = type === 'in' && lateToleranceMs !== undefined ? lateToleranceMs : tolerance;
+  
+  for (const card of timecards) {
+    // Match by employee ID (adjust field names based on actual Toast response)
+    if (card.employeeId !== userId && card.userId !== userId) continue;
     
-    // Fetch timecards from Toast
-    const response = await fetch(`https://toast-api-1.onrender.com/labor/timecards?date=${date}`);
+    const clockTime = new Date(
+      type === 'in' ? card.inDate || card.clockIn : card.outDate || card.clockOut
+    ).getTime();
     
-    if (!response.ok) {
-      console.error(`Toast API error: ${response.status}`);
-      return false;
+    if (clockTime > scheduledTime - tolerance && clockTime < scheduledTime + lateTolerance) {
+      return new Date(clockTime).toISOString();
     }
+  }
+  
+  return null;
+}
+
+// Helper: Check clock status via Toast API
+async function checkClockStatus(userId, time, type = 'in', opts) {
+  return Boolean(await findClockTime(userId, time, type, opts));
+}
+
+// Helper: Send a Sling DM to a roster employee. Throws 404 when there's no DM
+// conversation with them yet (Sling's API can't start one).
+async function sendSlingDM(targetUser, text) {
+  // Get existing conversations
+  const conversations = await slingGet('/v1/593037/conversations');
+  
+  // Find DM conversation with this user
+  // Try multiple matching strategies since Sling conversation names vary
+  const firstName = targetUser.firstName;
+  const fullName = targetUser.fullName;
+  
+  const dmConv = conversations.find(c => {
+    const convName = c.name;
+    if (!convName) return false;
     
-    const timecards = await response.json();
+    // Strategy 1: Exact match on full name (e.g., "Jeffrey Kim")
+    if (convName === fullName) return true;
     
-    // Check if user has clock-in/out within 30 min tolerance
-    const scheduledTime = new Date(time).getTime();
-    const tolerance = 30 * 60 * 1000; // 30 minutes
+    // Strategy 2: Exact match on first name only (e.g., "Jeffrey")
+    if (convName === firstName) return true;
     
-    for (const card of timecards) {
-      // Match by employee ID (adjust field names based on actual Toast response)
-      if (card.employeeId !== userId && card.userId !== userId) continue;
-      
-      const clockTime = new Date(
-        type === 'in' ? card.inDate || card.clockIn : card.outDate || card.clockOut
-      ).getTime();
-      
-      if (Math.abs(clockTime - scheduledTime) < tolerance) {
-        return true;
-      }
-    }
+    // Strategy 3: Conversation contains the full name (case insensitive)
+    if (fullName && convName.toLowerCase().includes(fullName.toLowerCase())) return true;
+    
+    // Strategy 4: Conversation starts with first name (for "FirstName and You" format)
+    if (firstName && convName.toLowerCase().startsWith(firstName.toLowerCase())) return true;
     
     return false;
-  } catch (error) {
-    console.error('Error checking clock status:', error);
-    return false;
+  });
+  
+  if (!dmConv) {
+    const err = new Error(`No DM conversation found with ${fullName || firstName}. Please send them a message in Sling first to create the conversation.`);
+    err.status = 404;
+    err.userId = targetUser.id;
+    err.hint = `Looking for conversation with name matching "${firstName}" or "${fullName}"`;
+    throw err;
   }
+  
+  // Send message
+  const result = await slingPost(`/v1/593037/conversations/${dmConv.id}/messages`, { content: text });
+  return { recipient: targetUser.firstName || targetUser.fullName, conversationId: dmConv.id, result };
 }
 
 // Helper: Send DM wrapper
 async function sendDMHelper(userId, text) {
-  const response = await fetch('https://pixlcat-sling-api.onrender.com/messages/dm', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ userId, text })
-  });
-  return response.json();
+  await roster.ensureFresh();
+  const targetUser = roster.get(userId);
+  if (!targetUser) throw new Error(`User ID ${userId} not found`);
+  return sendSlingDM(targetUser, text);
 }
 
-// Helper: Get today's schedule
-async function getTodaySchedule() {
-  const today = new Date().toISOString().split('T')[0];
-  const response = await fetch(`https://pixlcat-sling-api.onrender.com/schedule/${today}`);
-  return response.json();
+// Helper: Messages in a Sling conversation since a time, skipping the ones we sent
+async function getSlingReplies(conversationId, since) {
+  const [messages, session] = await Promise.all([
+    slingGet(`/v1/593037/conversations/${conversationId}/messages`),
+    getSessionInfo(),
+  ]);
+  const sentAfter = new Date(since);
+  return (Array.isArray(messages) ? messages : []).filter((m) => {
+    const authorId = (m.author && m.author.id) || (m.user && m.user.id);
+    return new Date(m.timestamp) > sentAfter && authorId !== session.userId;
+  });
 }
 
-// Event deduplication tracking
-const processedEvents = new Set();
+// Event deduplication tracking (Slack retries for up to an hour; keep a day)
+const processedEvents = stateStore.set('processed-events', { ttlMs: DAY_MS, maxEntries: 1000 });
 
 const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
   .split(',')
@@ -197,6 +272,7 @@ function requireApiKey(req, res, next) {
 // Centralized: protect all write, cron, slack-post, and command endpoints
 app.use(
   [
+    '/auth/login',
     '/shifts/create',
     '/shifts/swap',
     '/shifts/assign',
@@ -206,6 +282,7 @@ app.use(
     '/slack/daily',
     '/slack/tomorrow',
     '/slack/week',
+    '/slack/floor',
     '/command',
     '/schedule/validate',
   ],
@@ -237,154 +314,74 @@ function verifySlackSignature(req) {
 // SCHEDULING ENGINE CONSTANTS (v2.0)
 // ============================================================
 
-const LOCATIONS = {
-  CLEMENT: 16124319,
-  NINTH: 16128300,
-};
-
-const LOCATION_NAMES = {
-  [LOCATIONS.CLEMENT]: 'Clement Pixlcat',
-  [LOCATIONS.NINTH]: '9th st Pixlcat',
-};
-
-const EMPLOYEE_IDS = {
-  JESUS: 16159503,
-  JESSICA: 22563123,
-  CLAYTON: 22635995,
-  BRIANNA: 21868029,
-  HAYDEN: 19838518,
-  SAIGE: 16764426,
-  EMILY: 24605713,
-  OTILIA: 24950241,
-  MAYA_M: 24950518,
-  MAYA_L: 13125426,
-  SARA: 24949126,
-  ANYA: 16422126,
-  JAMES: 19506789,
-  DAVID: 12302285,
-  JEFFREY: 19763164,
-};
+// Stores: Sling ids, POS, time zones, hours, coverage minimums (locations.json)
+const locations = loadLocations();
 
-const EMPLOYEE_NAMES = {
-  [EMPLOYEE_IDS.JESUS]: 'Jesus',
-  [EMPLOYEE_IDS.JESSICA]: 'Jessica',
-  [EMPLOYEE_IDS.CLAYTON]: 'Clayton',
-  [EMPLOYEE_IDS.BRIANNA]: 'Brianna',
-  [EMPLOYEE_IDS.HAYDEN]: 'Hayden',
-  [EMPLOYEE_IDS.SAIGE]: 'Saige',
-  [EMPLOYEE_IDS.EMILY]: 'Emily',
-  [EMPLOYEE_IDS.OTILIA]: 'Otilia',
-  [EMPLOYEE_IDS.MAYA_M]: 'Maya M',
-  [EMPLOYEE_IDS.MAYA_L]: 'Maya L',
-  [EMPLOYEE_IDS.SARA]: 'Sara',
-  [EMPLOYEE_IDS.ANYA]: 'Anya',
-  [EMPLOYEE_IDS.JAMES]: 'James',
-  [EMPLOYEE_IDS.DAVID]: 'David',
-  [EMPLOYEE_IDS.JEFFREY]: 'Jeffrey',
-};
+// Timecards (clock-ins, breaks) come from the Toast store's POS
+const toastStore = locations.withPos().find((l) => l.pos.provider === 'toast');
+const TOAST_URL = toastStore ? toastStore.pos.url : process.env.TOAST_API_URL || 'https://toast-api-1.onrender.com';
 
-const CROSS_LOCATION_POOL = [
-  EMPLOYEE_IDS.SARA,
-  EMPLOYEE_IDS.BRIANNA,
-  EMPLOYEE_IDS.JAMES,
-  EMPLOYEE_IDS.EMILY,
-  EMPLOYEE_IDS.CLAYTON,
-  EMPLOYEE_IDS.DAVID,
-];
-
-const MAX_WEEKLY_HOURS = 40;
-const MAX_CONSECUTIVE_DAYS = 7;
-const WARN_CONSECUTIVE_DAYS = 6;
-
-const COVERAGE_MINS = {
-  CLEMENT_WEEKDAY: 2,
-  CLEMENT_WEEKEND: 2,
-  NINTH_WEEKDAY: 1,
-  NINTH_WEEKEND: 2,
-};
+// Holidays, closures and special days that change a store's usual week (store-calendar.json)
+const storeCalendar = sharedStoreCalendar();
 
 // ============================================================
 // HELPERS
 // ============================================================
 
-async function slingGet(path, token) {
-  const authToken = token || SLING_TOKEN;
-  if (!authToken) throw new Error('No Sling auth token configured');
-
-  const res = await fetch(`${SLING_BASE}${path}`, {
-    headers: { Authorization: authToken, 'Content-Type': 'application/json' },
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Sling API ${res.status}: ${text}`);
+/**
+ * Resolve a name (or Sling user id) to one roster employee via name-resolver.
+ * Pass { ids } to only consider some employees, e.g. those working that day.
+ * Returns { status: 'matched' | 'ambiguous' | 'not_found', match, candidates }.
+ */
+async function resolveEmployee(nameOrId, opts) {
+  await roster.ensureFresh();
+  if (typeof nameOrId === 'number' || /^\d+$/.test(String(nameOrId || '').trim())) {
+    const id = parseInt(nameOrId, 10);
+    // An id still has to be someone on the roster
+    if (!roster.get(id)) return { status: 'not_found', match: null, candidates: [] };
+    return { status: 'matched', match: { id, name: roster.nameOf(id), confidence: 1 }, candidates: [] };
   }
-
-  return res.json();
+  return roster.match(nameOrId, opts);
 }
 
-async function slingPost(path, body, token) {
-  const authToken = token || SLING_TOKEN;
-  if (!authToken) throw new Error('No Sling auth token configured');
-
-  const res = await fetch(`${SLING_BASE}${path}`, {
-    method: 'POST',
-    headers: { Authorization: authToken, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Sling API ${res.status}: ${text}`);
-  }
-
-  return res.json();
+// Rule-engine view of an employee (see rules/index.js)
+function ruleEmployee(employeeId, fallbackName) {
+  const entry = roster.get(employeeId);
+  return {
+    id: employeeId,
+    name: entry ? entry.displayName : fallbackName || `ID:${employeeId}`,
+    crossLocation: roster.isCrossLocation(employeeId),
+    hourlyRate: rateFor(entry ? entry.fullName : fallbackName),
+  };
 }
 
-async function slingPut(path, body, token) {
-  const authToken = token || SLING_TOKEN;
-  if (!authToken) throw new Error('No Sling auth token configured');
-
-  const res = await fetch(`${SLING_BASE}${path}`, {
-    method: 'PUT',
-    headers: { Authorization: authToken, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Sling API ${res.status}: ${text}`);
-  }
-
-  return res.json();
+// Store calendar day for a shift, for the STORE-* rules; null when its store is unknown
+function storeDayOf(shift) {
+  const location = locations.ofShift(shift);
+  return location ? storeCalendar.dayPlan(location, shift.date || dayKey(shift.start, location.timeZone)) : null;
 }
 
-async function slingDelete(path, token) {
-  const authToken = token || SLING_TOKEN;
-  if (!authToken) throw new Error('No Sling auth token configured');
-
-  const res = await fetch(`${SLING_BASE}${path}`, {
-    method: 'DELETE',
-    headers: { Authorization: authToken, 'Content-Type': 'application/json' },
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Sling API ${res.status}: ${text}`);
+// 409 "did you mean" for ambiguous names, 404 (with suggestions) for unknown ones
+function sendNameError(res, query, result, field = 'employee') {
+  const didYouMean = result.candidates.map((c) => c.name);
+  if (result.status === 'ambiguous') {
+    return res.status(409).json({
+      error: `"${query}" matches more than one employee. Did you mean ${didYouMean.join(' or ')}?`,
+      field,
+      ambiguous: true,
+      didYouMean,
+      candidates: result.candidates,
+    });
   }
-
-  const text = await res.text();
-  return text ? JSON.parse(text) : { success: true };
+  return res.status(404).json({ error: `Employee "${query}" not found`, field, didYouMean, candidates: result.candidates });
 }
 
-function findUserByName(users, name) {
-  const lower = name.toLowerCase().trim();
-  return users.find((u) => {
-    const fullName = `${u.name || ''} ${u.lname || ''}`.toLowerCase();
-    const firstName = (u.name || '').toLowerCase();
-    const lastName = (u.lname || '').toLowerCase();
-    return firstName === lower || lastName === lower || fullName.includes(lower);
-  });
+// Same as sendNameError, phrased for a Slack / Sling reply
+function describeNameError(query, result) {
+  const names = result.candidates.map((c) => c.name);
+  if (result.status === 'ambiguous') return `"${query}" could be ${names.join(' or ')} — which one?`;
+  if (names.length) return `I couldn't find "${query}". Did you mean ${names.join(' or ')}?`;
+  return `I couldn't find "${query}" on the roster.`;
 }
 
 function findPositionByName(positions, name) {
@@ -392,16 +389,14 @@ function findPositionByName(positions, name) {
   return positions.find((p) => (p.name || '').toLowerCase().includes(lower));
 }
 
-function resolveEmployeeId(nameOrId) {
-  if (typeof nameOrId === 'number') return nameOrId;
-  if (typeof nameOrId === 'string' && !isNaN(nameOrId)) return parseInt(nameOrId, 10);
-
-  const lower = String(nameOrId || '').toLowerCase().trim();
-  const match = Object.entries(EMPLOYEE_NAMES).find(([, nm]) => nm.toLowerCase() === lower);
-  return match ? parseInt(match[0], 10) : null;
-}
 
 let _cachedSession = null;
+
+// A new token can belong to a different session; re-read it on next use
+slingClient.onTokenRefresh(() => {
+  _cachedSession = null;
+});
+
 async function getSessionInfo() {
   if (_cachedSession) return _cachedSession;
 
@@ -423,16 +418,133 @@ async function getOrgId() {
   return s.orgId;
 }
 
+const TZ = 'America/Los_Angeles';
+
+// Calendar items are cached per PT day; users/groups change rarely and get a longer TTL
+const calendarCache = createCalendarCache({
+  timeZone: TZ,
+  ttlMs: parseInt(process.env.CALENDAR_CACHE_TTL_MS, 10) || 5 * 60 * 1000,
+  referenceTtlMs: parseInt(process.env.CALENDAR_REFERENCE_TTL_MS, 10) || 10 * 60 * 1000,
+  fetchCalendar: async (dateStart, dateEnd) => {
+    const { orgId, userId } = await getSessionInfo();
+    const dates = `${dateStart}/${dateEnd}`;
+    return slingGet(`/${orgId}/calendar/${userId}?dates=${encodeURIComponent(dates)}`);
+  },
+  fetchUsers: () => slingGet('/users'),
+  fetchGroups: () => slingGet('/groups'),
+});
+
+// Employees: Sling users merged with the local overlay (nicknames, cross-location, active)
+const roster = createRoster({
+  fetchUsers: () => calendarCache.getUsers(),
+  ttlMs: parseInt(process.env.CALENDAR_REFERENCE_TTL_MS, 10) || 10 * 60 * 1000,
+});
+
+// Posted schedules and later changes, for SF predictability pay
+// Predictability pay is owed under San Francisco's ordinance, so only SF stores' shifts are tracked
+const predictive = createPredictiveLog({
+  rateFor,
+  appliesTo: (shift) => {
+    const location = locations.ofShift(shift);
+    return Boolean(location && location.region === 'SF');
+  },
+  timeZone: TZ,
+  payPeriodStart: process.env.PAY_PERIOD_START,
+});
+
+// Clock-in outcomes as attendance history (a year of it) for reliability scores
+const attendance = createAttendance({ events: stateStore.map('attendance', { ttlMs: 365 * DAY_MS }), timeZone: TZ });
+
+// Pushed to /events/stream subscribers; the last 200 are kept for replay
+const eventBus = createEventBus({ log: stateStore.map('events'), replaySize: 200 });
+
+// Event payload for a shift (normalized, or a predictive-log snapshot)
+function shiftEventData(shift) {
+  if (!shift) return {};
+  return {
+    shiftId: shift.id,
+    employeeId: shift.employeeId || null,
+    employee: shift.employee || null,
+    position: shift.position || null,
+    start: shift.start,
+    end: shift.end,
+    locationId: shift.locationId || null,
+  };
+}
+
+// Look for conflicts on the days of changed shifts (announced by collectConflicts).
+// Changes arriving together are checked once per day, one day at a time.
+const pendingConflictDays = new Set();
+
+function checkConflictsAfterChange(startISO) {
+  if (!startISO) return;
+  if (pendingConflictDays.size === 0) setTimeout(runPendingConflictChecks, 1000).unref();
+  pendingConflictDays.add(toISODatePT(startISO));
+}
+
+async function runPendingConflictChecks() {
+  const days = [...pendingConflictDays].sort();
+  pendingConflictDays.clear();
+  for (const day of days) {
+    try {
+      const { start, end } = getDayRange(day);
+      await collectConflicts(start, end);
+    } catch (err) {
+      console.error(`[events] Conflict check for ${day} failed:`, err.message);
+    }
+  }
+}
+
+// Who asked for a schedule change; null when the value isn't recognised
+function changeInitiator(req) {
+  const value = (req.body && req.body.initiatedBy) || req.query.initiatedBy || 'employer';
+  return INITIATORS.includes(value) ? value : null;
+}
+
+function sendInitiatorError(res) {
+  return res.status(400).json({ error: `initiatedBy must be one of: ${INITIATORS.join(', ')}` });
+}
+
+// Log a change to a posted shift. Failures are logged, never surfaced: the Sling write already happened.
+async function logShiftChange(shiftId, after, initiatedBy, source, reason) {
+  try {
+    const changes = await predictive.recordChange({ shiftId: String(shiftId), after, initiatedBy, source, reason: reason || null });
+    return changes.map(({ employee, kind, noticeTier, premiumHours, premiumPay }) => ({ employee, kind, noticeTier, premiumHours, premiumPay }));
+  } catch (err) {
+    console.error(`[predictive] Could not log change to shift ${shiftId}:`, err.message);
+    return [];
+  }
+}
+
+// Sling shift body (PUT /shifts/:id) -> fields the predictive log compares
+function shiftPatchFromBody(body) {
+  const patch = {};
+  if (body.dtstart) patch.start = body.dtstart;
+  if (body.dtend) patch.end = body.dtend;
+  if (body.user !== undefined) {
+    patch.employeeId = body.user ? body.user.id : null;
+    patch.employee = body.user ? roster.nameOf(body.user.id) : null;
+  }
+  return patch;
+}
+
+// Drop cached days holding a shift we just changed, plus the days it moves to
+function invalidateShiftCache(shiftId, body) {
+  if (shiftId && !calendarCache.invalidateShift(shiftId) && !(body && body.dtstart)) {
+    // Not cached under its id (e.g. created elsewhere) - play safe
+    calendarCache.invalidate();
+  }
+  if (body && body.dtstart) calendarCache.invalidate(body.dtstart, body.dtend || body.dtstart);
+}
+
 async function getOrgCalendar(dateStart, dateEnd) {
-  const { orgId, userId } = await getSessionInfo();
-  const dates = `${dateStart}/${dateEnd}`;
-
-  const [calData, users, positions, locations] = await Promise.all([
-    slingGet(`/${orgId}/calendar/${userId}?dates=${encodeURIComponent(dates)}`),
-    slingGet('/users'),
-    slingGet('/groups').then((g) => g.filter((x) => x.type === 'position')),
-    slingGet('/groups').then((g) => g.filter((x) => x.type === 'location')),
+  const [calData, users, groups] = await Promise.all([
+    calendarCache.getItems(dateStart, dateEnd),
+    calendarCache.getUsers(),
+    calendarCache.getGroups(),
   ]);
+  const positions = groups.filter((x) => x.type === 'position');
+  const locationGroups = groups.filter((x) => x.type === 'location');
 
   const userMap = {};
   users.forEach((u) => {
@@ -443,7 +555,7 @@ async function getOrgCalendar(dateStart, dateEnd) {
     posMap[p.id] = p;
   });
   const locMap = {};
-  locations.forEach((l) => {
+  locationGroups.forEach((l) => {
     locMap[l.id] = l;
   });
 
@@ -503,61 +615,40 @@ async function getOrgCalendar(dateStart, dateEnd) {
   return { shifts, leaves, availability, userMap, posMap, locMap };
 }
 
-const TZ = 'America/Los_Angeles';
-
 function getNowPT() {
   return new Date(new Date().toLocaleString('en-US', { timeZone: TZ }));
 }
 
-function getDayRange(dateStr) {
-  const nowPT = getNowPT();
-  let target = new Date(nowPT);
-
-  const lower = String(dateStr || '').toLowerCase().trim();
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const dayIdx = days.indexOf(lower);
-
-  if (lower === 'today') {
-    target = new Date(nowPT);
-  } else if (lower === 'tomorrow') {
-    target = new Date(nowPT);
-    target.setDate(target.getDate() + 1);
-  } else if (lower === 'yesterday') {
-    target = new Date(nowPT);
-    target.setDate(target.getDate() - 1);
-  } else if (dayIdx !== -1) {
-    target = new Date(nowPT);
-    const diff = dayIdx - target.getDay();
-    target.setDate(target.getDate() + (diff <= 0 ? diff + 7 : diff));
-  } else {
-    target = new Date(dateStr);
-  }
-
-  const y = target.getFullYear();
-  const m = String(target.getMonth() + 1).padStart(2, '0');
-  const d = String(target.getDate()).padStart(2, '0');
+// A store's own time zone; TZ when none is named
+function timeZoneOfLocation(location) {
+  const found = location ? locations.resolve(location) : null;
+  return found ? found.timeZone : TZ;
+}
 
-  // Build start/end in PT then convert to UTC ISO strings
-  const startLocal = new Date(`${y}-${m}-${d}T00:00:00`);
-  const endLocal = new Date(`${y}-${m}-${d}T23:59:59.999`);
-  const ptOffsetMs =
-    startLocal.getTime() -
-    new Date(startLocal.toLocaleString('en-US', { timeZone: TZ })).getTime();
-  const startUTC = new Date(startLocal.getTime() + ptOffsetMs);
-  const endUTC = new Date(endLocal.getTime() + ptOffsetMs);
+// One day from a date expression ("tomorrow", "next tuesday", "3/14", "Thanksgiving";
+// see date-expressions.js) or an ISO timestamp, as that day's bounds in timeZone
+function getDayRange(dateStr, { timeZone = TZ } = {}) {
+  // A bare weekday is the next one after today ("monday" on a Monday is next week's), as it always was here
+  let found = parseDateRange(dateStr, { timeZone, afterToday: true });
+  if (!found && !Number.isNaN(Date.parse(dateStr))) found = parseDateRange(dayKey(dateStr, timeZone), { timeZone });
+  if (!found || found.days !== 1) {
+    const err = new Error(found ? `"${dateStr}" covers ${found.days} days; pick one day` : `Couldn't read a date from "${dateStr}"`);
+    err.status = 400;
+    throw err;
+  }
 
-  const dayOfWeek = target.getDay();
+  const dayOfWeek = new Date(`${found.startDate}T12:00:00Z`).getUTCDay();
   return {
-    start: startUTC.toISOString(),
-    end: endUTC.toISOString(),
-    dateFormatted: target.toLocaleDateString('en-US', {
+    start: found.start,
+    end: found.end,
+    dateFormatted: new Date(found.start).toLocaleDateString('en-US', {
       weekday: 'long',
       month: 'short',
       day: 'numeric',
       year: 'numeric',
-      timeZone: TZ,
+      timeZone,
     }),
-    isoDate: `${y}-${m}-${d}`,
+    isoDate: found.startDate,
     dayOfWeek,
     isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
   };
@@ -576,6 +667,18 @@ function toISODatePT(d) {
   return dt.toLocaleDateString('en-CA', { timeZone: TZ });
 }
 
+// "HH:MM" on a PT calendar day -> ISO instant
+function toISOTimePT(isoDate, hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return new Date(zonedTime(isoDate, h * 60 + (m || 0), TZ)).toISOString();
+}
+
+// Minutes after midnight -> "7:00 AM"
+function formatMinutes(min) {
+  const h = Math.floor(min / 60) % 24;
+  return `${h % 12 || 12}:${String(min % 60).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
 function formatTimePT(d) {
   return new Date(d).toLocaleTimeString('en-US', {
     hour: 'numeric',
@@ -614,9 +717,19 @@ app.get('/', (req, res) => {
     version: '2.1.0',
     status: 'running',
     endpoints: {
+      'POST /auth/login': 'Refresh the Sling token (API key required)',
       'GET /users': 'List all employees',
+      'GET /roster': 'Employee roster with overlay (?includeInactive=true)',
+      'GET /roster/:id': 'One roster entry',
+      'PUT /roster/:id': 'Edit nicknames / crossLocation / homeLocation / active / role / scheduleDMs / reminderLeadHours (API key required)',
+      'POST /roster/sync': 'Re-sync roster from Sling (API key required)',
       'GET /positions': 'List all positions',
       'GET /locations': 'List all locations',
+      'GET /locations/registry': 'Store registry: Sling id, POS, time zone, hours, coverage minimums, benchmarks (locations.json)',
+      'GET /store-calendar': 'Holiday calendar entries and the store-days they change (?start=&end=, default next 60 days; ?location=)',
+      'GET /store-calendar/:date': "Each store's hours, staffing minimum and benchmark for a day after the calendar",
+      'POST /store-calendar': 'Add a closure, short day or special day (API key required)',
+      'DELETE /store-calendar/:id': 'Remove a calendar entry (API key required)',
       'GET /groups': 'List all groups',
       'GET /shifts': 'Get shifts (?start=ISO&end=ISO)',
       'GET /shifts/today': 'Today shifts',
@@ -624,6 +737,9 @@ app.get('/', (req, res) => {
       'GET /schedule/:date': 'Schedule for a day',
       'GET /whos-working': 'Who is working now',
       'GET /whos-working/:date': 'Who is working on date',
+      'GET /floor/now': 'Scheduled vs clocked in right now, per location (?location=, ?format=slack)',
+      'GET /events/stream': 'Server-sent events: shift changes, publishes, clock-ins/outs, new conflicts (?location=, ?replay=N)',
+      'GET /events/recent': 'Recent events as JSON (?after=ID, ?location=, ?limit=)',
       'GET /unavailable/:date': 'Who is unavailable',
       'GET /timeoff': 'Time-off requests',
       'GET /calendar/summaries': 'Hours/cost summaries',
@@ -633,21 +749,44 @@ app.get('/', (req, res) => {
       'POST /shifts/assign': 'Assign employee to shift',
       'PUT /shifts/:id': 'Update shift',
       'DELETE /shifts/:id': 'Delete shift',
-      'POST /shifts/publish': 'Publish shifts',
+      'POST /shifts/publish': 'Publish shifts (RED violations block; ORANGE needs overrideReason + overriddenBy; dryRun previews)',
       'POST /shifts/unpublish': 'Unpublish shifts',
       'GET /conflicts': 'Schedule vs availability conflicts (?days=7)',
       'GET /weekly-hours/:userId': 'Cross-location weekly hours (?week=DATE)',
       'GET /availability/:date': 'All employee availability for date',
       'POST /schedule/validate': 'Validate assignment against rules',
-      'GET /schedule/coverage/:date': 'Floor headcount by hour',
+      'GET /rules': 'Active scheduling rules with severity and config',
+      'GET /schedule/coverage/:date': 'Floor headcount by hour; flags understaffed open hours (store calendar aware)',
+      'GET /dates/parse': 'Read a date expression as a day range (?q=next+2+weeks, ?location=boston for ET, ?prefer=past)',
       'GET /schedule/consecutive/:userId': 'Consecutive day streak (?date=DATE)',
       'POST /cron/check-conflicts': 'Run conflict check + Slack alert',
+      'GET /cron/schedule-watch': 'Poll Sling for schedule changes made outside this API (also runs every 10 min)',
+      'GET /cron/shift-notices': 'Send schedule change DMs that are due (also runs every minute)',
+      'GET /cron/shift-reminders': 'Send shift reminder DMs that are due and read replies (also runs every 5 min)',
+      'GET /reminders': 'Shift reminders sent for a day and any replies (?date=DATE)',
+      'GET /notifications/pending': 'Schedule change DMs waiting to be sent',
+      'GET /notifications/opt-outs': 'Employees who opted out of schedule change DMs',
+      'GET /jobs': 'Scheduled jobs with last run, next run, duration and last error',
+      'GET /jobs/history': 'Recent job runs with summary, items processed and errors (?job=, ?status=error, ?limit=)',
+      'GET /jobs/:name': 'One job, with the result of its last run and recent history',
+      'POST /jobs/:name/run': 'Run a job now (API key required; 409 while it is running)',
+      'PUT /notifications/opt-outs/:employee': 'Opt out of schedule change DMs (API key required; DELETE opts back in)',
       'GET /slack/daily': 'Post today schedule to Slack',
       'GET /slack/tomorrow': 'Post tomorrow schedule to Slack',
       'GET /slack/week': 'Post week schedule to Slack',
-      'GET /cron/daily': 'External cron endpoint',
-      'GET /cron/labor-alert-sf': 'SF labor alert (7pm PST) — clock-out & overtime check',
-      'GET /cron/labor-alert-boston': 'Boston labor alert (7pm EST) — clock-out & overtime check',
+      'GET /slack/floor': 'Post floor status to Slack',
+      'GET /cron/daily': "Post tomorrow's schedule now (daily-schedule job, 5pm PT)",
+      'GET /cron/labor-alert/:location': "A store's labor alert (laborAlertAt in locations.json, local time) — clock-out & overtime check",
+      'GET /publish/log': 'Publish history with gate overrides (?overridden=true)',
+      'GET /predictive/report': 'SF predictability pay owed per pay period (?period=current|previous, ?date=, ?start=&end=)',
+      'GET /compliance/breaks': 'SF meal break compliance from Toast timecards (?date=DATE)',
+      'GET /cron/break-compliance': 'Nightly meal break compliance summary to ops channel (?date=DATE)',
+      'GET /cron/smart-clockin-check': 'Advance clock-in follow-ups (late → reminded → escalated → outcome)',
+      'GET /cron/smart-clockout-check': 'Clock-out reminders for shifts ending now',
+      'GET /attendance': 'Attendance and reliability per employee (?start=&end=, default last 30 days)',
+      'GET /attendance/:employee': 'Attendance events and reliability score for one employee (?start=&end=)',
+      'GET /monitoring/clockins': 'Clock-in follow-up state and outcomes (?date=DATE)',
+      'POST /monitoring/clockins/:shiftId/resolve': 'Close a clock-in follow-up by hand (API key required)',
       'GET /cron/weekly-report': 'Weekly WoW performance report to ops channel (Monday 8am)',
       'POST /slack/events': 'Slack Events API handler',
       'POST /command': 'Natural language processor (API key required)',
@@ -655,6 +794,94 @@ app.get('/', (req, res) => {
   });
 });
 
+// ============================================================
+// SLING AUTH
+// ============================================================
+
+// Log in to Sling and swap the new token in without a redeploy.
+// With no body, re-authenticates using SLING_EMAIL / SLING_PASSWORD.
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    let token;
+
+    if (email && password) {
+      ({ token } = await slingClient.login(email, password));
+      await slingClient.setToken(token);
+    } else if (slingClient.hasStoredCredentials()) {
+      token = await slingClient.refreshToken();
+    } else {
+      return res.status(400).json({ error: 'email and password required (no stored credentials configured)' });
+    }
+
+    const session = await getSessionInfo();
+    res.json({ success: true, token, orgId: session.orgId, userId: session.userId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================================
+// ROSTER
+// ============================================================
+
+function resolveLocationId(value) {
+  if (value === null || value === undefined || typeof value === 'number') return value;
+  const lower = String(value).toLowerCase().trim();
+  if (/^\d+$/.test(lower)) return parseInt(lower, 10);
+  const location = locations.resolve(lower);
+  if (location && location.slingLocationId) return location.slingLocationId;
+  const err = new Error(location ? `${location.name} isn't scheduled in Sling` : `Unknown location "${value}"`);
+  err.status = 400;
+  throw err;
+}
+
+app.get('/roster', async (req, res) => {
+  try {
+    await roster.ensureFresh();
+    const employees = roster.list({ includeInactive: req.query.includeInactive === 'true' });
+    res.json({ ...roster.status(), count: employees.length, employees });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/roster/:id', async (req, res) => {
+  try {
+    await roster.ensureFresh();
+    const employee = roster.get(req.params.id);
+    if (!employee) return res.status(404).json({ error: `Employee ${req.params.id} not found` });
+    res.json({ employee, overlay: roster.getOverlay(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: any of { nicknames, crossLocation, homeLocation, active, role, scheduleDMs, reminderLeadHours, displayName, name }; null clears a field
+app.put('/roster/:id', requireApiKey, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'id must be a Sling user id' });
+
+    const patch = { ...(req.body || {}) };
+    if (patch.homeLocation !== undefined) patch.homeLocation = resolveLocationId(patch.homeLocation);
+
+    const employee = await roster.updateOverlay(req.params.id, patch);
+    res.json({ success: true, employee, overlay: roster.getOverlay(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/roster/sync', requireApiKey, async (req, res) => {
+  try {
+    calendarCache.invalidateReference();
+    await roster.sync();
+    res.json({ success: true, ...roster.status() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================
 // READ ENDPOINTS
 // ============================================================
@@ -699,6 +926,72 @@ app.get('/locations', async (req, res) => {
   }
 });
 
+// The store registry, without Slack tokens
+app.get('/locations/registry', (req, res) => {
+  const list = locations.all().map((l) => ({
+    ...l,
+    hours: l.hours && l.hours.map((h) => h && { open: formatMinutes(h.open), close: formatMinutes(h.close) }),
+    slack: { channel: l.slack.channel, tokenEnv: l.slack.tokenEnv },
+  }));
+  res.json({ count: list.length, locations: list });
+});
+
+// ── Store calendar: closures, short days, holiday staffing (see store-calendar.js) ──
+
+const formatPlan = (plan) => ({
+  ...plan,
+  hours: plan.hours && { open: formatMinutes(plan.hours.open), close: formatMinutes(plan.hours.close) },
+});
+
+// Entries, plus every store-day they change in ?start=&end= (default: the next 60 days)
+app.get('/store-calendar', (req, res) => {
+  try {
+    const start = req.query.start ? getDayRange(req.query.start).isoDate : toISODatePT(new Date());
+    const end = req.query.end ? getDayRange(req.query.end).isoDate : addDaysToKey(start, 59);
+    if (end < start) return res.status(400).json({ error: 'end must be on or after start' });
+    if (end > addDaysToKey(start, 365)) return res.status(400).json({ error: 'Ask for at most a year at a time' });
+
+    const location = req.query.location ? locations.resolve(req.query.location) : null;
+    if (req.query.location && !location) return res.status(404).json({ error: `Unknown store "${req.query.location}"` });
+
+    const days = storeCalendar.overrides({ start, end, location }).map(formatPlan);
+    res.json({ start, end, entries: storeCalendar.entries(), days });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// How every store's day looks once the calendar is applied
+app.get('/store-calendar/:date', (req, res) => {
+  try {
+    const { isoDate, dateFormatted } = getDayRange(req.params.date);
+    res.json({ date: dateFormatted, isoDate, locations: locations.all().map((l) => formatPlan(storeCalendar.dayPlan(l, isoDate))) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Body: one entry as in store-calendar.json, e.g. { holiday: 'Christmas Eve', hours: '7-13' }
+app.post('/store-calendar', requireApiKey, async (req, res) => {
+  try {
+    const entry = await storeCalendar.add(req.body);
+    console.log(`[store-calendar] Added ${entry.id}`);
+    res.status(201).json({ success: true, entry });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/store-calendar/:id', requireApiKey, async (req, res) => {
+  try {
+    if (!(await storeCalendar.remove(req.params.id))) return res.status(404).json({ error: `No calendar entry "${req.params.id}"` });
+    console.log(`[store-calendar] Removed ${req.params.id}`);
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 app.get('/groups', async (req, res) => {
   try {
     const data = await slingGet('/groups');
@@ -784,10 +1077,20 @@ app.get('/schedule/:date', async (req, res) => {
     const filtered = filterShiftsByDate(shifts, isoDate);
     res.json({ date: dateFormatted, count: filtered.length, shifts: filtered });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// How a date expression reads, e.g. /dates/parse?q=this+weekend&location=boston
+app.get('/dates/parse', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
+  const timeZone = timeZoneOfLocation(req.query.location);
+  const found = parseDateRange(q, { timeZone, prefer: req.query.prefer === 'past' ? 'past' : 'future' });
+  if (!found) return res.status(404).json({ error: `Couldn't read a date from "${q}"` });
+  res.json(found);
+});
+
 app.get('/whos-working', async (req, res) => {
   try {
     const data = await slingGet('/calendar/working');
@@ -880,27 +1183,21 @@ app.get('/calendar/summaries', async (req, res) => {
 // COVERAGE FINDER
 // ============================================================
 
-const STORE_HOURS = {
-  0: { open: 7, close: 17, shiftEarliest: 6.5, shiftLatest: 18, label: 'Sunday' },
-  1: { open: 7, close: 16, shiftEarliest: 6.5, shiftLatest: 17, label: 'Monday' },
-  2: { open: 7, close: 16, shiftEarliest: 6.5, shiftLatest: 17, label: 'Tuesday' },
-  3: { open: 7, close: 16, shiftEarliest: 6.5, shiftLatest: 17, label: 'Wednesday' },
-  4: { open: 7, close: 16, shiftEarliest: 6.5, shiftLatest: 17, label: 'Thursday' },
-  5: { open: 7, close: 16, shiftEarliest: 6.5, shiftLatest: 17, label: 'Friday' },
-  6: { open: 7, close: 17, shiftEarliest: 6.5, shiftLatest: 18, label: 'Saturday' },
-};
+// Shifts may start half an hour before opening and end an hour after closing
+const SHIFT_LEAD_MIN = 30;
+const SHIFT_TAIL_MIN = 60;
 
-async function getShiftTemplates() {
+async function getShiftTemplates(location) {
   const now = new Date();
   const fourWeeksAgo = new Date(now);
   fourWeeksAgo.setDate(now.getDate() - 28);
   fourWeeksAgo.setHours(0, 0, 0, 0);
 
   const { shifts } = await getOrgCalendar(fourWeeksAgo.toISOString(), now.toISOString());
-  const clementShifts = shifts.filter((s) => (s.location || '').includes('Clement'));
+  const locationShifts = shifts.filter((s) => locations.ofShift(s) === location);
 
   const slotCounts = {};
-  clementShifts.forEach((s) => {
+  locationShifts.forEach((s) => {
     const st = new Date(s.start);
     const et = new Date(s.end);
     const dayType = st.getDay() === 0 || st.getDay() === 6 ? 'weekend' : 'weekday';
@@ -950,17 +1247,17 @@ function matchesTemplate(shiftToCover, templates) {
   return { match: 'none', template: null };
 }
 
-async function getHistoricalAvgHours() {
+async function getHistoricalAvgHours(location) {
   const now = new Date();
   const fourWeeksAgo = new Date(now);
   fourWeeksAgo.setDate(now.getDate() - 28);
   fourWeeksAgo.setHours(0, 0, 0, 0);
 
   const { shifts } = await getOrgCalendar(fourWeeksAgo.toISOString(), now.toISOString());
-  const clementShifts = shifts.filter((s) => (s.location || '').includes('Clement'));
+  const locationShifts = shifts.filter((s) => locations.ofShift(s) === location);
 
   const byEmployee = {};
-  clementShifts.forEach((s) => {
+  locationShifts.forEach((s) => {
     if (!s.employeeId) return;
     if (!byEmployee[s.employeeId]) byEmployee[s.employeeId] = {};
     const wk = getWeekKey(new Date(s.start));
@@ -982,196 +1279,151 @@ async function getHistoricalAvgHours() {
   return avgHours;
 }
 
-async function getDaySalesContext(targetDate) {
-  try {
-    const dayOfWeek = targetDate.getDay();
-    const toastRes = await fetch('https://toast-api-1.onrender.com/api/sales/summary');
-    if (toastRes.ok) {
-      const salesData = await toastRes.json();
-      return {
-        dayName: STORE_HOURS[dayOfWeek].label,
-        isWeekend: dayOfWeek === 0 || dayOfWeek === 6,
-        isPeak: dayOfWeek === 0 || dayOfWeek === 5 || dayOfWeek === 6,
-        storeHours: STORE_HOURS[dayOfWeek],
-        salesData,
-      };
-    }
-  } catch (e) {
-    // fallback below
-  }
-
-  const dayOfWeek = targetDate.getDay();
-  const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-  return {
-    dayName: STORE_HOURS[dayOfWeek].label,
+// Hours and benchmark sales for a day (YYYY-MM-DD) at a store
+async function getDaySalesContext(isoDate, location) {
+  const dayOfWeek = new Date(`${isoDate}T12:00:00Z`).getUTCDay();
+  // A Monday holiday on the store calendar is staffed and benchmarked like a weekend
+  const plan = location ? storeCalendar.dayPlan(location, isoDate) : null;
+  const isWeekend = plan ? plan.dayType === 'weekend' : dayOfWeek === 0 || dayOfWeek === 6;
+  const hours = plan ? plan.hours : null;
+  const bench = (plan && plan.benchmark) || {};
+  const context = {
+    dayName: new Date(`${isoDate}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
     isWeekend,
     isPeak: isWeekend || dayOfWeek === 5,
-    storeHours: STORE_HOURS[dayOfWeek],
-    avgRevenue: isWeekend ? 3610 : 1807,
-    avgTickets: isWeekend ? 292 : 169,
+    closed: plan ? plan.closed : false,
+    note: plan ? plan.note : null,
+    storeHours: hours && { ...hours, shiftEarliest: hours.open - SHIFT_LEAD_MIN, shiftLatest: hours.close + SHIFT_TAIL_MIN },
+    avgRevenue: bench.sales ?? null,
+    avgTickets: bench.tickets ?? null,
   };
+
+  if (location && location.pos && location.pos.provider === 'toast') {
+    try {
+      countApiCall('toast');
+      const toastRes = await fetch(`${location.pos.url}/api/sales/summary`);
+      if (toastRes.ok) context.salesData = await toastRes.json();
+    } catch (e) {
+      // benchmarks only
+    }
+  }
+  return context;
 }
 
+// 0 = reliable (90+), 1 = fine or not enough history, 2 = unreliable (under 60)
+function reliabilityRankOf(score) {
+  if (score === null) return 1;
+  if (score >= 90) return 0;
+  return score < 60 ? 2 : 1;
+}
+
+// targetEmployeeName may also be a Sling user id
 async function findCoverage(targetDay, targetEmployeeName) {
-  const { start, end, dateFormatted } = getDayRange(targetDay);
-
-  const targetDate = new Date(start);
-  const weekStart = new Date(targetDate);
-  weekStart.setDate(targetDate.getDate() - targetDate.getDay());
-  weekStart.setHours(0, 0, 0, 0);
-
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekStart.getDate() + 6);
-  weekEnd.setHours(23, 59, 59, 999);
-
-  const streakStart = new Date(targetDate);
-  streakStart.setDate(targetDate.getDate() - 6);
-  streakStart.setHours(0, 0, 0, 0);
-
-  const streakEnd = new Date(targetDate);
-  streakEnd.setDate(targetDate.getDate() + 6);
-  streakEnd.setHours(23, 59, 59, 999);
-
-  const [weekData, streakData, allUsers, historicalAvg, salesContext, shiftTemplates] =
-    await Promise.all([
-      getOrgCalendar(weekStart.toISOString(), weekEnd.toISOString()),
-      getOrgCalendar(streakStart.toISOString(), streakEnd.toISOString()),
-      slingGet('/users'),
-      getHistoricalAvgHours(),
-      getDaySalesContext(targetDate),
-      getShiftTemplates(),
-    ]);
-
-  const { shifts: weekShifts, leaves: weekLeaves, availability: weekAvail } = weekData;
-  const { shifts: streakShifts } = streakData;
-
-  const shiftDateStr = targetDate.toDateString();
-
-  const targetShifts = weekShifts.filter((s) => {
-    const isTargetDate = new Date(s.start).toDateString() === shiftDateStr;
-    if (!targetEmployeeName) return isTargetDate;
-    return isTargetDate && s.employee.toLowerCase().includes(targetEmployeeName.toLowerCase());
-  });
+  const { dateFormatted, isoDate } = getDayRange(targetDay);
+  const range = rules.contextRange(isoDate, isoDate, TZ);
+
+  const [calendar, allUsers] = await Promise.all([
+    getOrgCalendar(range.start, range.end),
+    calendarCache.getUsers(),
+    roster.ensureFresh(),
+  ]);
+
+  const { shifts, leaves, availability } = calendar;
+  const { start: weekStart, end: weekEnd } = getWeekRange(isoDate);
+  const weekShifts = shifts.filter((s) => new Date(s.start) >= new Date(weekStart) && new Date(s.start) <= new Date(weekEnd));
+
+  let targetShifts = filterShiftsByDate(shifts, isoDate);
+  if (targetEmployeeName) {
+    // Only people working that day are candidates, so "Maya" is fine if just one Maya works
+    const workingIds = [...new Set(targetShifts.filter((s) => s.employeeId).map((s) => s.employeeId))];
+    const resolved =
+      typeof targetEmployeeName === 'number'
+        ? { status: 'matched', match: { id: targetEmployeeName }, candidates: [] }
+        : roster.match(targetEmployeeName, { ids: workingIds });
+    if (resolved.status === 'ambiguous') {
+      return { error: describeNameError(targetEmployeeName, resolved), ambiguous: true, didYouMean: resolved.candidates.map((c) => c.name) };
+    }
+    targetShifts = resolved.match ? targetShifts.filter((s) => s.employeeId === resolved.match.id) : [];
+  }
 
   if (targetShifts.length === 0)
     return { error: `No shift found for ${targetEmployeeName || 'anyone'} on ${dateFormatted}` };
 
   const shiftToCover = targetShifts[0];
-  const shiftHours = (new Date(shiftToCover.end) - new Date(shiftToCover.start)) / (1000 * 60 * 60);
+  const shiftHours = rules.shiftHours(shiftToCover);
+  const location = locations.ofShift(shiftToCover);
 
-  const clementEmployeeIds = new Set();
-  weekShifts
-    .filter((s) => (s.location || '').includes('Clement'))
-    .forEach((s) => {
-      if (s.employeeId) clementEmployeeIds.add(s.employeeId);
-    });
-  streakShifts
-    .filter((s) => (s.location || '').includes('Clement'))
+  const [historicalAvg, salesContext, shiftTemplates] = await Promise.all([
+    getHistoricalAvgHours(location),
+    getDaySalesContext(isoDate, location),
+    getShiftTemplates(location),
+  ]);
+
+  // Pool: anyone who worked this store around this date or submitted availability
+  const poolIds = new Set();
+  shifts
+    .filter((s) => locations.ofShift(s) === location)
     .forEach((s) => {
-      if (s.employeeId) clementEmployeeIds.add(s.employeeId);
+      if (s.employeeId) poolIds.add(s.employeeId);
     });
-  weekAvail.forEach((a) => {
-    if (a.employeeId) clementEmployeeIds.add(a.employeeId);
+  availability.forEach((a) => {
+    if (a.employeeId) poolIds.add(a.employeeId);
   });
 
   const candidates = [];
 
-  for (const empId of clementEmployeeIds) {
+  for (const empId of poolIds) {
     if (empId === shiftToCover.employeeId) continue;
+    if (!roster.isActive(empId)) continue;
 
     const user = allUsers.find((u) => u.id === empId);
     if (!user) continue;
 
     const empName = `${user.name || ''} ${user.lname || ''}`.trim();
-    const reasons = [];
-    const warnings = [];
     const notes = [];
 
-    // Already working?
-    const alreadyWorking = weekShifts.filter(
-      (s) => s.employeeId === empId && new Date(s.start).toDateString() === shiftDateStr
-    );
-    if (alreadyWorking.length > 0) {
-      const existing = alreadyWorking[0];
-      const st = formatTimePT(existing.start);
-      const et = formatTimePT(existing.end);
-      if (new Date(existing.start) < new Date(shiftToCover.end) && new Date(existing.end) > new Date(shiftToCover.start)) {
-        reasons.push(`Already working ${st}-${et} (overlaps)`);
-      } else {
-        warnings.push(`Already has a shift ${st}-${et} (no overlap -- double possible)`);
-      }
-    }
-
-    // On leave?
-    const onLeave = weekLeaves.some(
-      (l) => l.employeeId === empId && new Date(l.start) <= targetDate && new Date(l.end) >= targetDate
-    );
-    if (onLeave) {
-      const leave = weekLeaves.find(
-        (l) => l.employeeId === empId && new Date(l.start) <= targetDate && new Date(l.end) >= targetDate
-      );
-      reasons.push(`On leave${leave && leave.note ? ` -- ${leave.note}` : ''}`);
-    }
+    const { findings, facts } = rules.evaluate({
+      mode: 'proposed',
+      timeZone: TZ,
+      shift: {
+        employeeId: empId,
+        employee: empName,
+        date: isoDate,
+        start: shiftToCover.start,
+        end: shiftToCover.end,
+        breakDuration: shiftToCover.breakDuration,
+        locationId: shiftToCover.locationId,
+        location: shiftToCover.location,
+      },
+      employee: ruleEmployee(empId, empName),
+      shifts,
+      leaves,
+      availability,
+      storeDayOf,
+    });
 
-    // Availability?
-    const dayAvail = weekAvail.filter(
-      (a) => a.employeeId === empId && new Date(a.start).toDateString() === shiftDateStr
-    );
-    if (dayAvail.length > 0) {
-      const hasFullDay = dayAvail.some((a) => a.fullDay);
-      if (!hasFullDay) {
-        const fits = dayAvail.some(
-          (a) => new Date(shiftToCover.start) >= new Date(a.start) && new Date(shiftToCover.end) <= new Date(a.end)
-        );
-        if (!fits) {
-          const windows = dayAvail.map((a) => `${formatTimePT(a.start)}-${formatTimePT(a.end)}`).join(', ');
-          reasons.push(`Only available ${windows} (shift doesn't fit)`);
-        } else {
-          notes.push('Available window covers this shift');
-        }
-      }
-    } else {
-      if (weekAvail.some((a) => a.employeeId === empId)) {
-        reasons.push(`No availability set for ${STORE_HOURS[targetDate.getDay()].label}`);
-      }
-    }
+    // RED rules rule someone out; ORANGE/YELLOW are shown as warnings. Coverage also
+    // rules out anyone who sent availability for other days but not this one.
+    const rulesOut = (f) => f.severity === 'RED' || (f.rule === 'AVAIL-FALLBACK' && f.submittedOtherDays);
+    const reasons = findings.filter(rulesOut).map((f) => f.message);
+    const warnings = findings.filter((f) => !rulesOut(f)).map((f) => f.message);
 
-    // 40hr cap?
-    let weeklyHours = 0;
-    weekShifts
-      .filter((s) => s.employeeId === empId)
-      .forEach((s) => {
-        weeklyHours += (new Date(s.end) - new Date(s.start)) / (1000 * 60 * 60);
-      });
-    const projectedHours = weeklyHours + shiftHours;
-    if (projectedHours > 40) reasons.push(`Would hit ${projectedHours.toFixed(1)}hrs (40hr max)`);
-
-    // Consecutive?
-    const streakDatesWorked = new Set(
-      streakShifts
-        .filter((s) => s.employeeId === empId)
-        .map((s) => new Date(s.start).toDateString())
-    );
-    streakDatesWorked.add(shiftDateStr);
-
-    let maxConsecutive = 0;
-    let current = 0;
-    for (let d = new Date(streakStart); d <= streakEnd; d.setDate(d.getDate() + 1)) {
-      if (streakDatesWorked.has(d.toDateString())) {
-        current++;
-        maxConsecutive = Math.max(maxConsecutive, current);
-      } else {
-        current = 0;
-      }
+    // A same-day shift that doesn't overlap makes a double possible
+    const sameDay = filterShiftsByDate(shifts, isoDate).filter((s) => s.employeeId === empId);
+    if (sameDay.length > 0 && !findings.some((f) => f.rule === 'OVERLAP-001')) {
+      warnings.push(`Already has a shift ${formatTimePT(sameDay[0].start)}-${formatTimePT(sameDay[0].end)} (no overlap -- double possible)`);
     }
 
-    if (maxConsecutive >= MAX_CONSECUTIVE_DAYS) reasons.push(`Would be ${maxConsecutive} consecutive days (${MAX_CONSECUTIVE_DAYS} max)`);
-    else if (maxConsecutive >= WARN_CONSECUTIVE_DAYS) warnings.push(`This would be their ${maxConsecutive}th consecutive day`);
+    const weeklyHours = facts.weeklyHours ?? weekShifts.filter((s) => s.employeeId === empId).reduce((sum, s) => sum + rules.shiftHours(s), 0);
+    const projectedHours = facts.projectedHours ?? weeklyHours + shiftHours;
 
     const shiftsThisWeek = weekShifts.filter((s) => s.employeeId === empId).length;
     if (shiftsThisWeek + 1 === 6) warnings.push('This would be their 6th shift this week');
     else if (shiftsThisWeek + 1 > 6) warnings.push(`Would be shift #${shiftsThisWeek + 1} this week`);
 
+    const dayAvail = availability.filter((a) => a.employeeId === empId && toISODatePT(a.start) === isoDate);
+    if (dayAvail.length > 0 && !findings.some((f) => f.rule.startsWith('AVAIL'))) notes.push('Available window covers this shift');
+
     const hist = historicalAvg[empId];
     if (hist) {
       if (projectedHours - hist.avg > 8) warnings.push(`${(projectedHours - hist.avg).toFixed(1)}hrs above usual ${hist.avg.toFixed(1)}hrs/week`);
@@ -1180,6 +1432,14 @@ async function findCoverage(targetDay, targetEmployeeName) {
 
     notes.push(`${weeklyHours.toFixed(1)}hrs this week -> ${projectedHours.toFixed(1)}hrs if covering`);
 
+    const reliability = attendance.reliability(empId);
+    const reliabilityRank = reliabilityRankOf(reliability.score);
+    if (reliabilityRank === 2) {
+      warnings.push(`Reliability ${reliability.score}/100 (${reliability.counts.NO_SHOW} no-show, ${reliability.counts.LATE} late in ${attendance.windowDays} days)`);
+    } else if (reliability.score !== null) {
+      notes.push(`Reliability ${reliability.score}/100 over ${attendance.windowDays} days`);
+    }
+
     candidates.push({
       employee: empName,
       employeeId: empId,
@@ -1187,40 +1447,47 @@ async function findCoverage(targetDay, targetEmployeeName) {
       reasons,
       warnings,
       notes,
+      findings: findings.map(({ rule, severity, message }) => ({ rule, severity, message })),
       weeklyHours,
       projectedHours,
+      premiumCost: facts.premium ? facts.premium.cost : 0,
+      restGapHours: facts.restGapHours ?? null,
+      shortRest: findings.some((f) => f.rule === 'REST-001'),
       historicalAvg: hist ? hist.avg : null,
+      reliability: reliability.score,
+      reliabilityRank,
     });
   }
 
+  // Available first, then enough rest, then not unreliable, then whoever adds the least
+  // premium pay, then the most reliable, then the fewest hours
   candidates.sort((a, b) => {
     if (a.available && !b.available) return -1;
     if (!a.available && b.available) return 1;
-    if (a.available && b.available) return a.projectedHours - b.projectedHours;
+    if (a.available && b.available) {
+      return (
+        a.shortRest - b.shortRest ||
+        (a.reliabilityRank === 2) - (b.reliabilityRank === 2) ||
+        a.premiumCost - b.premiumCost ||
+        a.reliabilityRank - b.reliabilityRank ||
+        a.projectedHours - b.projectedHours
+      );
+    }
     return 0;
   });
 
   const templateMatch = matchesTemplate(shiftToCover, shiftTemplates);
+  const { storeHours } = salesContext;
 
   return {
     date: dateFormatted,
     dayContext: {
       dayName: salesContext.dayName,
       isPeak: salesContext.isPeak,
-      storeHours: `${salesContext.storeHours.open}AM-${
-        salesContext.storeHours.close > 12
-          ? salesContext.storeHours.close - 12 + 'PM'
-          : salesContext.storeHours.close + 'AM'
-      }`,
-      shiftWindow: `${
-        salesContext.storeHours.shiftEarliest % 1 === 0.5
-          ? Math.floor(salesContext.storeHours.shiftEarliest) + ':30AM'
-          : salesContext.storeHours.shiftEarliest + 'AM'
-      }-${
-        salesContext.storeHours.shiftLatest > 12
-          ? salesContext.storeHours.shiftLatest - 12 + 'PM'
-          : salesContext.storeHours.shiftLatest + 'AM'
-      }`,
+      closed: salesContext.closed,
+      note: salesContext.note,
+      storeHours: storeHours ? `${formatMinutes(storeHours.open)}-${formatMinutes(storeHours.close)}` : null,
+      shiftWindow: storeHours ? `${formatMinutes(storeHours.shiftEarliest)}-${formatMinutes(storeHours.shiftLatest)}` : null,
       avgRevenue: salesContext.avgRevenue,
       avgTickets: salesContext.avgTickets,
     },
@@ -1249,6 +1516,7 @@ async function findCoverage(targetDay, targetEmployeeName) {
 app.get('/coverage/:day/:employee', async (req, res) => {
   try {
     const result = await findCoverage(req.params.day, req.params.employee);
+    if (result.ambiguous) return res.status(409).json(result);
     res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1263,16 +1531,11 @@ app.post('/shifts/create', async (req, res) => {
   try {
     const { employee, position, location, date, startTime, endTime, publish } = req.body;
 
-    const users = await slingGet('/users');
     let userId = null;
     if (employee) {
-      const user = findUserByName(users, employee);
-      if (!user)
-        return res.status(404).json({
-          error: `Employee "${employee}" not found`,
-          availableUsers: users.map((u) => `${u.name} ${u.lname}`.trim()),
-        });
-      userId = user.id;
+      const resolved = await resolveEmployee(employee);
+      if (resolved.status !== 'matched') return sendNameError(res, employee, resolved);
+      userId = resolved.match.id;
     }
 
     let positionId = null;
@@ -1285,9 +1548,14 @@ app.post('/shifts/create', async (req, res) => {
 
     let locationId = null;
     if (location) {
-      const locations = await slingGet('/locations');
-      const loc = locations.find((l) => (l.name || '').toLowerCase().includes(location.toLowerCase()));
-      if (loc) locationId = loc.id;
+      const store = locations.resolve(location);
+      if (store && store.slingLocationId) {
+        locationId = store.slingLocationId;
+      } else {
+        const slingLocations = await slingGet('/locations');
+        const loc = slingLocations.find((l) => (l.name || '').toLowerCase().includes(location.toLowerCase()));
+        if (loc) locationId = loc.id;
+      }
     }
 
     const { start: dayStart } = getDayRange(date);
@@ -1307,6 +1575,20 @@ app.post('/shifts/create', async (req, res) => {
     if (publish) shiftBody.status = 'published';
 
     const result = await slingPost(`/shifts?publish=${publish ? 'true' : 'false'}`, [shiftBody]);
+    calendarCache.invalidate(shiftBody.dtstart, shiftBody.dtend);
+    eventBus.publish(
+      'shift.created',
+      {
+        shiftIds: (Array.isArray(result) ? result : [result]).map((s) => s && s.id).filter(Boolean),
+        employeeId: userId,
+        employee: userId ? roster.nameOf(userId) : null,
+        start: shiftBody.dtstart,
+        end: shiftBody.dtend,
+        published: Boolean(publish),
+      },
+      { locationId }
+    );
+    checkConflictsAfterChange(shiftBody.dtstart);
 
     res.json({
       success: true,
@@ -1320,22 +1602,32 @@ app.post('/shifts/create', async (req, res) => {
 
 app.post('/shifts/swap', async (req, res) => {
   try {
-    const { currentEmployee, newEmployee, date, shiftId } = req.body;
+    const { currentEmployee, newEmployee, date, shiftId, reason } = req.body;
+    const initiatedBy = changeInitiator(req);
+    if (!initiatedBy) return sendInitiatorError(res);
+
+    let dayShifts = null;
+    if (!shiftId && date) {
+      const { start, end } = getDayRange(date);
+      ({ shifts: dayShifts } = await getOrgCalendar(start, end));
+    }
 
-    const users = await slingGet('/users');
-    const currentUser = findUserByName(users, currentEmployee);
-    const newUser = findUserByName(users, newEmployee);
+    // "Maya" is only ambiguous if both Mayas work that day
+    const workingIds = dayShifts ? dayShifts.filter((s) => s.employeeId).map((s) => s.employeeId) : null;
+    let current = await resolveEmployee(currentEmployee, workingIds ? { ids: workingIds } : undefined);
+    if (current.status === 'not_found' && workingIds) current = await resolveEmployee(currentEmployee);
+    if (current.status !== 'matched') return sendNameError(res, currentEmployee, current, 'currentEmployee');
 
-    if (!currentUser) return res.status(404).json({ error: `Current employee "${currentEmployee}" not found` });
-    if (!newUser) return res.status(404).json({ error: `New employee "${newEmployee}" not found` });
+    const next = await resolveEmployee(newEmployee);
+    if (next.status !== 'matched') return sendNameError(res, newEmployee, next, 'newEmployee');
 
-    let targetShiftId = shiftId;
+    const currentUser = current.match;
+    const newUser = next.match;
 
-    if (!targetShiftId && date) {
-      const { start, end } = getDayRange(date);
-      const { shifts: allShifts } = await getOrgCalendar(start, end);
+    let targetShiftId = shiftId;
 
-      const shifts = allShifts.filter((s) => s.employeeId === currentUser.id);
+    if (!targetShiftId && dayShifts) {
+      const shifts = dayShifts.filter((s) => s.employeeId === currentUser.id);
       if (shifts.length === 0) return res.status(404).json({ error: `No shift found for ${currentEmployee} on ${date}` });
 
       if (shifts.length > 1)
@@ -1349,8 +1641,17 @@ app.post('/shifts/swap', async (req, res) => {
 
     if (!targetShiftId) return res.status(400).json({ error: 'Need either shiftId or date' });
 
+    const before = (dayShifts && dayShifts.find((s) => s.id === targetShiftId)) || predictive.getPosted(String(targetShiftId));
     const result = await slingPut(`/shifts/${targetShiftId}`, { user: { id: newUser.id } });
-    res.json({ success: true, message: `Swapped ${currentEmployee} -> ${newEmployee}`, shiftId: targetShiftId, result });
+    invalidateShiftCache(targetShiftId);
+    const predictability = await logShiftChange(targetShiftId, { employeeId: newUser.id, employee: newUser.name }, initiatedBy, 'swap', reason);
+    eventBus.publish(
+      'shift.swapped',
+      { ...shiftEventData(before), shiftId: targetShiftId, employeeId: newUser.id, employee: newUser.name, from: { id: currentUser.id, name: currentUser.name } },
+      { locationId: before && before.locationId }
+    );
+    if (before) checkConflictsAfterChange(before.start);
+    res.json({ success: true, message: `Swapped ${currentUser.name} -> ${newUser.name}`, shiftId: targetShiftId, result, predictability });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1358,11 +1659,13 @@ app.post('/shifts/swap', async (req, res) => {
 
 app.post('/shifts/assign', async (req, res) => {
   try {
-    const { employee, position, date, startTime, endTime, publish } = req.body;
+    const { employee, position, date, startTime, endTime, publish, reason } = req.body;
+    const initiatedBy = changeInitiator(req);
+    if (!initiatedBy) return sendInitiatorError(res);
 
-    const users = await slingGet('/users');
-    const user = findUserByName(users, employee);
-    if (!user) return res.status(404).json({ error: `Employee "${employee}" not found` });
+    const resolved = await resolveEmployee(employee);
+    if (resolved.status !== 'matched') return sendNameError(res, employee, resolved);
+    const user = resolved.match;
 
     const { start, end, dateFormatted } = getDayRange(date);
     const { shifts: allShifts } = await getOrgCalendar(start, end);
@@ -1383,11 +1686,16 @@ app.post('/shifts/assign', async (req, res) => {
     if (matchingUnassigned.length > 0) {
       const shift = matchingUnassigned[0];
       const result = await slingPut(`/shifts/${shift.id}`, { user: { id: user.id } });
+      invalidateShiftCache(shift.id);
+      const predictability = await logShiftChange(shift.id, { employeeId: user.id, employee: user.name }, initiatedBy, 'assign', reason);
+      eventBus.publish('shift.assigned', { ...shiftEventData(shift), employeeId: user.id, employee: user.name }, { locationId: shift.locationId });
+      checkConflictsAfterChange(shift.start);
       return res.json({
         success: true,
-        message: `Assigned ${employee} to existing shift on ${dateFormatted}`,
+        message: `Assigned ${user.name} to existing shift on ${dateFormatted}`,
         shiftId: shift.id,
         result,
+        predictability,
       });
     }
 
@@ -1408,10 +1716,20 @@ app.post('/shifts/assign', async (req, res) => {
     if (positionMatch) shiftBody.position = { id: positionMatch.id };
 
     const result = await slingPost(`/shifts?publish=${publish ? 'true' : 'false'}`, [shiftBody]);
+    calendarCache.invalidate(shiftBody.dtstart, shiftBody.dtend);
+    eventBus.publish('shift.assigned', {
+      shiftIds: (Array.isArray(result) ? result : [result]).map((s) => s && s.id).filter(Boolean),
+      employeeId: user.id,
+      employee: user.name,
+      start: shiftBody.dtstart,
+      end: shiftBody.dtend,
+      created: true,
+    });
+    checkConflictsAfterChange(shiftBody.dtstart);
 
     res.json({
       success: true,
-      message: `Created shift for ${employee} on ${dateFormatted} (${startTime || '07:00'}-${endTime || '15:00'})`,
+      message: `Created shift for ${user.name} on ${dateFormatted} (${startTime || '07:00'}-${endTime || '15:00'})`,
       result,
     });
   } catch (err) {
@@ -1421,8 +1739,22 @@ app.post('/shifts/assign', async (req, res) => {
 
 app.put('/shifts/:id', requireApiKey, async (req, res) => {
   try {
-    const result = await slingPut(`/shifts/${req.params.id}`, req.body);
-    res.json({ success: true, result });
+    const initiatedBy = changeInitiator(req);
+    if (!initiatedBy) return sendInitiatorError(res);
+    const { reason } = req.body;
+    const body = { ...req.body };
+    delete body.initiatedBy;
+    delete body.reason;
+
+    const before = predictive.getPosted(String(req.params.id));
+    const result = await slingPut(`/shifts/${req.params.id}`, body);
+    invalidateShiftCache(req.params.id, body);
+    const patch = shiftPatchFromBody(body);
+    const predictability = await logShiftChange(req.params.id, patch, initiatedBy, 'update', reason);
+    const locationId = (body.location && body.location.id) || (before && before.locationId);
+    eventBus.publish('shift.updated', { ...shiftEventData(before), ...patch, shiftId: Number(req.params.id), locationId: locationId || null }, { locationId });
+    checkConflictsAfterChange(patch.start || (before && before.start));
+    res.json({ success: true, result, predictability });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1430,20 +1762,74 @@ app.put('/shifts/:id', requireApiKey, async (req, res) => {
 
 app.delete('/shifts/:id', requireApiKey, async (req, res) => {
   try {
+    const initiatedBy = changeInitiator(req);
+    if (!initiatedBy) return sendInitiatorError(res);
+
+    const before = predictive.getPosted(String(req.params.id));
     const result = await slingDelete(`/shifts/${req.params.id}`);
-    res.json({ success: true, message: `Shift ${req.params.id} deleted`, result });
+    invalidateShiftCache(req.params.id);
+    const predictability = await logShiftChange(req.params.id, null, initiatedBy, 'delete', (req.body && req.body.reason) || req.query.reason);
+    eventBus.publish('shift.deleted', { ...shiftEventData(before), shiftId: Number(req.params.id) }, { locationId: before && before.locationId });
+    res.json({ success: true, message: `Shift ${req.params.id} deleted`, result, predictability });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Publish gate: RED findings block publishing, ORANGE ones need overrideReason + overriddenBy
+function publishGate(findings, { overrideReason, overriddenBy }) {
+  const red = findings.filter((f) => f.severity === 'RED');
+  const orange = findings.filter((f) => f.severity === 'ORANGE');
+  const yellow = findings.filter((f) => f.severity === 'YELLOW');
+  const report = { red: red.length, orange: orange.length, yellow: yellow.length, findings: [...red, ...orange, ...yellow] };
+
+  if (red.length > 0) {
+    return { allowed: false, status: 'BLOCKED', message: `${red.length} RED violation(s) must be fixed before publishing`, ...report };
+  }
+  if (orange.length > 0 && !(overrideReason && overriddenBy)) {
+    return {
+      allowed: false,
+      status: 'NEEDS_APPROVAL',
+      message: `${orange.length} ORANGE violation(s) need an override: resend with overrideReason and overriddenBy`,
+      ...report,
+    };
+  }
+  const override = orange.length > 0 ? { by: overriddenBy, reason: overrideReason, findings: orange.map(({ rule, type, employee, date, message }) => ({ rule, type, employee, date, message })) } : null;
+  return { allowed: true, status: override ? 'OVERRIDDEN' : 'CLEAR', override, ...report };
+}
+
 app.post('/shifts/publish', async (req, res) => {
   try {
-    const { start, end } = req.body;
+    const { start, end, overrideReason, overriddenBy, dryRun } = req.body;
     if (!start || !end) return res.status(400).json({ error: 'start and end required' });
 
+    const rangeStart = getDayRange(start).start;
+    const rangeEnd = getDayRange(end).end;
+    const gate = publishGate(await collectConflicts(rangeStart, rangeEnd), { overrideReason, overriddenBy });
+    if (dryRun) return res.json({ published: false, period: `${start} to ${end}`, ...gate });
+    if (!gate.allowed) return res.status(409).json({ published: false, period: `${start} to ${end}`, ...gate });
+
     const result = await slingPost(`/shifts/publish?dates=${encodeURIComponent(`${start}/${end}`)}`, {});
-    res.json({ success: true, message: `Published shifts ${start} to ${end}`, result });
+    calendarCache.invalidate(rangeStart, rangeEnd);
+    if (gate.override) console.log(`[publish] ${start} to ${end} published by ${overriddenBy} over ${gate.orange} ORANGE violation(s): ${overrideReason}`);
+
+    // Snapshot what was posted so later changes can be priced for predictability pay
+    let posting = null;
+    let shifts = [];
+    try {
+      ({ shifts } = await getOrgCalendar(rangeStart, rangeEnd));
+    } catch (err) {
+      console.error('[predictive] Could not snapshot published schedule:', err.message);
+    }
+    try {
+      const publication = await predictive.recordPublish(shifts.filter((s) => s.published), { start, end, override: gate.override });
+      posting = { shifts: publication.shiftCount, postedLate: publication.lateNotice.length };
+    } catch (err) {
+      console.error('[predictive] Could not record publish:', err.message);
+    }
+    eventBus.publish('schedule.published', { start, end, shiftCount: shifts.filter((s) => s.published).length, override: gate.override });
+
+    res.json({ success: true, message: `Published shifts ${start} to ${end}`, result, gate: { status: gate.status, orange: gate.orange, yellow: gate.yellow, override: gate.override }, posting });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1453,12 +1839,91 @@ app.post('/shifts/unpublish', async (req, res) => {
   try {
     const { shiftIds } = req.body;
     const result = await slingPost('/shifts/unpublish', shiftIds || []);
+    (shiftIds || []).forEach((id) => invalidateShiftCache(id));
+    eventBus.publish('schedule.unpublished', { shiftIds: shiftIds || [] });
     res.json({ success: true, result });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ============================================================
+// PREDICTIVE SCHEDULING — SF predictability pay (see predictive-scheduling.js)
+// ============================================================
+
+// GET /predictive/report?period=current|previous  (or ?date=DATE, or ?start=&end=)
+app.get('/predictive/report', async (req, res) => {
+  try {
+    let period;
+    if (req.query.start && req.query.end) {
+      period = { start: getDayRange(req.query.start).isoDate, end: getDayRange(req.query.end).isoDate };
+    } else {
+      const today = toISODatePT(new Date());
+      const current = predictive.payPeriod(req.query.date ? getDayRange(req.query.date).isoDate : today);
+      period = req.query.period === 'previous' ? predictive.payPeriod(addDaysToKey(current.start, -1)) : current;
+    }
+    res.json(predictive.report(period));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /publish/log?overridden=true
+app.get('/publish/log', (req, res) => {
+  const publications = predictive.listPublications({ overriddenOnly: req.query.overridden === 'true', limit: parseInt(req.query.limit, 10) || 50 });
+  res.json({ count: publications.length, publications });
+});
+
+app.get('/predictive/status', (req, res) => {
+  res.json(predictive.status());
+});
+
+// ============================================================
+// ATTENDANCE
+// ============================================================
+
+// ?start=&end= (any date getDayRange understands); defaults to the last 30 days
+function attendanceRange(query) {
+  const end = query.end ? getDayRange(query.end).isoDate : toISODatePT(new Date());
+  const start = query.start ? getDayRange(query.start).isoDate : addDaysToKey(end, -29);
+  return { start, end };
+}
+
+// GET /attendance?start=&end= — everyone, least reliable first
+app.get('/attendance', (req, res) => {
+  try {
+    const report = attendance.report(attendanceRange(req.query));
+    res.json({
+      ...report,
+      employees: report.employees.map((e) => ({ ...e, reliability: attendance.reliability(e.employeeId).score })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /attendance/:employee?start=&end= — one employee's events plus their reliability score
+app.get('/attendance/:employee', async (req, res) => {
+  try {
+    const resolved = await resolveEmployee(req.params.employee);
+    if (resolved.status !== 'matched') return sendNameError(res, req.params.employee, resolved);
+
+    const employeeId = resolved.match.id;
+    const period = attendanceRange(req.query);
+    const events = attendance.list({ employeeId, ...period });
+    res.json({
+      employee: roster.nameOf(employeeId),
+      employeeId,
+      period,
+      summary: attendance.summarize(events),
+      reliability: attendance.reliability(employeeId),
+      events,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================
 // SCHEDULING ENGINE v2.0 – NEW ENDPOINTS
 // ============================================================
@@ -1467,10 +1932,9 @@ app.post('/shifts/unpublish', async (req, res) => {
 app.get('/availability/:date', async (req, res) => {
   try {
     const { start, end, dateFormatted, isoDate, isWeekend } = getDayRange(req.params.date);
-    const { shifts, leaves, availability } = await getOrgCalendar(start, end);
+    const [{ shifts, leaves, availability }] = await Promise.all([getOrgCalendar(start, end), roster.ensureFresh()]);
 
-    const employees = Object.entries(EMPLOYEE_NAMES).map(([idStr, name]) => {
-      const uid = parseInt(idStr, 10);
+    const employees = roster.list().map(({ id: uid, displayName: name }) => {
 
       const hasLeave = leaves.find((l) => l.employeeId === uid);
       if (hasLeave) return { userId: uid, name, status: 'ON_LEAVE', windows: [], note: hasLeave.note || '' };
@@ -1508,6 +1972,54 @@ app.get('/availability/:date', async (req, res) => {
   }
 });
 
+// Evaluate every assigned shift starting in [rangeStart, rangeEnd] against the rule engine
+async function collectConflicts(rangeStart, rangeEnd) {
+  const range = rules.contextRange(toISODatePT(rangeStart), toISODatePT(rangeEnd), TZ);
+  const [{ shifts, leaves, availability }] = await Promise.all([getOrgCalendar(range.start, range.end), roster.ensureFresh()]);
+
+  const from = new Date(rangeStart);
+  const to = new Date(rangeEnd);
+  const findings = [];
+  shifts
+    .filter((s) => s.employeeId && new Date(s.start) >= from && new Date(s.start) <= to)
+    .forEach((shift) => {
+      const result = rules.evaluate({
+        mode: 'existing',
+        timeZone: TZ,
+        shift,
+        employee: ruleEmployee(shift.employeeId, shift.employee),
+        shifts,
+        leaves,
+        availability,
+        storeDayOf,
+      });
+      findings.push(...result.findings);
+    });
+
+  const seen = new Set();
+  const conflicts = findings.filter((c) => {
+    const key = `${c.type}-${c.employeeId}-${c.date}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  announceNewConflicts(conflicts, shifts);
+  return conflicts;
+}
+
+// Conflicts already sent to /events/stream, by type-employee-date
+const announcedConflicts = stateStore.set('conflicts-announced', { ttlMs: 30 * DAY_MS });
+
+function announceNewConflicts(conflicts, shifts) {
+  for (const c of conflicts) {
+    const key = `${c.type}-${c.employeeId}-${c.date}`;
+    if (announcedConflicts.has(key)) continue;
+    announcedConflicts.add(key);
+    const shift = c.shiftId ? shifts.find((s) => s.id === c.shiftId) : null;
+    eventBus.publish('conflict.new', c, { locationId: shift && shift.locationId });
+  }
+}
+
 // GET /conflicts
 app.get('/conflicts', async (req, res) => {
   try {
@@ -1518,97 +2030,14 @@ app.get('/conflicts', async (req, res) => {
     endDate.setDate(now.getDate() + days);
     endDate.setHours(23, 59, 59, 999);
 
-    const { shifts, leaves, availability } = await getOrgCalendar(now.toISOString(), endDate.toISOString());
-
-    const conflicts = [];
-
-    const leaveByUserDate = {};
-    leaves.forEach((l) => {
-      const s = new Date(l.start);
-      const e = new Date(l.end);
-      for (let d = new Date(s); d <= e; d.setDate(d.getDate() + 1)) {
-        leaveByUserDate[`${l.employeeId}-${d.toDateString()}`] = l;
-      }
-    });
-
-    const availByUserDate = {};
-    availability.forEach((a) => {
-      const key = `${a.employeeId}-${new Date(a.start).toDateString()}`;
-      if (!availByUserDate[key]) availByUserDate[key] = [];
-      availByUserDate[key].push(a);
-    });
-
-    const assignedShifts = shifts.filter((s) => s.employeeId);
-
-    assignedShifts.forEach((shift) => {
-      const uid = shift.employeeId;
-      const shiftDateStr = new Date(shift.start).toDateString();
-      const shiftDate = toISODatePT(new Date(shift.start));
-      const empName = shift.employee;
-
-      if (leaveByUserDate[`${uid}-${shiftDateStr}`]) {
-        conflicts.push({
-          type: 'LEAVE_CONFLICT',
-          severity: 'RED',
-          employee: empName,
-          employeeId: uid,
-          date: shiftDate,
-          message: `${empName} scheduled on ${shiftDate} but has approved leave.`,
-        });
-      }
-
-      const avails = availByUserDate[`${uid}-${shiftDateStr}`];
-      if (avails && avails.length > 0 && !avails.some((a) => a.fullDay)) {
-        const fits = avails.some((a) => new Date(shift.start) >= new Date(a.start) && new Date(shift.end) <= new Date(a.end));
-        if (!fits) {
-          const windows = avails.map((a) => `${formatTimePT(a.start)}-${formatTimePT(a.end)}`);
-          conflicts.push({
-            type: 'AVAILABILITY_CONFLICT',
-            severity: 'RED',
-            employee: empName,
-            employeeId: uid,
-            date: shiftDate,
-            message: `${empName} scheduled outside availability on ${shiftDate}. Windows: ${windows.join(', ')}`,
-          });
-        }
-      }
-
-      if (CROSS_LOCATION_POOL.includes(uid)) {
-        const sameDay = assignedShifts.filter(
-          (s) =>
-            s.employeeId === uid &&
-            new Date(s.start).toDateString() === shiftDateStr &&
-            s.locationId !== shift.locationId &&
-            s.locationId &&
-            shift.locationId
-        );
-
-        if (sameDay.length > 0 && shift.locationId === LOCATIONS.CLEMENT) {
-          conflicts.push({
-            type: 'CROSS_LOCATION_CONFLICT',
-            severity: 'RED',
-            employee: empName,
-            employeeId: uid,
-            date: shiftDate,
-            message: `${empName} scheduled at BOTH locations on ${shiftDate}.`,
-          });
-        }
-      }
-    });
-
-    const seen = new Set();
-    const unique = conflicts.filter((c) => {
-      const key = `${c.type}-${c.employeeId}-${c.date}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+    const conflicts = await collectConflicts(now, endDate);
 
     res.json({
       period: `${toISODatePT(now)} to ${toISODatePT(endDate)}`,
       days,
-      conflictCount: unique.length,
-      conflicts: unique.sort((a, b) => a.date.localeCompare(b.date)),
+      conflictCount: conflicts.length,
+      premiumCost: Math.round(conflicts.reduce((sum, c) => sum + (c.premiumCost || 0), 0) * 100) / 100,
+      conflicts: conflicts.sort((a, b) => a.date.localeCompare(b.date)),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1619,15 +2048,16 @@ app.get('/conflicts', async (req, res) => {
 app.get('/weekly-hours/:userId', async (req, res) => {
   try {
     const userId = parseInt(req.params.userId, 10);
-    const empName = EMPLOYEE_NAMES[userId] || `ID:${userId}`;
+    await roster.ensureFresh();
+    const empName = roster.nameOf(userId);
 
     const { start, end } = getWeekRange(req.query.week || 'today');
     const { shifts } = await getOrgCalendar(start, end);
     const empShifts = shifts.filter((s) => s.employeeId === userId);
 
+    const { maxWeeklyHours } = rules.getRuleConfig('HOURS-001');
     let totalHours = 0;
-    let clementHours = 0;
-    let ninthHours = 0;
+    const hoursByLocation = Object.fromEntries(locations.withSling().map((l) => [l.key, 0]));
 
     const dailyBreakdown = {};
     empShifts.forEach((s) => {
@@ -1636,8 +2066,8 @@ app.get('/weekly-hours/:userId', async (req, res) => {
 
       totalHours += hours;
 
-      if (s.locationId === LOCATIONS.CLEMENT || (s.location || '').includes('Clement')) clementHours += hours;
-      else if (s.locationId === LOCATIONS.NINTH || (s.location || '').includes('9th')) ninthHours += hours;
+      const location = locations.ofShift(s);
+      if (location && location.key in hoursByLocation) hoursByLocation[location.key] += hours;
 
       if (!dailyBreakdown[dateKey]) dailyBreakdown[dateKey] = { shifts: [], totalHours: 0 };
 
@@ -1661,11 +2091,10 @@ app.get('/weekly-hours/:userId', async (req, res) => {
       employeeId: userId,
       weekOf: start.slice(0, 10),
       totalHours: Math.round(totalHours * 100) / 100,
-      clementHours: Math.round(clementHours * 100) / 100,
-      ninthStHours: Math.round(ninthHours * 100) / 100,
-      maxWeeklyHours: MAX_WEEKLY_HOURS,
-      remainingBeforeOT: Math.round(Math.max(0, MAX_WEEKLY_HOURS - totalHours) * 100) / 100,
-      wouldExceedCap: totalHours > MAX_WEEKLY_HOURS,
+      hoursByLocation: Object.fromEntries(Object.entries(hoursByLocation).map(([key, h]) => [key, Math.round(h * 100) / 100])),
+      maxWeeklyHours,
+      remainingBeforeOT: Math.round(Math.max(0, maxWeeklyHours - totalHours) * 100) / 100,
+      wouldExceedCap: totalHours > maxWeeklyHours,
       shiftCount: empShifts.length,
       dailyBreakdown,
     });
@@ -1674,72 +2103,75 @@ app.get('/weekly-hours/:userId', async (req, res) => {
   }
 });
 
-// GET /schedule/coverage/:date
+// GET /schedule/coverage/:date — half-hourly head-count per Sling store, in each store's local time
 app.get('/schedule/coverage/:date', async (req, res) => {
   try {
-    const { start, end, dateFormatted, isWeekend } = getDayRange(req.params.date);
+    const { start, end, dateFormatted, isoDate, isWeekend } = getDayRange(req.params.date);
     const { shifts } = await getOrgCalendar(start, end);
+    const stores = locations.withSling();
+    const plans = Object.fromEntries(stores.map((l) => [l.key, storeCalendar.dayPlan(l, isoDate)]));
+    const isOpenAt = (l, min) => plans[l.key].hours && min >= plans[l.key].hours.open && min < plans[l.key].hours.close;
+
+    const rows = new Map(); // "HH:MM" -> { time, [location key]: { count, employees } }
+    for (const l of stores) {
+      const atStore = shifts.filter((s) => locations.ofShift(s) === l);
+      for (let min = 6 * 60; min < 19 * 60; min += 30) {
+        const at = zonedTime(isoDate, min, l.timeZone);
+        const onFloor = atStore.filter((s) => new Date(s.start) <= at && new Date(s.end) > at);
+        // Open hours are listed even when nobody is on, so an empty floor shows up
+        if (onFloor.length === 0 && !isOpenAt(l, min)) continue;
+
+        const time = `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+        if (!rows.has(time)) rows.set(time, { time, ...Object.fromEntries(stores.map((x) => [x.key, { count: 0, employees: [] }])) });
+        rows.get(time)[l.key] = {
+          count: onFloor.length,
+          employees: onFloor.map((s) => ({ name: s.employee, position: s.position })),
+        };
+      }
+    }
+    const hours = [...rows.values()].sort((a, b) => a.time.localeCompare(b.time));
 
-    const hours = [];
-    for (let h = 6; h <= 18; h++) {
-      for (let m = 0; m < 60; m += 30) {
-        const timeStr = `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
-        const timeDate = new Date(start);
-        timeDate.setHours(h, m, 0, 0);
-
-        const clementOnFloor = shifts.filter(
-          (s) => (s.location || '').includes('Clement') && new Date(s.start) <= timeDate && new Date(s.end) > timeDate
-        );
-        const ninthOnFloor = shifts.filter(
-          (s) => (s.location || '').includes('9th') && new Date(s.start) <= timeDate && new Date(s.end) > timeDate
-        );
-
-        if (clementOnFloor.length > 0 || ninthOnFloor.length > 0) {
-          hours.push({
-            time: timeStr,
-            clement: {
-              count: clementOnFloor.length,
-              employees: clementOnFloor.map((s) => ({ name: s.employee, position: s.position })),
-            },
-            ninthSt: {
-              count: ninthOnFloor.length,
-              employees: ninthOnFloor.map((s) => ({ name: s.employee, position: s.position })),
-            },
-          });
+    // Closed days (Thanksgiving) expect nobody; stores without hours on file are only checked while staffed
+    const warnings = [];
+    for (const h of hours) {
+      const [hh, mm] = h.time.split(':').map(Number);
+      for (const l of stores) {
+        const plan = plans[l.key];
+        const { count } = h[l.key];
+        if (plan.closed) continue;
+        if (plan.hours ? !isOpenAt(l, hh * 60 + mm) : count === 0) continue;
+        if (count < plan.minStaff) {
+          const staff = count === 0 ? 'no staff' : `${count} staff`;
+          warnings.push({ time: h.time, location: l.key, issue: `${l.shortName}: ${staff} (min: ${plan.minStaff})` });
         }
       }
     }
 
-    const clementMin = COVERAGE_MINS[isWeekend ? 'CLEMENT_WEEKEND' : 'CLEMENT_WEEKDAY'];
-    const ninthMin = COVERAGE_MINS[isWeekend ? 'NINTH_WEEKEND' : 'NINTH_WEEKDAY'];
-
-    const warnings = hours
-      .filter((h) => (h.clement.count > 0 && h.clement.count < clementMin) || (h.ninthSt.count > 0 && h.ninthSt.count < ninthMin))
-      .map((h) => ({
-        time: h.time,
-        issue:
-          h.clement.count > 0 && h.clement.count < clementMin
-            ? `Clement: ${h.clement.count} staff (min: ${clementMin})`
-            : `9th St: ${h.ninthSt.count} staff (min: ${ninthMin})`,
-      }));
-
-    const cc = hours.filter((h) => h.clement.count > 0).map((h) => h.clement.count);
-    const nc = hours.filter((h) => h.ninthSt.count > 0).map((h) => h.ninthSt.count);
+    const byLocation = {};
+    for (const l of stores) {
+      const plan = plans[l.key];
+      const counts = hours.filter((h) => h[l.key].count > 0).map((h) => h[l.key].count);
+      byLocation[l.key] = {
+        name: l.name,
+        closed: plan.closed,
+        hours: plan.hours ? `${formatMinutes(plan.hours.open)}-${formatMinutes(plan.hours.close)}` : null,
+        dayType: plan.dayType,
+        note: plan.note,
+        minStaff: plan.minStaff,
+        peak: counts.length ? Math.max(...counts) : 0,
+        min: counts.length ? Math.min(...counts) : 0,
+      };
+    }
 
     res.json({
       date: dateFormatted,
       isWeekend,
       coverage: hours,
       warnings,
-      summary: {
-        clementPeak: cc.length ? Math.max(...cc) : 0,
-        clementMin: cc.length ? Math.min(...cc) : 0,
-        ninthStPeak: nc.length ? Math.max(...nc) : 0,
-        warningCount: warnings.length,
-      },
+      summary: { byLocation, warningCount: warnings.length },
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -1747,7 +2179,8 @@ app.get('/schedule/coverage/:date', async (req, res) => {
 app.get('/schedule/consecutive/:userId', async (req, res) => {
   try {
     const userId = parseInt(req.params.userId, 10);
-    const empName = EMPLOYEE_NAMES[userId] || `ID:${userId}`;
+    await roster.ensureFresh();
+    const empName = roster.nameOf(userId);
 
     const centerDate = req.query.date ? new Date(getDayRange(req.query.date).start) : new Date();
 
@@ -1784,6 +2217,9 @@ app.get('/schedule/consecutive/:userId', async (req, res) => {
     if (activeStreak.length > longestStreak.length) longestStreak = [...activeStreak];
     if (activeStreak.some((d) => d === toISODatePT(centerDate))) centerStreak = [...activeStreak];
 
+    const { maxDays } = rules.getRuleConfig('CONSEC-001');
+    const { warnDays } = rules.getRuleConfig('CONSEC-002');
+
     res.json({
       employee: empName,
       employeeId: userId,
@@ -1793,8 +2229,8 @@ app.get('/schedule/consecutive/:userId', async (req, res) => {
       longestStreak: longestStreak.length,
       longestStreakDates: longestStreak,
       violations: {
-        hardBlock: centerStreak.length >= MAX_CONSECUTIVE_DAYS,
-        needsApproval: centerStreak.length >= WARN_CONSECUTIVE_DAYS && centerStreak.length < MAX_CONSECUTIVE_DAYS,
+        hardBlock: centerStreak.length >= maxDays,
+        needsApproval: centerStreak.length >= warnDays && centerStreak.length < maxDays,
       },
       workDatesInRange: [...workDates].map((d) => toISODatePT(new Date(d))).sort(),
     });
@@ -1803,141 +2239,60 @@ app.get('/schedule/consecutive/:userId', async (req, res) => {
   }
 });
 
+// GET /rules
+app.get('/rules', (req, res) => {
+  const list = rules.listRules();
+  res.json({ count: list.length, rules: list });
+});
+
 // POST /schedule/validate
 app.post('/schedule/validate', async (req, res) => {
   try {
     const { employeeId, employee, date, startTime, endTime, location } = req.body;
 
-    const userId = employeeId ? parseInt(employeeId, 10) : resolveEmployeeId(employee);
-    if (!userId) return res.status(400).json({ error: `Employee not found: ${employee || employeeId}` });
+    if (!employeeId && !employee) return res.status(400).json({ error: 'employee or employeeId required' });
     if (!date) return res.status(400).json({ error: 'date required' });
 
-    const empName = EMPLOYEE_NAMES[userId] || `ID:${userId}`;
-    const { start, end, isoDate } = getDayRange(date);
-
-    const violations = [];
-    const warnings = [];
-
-    let targetLocId = LOCATIONS.CLEMENT;
-    if (location) {
-      if (typeof location === 'string' && location.toLowerCase().includes('9th')) targetLocId = LOCATIONS.NINTH;
-      else if (typeof location === 'number') targetLocId = location;
-    }
-
-    // GATE 1: Availability + Leave
-    const { shifts: dayShifts, leaves: dayLeaves, availability: dayAvails } = await getOrgCalendar(start, end);
-
-    const hasLeave = dayLeaves.find((l) => l.employeeId === userId);
-    if (hasLeave) violations.push({ rule: 'LEAVE-001', severity: 'RED', message: `${empName} has approved leave on ${isoDate}.` });
-
-    const empAvails = dayAvails.filter((a) => a.employeeId === userId);
-    if (empAvails.length > 0 && startTime && endTime) {
-      if (!empAvails.some((a) => a.fullDay)) {
-        const [sh, sm] = startTime.split(':').map(Number);
-        const [eh, em] = endTime.split(':').map(Number);
-        const shiftStartMin = sh * 60 + (sm || 0);
-        const shiftEndMin = eh * 60 + (em || 0);
-
-        const fitsAny = empAvails.some((a) => {
-          const aS = new Date(a.start);
-          const aE = new Date(a.end);
-          return (
-            shiftStartMin >= aS.getHours() * 60 + aS.getMinutes() &&
-            shiftEndMin <= aE.getHours() * 60 + aE.getMinutes()
-          );
-        });
-
-        if (!fitsAny) {
-          const windows = empAvails.map((a) => `${formatTimePT(a.start)}-${formatTimePT(a.end)}`);
-          violations.push({
-            rule: 'AVAIL-001',
-            severity: 'RED',
-            message: `${empName} not available for ${startTime}-${endTime} on ${isoDate}. Windows: ${windows.join(', ')}`,
-          });
-        }
-      }
-    } else if (empAvails.length === 0 && !hasLeave) {
-      warnings.push({ rule: 'AVAIL-FALLBACK', severity: 'YELLOW', message: `${empName} has not submitted availability for ${isoDate}.` });
-    }
-
-    // GATE 2: Cross-location
-    if (CROSS_LOCATION_POOL.includes(userId)) {
-      const otherLocId = targetLocId === LOCATIONS.CLEMENT ? LOCATIONS.NINTH : LOCATIONS.CLEMENT;
-
-      const otherLocShift = dayShifts.find(
-        (s) =>
-          s.employeeId === userId &&
-          (s.locationId === otherLocId ||
-            (otherLocId === LOCATIONS.NINTH && (s.location || '').includes('9th')) ||
-            (otherLocId === LOCATIONS.CLEMENT && (s.location || '').includes('Clement')))
-      );
-
-      if (otherLocShift) violations.push({ rule: 'XLOC-001', severity: 'RED', message: `${empName} already scheduled at ${LOCATION_NAMES[otherLocId]} on ${isoDate}.` });
-    }
-
-    // GATE 3: Weekly hours
-    const { start: weekStart, end: weekEnd } = getWeekRange(isoDate);
-    const { shifts: weekShifts } = await getOrgCalendar(weekStart, weekEnd);
+    const resolved = await resolveEmployee(employeeId || employee);
+    if (resolved.status !== 'matched') return sendNameError(res, employeeId || employee, resolved, employeeId ? 'employeeId' : 'employee');
+    const userId = resolved.match.id;
 
-    const weeklyHours = weekShifts
-      .filter((s) => s.employeeId === userId)
-      .reduce((sum, s) => sum + (s.duration || (new Date(s.end) - new Date(s.start)) / 3600000), 0);
+    const empName = roster.nameOf(userId);
+    const { isoDate } = getDayRange(date);
+    // The first Sling store in the registry unless one is named
+    const targetLocId = location ? resolveLocationId(location) : locations.withSling()[0].slingLocationId;
+    const target = locations.get(targetLocId);
 
-    let proposedHours = 0;
+    const proposed = {
+      employeeId: userId,
+      employee: empName,
+      date: isoDate,
+      locationId: targetLocId,
+      location: target ? target.name : null,
+    };
     if (startTime && endTime) {
-      const [sh, sm] = startTime.split(':').map(Number);
-      const [eh, em] = endTime.split(':').map(Number);
-      proposedHours = (eh * 60 + (em || 0) - (sh * 60 + (sm || 0))) / 60;
-    }
-
-    const projectedHours = weeklyHours + proposedHours;
-    if (projectedHours > MAX_WEEKLY_HOURS) {
-      violations.push({
-        rule: 'HOURS-001',
-        severity: 'ORANGE',
-        message: `${empName} would have ${projectedHours.toFixed(1)}hrs this week (max: ${MAX_WEEKLY_HOURS}).`,
-        currentHours: Math.round(weeklyHours * 100) / 100,
-        projectedHours: Math.round(projectedHours * 100) / 100,
-      });
-    }
-
-    // GATE 4: Consecutive days
-    const streakStart = new Date(start);
-    streakStart.setDate(streakStart.getDate() - 8);
-    const streakEnd = new Date(start);
-    streakEnd.setDate(streakEnd.getDate() + 8);
-
-    const { shifts: streakShifts } = await getOrgCalendar(streakStart.toISOString(), streakEnd.toISOString());
-
-    const workDates = new Set(streakShifts.filter((s) => s.employeeId === userId).map((s) => new Date(s.start).toDateString()));
-    workDates.add(new Date(start).toDateString());
-
-    let streak = 1;
-    let checkDate = new Date(start);
-    while (true) {
-      checkDate.setDate(checkDate.getDate() - 1);
-      if (workDates.has(checkDate.toDateString())) streak++;
-      else break;
-    }
-
-    checkDate = new Date(start);
-    while (true) {
-      checkDate.setDate(checkDate.getDate() + 1);
-      if (workDates.has(checkDate.toDateString())) streak++;
-      else break;
+      proposed.start = toISOTimePT(isoDate, startTime);
+      proposed.end = toISOTimePT(isoDate, endTime);
     }
 
-    if (streak >= MAX_CONSECUTIVE_DAYS) violations.push({ rule: 'CONSEC-001', severity: 'RED', message: `${empName} would work ${streak} consecutive days. HARD BLOCK.`, consecutiveDays: streak });
-    else if (streak >= WARN_CONSECUTIVE_DAYS) violations.push({ rule: 'CONSEC-002', severity: 'ORANGE', message: `${empName} would work ${streak} consecutive days. Requires approval.`, consecutiveDays: streak });
+    const range = rules.contextRange(isoDate, isoDate, TZ);
+    const { shifts, leaves, availability } = await getOrgCalendar(range.start, range.end);
+    const { findings, facts } = rules.evaluate({
+      mode: 'proposed',
+      timeZone: TZ,
+      shift: proposed,
+      employee: ruleEmployee(userId, empName),
+      shifts,
+      leaves,
+      availability,
+      storeDayOf,
+    });
 
+    const violations = findings.filter((f) => f.severity !== 'YELLOW');
+    const warnings = findings.filter((f) => f.severity === 'YELLOW');
     const redV = violations.filter((v) => v.severity === 'RED');
     const orangeV = violations.filter((v) => v.severity === 'ORANGE');
-
-    let status;
-    if (redV.length > 0) status = 'BLOCKED';
-    else if (orangeV.length > 0) status = 'NEEDS_APPROVAL';
-    else if (warnings.length > 0) status = 'UNCONFIRMED';
-    else status = 'APPROVED';
+    const status = rules.summarize(findings);
 
     res.json({
       status,
@@ -1945,12 +2300,15 @@ app.post('/schedule/validate', async (req, res) => {
       employeeId: userId,
       date: isoDate,
       proposedShift: startTime && endTime ? `${startTime}-${endTime}` : 'unspecified',
-      location: LOCATION_NAMES[targetLocId] || 'Unknown',
+      location: target ? target.name : 'Unknown',
       violations,
       warnings,
-      weeklyHours: Math.round(weeklyHours * 100) / 100,
-      projectedHours: Math.round(projectedHours * 100) / 100,
-      consecutiveDays: streak,
+      weeklyHours: facts.weeklyHours ?? null,
+      projectedHours: facts.projectedHours ?? null,
+      consecutiveDays: facts.consecutiveDays ?? null,
+      dailyHours: facts.dailyHours ?? null,
+      restGapHours: facts.restGapHours ?? null,
+      premium: facts.premium || { overtimeHours: 0, doubleTimeHours: 0, cost: 0 },
       summary:
         status === 'BLOCKED'
           ? `BLOCKED: ${redV.map((v) => v.rule).join(', ')}`
@@ -1961,7 +2319,7 @@ app.post('/schedule/validate', async (req, res) => {
           : `${empName} passes all checks for ${isoDate}`,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -2005,7 +2363,7 @@ app.post('/command', async (req, res) => {
       return res.json({ date: dateFormatted, working });
     }
 
-    const valMatch = lower.match(/validate\s+(\w+)\s+(?:for|on)\s+(.+)/);
+    const valMatch = lower.match(/validate\s+([\p{L}-]+)\s+(?:for|on)\s+(.+)/u);
     if (valMatch) {
       const [, emp, date] = valMatch;
       const valRes = await fetch(`http://127.0.0.1:${PORT}/schedule/validate`, {
@@ -2016,11 +2374,12 @@ app.post('/command', async (req, res) => {
       return res.json(await valRes.json());
     }
 
-    const hoursMatch = lower.match(/hours\s+(?:for\s+)?(\w+)/);
+    const hoursMatch = lower.match(/hours\s+(?:for\s+)?([\p{L}-]+)/u);
     if (hoursMatch) {
-      const uid = resolveEmployeeId(hoursMatch[1]);
-      if (uid) {
-        const hoursRes = await fetch(`http://127.0.0.1:${PORT}/weekly-hours/${uid}`);
+      const resolved = await resolveEmployee(hoursMatch[1]);
+      if (resolved.status === 'ambiguous') return sendNameError(res, hoursMatch[1], resolved);
+      if (resolved.match) {
+        const hoursRes = await fetch(`http://127.0.0.1:${PORT}/weekly-hours/${resolved.match.id}`);
         return res.json(await hoursRes.json());
       }
     }
@@ -2036,7 +2395,7 @@ app.post('/command', async (req, res) => {
       return res.json(await covRes.json());
     }
 
-    const swapMatch = lower.match(/(?:swap|replace|switch)\s+(\w+)\s+(?:with|for|->)\s+(\w+)\s+(?:on\s+)?(\w+)/);
+    const swapMatch = lower.match(/(?:swap|replace|switch)\s+([\p{L}-]+)\s+(?:with|for|->)\s+([\p{L}-]+)\s+(?:on\s+)?(\w+)/u);
     if (swapMatch) {
       const [, currentEmp, newEmp, date] = swapMatch;
       const swapRes = await fetch(`http://127.0.0.1:${PORT}/shifts/swap`, {
@@ -2047,7 +2406,7 @@ app.post('/command', async (req, res) => {
       return res.json(await swapRes.json());
     }
 
-    const assignMatch = lower.match(/(?:schedule|assign|add|put)\s+(\w+)\s+(?:for|as|to)\s+(\w+)\s+(?:on\s+)?(\w+)/);
+    const assignMatch = lower.match(/(?:schedule|assign|add|put)\s+([\p{L}-]+)\s+(?:for|as|to)\s+(\w+)\s+(?:on\s+)?(\w+)/u);
     if (assignMatch) {
       const [, emp, position, date] = assignMatch;
       const assignRes = await fetch(`http://127.0.0.1:${PORT}/shifts/assign`, {
@@ -2058,11 +2417,12 @@ app.post('/command', async (req, res) => {
       return res.json(await assignRes.json());
     }
 
-    const consecMatch = lower.match(/(?:consecutive|streak)\s+(?:for\s+)?(\w+)/);
+    const consecMatch = lower.match(/(?:consecutive|streak)\s+(?:for\s+)?([\p{L}-]+)/u);
     if (consecMatch) {
-      const uid = resolveEmployeeId(consecMatch[1]);
-      if (uid) {
-        const consecRes = await fetch(`http://127.0.0.1:${PORT}/schedule/consecutive/${uid}`);
+      const resolved = await resolveEmployee(consecMatch[1]);
+      if (resolved.status === 'ambiguous') return sendNameError(res, consecMatch[1], resolved);
+      if (resolved.match) {
+        const consecRes = await fetch(`http://127.0.0.1:${PORT}/schedule/consecutive/${resolved.match.id}`);
         return res.json(await consecRes.json());
       }
     }
@@ -2085,16 +2445,27 @@ const SLACK_CHANNEL = 'C0AELGYN2LC';
 const OPS_CHANNEL = 'C0AEKJ5UFE0';
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
 
-let _lastPostedDate = null;
-
 // ─── BLOCK KIT HELPERS ──────────────────────────────────────
 
-function fmtTimePT(isoStr) {
+function fmtTimePT(isoStr, timeZone = 'America/Los_Angeles') {
   return new Date(isoStr).toLocaleTimeString('en-US', {
-    hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles',
+    hour: 'numeric', minute: '2-digit', timeZone,
   });
 }
 
+// Shifts per Sling store in registry order, earliest first; shifts at no known store come last
+function groupShiftsByStore(shifts) {
+  const other = { key: 'other', name: 'Other', shortName: 'Other', emoji: '📍', timeZone: TZ };
+  const groups = [...locations.withSling(), other].map((location) => ({ location, shifts: [] }));
+  for (const s of shifts) {
+    const location = locations.ofShift(s);
+    (groups.find((g) => g.location === location) || groups[groups.length - 1]).shifts.push(s);
+  }
+  return groups
+    .filter((g) => g.shifts.length > 0)
+    .map((g) => ({ ...g, shifts: [...g.shifts].sort((a, b) => a.start.localeCompare(b.start)) }));
+}
+
 function fmtDatePT(isoStr, opts = {}) {
   return new Date(isoStr).toLocaleDateString('en-US', {
     timeZone: 'America/Los_Angeles', weekday: 'long', month: 'short', day: 'numeric', ...opts,
@@ -2110,9 +2481,8 @@ function nowPT() {
 // ─── 1. DAILY SCHEDULE BLOCKS ───────────────────────────────
 
 function formatScheduleBlocks(dateStr, shifts) {
-  const clementShifts = shifts.filter((s) => (s.location || '').includes('Clement'));
-  const ninthShifts = shifts.filter((s) => (s.location || '').includes('9th'));
-  const totalShifts = clementShifts.length + ninthShifts.length;
+  const stores = groupShiftsByStore(shifts);
+  const totalShifts = stores.reduce((sum, g) => sum + g.shifts.length, 0);
 
   const fallback = `📋 Schedule for ${dateStr} — ${totalShifts} shifts`;
 
@@ -2120,20 +2490,18 @@ function formatScheduleBlocks(dateStr, shifts) {
     { type: 'header', text: { type: 'plain_text', text: `📋 Schedule for ${dateStr}`, emoji: true } },
   ];
 
-  // Clement location
-  if (clementShifts.length > 0) {
+  for (const { location, shifts: storeShifts } of stores) {
     blocks.push({ type: 'divider' });
     blocks.push({
       type: 'section',
-      text: { type: 'mrkdwn', text: `*☕ Clement Pixlcat* — ${clementShifts.length} shift${clementShifts.length !== 1 ? 's' : ''}` },
+      text: { type: 'mrkdwn', text: `*${location.emoji} ${location.name}* — ${storeShifts.length} shift${storeShifts.length !== 1 ? 's' : ''}` },
     });
 
-    clementShifts.sort((a, b) => a.start.localeCompare(b.start));
     const fields = [];
-    for (const s of clementShifts) {
+    for (const s of storeShifts) {
       fields.push(
         { type: 'mrkdwn', text: `*${s.employee}*\n${s.position || 'TBD'}` },
-        { type: 'mrkdwn', text: `${fmtTimePT(s.start)} – ${fmtTimePT(s.end)}` }
+        { type: 'mrkdwn', text: `${fmtTimePT(s.start, location.timeZone)} – ${fmtTimePT(s.end, location.timeZone)}` }
       );
     }
     // Slack limits 10 fields per section block
@@ -2142,27 +2510,6 @@ function formatScheduleBlocks(dateStr, shifts) {
     }
   }
 
-  // 9th St location
-  if (ninthShifts.length > 0) {
-    blocks.push({ type: 'divider' });
-    blocks.push({
-      type: 'section',
-      text: { type: 'mrkdwn', text: `*🏠 9th St Pixlcat* — ${ninthShifts.length} shift${ninthShifts.length !== 1 ? 's' : ''}` },
-    });
-
-    ninthShifts.sort((a, b) => a.start.localeCompare(b.start));
-    const fields = [];
-    for (const s of ninthShifts) {
-      fields.push(
-        { type: 'mrkdwn', text: `*${s.employee}*\n${s.position || 'TBD'}` },
-        { type: 'mrkdwn', text: `${fmtTimePT(s.start)} – ${fmtTimePT(s.end)}` }
-      );
-    }
-    for (let i = 0; i < fields.length; i += 10) {
-      blocks.push({ type: 'section', fields: fields.slice(i, i + 10) });
-    }
-  }
-
   if (totalShifts === 0) {
     blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No shifts scheduled._' } });
   }
@@ -2189,8 +2536,6 @@ function formatWeekBlocks(weekLabel, daySchedules) {
 
   for (const day of daySchedules) {
     const { dateFormatted, shifts, isWeekend } = day;
-    const clementShifts = shifts.filter((s) => (s.location || '').includes('Clement'));
-    const ninthShifts = shifts.filter((s) => (s.location || '').includes('9th'));
     const dayIcon = isWeekend ? '🔥' : '📌';
 
     blocks.push({ type: 'divider' });
@@ -2199,16 +2544,9 @@ function formatWeekBlocks(weekLabel, daySchedules) {
       text: { type: 'mrkdwn', text: `${dayIcon} *${dateFormatted}* — ${shifts.length} shift${shifts.length !== 1 ? 's' : ''}` },
     });
 
-    if (clementShifts.length > 0) {
-      clementShifts.sort((a, b) => a.start.localeCompare(b.start));
-      const lines = clementShifts.map((s) => `${s.employee} _(${s.position || 'TBD'})_ · ${fmtTimePT(s.start)}–${fmtTimePT(s.end)}`);
-      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*☕ Clement*\n${lines.join('\n')}` } });
-    }
-
-    if (ninthShifts.length > 0) {
-      ninthShifts.sort((a, b) => a.start.localeCompare(b.start));
-      const lines = ninthShifts.map((s) => `${s.employee} _(${s.position || 'TBD'})_ · ${fmtTimePT(s.start)}–${fmtTimePT(s.end)}`);
-      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*🏠 9th St*\n${lines.join('\n')}` } });
+    for (const { location, shifts: storeShifts } of groupShiftsByStore(shifts)) {
+      const lines = storeShifts.map((s) => `${s.employee} _(${s.position || 'TBD'})_ · ${fmtTimePT(s.start, location.timeZone)}–${fmtTimePT(s.end, location.timeZone)}`);
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${location.emoji} ${location.shortName}*\n${lines.join('\n')}` } });
     }
 
     if (shifts.length === 0) {
@@ -2259,8 +2597,11 @@ function formatConflictBlocks(conflicts, period) {
     for (const c of items) {
       const icon = c.type === 'LEAVE_CONFLICT' || c.type === 'leave_conflict' ? '🛑'
         : c.type === 'AVAILABILITY_CONFLICT' || c.type === 'availability_conflict' ? '⚠️'
-        : c.type === 'CROSS_LOCATION' || c.type === 'cross_location' ? '🔄'
+        : c.type === 'CROSS_LOCATION' || c.type === 'CROSS_LOCATION_CONFLICT' || c.type === 'cross_location' ? '🔄'
+        : c.type === 'DOUBLE_BOOKED' ? '⛔'
         : c.type === 'OVERTIME_RISK' || c.type === 'overtime_risk' ? '⏰'
+        : c.type === 'DAILY_OVERTIME' || c.type === 'DAILY_DOUBLE_TIME' || c.type === 'SEVENTH_DAY_PREMIUM' ? '💸'
+        : c.type === 'INSUFFICIENT_REST' ? '😴'
         : c.type === 'CONSECUTIVE_DAYS' || c.type === 'consecutive_days' ? '📆'
         : '❓';
 
@@ -2286,8 +2627,7 @@ function formatHoursBlocks(data) {
   const name = data.employee || data.name || 'Employee';
   const total = (data.totalHours || 0).toFixed(1);
   const remaining = data.remainingBeforeOT != null ? parseFloat(data.remainingBeforeOT).toFixed(1) : (40 - parseFloat(total)).toFixed(1);
-  const clement = (data.clementHours || 0).toFixed(1);
-  const ninth = (data.ninthStHours || data.ninthHours || 0).toFixed(1);
+  const byLocation = data.hoursByLocation || {};
 
   const fallback = `⏱️ ${name}: ${total}h this week (${remaining}h remaining)`;
 
@@ -2298,8 +2638,9 @@ function formatHoursBlocks(data) {
       fields: [
         { type: 'mrkdwn', text: `*Total Hours*\n${total}h` },
         { type: 'mrkdwn', text: `*Remaining*\n${remaining}h` },
-        { type: 'mrkdwn', text: `*☕ Clement*\n${clement}h` },
-        { type: 'mrkdwn', text: `*🏠 9th St*\n${ninth}h` },
+        ...locations
+          .withSling()
+          .map((l) => ({ type: 'mrkdwn', text: `*${l.emoji} ${l.shortName}*\n${(byLocation[l.key] || 0).toFixed(1)}h` })),
       ],
     },
   ];
@@ -2321,8 +2662,6 @@ function formatHoursBlocks(data) {
 // ─── 5. WHO'S WORKING BLOCKS ────────────────────────────────
 
 function formatWhosWorkingBlocks(dateFormatted, shifts) {
-  const clementShifts = shifts.filter((s) => (s.location || '').includes('Clement'));
-  const ninthShifts = shifts.filter((s) => (s.location || '').includes('9th'));
   const working = shifts.filter((s) => s.employeeId);
 
   const fallback = `Working ${dateFormatted}: ${working.length} employees`;
@@ -2331,20 +2670,12 @@ function formatWhosWorkingBlocks(dateFormatted, shifts) {
     { type: 'header', text: { type: 'plain_text', text: `👥 Working ${dateFormatted}`, emoji: true } },
   ];
 
-  if (clementShifts.length > 0) {
-    blocks.push({ type: 'divider' });
-    const lines = clementShifts
-      .sort((a, b) => a.start.localeCompare(b.start))
-      .map((s) => `• *${s.employee}* — ${s.position || 'TBD'} (${fmtTimePT(s.start)}–${fmtTimePT(s.end)})`);
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*☕ Clement*\n${lines.join('\n')}` } });
-  }
-
-  if (ninthShifts.length > 0) {
+  for (const { location, shifts: storeShifts } of groupShiftsByStore(shifts)) {
     blocks.push({ type: 'divider' });
-    const lines = ninthShifts
-      .sort((a, b) => a.start.localeCompare(b.start))
-      .map((s) => `• *${s.employee}* — ${s.position || 'TBD'} (${fmtTimePT(s.start)}–${fmtTimePT(s.end)})`);
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*🏠 9th St*\n${lines.join('\n')}` } });
+    const lines = storeShifts.map(
+      (s) => `• *${s.employee}* — ${s.position || 'TBD'} (${fmtTimePT(s.start, location.timeZone)}–${fmtTimePT(s.end, location.timeZone)})`
+    );
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${location.emoji} ${location.shortName}*\n${lines.join('\n')}` } });
   }
 
   if (working.length === 0) {
@@ -2357,6 +2688,137 @@ function formatWhosWorkingBlocks(dateFormatted, shifts) {
   return { text: fallback, blocks };
 }
 
+// ─── 6. FLOOR BLOCKS ────────────────────────────────────────
+
+function formatFloorBlocks(status) {
+  const { totals } = status;
+
+  const fallback = `On the floor now: ${totals.clockedIn} clocked in, ${totals.late} late`;
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: '🟢 On the Floor Now', emoji: true } },
+  ];
+
+  for (const l of status.locations) {
+    const icon = (locations.get(l.locationId) || { emoji: '📍' }).emoji;
+    const { clockedIn, minimum } = l.headcount;
+    const lines = [];
+
+    for (const p of l.onFloor) lines.push(`• *${p.employee}* — ${p.position || 'TBD'} (in ${fmtTimePT(p.clockedInAt)}, until ${fmtTimePT(p.shiftEnd)})`);
+    for (const p of l.late) {
+      const followUp = p.followUp
+        ? p.followUp.coveredBy
+          ? `, covered by ${p.followUp.coveredBy.name}`
+          : p.followUp.expectedAt
+          ? `, expected ${fmtTimePT(p.followUp.expectedAt)}`
+          : `, ${p.followUp.state}`
+        : '';
+      lines.push(`• ⏰ *${p.employee}* — ${p.minutesLate} min late for ${fmtTimePT(p.shiftStart)}${followUp}`);
+    }
+    for (const p of l.starting) lines.push(`• _${p.employee}_ — starts ${fmtTimePT(p.shiftStart)}, not clocked in yet`);
+    for (const p of l.notScheduled) lines.push(`• ❓ *${p.employee}* — clocked in ${fmtTimePT(p.clockedInAt)}, not scheduled`);
+    for (const p of l.pastEnd) lines.push(`• 🕐 *${p.employee}* — ${p.minutesOver} min past ${fmtTimePT(p.shiftEnd)} end, still clocked in`);
+
+    const count = minimum ? `${clockedIn}/${minimum}` : `${clockedIn}`;
+    const header = `*${icon} ${l.location}* — ${count} on the floor${l.belowMinimum ? ' ⚠️ below minimum' : ''}`;
+    blocks.push({ type: 'divider' });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `${header}\n${lines.length ? lines.join('\n') : '_No one scheduled or clocked in._'}` } });
+  }
+
+  blocks.push({ type: 'divider' });
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `${totals.clockedIn} clocked in · ${totals.late} late · ${totals.notScheduled} unscheduled · ${totals.pastEnd} past end · ${nowPT()}` }],
+  });
+
+  return { text: fallback, blocks };
+}
+
+// ─── 7. SCHEDULE CHANGE BLOCKS ──────────────────────────────
+
+function formatScheduleChangeBlocks(events) {
+  const day = (iso) => new Date(iso).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: TZ });
+  const when = (s) => `${day(s.start)} ${fmtTimePT(s.start)}–${fmtTimePT(s.end)}`;
+  const where = (s) => [s.position, s.location].filter(Boolean).join(', ');
+
+  const lines = events.map(({ type, data: d }) => {
+    switch (type) {
+      case 'schedule.shift_added':
+        return `• ➕ *${d.employee || 'Open shift'}* added — ${when(d)} (${where(d) || 'no position'})`;
+      case 'schedule.shift_removed':
+        return `• ➖ *${d.employee || 'Open shift'}* removed — ${when(d)} (${where(d) || 'no position'})`;
+      case 'schedule.shift_time_changed':
+        return `• 🕐 *${d.employee || 'Open shift'}* moved — ${when(d.before)} → ${when(d)}`;
+      case 'schedule.shift_reassigned':
+        return `• 🔁 ${when(d)} ${d.position || 'shift'}: ${d.from ? d.from.name : '_open_'} → *${d.to ? d.to.name : 'open'}*`;
+      case 'schedule.leave_approved':
+        return `• 🌴 *${d.employee}* time off approved — ${d.fullDay ? day(d.start) : when(d)}${d.fullDay && day(d.end) !== day(d.start) ? `–${day(d.end)}` : ''}`;
+      default:
+        return `• ${type}`;
+    }
+  });
+
+  const fallback = `📝 ${events.length} schedule change${events.length !== 1 ? 's' : ''} in Sling`;
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*📝 Schedule changed in Sling*\n${lines.join('\n')}` } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `Changes to the next ${SCHEDULE_CHANGE_SLACK_HOURS}h · ${nowPT()}` }] },
+  ];
+
+  return { text: fallback, blocks };
+}
+
+// ─── 8. COVERAGE BLOCKS ─────────────────────────────────────
+
+function formatCoverageBlocks(result, { intro } = {}) {
+  const shift = result.shiftToCover;
+  const st = fmtTimePT(shift.start);
+  const et = fmtTimePT(shift.end);
+  const avail = result.candidates.filter((c) => c.available);
+  const unavail = result.candidates.filter((c) => !c.available);
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: `Coverage Needed: ${shift.employee}`, emoji: true } },
+  ];
+  if (intro) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: intro } });
+  blocks.push(
+    { type: 'section', fields: [
+      { type: 'mrkdwn', text: `*Position:*\n${shift.position || 'TBD'}` },
+      { type: 'mrkdwn', text: `*Shift:*\n${st} - ${et} (${shift.hours.toFixed(1)}hrs)` },
+      { type: 'mrkdwn', text: `*Date:*\n${result.date}` },
+      { type: 'mrkdwn', text: `*Location:*\n${shift.location || 'Unknown'}` },
+    ]},
+    { type: 'divider' }
+  );
+
+  if (avail.length > 0) {
+    const availLines = avail.map((c) => {
+      let line = `*${c.employee}* - ${c.weeklyHours.toFixed(1)}hrs this wk`;
+      if (c.warnings.length > 0) line += ` _(${c.warnings[0]})_`;
+      return line;
+    });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Available (${avail.length}):*\n${availLines.join('\n')}` } });
+  } else {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*No fully available candidates.* Check unavailable list for partial options.' } });
+  }
+
+  if (unavail.length > 0) {
+    const unavailLines = unavail.slice(0, 5).map((c) => {
+      return `~${c.employee}~ - ${c.reasons[0]}`;
+    });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Unavailable (${unavail.length}):*\n${unavailLines.join('\n')}` } });
+  }
+
+  if (result.dayContext) {
+    const ctx = result.dayContext;
+    blocks.push({ type: 'context', elements: [
+      { type: 'mrkdwn', text: `${ctx.dayName} | Store ${ctx.storeHours}${ctx.isPeak ? ' | *Peak day*' : ''} | Avg $${ctx.avgRevenue || '?'}` }
+    ]});
+  }
+
+  const fallback = `Coverage for ${shift.employee} (${shift.position}) ${st}-${et} on ${result.date}: ${avail.length} available, ${unavail.length} unavailable`;
+  return { text: fallback, blocks };
+}
+
 // ─── BACKWARD COMPAT ────────────────────────────────────────
 
 function formatScheduleForSlack(dateStr, shifts) {
@@ -2426,49 +2888,26 @@ async function replyInSlack(channel, threadTs, text, blocks) {
   return postToSlack(text, blocks);
 }
 
-// ─── DAILY SCHEDULER ────────────────────────────────────────
-
-function startDailyScheduler() {
-  if (!SLACK_BOT_TOKEN && !process.env.SLACK_WEBHOOK_URL) {
-    console.log('No Slack credentials set, daily scheduler disabled');
-    return;
-  }
-
-  const POST_HOUR = 17;
+// ─── DAILY SCHEDULE POST ────────────────────────────────────
 
-  setInterval(async () => {
-    const now = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-    const today = now.toDateString();
+// Tomorrow's schedule to Slack, then a conflict check. Runs at 5pm PT as the
+// daily-schedule job (see JOB SCHEDULER).
+async function postTomorrowSchedule() {
+  const { start, end, dateFormatted, isoDate } = getDayRange('tomorrow');
+  const { shifts: rawShifts } = await getOrgCalendar(start, end);
+  const shifts = filterShiftsByDate(rawShifts, isoDate);
 
-    if (now.getHours() === POST_HOUR && _lastPostedDate !== today) {
-      _lastPostedDate = today;
-      console.log("Daily scheduler: posting tomorrow's schedule...");
+  const { text, blocks } = formatScheduleBlocks(dateFormatted, shifts);
+  await postToSlack(text, blocks);
 
-      try {
-        const { start, end, dateFormatted, isoDate } = getDayRange('tomorrow');
-        const { shifts: rawShifts } = await getOrgCalendar(start, end);
-        const shifts = filterShiftsByDate(rawShifts, isoDate);
-
-        const { text, blocks } = formatScheduleBlocks(dateFormatted, shifts);
-        const result = await postToSlack(text, blocks);
-        console.log('Daily scheduler: posted successfully', result?.ok);
-
-        try {
-          await fetch(`http://127.0.0.1:${PORT}/cron/check-conflicts`, {
-            method: 'POST',
-            headers: { 'x-api-key': API_KEY },
-          });
-          console.log('Daily scheduler: conflict check complete');
-        } catch (e) {
-          console.error('Conflict check error:', e.message);
-        }
-      } catch (err) {
-        console.error('Daily scheduler error:', err.message);
-      }
-    }
-  }, 60 * 1000);
+  try {
+    await fetch(`http://127.0.0.1:${PORT}/cron/check-conflicts`, { method: 'POST', headers: { 'x-api-key': API_KEY } });
+  } catch (e) {
+    console.error('Conflict check after daily post:', e.message);
+  }
 
-  console.log(`Daily scheduler: will post tomorrow's schedule at ${POST_HOUR}:00 PT`);
+  console.log(`Daily schedule: posted tomorrow's schedule (${dateFormatted}, ${shifts.length} shifts)`);
+  return { success: true, date: dateFormatted, shiftsPosted: shifts.length };
 }
 
 // ─── SLACK ROUTES ───────────────────────────────────────────
@@ -2502,27 +2941,7 @@ app.get('/slack/tomorrow', async (req, res) => {
 app.get('/cron/daily', async (req, res) => {
   const cronSecret = process.env.CRON_SECRET;
   if (cronSecret && req.query.key !== cronSecret) return res.status(403).json({ error: 'Invalid cron key' });
-
-  try {
-    const { start, end, dateFormatted, isoDate } = getDayRange('tomorrow');
-    const { shifts: rawShifts } = await getOrgCalendar(start, end);
-    const shifts = filterShiftsByDate(rawShifts, isoDate);
-
-    const { text, blocks } = formatScheduleBlocks(dateFormatted, shifts);
-    await postToSlack(text, blocks);
-
-    try {
-      await fetch(`http://127.0.0.1:${PORT}/cron/check-conflicts`, { method: 'POST', headers: { 'x-api-key': API_KEY } });
-    } catch (e) {
-      console.error('Conflict check in cron/daily:', e.message);
-    }
-
-    console.log(`Cron: posted tomorrow's schedule (${dateFormatted}, ${shifts.length} shifts)`);
-    res.json({ success: true, date: dateFormatted, shiftsPosted: shifts.length });
-  } catch (err) {
-    console.error('Cron error:', err.message);
-    res.status(500).json({ error: err.message });
-  }
+  await sendJobRun(res, 'daily-schedule');
 });
 
 app.get('/slack/week', async (req, res) => {
@@ -2567,133 +2986,167 @@ app.get('/slack/week', async (req, res) => {
   }
 });
 
-// ============================================================
-// WEEKLY REPORT — WoW comparison posted to ops channel
-// ============================================================
-app.get('/cron/weekly-report', async (req, res) => {
-  const cronSecret = process.env.CRON_SECRET;
-  if (cronSecret && req.query.key !== cronSecret) return res.status(403).json({ error: 'Invalid cron key' });
-
+app.get('/slack/floor', async (req, res) => {
   try {
-    const result = await generateWeeklyReport();
-    if (!result || !result.success) {
-      return res.status(500).json({ error: 'Failed to generate weekly report' });
-    }
-    console.log('[weekly] Report posted to ops channel');
-    res.json(result);
+    const { text, blocks } = formatFloorBlocks(await getFloorStatus());
+    const result = await postToSlack(text, blocks);
+    res.json({ success: true, message: 'Posted floor status to Slack', slackResult: result });
   } catch (err) {
-    console.error('[weekly] Error:', err.message);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// SF Labor Alert — call at 7pm PST via cron
-app.get('/cron/labor-alert-sf', async (req, res) => {
+// ============================================================
+// WEEKLY REPORT — WoW comparison posted to ops channel
+// ============================================================
+async function postWeeklyReport() {
+  const result = await generateWeeklyReport();
+  if (!result || !result.success) throw new Error('Failed to generate weekly report');
+  console.log('[weekly] Report posted to ops channel');
+  return result;
+}
+
+app.get('/cron/weekly-report', async (req, res) => {
   const cronSecret = process.env.CRON_SECRET;
   if (cronSecret && req.query.key !== cronSecret) return res.status(403).json({ error: 'Invalid cron key' });
+  await sendJobRun(res, 'weekly-report');
+});
 
-  try {
-    const now = new Date();
-    const pst = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-    const todayStr = pst.toLocaleDateString('en-CA');
-
-    const toastRes = await fetch(`${process.env.TOAST_API_URL || 'https://toast-api-1.onrender.com'}/sales?date=${todayStr}`);
-    if (!toastRes.ok) throw new Error('Toast API error: ' + toastRes.status);
-    const data = await toastRes.json();
+// ============================================================
+// LABOR ALERTS — nightly clock-out & overtime check per store (labor-alert-<key> jobs)
+// ============================================================
 
-    const labor = data.metrics?.labor || {};
-    const shifts = labor.shifts || [];
-    const alerts = [];
+// A store's POS labor for a day: { employee, hours, clockIn, stillClockedIn } per
+// person; stillClockedIn is null where the POS doesn't say (Square)
+async function getPosLabor(location, isoDate) {
+  countApiCall(location.pos.provider);
+  if (location.pos.provider === 'toast') {
+    const res = await fetch(`${location.pos.url}/sales?date=${isoDate}`);
+    if (!res.ok) throw new Error('Toast API error: ' + res.status);
+    const data = await res.json();
+    return (data.metrics?.labor?.shifts || []).map((s) => ({
+      employee: s.employee,
+      hours: s.hours || 0,
+      clockIn: s.clock_in,
+      stillClockedIn: s.clock_out === 'Still clocked in' || !s.clock_out,
+    }));
+  }
+  const res = await fetch(`${location.pos.url}/sales/${isoDate}`);
+  if (!res.ok) throw new Error('Square API error: ' + res.status);
+  const data = await res.json();
+  return Object.entries(data.labor?.team || {}).map(([employee, info]) => ({ employee, hours: info.hours || 0, clockIn: null, stillClockedIn: null }));
+}
 
-    // Check for still clocked in
-    for (const s of shifts) {
-      if (s.clock_out === 'Still clocked in' || !s.clock_out) {
-        const clockIn = new Date(s.clock_in);
-        const hoursIn = (now - clockIn) / 3600000;
-        alerts.push(`🚨 *${s.employee}* is still clocked in (${hoursIn.toFixed(1)}h since ${clockIn.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/Los_Angeles' })})`);
-      }
-    }
+// To the store's Slack channel (its own bot token if it has one), else the default channel
+async function postToStore(location, text) {
+  const { channel, token, tokenEnv } = location.slack;
+  if (!channel) return postToSlack(text);
+  if (!tokenEnv) return replyInSlack(channel, null, text);
+  if (!token) {
+    console.warn(`[labor-alert-${location.key}] No ${tokenEnv} set, cannot post alert`);
+    return;
+  }
+  await fetch('https://slack.com/api/chat.postMessage', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channel, text, mrkdwn: true }),
+  });
+}
 
-    // Check for 8+ hours
-    for (const s of shifts) {
-      if ((s.hours || 0) >= 8) {
-        alerts.push(`⚠️ *${s.employee}* worked ${s.hours.toFixed(1)}h today (overtime threshold)`);
-      }
+async function laborAlert(location) {
+  const now = new Date();
+  const tag = `[labor-alert-${location.key}]`;
+  const shifts = await getPosLabor(location, dayKey(now, location.timeZone));
+  const alerts = [];
+
+  for (const s of shifts) {
+    if (s.stillClockedIn) {
+      const clockIn = new Date(s.clockIn);
+      const hoursIn = (now - clockIn) / 3600000;
+      alerts.push(`🚨 *${s.employee}* is still clocked in (${hoursIn.toFixed(1)}h since ${fmtTimePT(clockIn, location.timeZone)})`);
+    } else if (s.stillClockedIn === null && s.hours >= 12) {
+      // No clock-in status from this POS, so a very long day is the best sign of a missed clock-out
+      alerts.push(`🚨 *${s.employee}* has ${s.hours.toFixed(1)}h logged — may have forgotten to clock out`);
     }
+  }
+  for (const s of shifts) {
+    if (s.hours >= 8) alerts.push(`⚠️ *${s.employee}* worked ${s.hours.toFixed(1)}h today (overtime threshold)`);
+  }
 
-    if (alerts.length > 0) {
-      const dateLabel = pst.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
-      const msg = `*☕ SF Labor Alert — ${dateLabel}*\n\n${alerts.join('\n')}`;
-      await postToSlack(msg);
-      console.log(`[labor-alert-sf] Posted ${alerts.length} alerts`);
-      res.json({ success: true, alerts: alerts.length });
-    } else {
-      console.log('[labor-alert-sf] No alerts');
-      res.json({ success: true, alerts: 0, message: 'No issues detected' });
-    }
-  } catch (err) {
-    console.error('[labor-alert-sf] Error:', err.message);
-    res.status(500).json({ error: err.message });
+  if (alerts.length > 0) {
+    const dateLabel = now.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', timeZone: location.timeZone });
+    await postToStore(location, `*${location.emoji} ${location.shortName} Labor Alert — ${dateLabel}*\n\n${alerts.join('\n')}`);
+    console.log(`${tag} Posted ${alerts.length} alerts`);
+    return { success: true, alerts: alerts.length };
   }
-});
+  console.log(`${tag} No alerts`);
+  return { success: true, alerts: 0, message: 'No issues detected' };
+}
 
-// Boston Labor Alert — call at 7pm EST via cron
-app.get('/cron/labor-alert-boston', async (req, res) => {
+// Also answers the older /cron/labor-alert-sf style of URL
+app.get(['/cron/labor-alert/:location', '/cron/labor-alert-:location'], async (req, res) => {
   const cronSecret = process.env.CRON_SECRET;
   if (cronSecret && req.query.key !== cronSecret) return res.status(403).json({ error: 'Invalid cron key' });
+  const location = locations.resolve(req.params.location);
+  const name = location && `labor-alert-${location.key}`;
+  if (!name || !jobs.list().some((j) => j.name === name)) {
+    return res.status(404).json({ error: `No labor alert for "${req.params.location}"` });
+  }
+  await sendJobRun(res, name);
+});
 
-  try {
-    const now = new Date();
-    const est = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const todayStr = est.toLocaleDateString('en-CA');
-    const BOSTON_CHANNEL = 'C0AEMSHAD54';
+// ============================================================
+// BREAK COMPLIANCE — California meal breaks (see break-compliance.js)
+// ============================================================
 
-    const squareRes = await fetch(`${process.env.SQUARE_API_URL || 'https://square-api-mi4f.onrender.com'}/sales/${todayStr}`);
-    if (!squareRes.ok) throw new Error('Square API error: ' + squareRes.status);
-    const data = await squareRes.json();
+async function getBreakReport(date) {
+  const { start, end, isoDate, dateFormatted } = getDayRange(date);
 
-    const team = data.labor?.team || {};
-    const alerts = [];
+  countApiCall('toast');
+  const [toastRes, { shifts }] = await Promise.all([
+    fetch(`${TOAST_URL}/sales?date=${isoDate}`),
+    getOrgCalendar(start, end),
+  ]);
+  if (!toastRes.ok) throw new Error('Toast API error: ' + toastRes.status);
+  const data = await toastRes.json();
+
+  const report = buildBreakReport({
+    date: isoDate,
+    timecards: data.metrics?.labor?.shifts || [],
+    shifts: filterShiftsByDate(shifts, isoDate),
+    rateFor,
+    timeZone: TZ,
+  });
+  return { report, dateFormatted };
+}
 
-    // Check for 8+ hours
-    for (const [name, info] of Object.entries(team)) {
-      if ((info.hours || 0) >= 8) {
-        alerts.push(`⚠️ *${name}* worked ${info.hours.toFixed(1)}h today (overtime threshold)`);
-      }
-    }
+app.get('/compliance/breaks', async (req, res) => {
+  try {
+    const { report } = await getBreakReport(req.query.date || 'today');
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Note: Square doesn't expose "still clocked in" status the same way Toast does.
-    // If total hours seem unusually high (12+), flag it as potential forgot-to-clock-out.
-    for (const [name, info] of Object.entries(team)) {
-      if ((info.hours || 0) >= 12) {
-        alerts.push(`🚨 *${name}* has ${info.hours.toFixed(1)}h logged — may have forgotten to clock out`);
-      }
-    }
+// Break compliance summary to the ops channel — nightly at 11pm PT (break-compliance job)
+async function postBreakSummary(date) {
+  const { report, dateFormatted } = await getBreakReport(date);
+  await replyInSlack(OPS_CHANNEL, null, formatBreakSummary(report, dateFormatted));
+  console.log(`[break-compliance] ${report.date}: ${report.violationCount} violations, $${report.premiumExposure.toFixed(2)} exposure`);
+  return { success: true, date: report.date, violations: report.violationCount, premiumExposure: report.premiumExposure };
+}
 
-    if (alerts.length > 0) {
-      const dateLabel = est.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
-      const msg = `*🦞 Boston Labor Alert — ${dateLabel}*\n\n${alerts.join('\n')}`;
-
-      // Post to Boston scheduling channel via Square bot token
-      const bostonBotToken = process.env.SQUARE_SLACK_BOT_TOKEN;
-      if (bostonBotToken) {
-        await fetch('https://slack.com/api/chat.postMessage', {
-          method: 'POST',
-          headers: { Authorization: `Bearer ${bostonBotToken}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({ channel: BOSTON_CHANNEL, text: msg, mrkdwn: true }),
-        });
-      } else {
-        console.warn('[labor-alert-boston] No SQUARE_SLACK_BOT_TOKEN set, cannot post alert');
-      }
+// ?date= posts another day's summary outside the job
+app.get('/cron/break-compliance', async (req, res) => {
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && req.query.key !== cronSecret) return res.status(403).json({ error: 'Invalid cron key' });
+  if (!req.query.date) return sendJobRun(res, 'break-compliance');
 
-      console.log(`[labor-alert-boston] Posted ${alerts.length} alerts`);
-      res.json({ success: true, alerts: alerts.length });
-    } else {
-      console.log('[labor-alert-boston] No alerts');
-      res.json({ success: true, alerts: 0, message: 'No issues detected' });
-    }
+  try {
+    res.json(await postBreakSummary(req.query.date));
   } catch (err) {
-    console.error('[labor-alert-boston] Error:', err.message);
+    console.error('[break-compliance] Error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2721,12 +3174,6 @@ app.post('/slack/events', async (req, res) => {
     return;
   }
   processedEvents.add(eventId);
-  
-  // Trim old events to prevent memory leak (keep last 1000)
-  if (processedEvents.size > 1000) {
-    const toDelete = Array.from(processedEvents).slice(0, processedEvents.size - 1000);
-    toDelete.forEach(id => processedEvents.delete(id));
-  }
 
   // Route ops channel messages to Claude analytics
   if (event.channel === OPS_CHANNEL) {
@@ -2767,13 +3214,9 @@ app.post('/slack/events', async (req, res) => {
 
   // --- Helper: detect which day the user means ---
   function detectDay(input) {
-    if (/tomorrow|tmrw|tmr/.test(input)) return 'tomorrow';
-    if (/today|now/.test(input)) return 'today';
-    if (/monday|tuesday|wednesday|thursday|friday|saturday|sunday/.test(input)) {
-      return input.match(/monday|tuesday|wednesday|thursday|friday|saturday|sunday/)[0];
-    }
-    // Bare "schedule" or "who's working" with no day => today
-    return 'today';
+    const found = parseDateRange(input, { timeZone: TZ });
+    // Bare "schedule" or "who's working" with no day => today; a range => its first day
+    return found ? found.startDate : 'today';
   }
 
   try {
@@ -2827,15 +3270,17 @@ app.post('/slack/events', async (req, res) => {
     // --- HOURS ---
     // Matches: "hours for jessica", "jessica's hours", "hours jessica"
     } else if (/hours/.test(text)) {
-      const match = text.match(/hours\s+(?:for\s+)?(\w+)/) || text.match(/(\w+)(?:'s|s)\s+hours/);
+      const match = text.match(/hours\s+(?:for\s+)?([\p{L}-]+)/u) || text.match(/([\p{L}-]+)(?:'s|s)\s+hours/u);
       if (match) {
-        const uid = resolveEmployeeId(match[1]);
-        if (uid) {
-          const hoursRes = await fetch(`http://127.0.0.1:${PORT}/weekly-hours/${uid}`);
+        const resolved = await resolveEmployee(match[1]);
+        if (resolved.status === 'matched') {
+          const hoursRes = await fetch(`http://127.0.0.1:${PORT}/weekly-hours/${resolved.match.id}`);
           const data = await hoursRes.json();
           const { text: fallback, blocks } = formatHoursBlocks(data);
           await replyInSlack(channel, threadTs, fallback, blocks);
           console.log(`[events] Posted hours for ${match[1]}`);
+        } else {
+          await replyInSlack(channel, threadTs, describeNameError(match[1], resolved));
         }
       }
 
@@ -2844,13 +3289,13 @@ app.post('/slack/events', async (req, res) => {
     //          "cover for hayden", "hayden needs coverage tomorrow", "hayden can't work tomorrow"
     } else if (/cover|needs?\s+(?:a\s+)?sub|can'?t\s+(?:make|come|work)|call(?:s|ed)?\s*(?:out|in|off)|replace/.test(text)) {
       // Try to extract employee name and day — order matters, most specific first
-      const empMatch = text.match(/(\w+)\s+needs?\s+cover/) ||
-                       text.match(/(\w+)\s+needs?\s+(?:a\s+)?sub/) ||
-                       text.match(/(\w+)\s+(?:calls?\s*(?:out|in|off)|called\s*(?:out|in|off))/) ||
-                       text.match(/(\w+)\s+can'?t\s+(?:make|come|work)/) ||
-                       text.match(/(?:cover(?:age)?|replace|sub)\s+(?:for\s+)?(\w+)/) ||
-                       text.match(/(?:who\s+can\s+cover)\s+(\w+)/) ||
-                       text.match(/(?:if\s+)(\w+)\s+/);
+      const empMatch = text.match(/([\p{L}-]+)\s+needs?\s+cover/u) ||
+                       text.match(/([\p{L}-]+)\s+needs?\s+(?:a\s+)?sub/u) ||
+                       text.match(/([\p{L}-]+)\s+(?:calls?\s*(?:out|in|off)|called\s*(?:out|in|off))/u) ||
+                       text.match(/([\p{L}-]+)\s+can'?t\s+(?:make|come|work)/u) ||
+                       text.match(/(?:cover(?:age)?|replace|sub)\s+(?:for\s+)?([\p{L}-]+)/u) ||
+                       text.match(/(?:who\s+can\s+cover)\s+([\p{L}-]+)/u) ||
+                       text.match(/(?:if\s+)([\p{L}-]+)\s+/u);
       const day = detectDay(text);
       if (empMatch) {
         const emp = empMatch[2] || empMatch[1]; // capture group varies by regex
@@ -2859,49 +3304,7 @@ app.post('/slack/events', async (req, res) => {
         if (result.error) {
           await replyInSlack(channel, threadTs, `Could not find coverage: ${result.error}`);
         } else {
-          const shift = result.shiftToCover;
-          const st = fmtTimePT(shift.start);
-          const et = fmtTimePT(shift.end);
-          const avail = result.candidates.filter((c) => c.available);
-          const unavail = result.candidates.filter((c) => !c.available);
-
-          const blocks = [
-            { type: 'header', text: { type: 'plain_text', text: `Coverage Needed: ${shift.employee}`, emoji: true } },
-            { type: 'section', fields: [
-              { type: 'mrkdwn', text: `*Position:*\n${shift.position || 'TBD'}` },
-              { type: 'mrkdwn', text: `*Shift:*\n${st} - ${et} (${shift.hours.toFixed(1)}hrs)` },
-              { type: 'mrkdwn', text: `*Date:*\n${result.date}` },
-              { type: 'mrkdwn', text: `*Location:*\n${shift.location || 'Clement'}` },
-            ]},
-            { type: 'divider' },
-          ];
-
-          if (avail.length > 0) {
-            const availLines = avail.map((c) => {
-              let line = `*${c.employee}* - ${c.weeklyHours.toFixed(1)}hrs this wk`;
-              if (c.warnings.length > 0) line += ` _(${c.warnings[0]})_`;
-              return line;
-            });
-            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Available (${avail.length}):*\n${availLines.join('\n')}` } });
-          } else {
-            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*No fully available candidates.* Check unavailable list for partial options.' } });
-          }
-
-          if (unavail.length > 0) {
-            const unavailLines = unavail.slice(0, 5).map((c) => {
-              return `~${c.employee}~ - ${c.reasons[0]}`;
-            });
-            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Unavailable (${unavail.length}):*\n${unavailLines.join('\n')}` } });
-          }
-
-          if (result.dayContext) {
-            const ctx = result.dayContext;
-            blocks.push({ type: 'context', elements: [
-              { type: 'mrkdwn', text: `${ctx.dayName} | Store ${ctx.storeHours}${ctx.isPeak ? ' | *Peak day*' : ''} | Avg $${ctx.avgRevenue || '?'}` }
-            ]});
-          }
-
-          const fallback = `Coverage for ${shift.employee} (${shift.position}) ${st}-${et} on ${result.date}: ${avail.length} available, ${unavail.length} unavailable`;
+          const { text: fallback, blocks } = formatCoverageBlocks(result);
           await replyInSlack(channel, threadTs, fallback, blocks);
         }
         console.log(`[events] Posted coverage for ${emp} on ${day}`);
@@ -2972,256 +3375,465 @@ app.post('/slack/events', async (req, res) => {
 // MONITORING CRON ENDPOINTS
 // ============================================================
 
-// Cron: Smart Clock-In Check (Every Hour)
-app.get('/cron/smart-clockin-check', async (req, res) => {
-  try {
-    const now = new Date();
-    const nowTime = now.getTime();
-    const oneHourLater = nowTime + (60 * 60 * 1000);
-    
-    console.log(`🔍 Smart clock-in check at ${now.toLocaleTimeString()}`);
-    
-    const schedule = await getTodaySchedule();
-    const checksPerformed = [];
-    
-    for (const shift of schedule) {
-      const shiftStart = new Date(shift.startTime).getTime();
-      const graceWindow = shiftStart + (10 * 60 * 1000); // +10 min grace
-      
-      const shouldCheck = 
-        shiftStart <= oneHourLater && 
-        nowTime >= graceWindow &&
-        !monitoringState.resolvedToday.has(shift.id);
-      
-      if (!shouldCheck) continue;
-      
-      const existing = monitoringState.activeShifts.get(shift.id);
-      if (existing?.status === 'monitoring_clockin') continue;
-      
-      const clockedIn = await checkClockStatus(shift.userId, shift.startTime, 'in');
-      
-      if (clockedIn) {
-        console.log(`✅ ${shift.userName} clocked in`);
-        monitoringState.activeShifts.set(shift.id, {
-          employeeId: shift.userId,
-          status: 'clockin_resolved',
-          resolvedAt: new Date().toISOString()
-        });
-        checksPerformed.push({ employee: shift.userName, status: 'clocked_in' });
-      } else {
-        console.log(`❌ ${shift.userName} missing clock-in`);
-        
-        const startTime = new Date(shift.startTime).toLocaleTimeString('en-US', { 
-          hour: 'numeric', 
-          minute: '2-digit' 
-        });
-        
-        const dmResult = await sendDMHelper(
-          shift.userId,
-          `Hey ${shift.firstName}! You're scheduled at ${startTime} but haven't clocked in yet. Everything ok?`
-        );
-        
-        monitoringState.activeShifts.set(shift.id, {
-          employeeId: shift.userId,
-          status: 'monitoring_clockin',
-          reminderSent: new Date().toISOString(),
-          conversationId: dmResult.conversationId
-        });
-        
-        if (dmResult.conversationId) {
-          monitoringState.pendingReplies.set(dmResult.conversationId, {
-            shiftId: shift.id,
-            sentAt: new Date().toISOString(),
-            resolved: false
-          });
-        }
-        
-        checksPerformed.push({ employee: shift.userName, status: 'reminder_sent' });
-      }
+// Replies to follow-up DMs: Claude when ANTHROPIC_API_KEY is set, rules otherwise
+const replyClassifier = createReplyClassifier({ timeZone: TZ });
+
+// Every published shift today moves through scheduled → late → reminded →
+// escalated (shift lead, then owner) → covered / no_show / resolved; see
+// clock-in-monitor.js. Records and their outcomes are kept for two weeks.
+const clockInMonitor = createClockInMonitor({
+  records: stateStore.map('clockin-monitor', { ttlMs: 14 * DAY_MS }),
+  getShifts: async () => {
+    const { start, end, isoDate } = getDayRange('today');
+    const { shifts } = await getOrgCalendar(start, end);
+    return filterShiftsByDate(shifts, isoDate).filter((s) => s.employeeId && s.published);
+  },
+  // Late clock-ins count right up to the end of the shift
+  findClockIn: (employeeId, shift) =>
+    findClockTime(employeeId, shift.start, 'in', { lateToleranceMs: new Date(shift.end) - new Date(shift.start) }),
+  sendDM: sendDMHelper,
+  notify: (text) => postToSlack(text),
+  getReplies: getSlingReplies,
+  classifyReply: replyClassifier.classify,
+  resolveCover,
+  findLead: findShiftLead,
+  findOwner: async () => {
+    await roster.ensureFresh();
+    const owner = roster.withRole('owner')[0];
+    return owner ? { id: owner.id, name: owner.displayName } : null;
+  },
+  formatTime: formatTimePT,
+  timeouts: {
+    lateAfterMin: parseInt(process.env.CLOCKIN_LATE_AFTER_MIN, 10),
+    escalateLeadAfterMin: parseInt(process.env.CLOCKIN_ESCALATE_LEAD_AFTER_MIN, 10),
+    escalateOwnerAfterMin: parseInt(process.env.CLOCKIN_ESCALATE_OWNER_AFTER_MIN, 10),
+    noShowAfterMin: parseInt(process.env.CLOCKIN_NO_SHOW_AFTER_MIN, 10),
+  },
+  onOutcome: (record) => {
+    attendance.recordOutcome(record);
+    if (record.state === 'resolved' && record.clockedInAt) {
+      eventBus.publish(
+        'clock.in',
+        { shiftId: record.shiftId, employeeId: record.employeeId, employee: record.employee, clockedInAt: record.clockedInAt, shiftStart: record.start, shiftEnd: record.end },
+        { locationId: record.locationId }
+      );
     }
-    
-    res.json({
-      timestamp: now.toISOString(),
-      shiftsChecked: checksPerformed.length,
-      checks: checksPerformed
-    });
-  } catch (error) {
-    console.error('Error in smart clock-in check:', error);
-    res.status(500).json({ error: error.message });
-  }
+  },
 });
 
-// Cron: Smart Reply Check (Every Hour)
-app.get('/cron/smart-reply-check', async (req, res) => {
-  try {
-    console.log(`💬 Smart reply check - ${monitoringState.pendingReplies.size} pending`);
+// Coworker named in a reply ("Sara's got it") -> the roster employee, or a message asking to double-check
+async function resolveCover(name) {
+  const resolved = await resolveEmployee(name);
+  if (resolved.status !== 'matched') {
+    return { employee: null, error: `${describeNameError(name, resolved)} Can you double-check the name?` };
+  }
+  return { employee: { id: resolved.match.id, name: roster.nameOf(resolved.match.id) }, error: null };
+}
+
+const LEAD_POSITION_PATTERN = /lead|supervisor|manager/i;
+
+// Shift lead on duty when a shift goes unfilled: a roster lead (or a lead
+// position) working right now, preferring the same location.
+async function findShiftLead(record) {
+  await roster.ensureFresh();
+  const leadIds = roster.withRole('lead').map((e) => e.id);
+  const { start, end } = getDayRange('today');
+  const { shifts } = await getOrgCalendar(start, end);
+  const now = Date.now();
+
+  const onDuty = shifts.filter(
+    (s) =>
+      s.employeeId &&
+      s.employeeId !== record.employeeId &&
+      new Date(s.start).getTime() <= now &&
+      new Date(s.end).getTime() > now &&
+      (leadIds.includes(s.employeeId) || LEAD_POSITION_PATTERN.test(s.position || ''))
+  );
+  const lead = onDuty.find((s) => s.locationId === record.locationId) || onDuty[0];
+  return lead ? { id: lead.employeeId, name: roster.nameOf(lead.employeeId) } : null;
+}
+
+function summarizeClockIns(records) {
+  const counts = {};
+  for (const r of records) counts[r.state] = (counts[r.state] || 0) + 1;
+  return counts;
+}
+
+// Smart Clock-In Check: advances every open shift (clockin-check job, every 5 min)
+async function runClockInCheck() {
+  console.log(`🔍 Smart clock-in check at ${formatTimePT(new Date())}`);
+  const changes = await clockInMonitor.tick();
+  const today = clockInMonitor.list({ date: toISODatePT(new Date()), formatDate: toISODatePT });
+  return { timestamp: new Date().toISOString(), changes, states: summarizeClockIns(today) };
+}
+
+app.get('/cron/smart-clockin-check', (req, res) => sendJobRun(res, 'clockin-check'));
+
+// Cron: Smart Reply Check. Replies are read on every clock-in check; kept so
+// existing cron jobs keep working. Goes through the job so it never runs alongside it.
+app.get('/cron/smart-reply-check', (req, res) => sendJobRun(res, 'clockin-check'));
+
+// Smart Clock-Out Check (clockout-check job, every 15 min)
+async function runClockOutCheck() {
+  const now = new Date();
+  const nowTime = now.getTime();
+  
+  console.log(`⏰ Smart clock-out check at ${formatTimePT(now)}`);
+  
+  const checksPerformed = [];
+  const today = clockInMonitor.list({ date: toISODatePT(now), formatDate: toISODatePT });
+  
+  for (const record of today) {
+    const sinceEnd = nowTime - new Date(record.end).getTime();
+    const remindWindow = 15 * 60 * 1000; // reminder within 15 minutes of the end
+    const missedAfter = 10 * 60 * 1000; // still clocked in 10 minutes after the end is a missed clock-out
+    const followUpFor = 60 * 60 * 1000;
+
+    // Only shifts someone actually worked
+    if (sinceEnd < -remindWindow || sinceEnd > followUpFor) continue;
+    if (record.clockedOutAt || record.missedClockOutAt || !['resolved', 'covered'].includes(record.state)) continue;
     
-    const processedReplies = [];
+    const employeeToCheck = record.coveredBy ? record.coveredBy.id : record.employeeId;
+    const employeeName = record.coveredBy ? record.coveredBy.name : record.employee;
     
-    for (const [conversationId, pending] of monitoringState.pendingReplies.entries()) {
-      if (pending.resolved) continue;
-      
-      // Fetch messages from conversation
-      const messagesResp = await fetch(
-        `${SLING_BASE}/v1/593037/conversations/${conversationId}/messages`,
-        { headers: { Authorization: SLING_TOKEN } }
+    let clockedOut;
+    try {
+      clockedOut = await checkClockStatus(employeeToCheck, record.end, 'out');
+    } catch (err) {
+      // Toast is down: no reminder and no missed clock-out on a guess; the next check tries again
+      console.error(`[clockout] Couldn't check ${employeeName}'s clock-out:`, err.message);
+      checksPerformed.push({ employee: employeeName, status: 'check_failed', error: err.message });
+      continue;
+    }
+    
+    if (clockedOut) {
+      console.log(`✅ ${employeeName} clocked out`);
+      clockInMonitor.annotate(record.shiftId, { clockedOutAt: now.toISOString() });
+      eventBus.publish(
+        'clock.out',
+        { shiftId: record.shiftId, employeeId: employeeToCheck, employee: employeeName, clockedOutAt: now.toISOString(), shiftEnd: record.end },
+        { locationId: record.locationId }
       );
-      
-      const messages = await messagesResp.json();
-      const sentTime = new Date(pending.sentAt);
-      const newMessages = messages.filter(m => new Date(m.timestamp) > sentTime);
-      
-      if (newMessages.length === 0) continue;
-      
-      const latestReply = newMessages[newMessages.length - 1];
-      const coveringName = parseNameFromMessage(latestReply.content);
-      
-      if (coveringName) {
-        const coveringEmployee = await findUserByName(coveringName);
-        const shift = monitoringState.activeShifts.get(pending.shiftId);
-        
-        if (!coveringEmployee) {
-          await sendDMHelper(
-            shift.employeeId,
-            `I couldn't find "${coveringName}" in the system. Can you double-check the name?`
-          );
-          continue;
-        }
-        
-        const schedule = await getTodaySchedule();
-        const shiftDetails = schedule.find(s => s.id === pending.shiftId);
-        const clockedIn = await checkClockStatus(coveringEmployee.id, shiftDetails.startTime, 'in');
-        
-        if (clockedIn) {
-          await sendDMHelper(
-            shift.employeeId,
-            `Perfect! ${coveringEmployee.firstName} already clocked in. You're all set 👍`
-          );
-          
-          monitoringState.activeShifts.set(pending.shiftId, {
-            ...shift,
-            status: 'monitoring_coverage_clockout',
-            coveredBy: coveringEmployee.id,
-            coveringName: coveringEmployee.firstName,
-            originalEnd: shiftDetails.endTime
-          });
-        } else {
-          await sendDMHelper(
-            coveringEmployee.id,
-            `Hey ${coveringEmployee.firstName}! Someone said you're covering their shift. Can you clock in now?`
-          );
-          
+      checksPerformed.push({ employee: employeeName, status: 'clocked_out' });
+    } else {
+      if (!record.clockoutReminderSent && !record.clockoutReminderFailed && sinceEnd <= remindWindow) {
+        // One employee without a DM conversation mustn't stop the checks for everyone else
+        try {
           await sendDMHelper(
-            shift.employeeId,
-            `Got it! I messaged ${coveringEmployee.firstName} to clock in.`
+            employeeToCheck,
+            `Hey! Your shift ended at ${formatTimePT(record.end)}. Don't forget to clock out!`
           );
+          clockInMonitor.annotate(record.shiftId, { clockoutReminderSent: now.toISOString() });
+          checksPerformed.push({ employee: employeeName, status: 'reminder_sent' });
+        } catch (err) {
+          console.error(`[clockout] Reminder to ${employeeName} failed:`, err.message);
+          clockInMonitor.annotate(record.shiftId, { clockoutReminderFailed: err.message });
+          checksPerformed.push({ employee: employeeName, status: 'reminder_failed', error: err.message });
         }
-        
-        pending.resolved = true;
-        processedReplies.push({ conversationId, coveringEmployee: coveringEmployee.firstName });
+      }
+      // The reminder usually goes out before the end; a later check records the miss
+      if (sinceEnd > missedAfter) {
+        clockInMonitor.annotate(record.shiftId, { missedClockOutAt: now.toISOString() });
+        attendance.recordMissedClockOut(record, employeeToCheck, employeeName);
+        checksPerformed.push({ employee: employeeName, status: 'missed_clock_out' });
       }
     }
-    
-    res.json({
-      repliesProcessed: processedReplies.length,
-      stillPending: Array.from(monitoringState.pendingReplies.values()).filter(p => !p.resolved).length,
-      details: processedReplies
-    });
+  }
+  
+  return {
+    timestamp: now.toISOString(),
+    shiftsChecked: checksPerformed.length,
+    checks: checksPerformed
+  };
+}
+
+app.get('/cron/smart-clockout-check', (req, res) => sendJobRun(res, 'clockout-check'));
+
+// Cron: End of day (Midnight). Closes shifts still open from the day; records
+// themselves are kept for two weeks so outcomes can be reviewed. Same job as above.
+app.get('/cron/reset-daily-state', (req, res) => sendJobRun(res, 'clockin-check'));
+
+// Clock-in records and their outcomes for a day
+app.get('/monitoring/clockins', (req, res) => {
+  try {
+    const date = req.query.date ? getDayRange(req.query.date).isoDate : toISODatePT(new Date());
+    const records = clockInMonitor.list({ date, formatDate: toISODatePT });
+    res.json({ date, states: summarizeClockIns(records), count: records.length, records });
   } catch (error) {
-    console.error('Error in smart reply check:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Cron: Smart Clock-Out Check (Every 15 min)
-app.get('/cron/smart-clockout-check', async (req, res) => {
+// Close a clock-in record by hand: { outcome: covered|no_show|resolved, coveredBy?, note?, by? }
+app.post('/monitoring/clockins/:shiftId/resolve', requireApiKey, async (req, res) => {
   try {
-    const now = new Date();
-    const nowTime = now.getTime();
-    
-    console.log(`⏰ Smart clock-out check at ${now.toLocaleTimeString()}`);
-    
-    const schedule = await getTodaySchedule();
-    const checksPerformed = [];
-    
-    for (const shift of schedule) {
-      const shiftEnd = new Date(shift.endTime).getTime();
-      const checkWindow = 15 * 60 * 1000; // 15 minutes
-      const withinWindow = Math.abs(nowTime - shiftEnd) <= checkWindow;
-      
-      if (!withinWindow || monitoringState.resolvedToday.has(shift.id)) continue;
-      
-      const shiftStatus = monitoringState.activeShifts.get(shift.id);
-      let employeeToCheck = shift.userId;
-      let employeeName = shift.userName;
-      
-      if (shiftStatus?.coveredBy) {
-        employeeToCheck = shiftStatus.coveredBy;
-        employeeName = shiftStatus.coveringName;
-      }
-      
-      const clockedOut = await checkClockStatus(employeeToCheck, shift.endTime, 'out');
-      
-      if (clockedOut) {
-        console.log(`✅ ${employeeName} clocked out`);
-        monitoringState.resolvedToday.add(shift.id);
-        monitoringState.activeShifts.delete(shift.id);
-        checksPerformed.push({ employee: employeeName, status: 'clocked_out' });
-      } else if (!shiftStatus?.clockoutReminderSent) {
-        const endTime = new Date(shift.endTime).toLocaleTimeString('en-US', { 
-          hour: 'numeric', 
-          minute: '2-digit' 
-        });
-        
-        await sendDMHelper(
-          employeeToCheck,
-          `Hey! Your shift ended at ${endTime}. Don't forget to clock out!`
-        );
-        
-        monitoringState.activeShifts.set(shift.id, {
-          ...shiftStatus,
-          clockoutReminderSent: new Date().toISOString()
-        });
-        
-        checksPerformed.push({ employee: employeeName, status: 'reminder_sent' });
-      }
+    const { outcome, coveredBy, note, by } = req.body || {};
+    let cover = null;
+    if (coveredBy) {
+      const resolved = await resolveEmployee(coveredBy);
+      if (resolved.status !== 'matched') return sendNameError(res, coveredBy, resolved, 'coveredBy');
+      cover = { id: resolved.match.id, name: roster.nameOf(resolved.match.id) };
     }
-    
-    res.json({
-      timestamp: now.toISOString(),
-      shiftsChecked: checksPerformed.length,
-      checks: checksPerformed
-    });
+    const record = clockInMonitor.resolve(parseInt(req.params.shiftId, 10), { outcome, coveredBy: cover, note, by });
+    res.json({ success: true, record });
   } catch (error) {
-    console.error('Error in smart clock-out check:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Cron: Reset Daily State (Midnight)
-app.get('/cron/reset-daily-state', async (req, res) => {
-  console.log('🔄 Resetting daily monitoring state...');
-  
-  monitoringState.activeShifts.clear();
-  monitoringState.pendingReplies.clear();
-  monitoringState.resolvedToday.clear();
-  
-  res.json({ 
-    status: 'reset',
-    timestamp: new Date().toISOString()
-  });
-});
-
 // Debug: Monitoring Status
 app.get('/monitoring/status', (req, res) => {
+  const today = clockInMonitor.list({ date: toISODatePT(new Date()), formatDate: toISODatePT });
   res.json({
-    activeShifts: Array.from(monitoringState.activeShifts.entries()),
-    pendingReplies: Array.from(monitoringState.pendingReplies.entries()),
-    resolvedToday: Array.from(monitoringState.resolvedToday),
-    apiCalls: monitoringState.apiCallCount
+    clockIns: {
+      timeouts: clockInMonitor.timeouts,
+      replyClassifier: replyClassifier.mode,
+      states: summarizeClockIns(today),
+      open: today.filter((r) => !TERMINAL.includes(r.state)),
+    },
+    apiCalls: monitoringState.apiCallCount,
+    events: eventBus.stats(),
+    scheduleWatcher: scheduleWatcher.status(),
+    slingClient: slingClient.getStats(),
+    calendarCache: calendarCache.stats(),
+    state: stateStore.stats()
   });
 });
 
+// ============================================================
+// FLOOR STATUS — Sling schedule joined with Toast clock-ins
+// ============================================================
+
+// Who is on the floor right now at each location (or one, by id or name); see floor-status.js
+async function getFloorStatus({ location } = {}) {
+  const only = location ? resolveLocationId(location) : null;
+  const { start, end, isoDate } = getDayRange('today');
+  const [{ shifts }, timecards] = await Promise.all([getOrgCalendar(start, end), getToastTimecards(isoDate)]);
+  await roster.ensureFresh();
+
+  const stores = locations
+    .withSling()
+    .filter((l) => !only || l.slingLocationId === only)
+    .map((l) => ({ id: l.slingLocationId, name: l.name, minStaff: storeCalendar.dayPlan(l, isoDate).minStaff }));
+
+  const status = buildFloorStatus({
+    now: new Date(),
+    shifts: filterShiftsByDate(shifts, isoDate).filter((s) => s.published),
+    timecards: Array.isArray(timecards) ? timecards : [],
+    locations: stores,
+    nameOf: (id) => roster.nameOf(id),
+    homeLocationOf: (id) => (roster.get(id) || {}).homeLocation || null,
+    followUpOf: (shiftId) => clockInMonitor.get(shiftId),
+    lateAfterMin: clockInMonitor.timeouts.lateAfterMin,
+  });
+  if (only) status.locations = status.locations.filter((l) => l.locationId === only);
+  return status;
+}
+
+// GET /floor/now?location=clement&format=slack
+app.get('/floor/now', async (req, res) => {
+  try {
+    const status = await getFloorStatus({ location: req.query.location });
+    if (req.query.format === 'slack') return res.json(formatFloorBlocks(status));
+    res.json(status);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ============================================================
+// EVENT STREAM — server-sent events (see event-bus.js)
+// ============================================================
+
+// GET /events/stream?location=clement&replay=20 — stays open; reconnects resume from Last-Event-ID
+app.get('/events/stream', (req, res) => {
+  try {
+    const locationId = req.query.location ? resolveLocationId(req.query.location) : null;
+    const replay = req.query.replay !== undefined ? parseInt(req.query.replay, 10) || 0 : undefined;
+    eventBus.stream(req, res, { locationId, replay });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /events/recent?after=ID&location=&limit= — the same events, for clients that can't hold a stream open
+app.get('/events/recent', (req, res) => {
+  try {
+    const locationId = req.query.location ? resolveLocationId(req.query.location) : null;
+    const afterId = req.query.after !== undefined ? parseInt(req.query.after, 10) || 0 : null;
+    const events = eventBus.recent({ afterId, locationId, limit: parseInt(req.query.limit, 10) || 50 });
+    res.json({ ...eventBus.stats(), count: events.length, events });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ============================================================
+// SCHEDULE WATCHER — changes made directly in Sling (see schedule-watcher.js)
+// ============================================================
+
+// Fresh Sling data each poll; the refreshed days stay cached for everyone else
+const scheduleWatcher = createScheduleWatcher({
+  snapshot: stateStore.value('schedule-snapshot'),
+  fetchCalendar: (start, end) => {
+    calendarCache.invalidate(start, end);
+    return getOrgCalendar(start, end);
+  },
+  publish: eventBus.publish,
+  timeZone: TZ,
+  days: parseInt(process.env.SCHEDULE_WATCH_DAYS, 10) || 21,
+});
+
+// New or moved shifts may break a rule
+eventBus.subscribe(['schedule.shift_added', 'schedule.shift_time_changed', 'schedule.shift_reassigned'], (event) =>
+  checkConflictsAfterChange(event.data.start)
+);
+
+// Changes to shifts in the next SCHEDULE_WATCH_SLACK_HOURS go to Slack, one message per poll
+const SCHEDULE_CHANGE_SLACK_HOURS = parseInt(process.env.SCHEDULE_WATCH_SLACK_HOURS, 10) || 48;
+let pendingSlackChanges = [];
+
+eventBus.subscribe(
+  CHANGE_TYPES.filter((t) => t !== 'schedule.shifts_published'),
+  (event) => {
+    const now = Date.now();
+    const horizon = now + SCHEDULE_CHANGE_SLACK_HOURS * 60 * 60 * 1000;
+    const soon = (s) => s && new Date(s.end) >= now && new Date(s.start) <= horizon;
+    if (!soon(event.data) && !soon(event.data.before)) return;
+
+    if (pendingSlackChanges.length === 0) {
+      setTimeout(() => {
+        const events = pendingSlackChanges;
+        pendingSlackChanges = [];
+        const { text, blocks } = formatScheduleChangeBlocks(events);
+        postToSlack(text, blocks).catch((err) => console.error('[watch] Could not post changes to Slack:', err.message));
+      }, 2000).unref();
+    }
+    pendingSlackChanges.push(event);
+  }
+);
+
+// Cron: poll now (also runs as the schedule-watch job every SCHEDULE_WATCH_INTERVAL_MIN)
+app.get('/cron/schedule-watch', (req, res) => sendJobRun(res, 'schedule-watch'));
+
+// ============================================================
+// SHIFT CHANGE DMs — employees hear about their own changes (see shift-notifier.js)
+// ============================================================
+
+const shiftNotifier = createShiftNotifier({
+  pending: stateStore.map('shift-notices', { ttlMs: 7 * DAY_MS }),
+  sendDM: sendDMHelper,
+  isOptedOut: (id) => {
+    const e = roster.get(id);
+    return Boolean(e && !e.scheduleDMs);
+  },
+  firstNameOf: (id) => {
+    const e = roster.get(id);
+    return e ? e.firstName : null;
+  },
+  formatTime: formatTimePT,
+  timeZone: TZ,
+  batchMin: parseInt(process.env.SHIFT_DM_BATCH_MIN, 10) || 10,
+  quietHours: parseQuietHours(process.env.SHIFT_DM_QUIET_HOURS ?? '21-8'),
+});
+
+if (process.env.SHIFT_DMS !== 'off') eventBus.subscribe(CHANGE_TYPES, shiftNotifier.handle);
+
+async function flushShiftNotices() {
+  const sent = await shiftNotifier.flush();
+  return { sent: sent.length, messages: sent, waiting: shiftNotifier.list().length };
+}
+
+// Cron: send any batches that are due now (also runs every minute as the shift-notices job)
+app.get('/cron/shift-notices', (req, res) => sendJobRun(res, 'shift-notices'));
+
+// Batches waiting for the edit session to settle or for quiet hours to end
+app.get('/notifications/pending', (req, res) => {
+  const pending = shiftNotifier.list();
+  res.json({ batchMin: shiftNotifier.batchMin, quietHours: shiftNotifier.quietHours, count: pending.length, pending });
+});
+
+app.get('/notifications/opt-outs', async (req, res) => {
+  try {
+    await roster.ensureFresh();
+    const employees = roster.list().filter((e) => !e.scheduleDMs).map((e) => ({ id: e.id, name: e.displayName }));
+    res.json({ count: employees.length, employees });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT opts an employee out of schedule change DMs, DELETE opts them back in (stored in the roster overlay)
+async function setScheduleDMs(req, res, enabled) {
+  try {
+    const resolved = await resolveEmployee(req.params.employee);
+    if (resolved.status !== 'matched') return sendNameError(res, req.params.employee, resolved);
+    const employee = await roster.updateOverlay(resolved.match.id, { scheduleDMs: enabled ? null : false });
+    res.json({ success: true, employee: { id: employee.id, name: employee.displayName, scheduleDMs: employee.scheduleDMs } });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+}
+
+app.put('/notifications/opt-outs/:employee', requireApiKey, (req, res) => setScheduleDMs(req, res, false));
+app.delete('/notifications/opt-outs/:employee', requireApiKey, (req, res) => setScheduleDMs(req, res, true));
+
+// ============================================================
+// SHIFT REMINDERS — night-before DMs, replies start the coverage flow (see shift-reminders.js)
+// ============================================================
+
+const shiftReminders = createShiftReminders({
+  reminders: stateStore.map('shift-reminders', { ttlMs: 7 * DAY_MS }),
+  getShifts: async (start, end) => {
+    const { shifts } = await getOrgCalendar(start, end);
+    return shifts.filter((s) => s.employeeId && s.published && new Date(s.start) >= new Date(start));
+  },
+  sendDM: sendDMHelper,
+  getReplies: getSlingReplies,
+  classifyReply: replyClassifier.classify,
+  resolveCover,
+  notify: (text) => postToSlack(text),
+  // "sick, sorry" sent while a clock-in follow-up is open answers the follow-up
+  isClaimed: (employeeId, at) => clockInMonitor.awaitsReplyFrom(employeeId, at),
+  // Post coverage candidates for the shift, as "cover for X" in Slack would
+  startCoverage: async (record, reply) => {
+    const result = await findCoverage(toISODatePT(record.start), record.employeeId);
+    if (result.error) return console.error(`[remind] No coverage search for ${record.employee}:`, result.error);
+    const { text, blocks } = formatCoverageBlocks(result, { intro: `Replied to their reminder: _"${reply.text}"_` });
+    await postToSlack(text, blocks);
+    eventBus.publish('shift.call_out', { ...shiftEventData({ ...record, id: record.shiftId }), reason: reply.text }, { locationId: record.locationId });
+  },
+  leadHoursOf: (id) => {
+    const e = roster.get(id);
+    return e ? e.reminderLeadHours : null;
+  },
+  nameOf: (id) => roster.nameOf(id),
+  formatTime: formatTimePT,
+  timeZone: TZ,
+  reminderHour: parseInt(process.env.SHIFT_REMINDER_HOUR, 10) || 19,
+});
+
+async function runShiftReminders() {
+  await roster.ensureFresh();
+  const result = await shiftReminders.tick();
+  if (result.sent.length) console.log(`[remind] Reminded ${result.sent.length} employee(s)`);
+  return result;
+}
+
+// Cron: send reminders that are due and read replies (also runs every 5 min as the shift-reminders job)
+app.get('/cron/shift-reminders', (req, res) => sendJobRun(res, 'shift-reminders'));
+
+// GET /reminders?date=tomorrow
+app.get('/reminders', (req, res) => {
+  try {
+    const date = req.query.date ? getDayRange(req.query.date).isoDate : toISODatePT(new Date());
+    const reminders = shiftReminders.list({ date });
+    res.json({ date, count: reminders.length, reminders });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================
 // HEALTH CHECK
 // ============================================================
@@ -3237,10 +3849,7 @@ app.get('/health', (req, res) => {
 // Debug endpoint to inspect conversations
 app.get('/messages/conversations/debug', async (req, res) => {
   try {
-    const convResp = await fetch(`${SLING_BASE}/v1/593037/conversations`, {
-      headers: { Authorization: SLING_TOKEN }
-    });
-    const conversations = await convResp.json();
+    const conversations = await slingGet('/v1/593037/conversations');
     
     // Return just the first 5 for inspection
     res.json({
@@ -3267,98 +3876,29 @@ app.post('/messages/dm', async (req, res) => {
     }
     
     // Find user by name or ID
+    await roster.ensureFresh();
     let targetUser;
     if (userId) {
-      // If userId provided, fetch the full user details
-      const userResp = await fetch(`https://pixlcat-sling-api.onrender.com/users`);
-      const userData = await userResp.json();
-      const usersList = userData.users || [];
-      targetUser = usersList.find(u => u.id === userId);
+      targetUser = roster.get(userId);
       
       if (!targetUser) {
         return res.status(404).json({ error: `User ID ${userId} not found` });
       }
     } else if (userName) {
-      const usersResp = await fetch(`https://pixlcat-sling-api.onrender.com/users`);
-      const usersData = await usersResp.json();
-      const usersList = usersData.users || [];
-      targetUser = usersList.find(u => 
-        u.firstName?.toLowerCase().includes(userName.toLowerCase()) ||
-        u.fullName?.toLowerCase().includes(userName.toLowerCase())
-      );
-      
-      if (!targetUser) {
-        return res.status(404).json({ error: `User "${userName}" not found` });
-      }
+      const resolved = await resolveEmployee(userName);
+      if (resolved.status !== 'matched') return sendNameError(res, userName, resolved, 'userName');
+      targetUser = roster.get(resolved.match.id);
     } else {
       return res.status(400).json({ error: 'userId or userName required' });
     }
     
-    // Get existing conversations
-    const convResp = await fetch(`${SLING_BASE}/v1/593037/conversations`, {
-      headers: { Authorization: SLING_TOKEN }
-    });
-    const conversations = await convResp.json();
-    
-    // Find DM conversation with this user
-    // Try multiple matching strategies since Sling conversation names vary
-    const firstName = targetUser.firstName;
-    const fullName = targetUser.fullName;
-    
-    const dmConv = conversations.find(c => {
-      const convName = c.name;
-      if (!convName) return false;
-      
-      // Strategy 1: Exact match on full name (e.g., "Jeffrey Kim")
-      if (convName === fullName) return true;
-      
-      // Strategy 2: Exact match on first name only (e.g., "Jeffrey")
-      if (convName === firstName) return true;
-      
-      // Strategy 3: Conversation contains the full name (case insensitive)
-      if (fullName && convName.toLowerCase().includes(fullName.toLowerCase())) return true;
-      
-      // Strategy 4: Conversation starts with first name (for "FirstName and You" format)
-      if (firstName && convName.toLowerCase().startsWith(firstName.toLowerCase())) return true;
-      
-      return false;
-    });
-    
-    if (!dmConv) {
-      return res.status(404).json({ 
-        error: `No DM conversation found with ${fullName || firstName}. Please send them a message in Sling first to create the conversation.`,
-        userId: targetUser.id,
-        hint: `Looking for conversation with name matching "${firstName}" or "${fullName}"`
-      });
-    }
-    
-    // Send message
-    const msgResp = await fetch(
-      `${SLING_BASE}/v1/593037/conversations/${dmConv.id}/messages`,
-      {
-        method: 'POST',
-        headers: {
-          Authorization: SLING_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ content: text })
-      }
-    );
-    
-    if (!msgResp.ok) {
-      const errText = await msgResp.text();
-      throw new Error(`Sling API error: ${msgResp.status} - ${errText}`);
-    }
-    
-    const result = await msgResp.json();
-    res.json({ 
-      success: true, 
-      recipient: targetUser.firstName || targetUser.fullName,
-      conversationId: dmConv.id,
-      result 
-    });
+    const sent = await sendSlingDM(targetUser, text);
+    res.json({ success: true, ...sent });
     
   } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: error.message, userId: error.userId, hint: error.hint });
+    }
     console.error('❌ /messages/dm error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -3368,19 +3908,15 @@ app.post('/messages/dm', async (req, res) => {
 // TIMECARD ADJUSTMENTS EMAIL DIGEST
 // ============================================================
 
-// Cron endpoint: Generate and send weekly timecard digest
-// Schedule: Every Monday at 8:00 AM PT
-app.get('/cron/timecard-digest', async (req, res) => {
-  try {
-    console.log('📋 Generating timecard adjustments digest...');
-    const result = await generateDigest();
-    console.log('✅ Timecard digest sent successfully');
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Timecard digest error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Weekly timecard digest (timecard-digest job, Mondays at 8:00 AM PT)
+async function sendTimecardDigest() {
+  console.log('📋 Generating timecard adjustments digest...');
+  const result = await generateDigest();
+  console.log('✅ Timecard digest sent successfully');
+  return result;
+}
+
+app.get('/cron/timecard-digest', (req, res) => sendJobRun(res, 'timecard-digest'));
 
 // Test endpoint: Find the timecard adjustments conversation
 app.get('/test/timecard-conversation', async (req, res) => {
@@ -3427,11 +3963,181 @@ app.get('/test/timecard-messages', async (req, res) => {
   }
 });
 
+// ============================================================
+// JOB SCHEDULER — recurring jobs in-process (see job-scheduler.js)
+// ============================================================
+
+// Failures, overdue jobs and recoveries go to JOB_ALERT_CHANNEL (default: ops)
+const JOB_ALERT_CHANNEL = process.env.JOB_ALERT_CHANNEL || OPS_CHANNEL;
+
+function formatJobAlert({ type, job, run, expectedBy }) {
+  const when = (iso) => new Date(iso).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: job.timeZone });
+  const next = job.nextRunAt ? `\nNext run: ${when(job.nextRunAt)}` : '';
+  if (type === 'failed') {
+    return `🚨 Job *${job.name}* failed (${run.trigger} run, ${(run.durationMs / 1000).toFixed(1)}s): ${run.error}${next}`;
+  }
+  if (type === 'overdue') {
+    const since = job.lastSuccessAt ? `since ${when(job.lastSuccessAt)}` : 'since the server started';
+    return `⏰ Job *${job.name}* hasn't succeeded ${since}; it was due ${when(expectedBy)}.${job.running ? ' It is still running.' : ''}${next}`;
+  }
+  return `✅ Job *${job.name}* is working again${run.summary ? ` (${run.summary})` : ''}.`;
+}
+
+// Last runs survive restarts, so a slot missed while down runs once on boot.
+// History of jobs that stop running (renamed or removed) ages out after a month.
+const jobs = createJobScheduler({
+  runs: stateStore.map('job-runs'),
+  history: stateStore.map('job-history', { ttlMs: 30 * DAY_MS }),
+  onAlert: (alert) => replyInSlack(JOB_ALERT_CHANNEL, null, formatJobAlert(alert)),
+  timeZone: TZ,
+});
+
+// JOBS_DISABLED=labor-alert-boston,weekly-report turns jobs off; JOB_<NAME>_CRON
+// (e.g. JOB_DAILY_SCHEDULE_CRON="0 16 * * *") changes when one runs.
+const DISABLED_JOBS = (process.env.JOBS_DISABLED || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+function registerJob({ name, schedule, enabled = true, ...job }) {
+  const override = process.env[`JOB_${name.toUpperCase().replace(/-/g, '_')}_CRON`];
+  jobs.register({ name, schedule: override || schedule, enabled: enabled && !DISABLED_JOBS.includes(name), ...job });
+}
+
+const HAS_SLACK = Boolean(SLACK_BOT_TOKEN || process.env.SLACK_WEBHOOK_URL);
+const WATCH_INTERVAL_MIN = process.env.SCHEDULE_WATCH_INTERVAL_MIN !== undefined ? parseInt(process.env.SCHEDULE_WATCH_INTERVAL_MIN, 10) : 10;
+const WATCH_SCHEDULE = WATCH_INTERVAL_MIN >= 60 ? `0 */${Math.round(WATCH_INTERVAL_MIN / 60)} * * *` : `*/${WATCH_INTERVAL_MIN > 0 ? WATCH_INTERVAL_MIN : 10} * * * *`;
+
+registerJob({
+  name: 'daily-schedule',
+  description: "Post tomorrow's schedule to Slack and check it for conflicts",
+  schedule: '0 17 * * *',
+  catchUpHours: 6,
+  enabled: HAS_SLACK,
+  run: postTomorrowSchedule,
+  summarize: (r) => ({ summary: `${r.shiftsPosted} shifts for ${r.date}`, items: r.shiftsPosted }),
+});
+registerJob({
+  name: 'weekly-report',
+  description: 'Week-over-week performance report to the ops channel',
+  schedule: '0 8 * * 1',
+  catchUpHours: 12,
+  run: postWeeklyReport,
+  summarize: (r) => ({ summary: `${r.currWeek} vs ${r.prevWeek}${r.emailed ? ', emailed' : ''}`, items: null }),
+});
+for (const location of locations.withPos().filter((l) => l.laborAlertAt)) {
+  const [hour, minute] = location.laborAlertAt.split(':').map(Number);
+  registerJob({
+    name: `labor-alert-${location.key}`,
+    description: `${location.shortName} clock-out and overtime check`,
+    schedule: `${minute} ${hour} * * *`,
+    timeZone: location.timeZone,
+    catchUpHours: 2,
+    run: () => laborAlert(location),
+  });
+}
+registerJob({
+  name: 'break-compliance',
+  description: 'SF meal break compliance summary to the ops channel',
+  schedule: '0 23 * * *',
+  catchUpHours: 0.5,
+  run: () => postBreakSummary('today'),
+});
+registerJob({
+  name: 'timecard-digest',
+  description: 'Timecard adjustments email digest',
+  schedule: '0 8 * * 1',
+  catchUpHours: 12,
+  run: sendTimecardDigest,
+});
+registerJob({
+  name: 'clockin-check',
+  description: 'Advance clock-in follow-ups',
+  schedule: '*/5 * * * *',
+  run: runClockInCheck,
+});
+registerJob({
+  name: 'clockout-check',
+  description: 'Clock-out reminders for shifts that just ended',
+  schedule: '*/15 * * * *',
+  run: runClockOutCheck,
+});
+registerJob({
+  name: 'schedule-watch',
+  description: 'Poll Sling for schedule changes',
+  schedule: WATCH_SCHEDULE,
+  enabled: WATCH_INTERVAL_MIN > 0,
+  run: () => scheduleWatcher.poll(),
+});
+registerJob({
+  name: 'shift-notices',
+  description: 'Send schedule change DMs that are due',
+  schedule: '* * * * *',
+  enabled: process.env.SHIFT_DMS !== 'off',
+  run: flushShiftNotices,
+});
+registerJob({
+  name: 'shift-reminders',
+  description: 'Send shift reminder DMs and read replies',
+  schedule: '*/5 * * * *',
+  enabled: process.env.SHIFT_REMINDERS !== 'off',
+  run: runShiftReminders,
+  summarize: (r) => ({ summary: `${r.sent.length} reminded, ${r.replies.length} replies handled`, items: r.sent.length + r.replies.length }),
+});
+
+// Run a job for a /cron/* route and reply with its result
+async function sendJobRun(res, name) {
+  try {
+    res.json(await jobs.trigger(name, { by: 'cron' }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+}
+
+app.get('/jobs', (req, res) => {
+  const list = jobs.list();
+  res.json({ count: list.length, jobs: list });
+});
+
+// GET /jobs/history?job=weekly-report&status=error&limit=20
+app.get('/jobs/history', (req, res) => {
+  try {
+    const runs = jobs.history({ name: req.query.job || null, status: req.query.status || null, limit: parseInt(req.query.limit, 10) || 50 });
+    res.json({ count: runs.length, runs });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/jobs/:name', (req, res) => {
+  try {
+    res.json(jobs.get(req.params.name));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Run a job now; 409 while it is already running
+app.post('/jobs/:name/run', requireApiKey, async (req, res) => {
+  try {
+    const result = await jobs.trigger(req.params.name);
+    res.json({ success: true, job: jobs.get(req.params.name), result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // ============================================================
 // START
 // ============================================================
 
 app.listen(PORT, () => {
   console.log(`Pixlcat Sling API v2.2.0 running on port ${PORT}`);
-  startDailyScheduler();
-});
\ No newline at end of file
+  jobs.start();
+  console.log(`Job scheduler: ${jobs.list().filter((j) => j.enabled).length} jobs scheduled, see /jobs`);
+  roster.ensureFresh();
+});
+// Render sends SIGTERM before restarting; write any batched state first
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.on(signal, () => {
+    stateStore.flushSync();
+    process.exit(0);
+  });
+});
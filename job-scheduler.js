@@ -0,0 +1,420 @@
+/**
+ * job-scheduler.js — In-process cron for the bot's recurring jobs
+ *
+ * Each job is registered with a five-field cron expression (minute hour
+ * day-of-month month day-of-week) read in its own time zone, so the Boston
+ * labor alert fires at 7pm ET and the SF one at 7pm PT:
+ *
+ *   jobs.register({ name: 'labor-alert-boston', schedule: '0 19 * * *', timeZone: 'America/New_York', run })
+ *
+ * Fields take `*`, lists, ranges and steps (`*\/5`, `1-5`, `0,30`); days of the
+ * week are 0–6 from Sunday (7 is Sunday too). As in cron, when both day fields
+ * are restricted a day matching either one runs. A local time the spring-forward
+ * change skips (2:30am) runs right after the jump, at 3:30am.
+ *
+ * - A job never overlaps itself: a tick that finds it still running skips it,
+ *   and a manual trigger is refused with 409.
+ * - The last run of every job (start, duration, summary, a preview of the
+ *   result cut to RESULT_PREVIEW_CHARS, or the error) is kept in the Map-like
+ *   `runs` store, so after a restart a job whose slot passed while the
+ *   process was down runs once, if it was due within its catchUpHours.
+ * - A job seen for the first time waits for its next slot.
+ *
+ * Every run (start, end, status, a one-line summary and the number of items it
+ * processed) is also appended to that job's rolling history. onAlert() is
+ * called when a job fails, when a slot has passed by graceMin without a
+ * successful run (including one stuck running), and when a job that was
+ * failing or overdue succeeds again — once per incident, not on every tick.
+ */
+
+const { addDaysToKey, zonedTime } = require('./calendar-cache');
+
+const TICK_MS = 30 * 1000;
+const HISTORY_SIZE = 50;
+const GRACE_MIN = 30;
+const RESULT_PREVIEW_CHARS = 2000;
+
+// Result keys read as "items processed" when a job has no summarize()
+const COUNT_KEYS = ['items', 'count', 'sent', 'alerts', 'shiftsPosted', 'shiftsChecked', 'violations', 'changes', 'messageCount'];
+
+/** Default summary of a run's result: the first count-like field (or array length). */
+function summarizeResult(result) {
+  if (Array.isArray(result)) return { summary: `${result.length} items`, items: result.length };
+  if (!result || typeof result !== 'object') return { summary: null, items: null };
+  for (const key of COUNT_KEYS) {
+    const value = Array.isArray(result[key]) ? result[key].length : result[key];
+    if (Number.isFinite(value)) return { summary: `${value} ${key}`, items: value };
+  }
+  return { summary: null, items: null };
+}
+
+/**
+ * What is kept of a run's result: the result itself when it is small, else
+ * the start of its JSON. Big results (a whole day's shifts) stay out of the store.
+ */
+function previewResult(result) {
+  if (result === undefined || result === null) return null;
+  let json;
+  try {
+    json = JSON.stringify(result);
+  } catch (_) {
+    return { truncated: true, preview: String(result).slice(0, RESULT_PREVIEW_CHARS) };
+  }
+  if (json === undefined) return null;
+  return json.length <= RESULT_PREVIEW_CHARS ? result : { truncated: true, size: json.length, preview: json.slice(0, RESULT_PREVIEW_CHARS) };
+}
+
+const SEARCH_DAYS = 366 * 4; // long enough for Feb 29 ("0 0 29 2 *")
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function badCron(expr, why) {
+  const err = new Error(`Invalid cron expression "${expr}": ${why}`);
+  err.status = 400;
+  return err;
+}
+
+function parseField(text, { name, min, max }, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw badCron(expr, `bad ${name} "${part}"`);
+    const from = m[1] === '*' ? min : parseInt(m[2], 10);
+    const to = m[1] === '*' ? max : m[3] !== undefined ? parseInt(m[3], 10) : m[4] ? max : from;
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) throw badCron(expr, `${name} out of range`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** "0 17 * * *" -> { minutes, hours, days, months, weekdays, anyDay, anyWeekday }. */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw badCron(expr, 'expected 5 fields');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i], expr));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+function dayMatches(cron, key) {
+  const [, month, day] = key.split('-').map(Number);
+  if (!cron.months.has(month)) return false;
+  const weekday = new Date(`${key}T12:00:00Z`).getUTCDay();
+  if (cron.anyDay) return cron.weekdays.has(weekday);
+  if (cron.anyWeekday) return cron.days.has(day);
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+const clockFormats = new Map();
+
+/** Local day (YYYY-MM-DD) and minute of the day of an instant. */
+function localClock(ms, timeZone) {
+  let format = clockFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-CA', { timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+    clockFormats.set(timeZone, format);
+  }
+  const p = Object.fromEntries(format.formatToParts(ms).map((part) => [part.type, part.value]));
+  return { key: `${p.year}-${p.month}-${p.day}`, minute: (Number(p.hour) % 24) * 60 + Number(p.minute) };
+}
+
+/** First time (ms) after afterMs that the cron expression matches in timeZone. */
+function nextRun(expr, afterMs, timeZone) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  const after = localClock(afterMs, timeZone);
+  for (let i = 0, key = after.key; i < SEARCH_DAYS; i++, key = addDaysToKey(key, 1)) {
+    if (!dayMatches(cron, key)) continue;
+    // Slots earlier in the day than afterMs are skipped without converting them
+    const from = key === after.key ? after.minute : 0;
+    for (const h of cron.hours) {
+      if (h * 60 + 59 < from) continue;
+      for (const m of cron.minutes) {
+        const minute = h * 60 + m;
+        if (minute < from) continue;
+        let at = zonedTime(key, minute, timeZone);
+        // A wall time the spring-forward change skips (2:30am) runs once the clocks have jumped (3:30am)
+        const actual = localClock(at, timeZone);
+        if (actual.key !== key) continue;
+        if (actual.minute !== minute) at += (minute - actual.minute) * 60 * 1000;
+        if (at > afterMs) return at;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the scheduler.
+ *
+ * @param {object} opts
+ * @param {object} opts.runs - Map-like store of job name -> last run
+ * @param {object} [opts.history] - Map-like store of job name -> recent runs, oldest first
+ * @param {(alert: {type, job, run, expectedBy}) => Promise} [opts.onAlert] - type is failed, overdue or recovered
+ * @param {string} [opts.timeZone] - default for jobs that don't name one
+ * @param {number} [opts.historySize] - runs kept per job
+ * @param {number} [opts.tickMs]
+ * @param {() => number} [opts.clock]
+ */
+function createJobScheduler({
+  runs,
+  history = new Map(),
+  onAlert = async () => {},
+  timeZone = 'America/Los_Angeles',
+  historySize = HISTORY_SIZE,
+  tickMs = TICK_MS,
+  clock = Date.now,
+}) {
+  const jobs = new Map(); // name -> { name, description, schedule, cron, timeZone, catchUpHours, graceMin, enabled, run, summarize, running, nextRunAt, due }
+  let timer = null;
+  let startedAt = clock();
+  const iso = (ms) => new Date(ms).toISOString();
+
+  /**
+   * Add a job.
+   *
+   * @param {object} job
+   * @param {string} job.name
+   * @param {string} job.schedule - cron expression
+   * @param {() => Promise<any>} job.run - a preview of its result is kept as the last result
+   * @param {string} [job.description]
+   * @param {string} [job.timeZone]
+   * @param {number} [job.catchUpHours] - run a slot missed while down if it was this recent (0 never)
+   * @param {boolean} [job.enabled] - disabled jobs are listed and can be triggered, but never scheduled
+   * @param {number} [job.graceMin] - how long after a slot a successful run may take before it's overdue
+   * @param {(result) => {summary, items}} [job.summarize] - one line and a count for the run history
+   */
+  function register({
+    name,
+    schedule,
+    run,
+    description = '',
+    timeZone: zone = timeZone,
+    catchUpHours = 0,
+    graceMin = GRACE_MIN,
+    enabled = true,
+    summarize = summarizeResult,
+  }) {
+    if (jobs.has(name)) throw new Error(`Job ${name} is already registered`);
+    const job = { name, description, schedule, cron: parseCron(schedule), timeZone: zone, catchUpHours, graceMin, enabled, run, summarize, running: null, nextRunAt: null, due: null };
+    jobs.set(name, job);
+    if (timer) plan(job);
+    return job;
+  }
+
+  // When the job should next run; a missed slot within catchUpHours means now
+  function plan(job) {
+    const now = clock();
+    const last = runs.get(job.name);
+    if (!job.enabled) {
+      job.nextRunAt = null;
+      return;
+    }
+    if (last && job.catchUpHours > 0) {
+      const missed = nextRun(job.cron, new Date(last.scheduledFor || last.startedAt).getTime(), job.timeZone);
+      if (missed !== null && missed <= now && now - missed <= job.catchUpHours * 60 * 60 * 1000) {
+        console.log(`[jobs] ${job.name} missed its ${new Date(missed).toISOString()} run, catching up`);
+        job.nextRunAt = missed;
+        return;
+      }
+    }
+    job.nextRunAt = nextRun(job.cron, now, job.timeZone);
+  }
+
+  function alert(type, job, extra = {}) {
+    Promise.resolve()
+      .then(() => onAlert({ type, job: describe(job), ...extra }))
+      .catch((err) => console.error(`[jobs] Could not send ${type} alert for ${job.name}:`, err.message));
+  }
+
+  function remember(job, run) {
+    const runsSoFar = history.get(job.name) || [];
+    history.set(job.name, [...runsSoFar, run].slice(-historySize));
+  }
+
+  function summaryOf(job, result) {
+    try {
+      return job.summarize(result) || { summary: null, items: null };
+    } catch (_) {
+      return { summary: null, items: null };
+    }
+  }
+
+  async function execute(job, trigger, scheduledFor = null) {
+    const started = clock();
+    const previous = runs.get(job.name) || {};
+    const record = {
+      startedAt: iso(started),
+      scheduledFor: scheduledFor ? iso(scheduledFor) : previous.scheduledFor || null,
+      trigger,
+    };
+    runs.set(job.name, { ...previous, ...record, status: 'running' });
+
+    job.running = (async () => {
+      try {
+        const result = await job.run();
+        const { summary = null, items = null } = summaryOf(job, result);
+        const run = { ...record, status: 'ok', finishedAt: iso(clock()), durationMs: clock() - started, summary, items, error: null };
+        const last = runs.get(job.name) || previous;
+        runs.set(job.name, { ...last, ...run, result: previewResult(result), lastSuccessAt: run.finishedAt, failing: false, overdueFor: null });
+        remember(job, run);
+        if (last.failing || last.overdueFor) alert('recovered', job, { run });
+        return result;
+      } catch (err) {
+        console.error(`[jobs] ${job.name} failed:`, err.message);
+        const run = { ...record, status: 'error', finishedAt: iso(clock()), durationMs: clock() - started, summary: null, items: null, error: err.message };
+        const last = runs.get(job.name) || previous;
+        runs.set(job.name, { ...last, ...run, result: null, lastErrorAt: run.finishedAt, lastError: err.message, failing: true });
+        remember(job, run);
+        if (!last.failing) alert('failed', job, { run });
+        throw err;
+      } finally {
+        job.running = null;
+      }
+    })();
+    return job.running;
+  }
+
+  // The first slot after the last success, once it is graceMin old without one
+  function checkOverdue(job, now) {
+    if (!job.enabled) return;
+    const last = runs.get(job.name) || {};
+    if (last.failing) return; // already alerted as failed
+    const since = last.lastSuccessAt ? new Date(last.lastSuccessAt).getTime() : startedAt;
+    // Only recomputed when there is a new success to count from
+    if (!job.due || job.due.since !== since) job.due = { since, at: nextRun(job.cron, since, job.timeZone) };
+    const due = job.due.at;
+    if (due === null || now < due + job.graceMin * 60 * 1000 || last.overdueFor === iso(due)) return;
+    runs.set(job.name, { ...last, overdueFor: iso(due) });
+    console.warn(`[jobs] ${job.name} has not succeeded since its ${iso(due)} slot`);
+    alert('overdue', job, { expectedBy: iso(due) });
+  }
+
+  /** Run every job whose time has come. */
+  function tick() {
+    const now = clock();
+    for (const job of jobs.values()) {
+      if (job.nextRunAt === null || job.nextRunAt > now) continue;
+      const scheduledFor = job.nextRunAt;
+      job.nextRunAt = nextRun(job.cron, now, job.timeZone);
+      if (job.running) {
+        console.warn(`[jobs] ${job.name} is still running, skipping its ${new Date(scheduledFor).toISOString()} run`);
+        continue;
+      }
+      execute(job, 'schedule', scheduledFor).catch(() => {});
+    }
+    for (const job of jobs.values()) checkOverdue(job, now);
+  }
+
+  function start() {
+    if (timer) return;
+    for (const [name, last] of runs.entries()) {
+      // Still "running" from before a restart
+      if (last.status === 'running') runs.set(name, { ...last, status: 'interrupted' });
+    }
+    startedAt = clock();
+    for (const job of jobs.values()) plan(job);
+    timer = setInterval(tick, tickMs);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function find(name) {
+    const job = jobs.get(name);
+    if (!job) {
+      const err = new Error(`Unknown job: ${name}`);
+      err.status = 404;
+      throw err;
+    }
+    return job;
+  }
+
+  /** Run a job now and resolve with its result. Refused (409) while it is already running. */
+  function trigger(name, { by = 'manual' } = {}) {
+    const job = find(name);
+    if (job.running) {
+      const err = new Error(`Job ${name} is already running`);
+      err.status = 409;
+      return Promise.reject(err);
+    }
+    return execute(job, by);
+  }
+
+  function healthOf(job, last) {
+    if (!last) return 'ok';
+    if (last.failing) return 'failing';
+    return last.overdueFor ? 'overdue' : 'ok';
+  }
+
+  function describe(job) {
+    const last = runs.get(job.name) || null;
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timeZone: job.timeZone,
+      enabled: job.enabled,
+      running: Boolean(job.running),
+      health: healthOf(job, last),
+      nextRunAt: job.nextRunAt === null ? null : new Date(job.nextRunAt).toISOString(),
+      lastRun: last
+        ? {
+            startedAt: last.startedAt,
+            finishedAt: last.finishedAt || null,
+            durationMs: last.durationMs ?? null,
+            status: last.status,
+            trigger: last.trigger,
+            summary: last.summary ?? null,
+            items: last.items ?? null,
+            error: last.error || null,
+          }
+        : null,
+      lastSuccessAt: last ? last.lastSuccessAt || null : null,
+      lastError: last && last.lastError ? { at: last.lastErrorAt, message: last.lastError } : null,
+    };
+  }
+
+  function list() {
+    return [...jobs.values()].map(describe);
+  }
+
+  function get(name) {
+    const job = find(name);
+    const last = runs.get(name);
+    return { ...describe(job), lastResult: last ? last.result ?? null : null, history: runsOf({ name, limit: 10 }) };
+  }
+
+  /** Recorded runs, newest first, for one job or all of them. */
+  function runsOf({ name = null, status = null, limit = historySize } = {}) {
+    if (name) find(name);
+    const names = name ? [name] : [...jobs.keys()];
+    return names
+      .flatMap((n) => (history.get(n) || []).map((r) => ({ job: n, ...r })))
+      .filter((r) => !status || r.status === status)
+      .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1))
+      .slice(0, Math.max(0, limit));
+  }
+
+  return { register, start, stop, tick, trigger, list, get, history: runsOf };
+}
+
+module.exports = { createJobScheduler, parseCron, nextRun, summarizeResult };
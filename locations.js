@@ -0,0 +1,180 @@
+/**
+ * locations.js — Store registry
+ *
+ * Everything that differs between stores lives in locations.json
+ * (LOCATIONS_PATH), one entry per store:
+ *
+ *   {
+ *     "key": "clement",                    // used in job names, URLs and response fields
+ *     "name": "Clement Pixlcat",           // as Sling names it
+ *     "shortName": "Clement", "reportName": "SF / San Francisco", "emoji": "☕",
+ *     "region": "SF",                      // "SF" in a question means every SF store
+ *     "aliases": ["clement", "sf"],        // words that name the store in text
+ *     "slingLocationId": 16124319,         // null when not scheduled in Sling
+ *     "pos": { "provider": "toast", "url": "https://…", "urlEnv": "TOAST_API_URL" },
+ *     "scheduling": "sling",               // "sling", "square" or null
+ *     "timeZone": "America/Los_Angeles",
+ *     "hours": { "sun": "7-17", "mon": "7-16" },  // days left out are closed
+ *     "minStaff": { "weekday": 2, "weekend": 2 },
+ *     "slack": { "channel": "C0…", "tokenEnv": "SQUARE_SLACK_BOT_TOKEN" },
+ *     "laborAlertAt": "19:00",             // local time of the nightly labor alert
+ *     "benchmarks": { "weekday": { "sales": 1807, "splh": 96 }, "weekend": { … } }
+ *   }
+ *
+ * Routes, Slack posts, the Claude handlers and the weekly report all iterate
+ * the registry, so opening a store is a new entry here. The file is read once
+ * at startup; a mistake in it stops the server rather than being guessed at.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const POS_PROVIDERS = ['toast', 'square'];
+const SCHEDULING = ['sling', 'square'];
+
+function normalize(str) {
+  return String(str || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** "7-16" or "6:30-16:30" -> { open, close } in minutes after midnight. */
+function parseHours(value) {
+  const m = String(value).match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) throw new Error(`Store hours must look like "7-16", got "${value}"`);
+  return { open: m[1] * 60 + parseInt(m[2] || '0', 10), close: m[3] * 60 + parseInt(m[4] || '0', 10) };
+}
+
+function checkLocation(raw, file) {
+  const where = `${file}: location ${raw.key || raw.name || '?'}`;
+  const fail = (msg) => {
+    throw new Error(`${where}: ${msg}`);
+  };
+  if (!raw.key || !/^[A-Za-z][A-Za-z0-9]*$/.test(raw.key)) fail('key must be letters and digits, e.g. "clement"');
+  if (!raw.name) fail('name is required');
+  if (!raw.timeZone) fail('timeZone is required');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: raw.timeZone });
+  } catch {
+    fail(`unknown timeZone "${raw.timeZone}"`);
+  }
+  if (raw.slingLocationId != null && !Number.isInteger(raw.slingLocationId)) fail('slingLocationId must be a Sling location id');
+  if (raw.pos && !POS_PROVIDERS.includes(raw.pos.provider)) fail(`pos.provider must be one of ${POS_PROVIDERS.join(', ')}`);
+  if (raw.pos && !raw.pos.url && !(raw.pos.urlEnv && process.env[raw.pos.urlEnv])) fail('pos.url is required');
+  if (raw.scheduling && !SCHEDULING.includes(raw.scheduling)) fail(`scheduling must be one of ${SCHEDULING.join(', ')}`);
+  if (raw.scheduling === 'sling' && !raw.slingLocationId) fail('scheduling "sling" needs a slingLocationId');
+  if (raw.laborAlertAt && !/^\d{1,2}:\d{2}$/.test(raw.laborAlertAt)) fail('laborAlertAt must look like "19:00"');
+  const unknownDays = Object.keys(raw.hours || {}).filter((d) => !DAYS.includes(d));
+  if (unknownDays.length) fail(`unknown day(s) in hours: ${unknownDays.join(', ')}`);
+
+  const hours = DAYS.map((d) => (raw.hours && raw.hours[d] ? parseHours(raw.hours[d]) : null));
+  const slack = raw.slack || {};
+  return Object.freeze({
+    key: raw.key,
+    name: raw.name,
+    shortName: raw.shortName || raw.name,
+    reportName: raw.reportName || raw.shortName || raw.name,
+    emoji: raw.emoji || '📍',
+    region: raw.region || null,
+    aliases: [...new Set([raw.key, raw.name, raw.shortName, ...(raw.aliases || [])].filter(Boolean).map(normalize))],
+    address: raw.address || null,
+    slingLocationId: raw.slingLocationId || null,
+    pos: raw.pos ? { provider: raw.pos.provider, url: (raw.pos.urlEnv && process.env[raw.pos.urlEnv]) || raw.pos.url } : null,
+    scheduling: raw.scheduling || null,
+    timeZone: raw.timeZone,
+    hours: raw.hours ? hours : null,
+    minStaff: { weekday: 0, weekend: 0, ...(raw.minStaff || {}) },
+    slack: { channel: slack.channel || null, tokenEnv: slack.tokenEnv || null, token: (slack.tokenEnv && process.env[slack.tokenEnv]) || null },
+    laborAlertAt: raw.laborAlertAt || null,
+    benchmarks: raw.benchmarks || null,
+    notes: raw.notes || null,
+  });
+}
+
+/**
+ * Lookups over a list of checked locations, in file order.
+ *
+ * @param {object[]} list - entries as in locations.json
+ * @param {string} [file] - where they came from, for error messages
+ */
+function createLocationRegistry(list, file = 'locations') {
+  if (!Array.isArray(list) || !list.length) throw new Error(`${file}: no locations`);
+  const all = list.map((raw) => checkLocation(raw, file));
+  for (const field of ['key', 'slingLocationId']) {
+    const seen = new Set();
+    for (const l of all) {
+      if (l[field] === null) continue;
+      if (seen.has(l[field])) throw new Error(`${file}: two locations with ${field} ${l[field]}`);
+      seen.add(l[field]);
+    }
+  }
+
+  const byKey = new Map(all.map((l) => [l.key.toLowerCase(), l]));
+  const bySling = new Map(all.filter((l) => l.slingLocationId).map((l) => [l.slingLocationId, l]));
+  const wordRe = (alias) => new RegExp(`(^|[^a-z0-9])${escapeRe(alias)}($|[^a-z0-9])`);
+
+  /** By key or Sling location id. */
+  function get(keyOrId) {
+    if (keyOrId === null || keyOrId === undefined) return null;
+    if (typeof keyOrId === 'number' || /^\d+$/.test(String(keyOrId))) return bySling.get(Number(keyOrId)) || null;
+    return byKey.get(String(keyOrId).toLowerCase()) || null;
+  }
+
+  /** A key, Sling id, name or alias ("9th", "Clement Pixlcat") -> location, or null. */
+  function resolve(value) {
+    const exact = get(value);
+    if (exact) return exact;
+    const text = normalize(value);
+    if (!text) return null;
+    return all.find((l) => l.aliases.includes(text)) || all.find((l) => l.aliases.some((a) => wordRe(a).test(text))) || null;
+  }
+
+  /** Which location a Sling shift (or timecard) is at, by id and then by name. */
+  function ofShift(s) {
+    return (s.locationId && bySling.get(s.locationId)) || (s.location ? resolve(s.location) : null);
+  }
+
+  /**
+   * Every location a question names ("how did Clement and Boston do"); a region
+   * name ("SF") counts as all of its stores. Empty when none is named.
+   */
+  function mentionedIn(text) {
+    const t = normalize(text);
+    return all.filter((l) => l.aliases.some((a) => wordRe(a).test(t)) || (l.region && wordRe(normalize(l.region)).test(t)));
+  }
+
+  /** Opening hours on a day (YYYY-MM-DD) as minutes after midnight, or null when closed or unknown. */
+  function hoursOn(location, isoDate) {
+    if (!location.hours) return null;
+    return location.hours[new Date(`${isoDate}T12:00:00Z`).getUTCDay()];
+  }
+
+  const isWeekendKey = (isoDate) => [0, 6].includes(new Date(`${isoDate}T12:00:00Z`).getUTCDay());
+
+  return {
+    all: () => all,
+    withSling: () => all.filter((l) => l.slingLocationId),
+    withPos: () => all.filter((l) => l.pos),
+    get,
+    resolve,
+    ofShift,
+    mentionedIn,
+    hoursOn,
+    minStaffFor: (location, isWeekend) => (location ? location.minStaff[isWeekend ? 'weekend' : 'weekday'] : 0),
+    benchmarkFor: (location, isoDate) => (location && location.benchmarks ? location.benchmarks[isWeekendKey(isoDate) ? 'weekend' : 'weekday'] || null : null),
+  };
+}
+
+/** Read the registry file (LOCATIONS_PATH, default ./locations.json). */
+function loadLocations(file = process.env.LOCATIONS_PATH || path.join(__dirname, 'locations.json')) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`[locations] Could not read ${file}: ${err.message}`);
+  }
+  return createLocationRegistry(data && data.locations, file);
+}
+
+module.exports = { loadLocations, createLocationRegistry, parseHours };
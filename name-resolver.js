@@ -0,0 +1,130 @@
+/**
+ * name-resolver.js — Fuzzy employee name matching
+ *
+ * Scores a free-text name against roster entries (display name, first/last
+ * name, nicknames) and returns a ranked list with a confidence between 0 and 1.
+ * Handles accents (Mirä = Mira), last initials ("Maya L"), prefixes ("Jeff")
+ * and small typos ("Jesica"). resolveName() decides whether the best match is
+ * clear enough to act on, or whether the caller should ask "did you mean…".
+ */
+
+const MIN_CONFIDENCE = 0.6; // below this a candidate is not worth suggesting
+const ACCEPT_CONFIDENCE = 0.75; // the top match must reach this to be used
+const AMBIGUITY_MARGIN = 0.1; // runner-up this close to the top match = ambiguous
+
+/** Lowercase, strip accents and punctuation, collapse whitespace. */
+function normalizeName(str) {
+  return String(str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Confidence for a near-miss spelling; short names only tolerate one edit
+function typoScore(query, target) {
+  if (!query || !target || query.length < 4) return 0;
+  const dist = levenshtein(query, target);
+  if (dist === 1) return 0.8;
+  if (dist === 2 && Math.min(query.length, target.length) >= 6) return 0.65;
+  return 0;
+}
+
+/**
+ * Score one roster entry against a normalized query.
+ * Returns { confidence, matchedOn } (confidence 0 when nothing matched).
+ */
+function scoreEntry(query, entry) {
+  const first = normalizeName(entry.firstName);
+  const last = normalizeName(entry.lastName);
+  const full = normalizeName(entry.fullName || `${entry.firstName || ''} ${entry.lastName || ''}`);
+  const display = normalizeName(entry.displayName);
+  const nicknames = (entry.nicknames || []).map(normalizeName).filter(Boolean);
+
+  const scores = [];
+  const add = (confidence, matchedOn) => scores.push({ confidence, matchedOn });
+
+  if (query === full || query === display) add(1, 'full name');
+  if (nicknames.includes(query)) add(0.97, 'nickname');
+  if (query === first) add(0.95, 'first name');
+
+  // "maya l" / "maya l." / "mayal" -> first name + last initial
+  const initial = query.match(/^(.+?)\s?([a-z])$/);
+  if (initial && initial[1] === first && last && last.startsWith(initial[2])) add(0.95, 'last initial');
+
+  if (last && query === last) add(0.85, 'last name');
+
+  if (query.length >= 3) {
+    if (first.startsWith(query) || full.startsWith(query)) add(0.78, 'prefix');
+    if (nicknames.some((n) => n.startsWith(query))) add(0.75, 'nickname prefix');
+  }
+
+  add(typoScore(query, first), 'spelling');
+  add(typoScore(query, full), 'spelling');
+  nicknames.forEach((n) => add(typoScore(query, n) - 0.02, 'spelling'));
+
+  const best = scores.reduce((a, b) => (b.confidence > a.confidence ? b : a), { confidence: 0, matchedOn: null });
+  // Prefer current staff over people marked inactive
+  if (entry.active === false) best.confidence *= 0.8;
+  best.confidence = Math.round(best.confidence * 100) / 100;
+  return best;
+}
+
+/**
+ * Rank roster entries against a name.
+ * @returns {{id, name, fullName, confidence, matchedOn, active}[]} best first
+ */
+function rankMatches(name, entries, { limit = 5, minConfidence = MIN_CONFIDENCE } = {}) {
+  const query = normalizeName(name);
+  if (!query) return [];
+
+  return entries
+    .map((entry) => ({ entry, ...scoreEntry(query, entry) }))
+    .filter((m) => m.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || a.entry.displayName.localeCompare(b.entry.displayName))
+    .slice(0, limit)
+    .map(({ entry, confidence, matchedOn }) => ({
+      id: entry.id,
+      name: entry.displayName,
+      fullName: entry.fullName,
+      confidence,
+      matchedOn,
+      active: entry.active !== false,
+    }));
+}
+
+/**
+ * Resolve a name to a single employee.
+ * @returns {{status: 'matched'|'ambiguous'|'not_found', match: object|null, candidates: object[]}}
+ */
+function resolveName(name, entries, opts = {}) {
+  const candidates = rankMatches(name, entries, opts);
+  const [top, second] = candidates;
+
+  if (!top || top.confidence < ACCEPT_CONFIDENCE) return { status: 'not_found', match: null, candidates };
+  if (second && top.confidence - second.confidence < AMBIGUITY_MARGIN) {
+    const close = candidates.filter((c) => top.confidence - c.confidence < AMBIGUITY_MARGIN);
+    return { status: 'ambiguous', match: null, candidates: close };
+  }
+  return { status: 'matched', match: top, candidates };
+}
+
+module.exports = { normalizeName, levenshtein, rankMatches, resolveName, MIN_CONFIDENCE, ACCEPT_CONFIDENCE };
@@ -0,0 +1,298 @@
+/**
+ * predictive-scheduling.js — SF Formula Retail predictability pay
+ *
+ * San Francisco's Formula Retail Employee Rights Ordinance requires schedules
+ * to be posted two weeks ahead, and owes predictability pay when the employer
+ * changes a posted shift with less than 7 days' notice. This module keeps:
+ * - the posted version of every published shift (its notice is checked at publish time)
+ * - every later change to a posted shift, classified by notice and initiator
+ * and builds a per-pay-period report of the premium owed per employee.
+ *
+ * Premium hours (paid at the employee's regular rate):
+ * - shift added, moved or extended with < 7 days' notice: 1 hour
+ * - shift reduced or cancelled with 24 hours to 7 days' notice: 2 hours
+ * - shift reduced or cancelled with < 24 hours' notice: 2 hours (shift of 4 hours or less) or 4 hours
+ * Changes the employee asked for, or agreed swaps between employees, are exempt.
+ * Only shifts at stores the ordinance covers (appliesTo) are tracked, and a
+ * posted shift is forgotten once it has ended, since it can't change after that.
+ *
+ * Log file (PREDICTIVE_LOG_PATH, default predictive-log.json in STATE_DIR):
+ * { "posted": { "<shiftId>": { shift, postedAt } }, "publications": [...], "changes": [...] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dayKey, addDaysToKey } = require('./calendar-cache');
+const { stateDir } = require('./state-store');
+
+const POSTING_DAYS = 14;
+const CHANGE_NOTICE_DAYS = 7;
+const SHORT_NOTICE_HOURS = 24;
+const INITIATORS = ['employer', 'employee', 'mutual'];
+
+const DEFAULT_PAY = {
+  change: 1, // added, moved or extended
+  reduced: 2, // reduced or cancelled, 24hrs - 7 days notice
+  reducedShortNotice: 2, // reduced or cancelled, < 24hrs notice, shift <= longShiftHours
+  reducedShortNoticeLong: 4, // reduced or cancelled, < 24hrs notice, shift > longShiftHours
+  longShiftHours: 4,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function hoursOf(shift) {
+  return (new Date(shift.end) - new Date(shift.start)) / HOUR_MS;
+}
+
+function loadLog(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { posted: data.posted || {}, publications: data.publications || [], changes: data.changes || [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[predictive] Could not read ${file}:`, err.message);
+    return { posted: {}, publications: [], changes: [] };
+  }
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function pick(shift) {
+  return {
+    id: shift.id,
+    employeeId: shift.employeeId || null,
+    employee: shift.employee || null,
+    start: shift.start,
+    end: shift.end,
+    locationId: shift.locationId || null,
+  };
+}
+
+/**
+ * Notice tier for a change made noticeHours before the shift starts.
+ * @returns {'ADVANCE'|'UNDER_7_DAYS'|'UNDER_24_HOURS'}
+ */
+function noticeTier(noticeHours) {
+  if (noticeHours >= CHANGE_NOTICE_DAYS * 24) return 'ADVANCE';
+  if (noticeHours >= SHORT_NOTICE_HOURS) return 'UNDER_7_DAYS';
+  return 'UNDER_24_HOURS';
+}
+
+/** Premium hours owed for one employee's change. */
+function premiumHoursFor(kind, tier, shiftHours, pay) {
+  if (tier === 'ADVANCE') return 0;
+  if (kind === 'ADDED' || kind === 'MOVED' || kind === 'EXTENDED') return pay.change;
+  if (tier === 'UNDER_7_DAYS') return pay.reduced;
+  return shiftHours <= pay.longShiftHours ? pay.reducedShortNotice : pay.reducedShortNoticeLong;
+}
+
+/**
+ * Split a before/after pair into per-employee changes.
+ * A reassignment is a cancellation for one person and an addition for the other.
+ */
+function classify(before, after) {
+  if (!before && !after) return [];
+  if (!after || !after.employeeId) return before && before.employeeId ? [{ kind: 'CANCELLED', employee: before, shift: before }] : [];
+  if (!before || !before.employeeId) return [{ kind: 'ADDED', employee: after, shift: after }];
+
+  if (before.employeeId !== after.employeeId) {
+    return [
+      { kind: 'CANCELLED', employee: before, shift: before },
+      { kind: 'ADDED', employee: after, shift: after },
+    ];
+  }
+
+  const lost = hoursOf(after) < hoursOf(before) - 1e-9;
+  const gained = hoursOf(after) > hoursOf(before) + 1e-9;
+  const moved = new Date(after.start).getTime() !== new Date(before.start).getTime() || new Date(after.end).getTime() !== new Date(before.end).getTime();
+  if (lost) return [{ kind: 'REDUCED', employee: after, shift: before }];
+  if (gained) return [{ kind: 'EXTENDED', employee: after, shift: after }];
+  if (moved) return [{ kind: 'MOVED', employee: after, shift: after }];
+  return [];
+}
+
+/**
+ * Create the predictability-pay log.
+ *
+ * @param {object} opts
+ * @param {(name: string) => number} opts.rateFor - regular hourly rate
+ * @param {(shift) => boolean} [opts.appliesTo] - whether the shift's store is covered by the ordinance
+ * @param {string} [opts.file]
+ * @param {string} [opts.timeZone]
+ * @param {string} [opts.payPeriodStart] - first day (YYYY-MM-DD) of any pay period
+ * @param {number} [opts.payPeriodDays]
+ * @param {object} [opts.pay] - overrides for DEFAULT_PAY
+ */
+function createPredictiveLog({ rateFor, appliesTo = () => true, file, timeZone = 'America/Los_Angeles', payPeriodStart = '2026-01-05', payPeriodDays = 14, pay = {} }) {
+  const logFile = file || process.env.PREDICTIVE_LOG_PATH || path.join(stateDir(), 'predictive-log.json');
+  const payTable = { ...DEFAULT_PAY, ...pay };
+  const log = loadLog(logFile);
+  let writing = Promise.resolve();
+
+  // Shifts that have ended can't be changed any more, so their posted versions go
+  function dropEnded(now = Date.now()) {
+    for (const [id, p] of Object.entries(log.posted)) {
+      if (new Date(p.shift.end).getTime() < now) delete log.posted[id];
+    }
+  }
+  dropEnded();
+
+  // Writes are chained so two changes never interleave on disk
+  function persist() {
+    dropEnded();
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const tmp = `${logFile}.tmp`;
+        await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+        await fs.promises.writeFile(tmp, `${JSON.stringify(log, null, 2)}\n`);
+        await fs.promises.rename(tmp, logFile);
+      });
+    return writing.catch((err) => console.error('[predictive] Could not save log:', err.message));
+  }
+
+  function isPosted(shiftId) {
+    return Boolean(log.posted[shiftId]);
+  }
+
+  /** Posted version of a shift, or null when it was never published. */
+  function getPosted(shiftId) {
+    return log.posted[shiftId] ? log.posted[shiftId].shift : null;
+  }
+
+  /**
+   * Record a publish. Every shift at a covered store becomes the posted version
+   * to compare later changes against; assigned ones posted under two weeks
+   * ahead are reported.
+   * `override` records who published past warnings from the publish gate, and why.
+   */
+  async function recordPublish(published, { start, end, publishedAt = new Date().toISOString(), override = null } = {}) {
+    const shifts = published.filter((s) => appliesTo(s));
+    const lateNotice = [];
+    for (const s of shifts) {
+      const previous = log.posted[s.id];
+      log.posted[s.id] = { shift: pick(s), postedAt: previous ? previous.postedAt : publishedAt };
+      if (previous || !s.employeeId) continue;
+      const noticeDays = (new Date(s.start) - new Date(publishedAt)) / (24 * HOUR_MS);
+      if (noticeDays < POSTING_DAYS) lateNotice.push({ shiftId: s.id, employee: s.employee, employeeId: s.employeeId, start: s.start, noticeDays: round2(noticeDays) });
+    }
+
+    const publication = { id: crypto.randomUUID(), publishedAt, start, end, shiftCount: shifts.length, lateNotice, override };
+    log.publications.push(publication);
+    await persist();
+    return publication;
+  }
+
+  /**
+   * Record a change to a posted shift. Pass null for `after` when the shift was
+   * deleted. Returns the logged per-employee changes (empty when the shift was
+   * never posted or nothing that matters changed).
+   */
+  async function recordChange({ shiftId, after, initiatedBy = 'employer', source = null, reason = null, changedAt = new Date().toISOString() }) {
+    if (!INITIATORS.includes(initiatedBy)) throw invalid(`initiatedBy must be one of: ${INITIATORS.join(', ')}`);
+
+    const before = getPosted(shiftId);
+    if (!before || !appliesTo(before)) return [];
+    const next = after ? pick({ ...before, ...after, id: shiftId }) : null;
+
+    const entries = classify(before, next).map(({ kind, employee, shift }) => {
+      const noticeHours = (new Date(shift.start) - new Date(changedAt)) / HOUR_MS;
+      const tier = noticeTier(noticeHours);
+      const exempt = initiatedBy !== 'employer';
+      const premiumHours = exempt ? 0 : premiumHoursFor(kind, tier, hoursOf(shift), payTable);
+      const rate = rateFor(employee.employee);
+      return {
+        id: crypto.randomUUID(),
+        shiftId,
+        employeeId: employee.employeeId,
+        employee: employee.employee,
+        kind,
+        from: { start: before.start, end: before.end },
+        to: next ? { start: next.start, end: next.end } : null,
+        shiftDate: dayKey(shift.start, timeZone),
+        changedAt,
+        noticeHours: round2(noticeHours),
+        noticeTier: tier,
+        initiatedBy,
+        exempt,
+        premiumHours,
+        hourlyRate: rate,
+        premiumPay: round2(premiumHours * rate),
+        source,
+        reason,
+      };
+    });
+
+    if (next) log.posted[shiftId] = { ...log.posted[shiftId], shift: next };
+    else delete log.posted[shiftId];
+
+    if (entries.length > 0) {
+      log.changes.push(...entries);
+      await persist();
+    }
+    return entries;
+  }
+
+  /** Pay period containing a day (YYYY-MM-DD). */
+  function payPeriod(day) {
+    const anchor = new Date(`${payPeriodStart}T12:00:00Z`);
+    const diff = Math.floor((new Date(`${day}T12:00:00Z`) - anchor) / (24 * HOUR_MS));
+    const offset = ((diff % payPeriodDays) + payPeriodDays) % payPeriodDays;
+    const start = addDaysToKey(day, -offset);
+    return { start, end: addDaysToKey(start, payPeriodDays - 1) };
+  }
+
+  /** Predictability pay owed for shifts falling in [start, end] (YYYY-MM-DD). */
+  function report({ start, end }) {
+    const changes = log.changes.filter((c) => c.shiftDate >= start && c.shiftDate <= end);
+    const byEmployee = new Map();
+    for (const c of changes) {
+      if (!byEmployee.has(c.employeeId)) {
+        byEmployee.set(c.employeeId, { employee: c.employee, employeeId: c.employeeId, changes: 0, exempt: 0, premiumHours: 0, premiumPay: 0 });
+      }
+      const e = byEmployee.get(c.employeeId);
+      e.changes++;
+      if (c.exempt) e.exempt++;
+      e.premiumHours += c.premiumHours;
+      e.premiumPay = round2(e.premiumPay + c.premiumPay);
+    }
+
+    const employees = [...byEmployee.values()].sort((a, b) => b.premiumPay - a.premiumPay);
+    const lateNotice = log.publications.flatMap((p) =>
+      p.lateNotice.filter((l) => {
+        const day = dayKey(l.start, timeZone);
+        return day >= start && day <= end;
+      })
+    );
+
+    return {
+      period: { start, end },
+      totalPremiumHours: employees.reduce((sum, e) => sum + e.premiumHours, 0),
+      totalPremiumPay: round2(employees.reduce((sum, e) => sum + e.premiumPay, 0)),
+      employees,
+      changes: changes.sort((a, b) => a.changedAt.localeCompare(b.changedAt)),
+      postedLate: lateNotice,
+    };
+  }
+
+  /** Publish records, newest first. */
+  function listPublications({ overriddenOnly = false, limit = 50 } = {}) {
+    return log.publications
+      .filter((p) => !overriddenOnly || p.override)
+      .slice(-limit)
+      .reverse();
+  }
+
+  function status() {
+    return { postedShifts: Object.keys(log.posted).length, publications: log.publications.length, changes: log.changes.length, file: logFile };
+  }
+
+  return { isPosted, getPosted, recordPublish, recordChange, payPeriod, report, listPublications, status };
+}
+
+module.exports = { createPredictiveLog, classify, noticeTier, INITIATORS, POSTING_DAYS };
@@ -0,0 +1,245 @@
+/**
+ * reply-classifier.js — Understand replies to clock-in follow-up DMs
+ *
+ * Sorts a Sling DM reply into one intent:
+ * - COVERED:      a named coworker has the shift ("Sara's got it", "Maya L is covering")
+ * - CLOCKED_IN:   says they're already clocked in / here (or forgot to clock in);
+ *                 checked last, so "I'm in traffic" or "I'm in bed sick" isn't one
+ * - RUNNING_LATE: on the way, with an ETA when one is given ("running 10 late", "there by 9:15")
+ * - CALLING_OUT:  not coming in ("sick, sorry", "can't make it")
+ * - UNKNOWN:      anything else
+ *
+ * With ANTHROPIC_API_KEY set (and REPLY_CLASSIFIER not "rules") Claude reads the
+ * reply first; if it is unavailable or answers badly the deterministic rules
+ * below are used instead. Names come back as written — resolve them against
+ * the roster (nicknames included) before acting on them.
+ */
+
+const INTENTS = ['COVERED', 'CLOCKED_IN', 'RUNNING_LATE', 'CALLING_OUT', 'UNKNOWN'];
+
+const CLAUDE_TIMEOUT_MS = 10000;
+
+// Words that can sit where a name does ("someone is covering", "he's got it")
+const NOT_NAMES = new Set([
+  'i', 'im', 'me', 'he', 'she', 'they', 'we', 'you', 'it', 'someone', 'somebody', 'nobody', 'noone', 'anyone',
+  'who', 'that', 'this', 'what', 'coworker', 'friend', 'shift', 'my', 'ok', 'okay', 'yes', 'yeah', 'no', 'sorry',
+  // the end of a negation ("isn't covering", "no one covered", "not covered")
+  'not', 't', 'isnt', 'one', 'no one',
+  // filler that can sit in front of a name ("so Maya is covering", "I think Bri's got it")
+  'so', 'and', 'but', 'think', 'guess', 'hey', 'hi', 'yep', 'yup', 'also', 'actually', 'maybe', 'probably',
+  'now', 'then', 'today', 'tomorrow', 'tonight', 'yesterday', 'because', 'cuz', 'says', 'said',
+]);
+
+// "Sara isn't covering", "not covered yet", "Bri can't cover": no cover, whatever else matched
+const NEGATED_COVER =
+  /(?:\b(?:not|never|nobody|no\s*one|cannot)|\b(?:is|are|was|were|do|does|did|can|could|wo|would|has|have|had)n['’]?t)\s+(?:(?:be|been|yet|really|actually|going to|gonna)\s+)?cover/i;
+
+// A name word; the verbs in the patterns below never count as one
+const NAME = String.raw`(?!(?:is|has|will|can|gonna|going|was|just|already)\b)[\p{L}-]+`;
+// Up to two words before the verb ("Maya L is covering"), or after it ("swapped with Jo T.")
+const BEFORE = String.raw`((?:${NAME}\s+)?${NAME}\.?)`;
+const AFTER = String.raw`(${NAME}(?:\s+${NAME}\.?)?)`;
+// "Sara covered my shift last week": an old cover, not this shift
+const NOT_PAST = String.raw`(?![^.!?,]*?\b(?:last\s+\w+|yesterday|the\s+other\s+day|earlier|\w+\s+ago|on\s+\w+day)\b)`;
+
+// [pattern, where the name sits relative to the verb]
+const COVER_PATTERNS = [
+  [String.raw`${BEFORE}(?:'s|’s)?\s+(?:is\s+)?covering`, 'before'],
+  [String.raw`${BEFORE}\s+covered\b${NOT_PAST}`, 'before'],
+  [String.raw`${BEFORE}\s+(?:will|can|is going to|gonna)\s+cover`, 'before'],
+  [String.raw`${BEFORE}(?:'s|’s|\s+has|\s+is)\s+got\s+(?:it|me|my shift)`, 'before'],
+  [String.raw`${BEFORE}\s+got\s+(?:it|me|my shift)`, 'before'],
+  [String.raw`${BEFORE}(?:'s|’s|\s+is)\s+(?:taking|working|picking up)\s+(?:it|my shift|the shift|for me)`, 'before'],
+  [String.raw`${BEFORE}\s+(?:took|picked up)\s+(?:it|my shift|the shift)`, 'before'],
+  [String.raw`${BEFORE}(?:'s|’s|\s+is)\s+coming\s+in\s+(?:for me|instead)`, 'before'],
+  [String.raw`(?:swapped|traded|switched)\s+(?:shifts?\s+)?with\s+${AFTER}`, 'after'],
+  [String.raw`got it covered,?\s+${AFTER}`, 'after'],
+  [String.raw`covered\b${NOT_PAST}\s+by\s+${AFTER}`, 'after'],
+].map(([source, side]) => [new RegExp(source, 'iu'), side]);
+
+const CLOCKED_IN_PATTERNS = [
+  /\b(?:i'?m|i am|already|just)\s+(?:clocked|punched)\s+in\b/i,
+  /\b(?:i\s+)?(?:already\s+)?(?:clocked|punched)\s+in\b/i,
+  // "I'm in" only on its own: "I'm in bed sick" and "I'm in traffic" aren't clock-ins
+  /\b(?:i'?m|i am)\s+(?:already\s+)?(?:here|at (?:work|the (?:shop|store|cafe)))\b/i,
+  /\b(?:i'?m|i am)\s+(?:already\s+)?in(?=\s*(?:$|now\b|[.,;:!?)]))/i,
+  /\balready\s+here\b/i,
+  /\bforgot\s+to\s+(?:clock|punch)\s+in\b/i,
+];
+const NOT_CLOCKED_IN = /\b(?:not|haven'?t|didn'?t|never|can'?t|cannot)\s+(?:yet\s+)?(?:clock|punch)/i;
+
+const LATE_PATTERNS = [
+  /\brunning\s+(?:a\s+(?:bit|little)\s+)?late\b/i,
+  /\b(?:be|am|i'?m|i am|gonna be|going to be)\s+(?:a\s+(?:bit|little|few\s+min(?:ute)?s?)\s+)?late\b/i,
+  /\b\d+\s*(?:m|min|mins|minutes)?\s+late\b/i,
+  /\b(?:hour|hr)\s+late\b/i,
+  /\b(?:on my way|omw|otw|almost there|be there|be in|there in|eta|missed (?:the|my) (?:bus|train|muni))\b/i,
+  /\b(?:stuck|traffic|delayed)\b/i,
+  /\b(?:in an? (?:uber|lyft|cab|taxi)|on (?:the|my) (?:bus|train|muni|bart|bike))\b/i,
+];
+
+const CALL_OUT_PATTERNS = [
+  /\b(?:sick|ill|fever|throwing up|food poisoning|migraine)\b/i,
+  /\bnot\s+feeling\s+(?:well|good|great)\b/i,
+  /\b(?:can'?t|cannot|won'?t|will not|not gonna|not going to)\s+(?:make it|come in|come|work|be in)\b/i,
+  /\b(?:calling|call)\s+(?:out|in)\b/i,
+  /\b(?:not coming|family emergency|emergency)\b/i,
+  /\b(?:in (?:the )?(?:hospital|er)|urgent care)\b/i,
+];
+
+function isName(word) {
+  return !NOT_NAMES.has(word.toLowerCase().replace(/[’']/g, ''));
+}
+
+const isInitial = (word) => /^\p{L}$/u.test(word);
+const isCapitalized = (word) => /^\p{Lu}/u.test(word);
+
+/**
+ * The name a cover pattern caught. The word next to the verb is always the
+ * name; the other word is kept only when it reads as part of it ("Maya L",
+ * "Maya Lopez"), so "I think Maya" and "covered by Maya today" give "Maya".
+ */
+function nameFrom(match, side) {
+  if (!match) return null;
+  const words = match[1].replace(/(?:'s|’s)$/u, '').split(/\s+/).map((w) => w.replace(/\.$/, ''));
+  const [main, other] = side === 'before' ? [words[words.length - 1], words.length > 1 ? words[0] : null] : words;
+  if (!isName(main)) return null;
+  if (!other || (!isInitial(other) && !isName(other))) return main;
+  if (side === 'before') {
+    return isInitial(main) || (isCapitalized(other) && isCapitalized(main)) ? `${other} ${main}` : main;
+  }
+  return isInitial(other) || isCapitalized(other) ? `${main} ${other}` : main;
+}
+
+/** Coworker named as covering, as written (possessive stripped), or null. */
+function findCoverName(text) {
+  if (NEGATED_COVER.test(text)) return null;
+  for (const [pattern, side] of COVER_PATTERNS) {
+    const name = nameFrom(text.match(pattern), side);
+    if (name) return name;
+  }
+  return null;
+}
+
+/**
+ * Minutes until they expect to arrive. Understands "10 late", "in 15",
+ * "half an hour", "an hour" and clock times ("by 9:15", "at 10") relative to now.
+ */
+function parseEtaMinutes(text, { now = new Date(), timeZone = 'America/Los_Angeles' } = {}) {
+  const lower = text.toLowerCase();
+
+  const minutes = lower.match(/\b(\d{1,3})\s*(?:m|min|mins|minutes)\b/) || lower.match(/\b(\d{1,3})\s+late\b/) || lower.match(/\bin\s+(\d{1,3})\b(?!\s*:)/);
+  if (minutes) return parseInt(minutes[1], 10);
+  if (/\bhalf (?:an )?hour\b/.test(lower)) return 30;
+  if (/\b(?:an|1|one) (?:hour|hr)\b/.test(lower)) return 60;
+
+  const clock = lower.match(/\b(?:by|at|around|till|until|there)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/);
+  if (clock) {
+    const nowParts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+        .formatToParts(now)
+        .map((p) => [p.type, parseInt(p.value, 10)])
+    );
+    const nowMinutes = nowParts.hour * 60 + nowParts.minute;
+    let hour = parseInt(clock[1], 10) % 12;
+    if (clock[3] === 'pm') hour += 12;
+    let target = hour * 60 + parseInt(clock[2] || '0', 10);
+    // "at 10" with no am/pm: the next time the clock reads 10
+    if (!clock[3]) while (target < nowMinutes - 30) target += 12 * 60;
+    const diff = target - nowMinutes;
+    if (diff >= 0 && diff <= 6 * 60) return diff;
+  }
+  return null;
+}
+
+/** Deterministic classification. */
+function classifyByRules(text, opts = {}) {
+  const body = String(text || '').trim();
+  const result = { intent: 'UNKNOWN', coverName: null, etaMinutes: null, source: 'rules' };
+  if (!body) return result;
+
+  const coverName = findCoverName(body);
+  if (coverName) return { ...result, intent: 'COVERED', coverName };
+  // Calling out and running late come first: closing a follow-up as clocked in is the costly mistake
+  if (CALL_OUT_PATTERNS.some((p) => p.test(body))) return { ...result, intent: 'CALLING_OUT' };
+  if (LATE_PATTERNS.some((p) => p.test(body))) return { ...result, intent: 'RUNNING_LATE', etaMinutes: parseEtaMinutes(body, opts) };
+  if (!NOT_CLOCKED_IN.test(body) && CLOCKED_IN_PATTERNS.some((p) => p.test(body))) return { ...result, intent: 'CLOCKED_IN' };
+  return result;
+}
+
+/** Ask Claude for { intent, coverName, etaMinutes }. Returns null when it can't be used. */
+async function classifyWithClaude(text, { apiKey, now = new Date(), timeZone = 'America/Los_Angeles', shiftStart = null } = {}) {
+  const time = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+  const system = `You read replies from coffee shop employees to the message "You're scheduled but haven't clocked in yet. Everything ok?" It is now ${time} PT${shiftStart ? `; their shift started at ${new Date(shiftStart).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })}` : ''}.
+
+Answer with only a JSON object: {"intent": "...", "coverName": string|null, "etaMinutes": number|null}
+intent is one of:
+- COVERED: a named coworker is working the shift instead. coverName is that coworker's name exactly as written, without a possessive. Not when they say nobody is covering ("Sara isn't covering", "not covered yet").
+- CLOCKED_IN: they say they are already clocked in or already at work.
+- RUNNING_LATE: they are on the way. etaMinutes is minutes from now until they arrive, if they say.
+- CALLING_OUT: they are not coming in (sick, emergency, can't make it) and nobody is named to cover.
+- UNKNOWN: anything else.`;
+
+  try {
+    const res = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 200,
+        system,
+        messages: [{ role: 'user', content: text }],
+      }),
+      signal: AbortSignal.timeout(CLAUDE_TIMEOUT_MS),
+    });
+
+    if (!res.ok) {
+      console.error(`[reply] Claude API error: ${res.status}`);
+      return null;
+    }
+
+    const data = await res.json();
+    const json = (data.content[0].text.match(/\{[\s\S]*\}/) || [])[0];
+    const parsed = JSON.parse(json);
+    if (!INTENTS.includes(parsed.intent)) return null;
+    if (parsed.intent === 'COVERED' && !parsed.coverName) return null;
+    return {
+      intent: parsed.intent,
+      coverName: parsed.intent === 'COVERED' ? String(parsed.coverName).replace(/(?:'s|’s)$/u, '') : null,
+      etaMinutes: parsed.intent === 'RUNNING_LATE' && Number.isFinite(parsed.etaMinutes) ? Math.round(parsed.etaMinutes) : null,
+      source: 'claude',
+    };
+  } catch (err) {
+    console.error('[reply] Claude classification failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Create a classifier.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.apiKey] - Anthropic key; without one only the rules run
+ * @param {'claude'|'rules'} [opts.mode]
+ * @param {string} [opts.timeZone]
+ */
+function createReplyClassifier({ apiKey = process.env.ANTHROPIC_API_KEY, mode = process.env.REPLY_CLASSIFIER || 'claude', timeZone = 'America/Los_Angeles' } = {}) {
+  const useClaude = Boolean(apiKey) && mode !== 'rules';
+
+  /** Classify a reply. ctx: { now, shiftStart } */
+  async function classify(text, { now = new Date(), shiftStart = null } = {}) {
+    if (useClaude) {
+      const result = await classifyWithClaude(text, { apiKey, now, timeZone, shiftStart });
+      if (result) return result;
+    }
+    return classifyByRules(text, { now, timeZone });
+  }
+
+  return { classify, mode: useClaude ? 'claude' : 'rules' };
+}
+
+module.exports = { createReplyClassifier, classifyByRules, findCoverName, parseEtaMinutes, INTENTS };
@@ -0,0 +1,284 @@
+/**
+ * roster.js — Employee roster synced from Sling
+ *
+ * The roster is built from Sling /users plus a local overlay file that holds
+ * what Sling doesn't know about: nicknames, cross-location eligibility, home
+ * location, whether someone is still active, who the shift leads and owner
+ * are (clock-in escalations go to them), who has opted out of schedule
+ * change DMs (scheduleDMs: false) and how long before a shift they want their
+ * reminder (reminderLeadHours; 0 turns reminders off). Lookups are
+ * synchronous and served from memory; call ensureFresh() before using them in
+ * a request.
+ *
+ * Overlay file (ROSTER_OVERLAY_PATH, default roster-overlay.json in STATE_DIR).
+ * Until the first change is saved it starts from the checked-in
+ * ./roster-overlay.json, which is only ever read:
+ * {
+ *   "employees": {
+ *     "24949126": { "name": "Sara", "nicknames": ["sar"], "crossLocation": true, "homeLocation": 16124319, "active": true, "role": "lead" }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveName } = require('./name-resolver');
+const { stateDir } = require('./state-store');
+
+const RETRY_AFTER_FAILURE_MS = 60 * 1000;
+const OVERLAY_FIELDS = ['name', 'nicknames', 'crossLocation', 'homeLocation', 'active', 'displayName', 'role', 'scheduleDMs', 'reminderLeadHours'];
+const ROLES = ['lead', 'owner'];
+const MAX_REMINDER_LEAD_HOURS = 36;
+const SEED_OVERLAY = path.join(__dirname, 'roster-overlay.json');
+
+function normalize(str) {
+  return String(str || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// The saved overlay, or the seed when nothing has been saved yet
+function loadOverlay(file, seed) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data.employees === 'object' ? data : { employees: {} };
+  } catch (err) {
+    if (err.code === 'ENOENT' && seed && seed !== file) return loadOverlay(seed);
+    if (err.code !== 'ENOENT') console.error(`[roster] Could not read overlay ${file}:`, err.message);
+    return { employees: {} };
+  }
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function validatePatch(patch) {
+  const unknown = Object.keys(patch).filter((k) => !OVERLAY_FIELDS.includes(k));
+  if (unknown.length) throw invalid(`Unknown roster field(s): ${unknown.join(', ')}`);
+
+  if (patch.nicknames !== undefined) {
+    if (!Array.isArray(patch.nicknames) || patch.nicknames.some((n) => typeof n !== 'string' || !n.trim())) {
+      throw invalid('nicknames must be an array of non-empty strings');
+    }
+  }
+  for (const key of ['crossLocation', 'active', 'scheduleDMs']) {
+    if (patch[key] !== undefined && typeof patch[key] !== 'boolean') throw invalid(`${key} must be true or false`);
+  }
+  if (patch.homeLocation !== undefined && patch.homeLocation !== null && !Number.isInteger(patch.homeLocation)) {
+    throw invalid('homeLocation must be a Sling location id');
+  }
+  if (patch.reminderLeadHours !== undefined && patch.reminderLeadHours !== null) {
+    const h = patch.reminderLeadHours;
+    if (typeof h !== 'number' || !Number.isFinite(h) || h < 0 || h > MAX_REMINDER_LEAD_HOURS) {
+      throw invalid(`reminderLeadHours must be a number of hours from 0 to ${MAX_REMINDER_LEAD_HOURS}`);
+    }
+  }
+  if (patch.role !== undefined && patch.role !== null && !ROLES.includes(patch.role)) {
+    throw invalid(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  for (const key of ['name', 'displayName']) {
+    if (patch[key] !== undefined && patch[key] !== null && typeof patch[key] !== 'string') throw invalid(`${key} must be a string`);
+  }
+}
+
+/**
+ * Create a roster.
+ *
+ * @param {object} opts
+ * @param {() => Promise<object[]>} opts.fetchUsers - raw Sling users
+ * @param {string} [opts.overlayPath]
+ * @param {number} [opts.ttlMs] - how long a sync is trusted before ensureFresh() re-syncs
+ */
+function createRoster({ fetchUsers, overlayPath, ttlMs = 10 * 60 * 1000 }) {
+  const file = overlayPath || process.env.ROSTER_OVERLAY_PATH || path.join(stateDir(), 'roster-overlay.json');
+  let overlay = loadOverlay(file, SEED_OVERLAY);
+  let slingUsers = [];
+  let entries = new Map(); // id -> roster entry
+  let syncedAt = null;
+  let syncInFlight = null;
+  let failedAt = null;
+
+  // Merge Sling users with the overlay. Overlay-only people (not in Sling yet,
+  // or Sling unreachable) are kept so their names still resolve.
+  function rebuild() {
+    const next = new Map();
+
+    for (const u of slingUsers) {
+      if (u.deleted) continue;
+      const o = overlay.employees[u.id] || {};
+      next.set(u.id, {
+        id: u.id,
+        firstName: u.name || o.name || '',
+        lastName: u.lname || '',
+        fullName: `${u.name || ''} ${u.lname || ''}`.trim(),
+        nicknames: o.nicknames || [],
+        crossLocation: Boolean(o.crossLocation),
+        homeLocation: o.homeLocation || null,
+        active: o.active !== undefined ? o.active : u.active !== false,
+        role: o.role || null,
+        scheduleDMs: o.scheduleDMs !== false,
+        reminderLeadHours: o.reminderLeadHours ?? null,
+        displayNameOverride: o.displayName || null,
+        source: 'sling',
+      });
+    }
+
+    for (const [idStr, o] of Object.entries(overlay.employees)) {
+      const id = parseInt(idStr, 10);
+      if (next.has(id) || !o.name) continue;
+      const [first, ...rest] = o.name.split(' ');
+      next.set(id, {
+        id,
+        firstName: first,
+        lastName: rest.join(' '),
+        fullName: o.name,
+        nicknames: o.nicknames || [],
+        crossLocation: Boolean(o.crossLocation),
+        homeLocation: o.homeLocation || null,
+        active: o.active !== false,
+        role: o.role || null,
+        scheduleDMs: o.scheduleDMs !== false,
+        reminderLeadHours: o.reminderLeadHours ?? null,
+        displayNameOverride: o.displayName || null,
+        source: 'overlay',
+      });
+    }
+
+    // Display name is the first name, or "First L" when two active people share it
+    const firstCounts = {};
+    for (const e of next.values()) {
+      if (e.active) firstCounts[normalize(e.firstName)] = (firstCounts[normalize(e.firstName)] || 0) + 1;
+    }
+    for (const e of next.values()) {
+      const shared = firstCounts[normalize(e.firstName)] > 1 && e.lastName;
+      e.displayName = e.displayNameOverride || (shared ? `${e.firstName} ${e.lastName[0]}` : e.firstName) || `ID:${e.id}`;
+      delete e.displayNameOverride;
+    }
+
+    entries = next;
+  }
+
+  rebuild();
+
+  /** Re-read users from Sling. Concurrent callers share one fetch. */
+  async function sync() {
+    if (!syncInFlight) {
+      syncInFlight = (async () => {
+        const users = await fetchUsers();
+        slingUsers = Array.isArray(users) ? users : [];
+        syncedAt = Date.now();
+        rebuild();
+        console.log(`[roster] Synced ${entries.size} employees`);
+        return entries.size;
+      })().finally(() => {
+        syncInFlight = null;
+      });
+    }
+    return syncInFlight;
+  }
+
+  /** Sync if the roster has never loaded or is older than the TTL. Sync errors are logged, not thrown. */
+  async function ensureFresh() {
+    if (syncedAt && Date.now() - syncedAt < ttlMs) return;
+    if (failedAt && Date.now() - failedAt < RETRY_AFTER_FAILURE_MS) return;
+    try {
+      await sync();
+      failedAt = null;
+    } catch (err) {
+      failedAt = Date.now();
+      console.error('[roster] Sync failed, using last known roster:', err.message);
+    }
+  }
+
+  function list({ includeInactive = false } = {}) {
+    return [...entries.values()]
+      .filter((e) => includeInactive || e.active)
+      .sort((a, b) => a.displayName.localeCompare(b.displayName));
+  }
+
+  function get(id) {
+    return entries.get(parseInt(id, 10)) || null;
+  }
+
+  function nameOf(id) {
+    const e = get(id);
+    return e ? e.displayName : `ID:${id}`;
+  }
+
+  function isCrossLocation(id) {
+    const e = get(id);
+    return Boolean(e && e.crossLocation);
+  }
+
+  function isActive(id) {
+    const e = get(id);
+    return e ? e.active : true;
+  }
+
+  /** Active employees with a role ('lead' or 'owner'). */
+  function withRole(role) {
+    return list().filter((e) => e.role === role);
+  }
+
+  /**
+   * Rank employees against a free-text name (see name-resolver.js).
+   * Pass ids to only consider some employees, e.g. those working that day.
+   */
+  function match(name, { ids } = {}) {
+    const pool = [...entries.values()].filter((e) => !ids || ids.includes(e.id));
+    return resolveName(name, pool);
+  }
+
+  /** The employee a name clearly refers to, or null when unknown or ambiguous. */
+  function findByName(name) {
+    const result = match(name);
+    return result.status === 'matched' ? get(result.match.id) : null;
+  }
+
+  /** Resolve a numeric id, id string or name to an employee id. */
+  function resolve(nameOrId) {
+    if (typeof nameOrId === 'number') return nameOrId;
+    if (typeof nameOrId === 'string' && /^\d+$/.test(nameOrId.trim())) return parseInt(nameOrId, 10);
+    const e = findByName(nameOrId);
+    return e ? e.id : null;
+  }
+
+  function getOverlay(id) {
+    return overlay.employees[parseInt(id, 10)] || {};
+  }
+
+  /** Merge a patch into an employee's overlay entry and persist it. Null values clear a field. */
+  async function updateOverlay(id, patch) {
+    validatePatch(patch);
+    const key = String(parseInt(id, 10));
+    const merged = { ...(overlay.employees[key] || {}) };
+    for (const [field, value] of Object.entries(patch)) {
+      if (value === null) delete merged[field];
+      else merged[field] = field === 'nicknames' ? value.map((n) => n.trim()) : value;
+    }
+
+    const next = { ...overlay, employees: { ...overlay.employees, [key]: merged } };
+    const tmp = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, `${JSON.stringify(next, null, 2)}\n`);
+    await fs.promises.rename(tmp, file);
+
+    overlay = next;
+    rebuild();
+    return get(key);
+  }
+
+  function status() {
+    return {
+      employees: entries.size,
+      active: list().length,
+      syncedAt: syncedAt ? new Date(syncedAt).toISOString() : null,
+      overlayPath: file,
+    };
+  }
+
+  return { sync, ensureFresh, list, get, nameOf, isCrossLocation, isActive, withRole, match, findByName, resolve, getOverlay, updateOverlay, status };
+}
+
+module.exports = { createRoster };
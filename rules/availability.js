@@ -0,0 +1,67 @@
+/**
+ * AVAIL-001 — Shift falls outside the employee's availability windows.
+ * AVAIL-FALLBACK — Employee hasn't submitted availability for the day (proposed shifts only).
+ */
+
+const { dayOf, dayBounds, formatTime } = require('./index');
+
+function dayAvailability(ctx) {
+  return ctx.availability.filter((a) => a.employeeId === ctx.shift.employeeId && dayOf(ctx, a.start) === ctx.shift.date);
+}
+
+const outsideWindows = {
+  id: 'AVAIL-001',
+  name: 'Availability windows',
+  description: 'Blocks shifts that do not fit inside any availability window the employee submitted for that day.',
+  severity: 'RED',
+  conflictType: 'AVAILABILITY_CONFLICT',
+  evaluate(ctx) {
+    const { shift } = ctx;
+    if (!shift.start || !shift.end) return [];
+
+    const avails = dayAvailability(ctx);
+    if (avails.length === 0 || avails.some((a) => a.fullDay)) return [];
+
+    const start = new Date(shift.start);
+    const end = new Date(shift.end);
+    if (avails.some((a) => start >= new Date(a.start) && end <= new Date(a.end))) return [];
+
+    const windows = avails.map((a) => `${formatTime(ctx, a.start)}-${formatTime(ctx, a.end)}`);
+    return [
+      {
+        message: `${ctx.employee.name} not available for ${formatTime(ctx, shift.start)}-${formatTime(ctx, shift.end)} on ${shift.date}. Windows: ${windows.join(', ')}`,
+        windows,
+      },
+    ];
+  },
+};
+
+const notSubmitted = {
+  id: 'AVAIL-FALLBACK',
+  name: 'Availability not submitted',
+  description: 'Flags proposed shifts on a day the employee has not submitted availability for.',
+  severity: 'YELLOW',
+  appliesTo: ['proposed'],
+  evaluate(ctx) {
+    if (dayAvailability(ctx).length > 0) return [];
+
+    const { from, to } = dayBounds(ctx, ctx.shift.date);
+    const onLeave = ctx.leaves.some(
+      (l) => l.employeeId === ctx.shift.employeeId && new Date(l.start) <= to && new Date(l.end) >= from
+    );
+    if (onLeave) return [];
+
+    // Submitting for other days but not this one usually means "not available"
+    const submittedOtherDays = ctx.availability.some((a) => a.employeeId === ctx.shift.employeeId);
+    return [
+      {
+        message: submittedOtherDays
+          ? `${ctx.employee.name} submitted availability for other days but not ${ctx.shift.date}.`
+          : `${ctx.employee.name} has not submitted availability for ${ctx.shift.date}.`,
+        submittedOtherDays,
+      },
+    ];
+  },
+};
+
+module.exports = [outsideWindows, notSubmitted];
@@ -0,0 +1,139 @@
+/**
+ * CAOT-001 — California daily overtime: hours over 8 in a workday are paid 1.5x.
+ * CAOT-002 — California daily double time: hours over 12 in a workday are paid 2x.
+ * CAOT-003 — Seventh consecutive day in a workweek: the first 8 hours are paid
+ *            1.5x and anything beyond 8 is paid 2x.
+ *
+ * On a seventh day only CAOT-003 fires, so premium hours are never counted
+ * twice. Each finding carries the premium hours and their extra cost over
+ * straight time (see wages.js); the running total is kept in facts.premium.
+ */
+
+const { addDaysToKey } = require('../calendar-cache');
+const { otherShifts, dayOf, shiftHours, isLaterOf, workweek, getRuleConfig } = require('./index');
+const { rateFor, premiumCost } = require('../wages');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Hours on the subject's day and whether this shift should report them.
+ * Proposed shifts always report; in the existing schedule only the day's last
+ * shift does, so each day is flagged once.
+ */
+function workday(ctx) {
+  const { shift } = ctx;
+  const sameDay = otherShifts(ctx).filter((s) => dayOf(ctx, s.start) === shift.date);
+  const subjectHours = shift.start && shift.end ? shiftHours(shift) : 0;
+  const hours = sameDay.reduce((sum, s) => sum + shiftHours(s), 0) + subjectHours;
+  const reports = ctx.mode === 'proposed' || sameDay.every((s) => isLaterOf(shift, s));
+  return { hours: round2(hours), reports };
+}
+
+/** Worked every earlier day of the workweek, making the subject day the seventh. */
+function isSeventhDay(ctx) {
+  const config = getRuleConfig('CAOT-003');
+  if (!config.enabled) return false;
+  const { first, last } = workweek(ctx.shift.date, config.weekStartsOn);
+  if (ctx.shift.date !== last) return false;
+  const worked = new Set(otherShifts(ctx).map((s) => dayOf(ctx, s.start)));
+  for (let d = first; d < last; d = addDaysToKey(d, 1)) {
+    if (!worked.has(d)) return false;
+  }
+  return true;
+}
+
+function rateOf(ctx) {
+  return ctx.employee.hourlyRate || rateFor(ctx.employee.name);
+}
+
+function recordPremium(facts, { overtimeHours = 0, doubleTimeHours = 0 }, rate) {
+  const premium = facts.premium || { overtimeHours: 0, doubleTimeHours: 0, cost: 0, hourlyRate: rate };
+  premium.overtimeHours = round2(premium.overtimeHours + overtimeHours);
+  premium.doubleTimeHours = round2(premium.doubleTimeHours + doubleTimeHours);
+  premium.cost = round2(premium.cost + premiumCost({ overtimeHours, doubleTimeHours }, rate));
+  facts.premium = premium;
+}
+
+function finding(ctx, facts, hours, message) {
+  const rate = rateOf(ctx);
+  recordPremium(facts, hours, rate);
+  return {
+    message: `${message} (+$${premiumCost(hours, rate).toFixed(2)} premium pay).`,
+    dailyHours: facts.dailyHours,
+    overtimeHours: round2(hours.overtimeHours || 0),
+    doubleTimeHours: round2(hours.doubleTimeHours || 0),
+    premiumCost: premiumCost(hours, rate),
+  };
+}
+
+const dailyOvertime = {
+  id: 'CAOT-001',
+  name: 'California daily overtime',
+  description: 'Needs approval when an employee is scheduled over the daily overtime threshold (8hrs).',
+  severity: 'ORANGE',
+  conflictType: 'DAILY_OVERTIME',
+  defaults: { overtimeAfterHours: 8 },
+  evaluate(ctx, config, facts) {
+    const { hours, reports } = workday(ctx);
+    facts.dailyHours = hours;
+    if (!reports || isSeventhDay(ctx)) return [];
+
+    const doubleAfter = getRuleConfig('CAOT-002').doubleTimeAfterHours;
+    const overtimeHours = Math.min(hours, doubleAfter) - config.overtimeAfterHours;
+    if (overtimeHours <= 0) return [];
+
+    const verb = ctx.mode === 'proposed' ? 'would work' : 'is scheduled';
+    return [finding(ctx, facts, { overtimeHours }, `${ctx.employee.name} ${verb} ${hours.toFixed(1)}hrs on ${ctx.shift.date}: ${overtimeHours.toFixed(1)}hrs daily overtime`)];
+  },
+};
+
+const dailyDoubleTime = {
+  id: 'CAOT-002',
+  name: 'California daily double time',
+  description: 'Needs approval when an employee is scheduled over the daily double-time threshold (12hrs).',
+  severity: 'ORANGE',
+  conflictType: 'DAILY_DOUBLE_TIME',
+  defaults: { doubleTimeAfterHours: 12 },
+  evaluate(ctx, config, facts) {
+    const { hours, reports } = workday(ctx);
+    facts.dailyHours = hours;
+    if (!reports || isSeventhDay(ctx)) return [];
+
+    const doubleTimeHours = hours - config.doubleTimeAfterHours;
+    if (doubleTimeHours <= 0) return [];
+
+    const verb = ctx.mode === 'proposed' ? 'would work' : 'is scheduled';
+    return [finding(ctx, facts, { doubleTimeHours }, `${ctx.employee.name} ${verb} ${hours.toFixed(1)}hrs on ${ctx.shift.date}: ${doubleTimeHours.toFixed(1)}hrs double time`)];
+  },
+};
+
+const seventhDay = {
+  id: 'CAOT-003',
+  name: 'California seventh-day premium',
+  description: 'Needs approval for a shift on the seventh consecutive day of the workweek, which is paid at premium rates.',
+  severity: 'ORANGE',
+  conflictType: 'SEVENTH_DAY_PREMIUM',
+  defaults: { weekStartsOn: 1, premiumAfterHours: 8 },
+  windowDays: () => 7,
+  evaluate(ctx, config, facts) {
+    const { hours, reports } = workday(ctx);
+    facts.dailyHours = hours;
+    facts.seventhDay = isSeventhDay(ctx);
+    if (!reports || !facts.seventhDay || hours <= 0) return [];
+
+    const overtimeHours = Math.min(hours, config.premiumAfterHours);
+    const doubleTimeHours = Math.max(hours - config.premiumAfterHours, 0);
+    const verb = ctx.mode === 'proposed' ? 'would work' : 'is scheduled';
+    return [
+      finding(
+        ctx,
+        facts,
+        { overtimeHours, doubleTimeHours },
+        `${ctx.employee.name} ${verb} all 7 days of the workweek; ${ctx.shift.date} is paid ${overtimeHours.toFixed(1)}hrs at 1.5x` +
+          (doubleTimeHours > 0 ? ` and ${doubleTimeHours.toFixed(1)}hrs at 2x` : '')
+      ),
+    ];
+  },
+};
+
+module.exports = [dailyOvertime, dailyDoubleTime, seventhDay];
@@ -0,0 +1,60 @@
+/**
+ * CONSEC-001 — Hard stop at too many consecutive working days.
+ * CONSEC-002 — Approval needed when approaching that limit.
+ */
+
+const { addDaysToKey } = require('../calendar-cache');
+const { otherShifts, dayOf } = require('./index');
+
+/** Days worked in a row before (and including) the subject day, and after it. */
+function streak(ctx) {
+  const worked = new Set(otherShifts(ctx).map((s) => dayOf(ctx, s.start)));
+  worked.add(ctx.shift.date);
+
+  let back = 0;
+  for (let d = ctx.shift.date; worked.has(d); d = addDaysToKey(d, -1)) back++;
+  let ahead = 0;
+  for (let d = addDaysToKey(ctx.shift.date, 1); worked.has(d); d = addDaysToKey(d, 1)) ahead++;
+  return { back, total: back + ahead };
+}
+
+function checkStreak(ctx, facts, threshold, describe) {
+  const { back, total } = streak(ctx);
+  if (ctx.mode === 'proposed') {
+    facts.consecutiveDays = total;
+    return total >= threshold ? [{ message: describe(total), consecutiveDays: total }] : [];
+  }
+  // Existing schedule: report the day the streak reaches the threshold
+  return back === threshold
+    ? [{ message: `${ctx.employee.name} is scheduled ${back} days in a row through ${ctx.shift.date}.`, consecutiveDays: back }]
+    : [];
+}
+
+const hardLimit = {
+  id: 'CONSEC-001',
+  name: 'Consecutive days limit',
+  description: 'Blocks a shift that would make the employee work too many days in a row.',
+  severity: 'RED',
+  conflictType: 'CONSECUTIVE_DAYS',
+  defaults: { maxDays: 7 },
+  windowDays: (config) => config.maxDays,
+  evaluate(ctx, config, facts) {
+    return checkStreak(ctx, facts, config.maxDays, (n) => `${ctx.employee.name} would work ${n} consecutive days. HARD BLOCK.`);
+  },
+};
+
+const warning = {
+  id: 'CONSEC-002',
+  name: 'Consecutive days warning',
+  description: 'Needs approval when a shift brings the employee close to the consecutive days limit.',
+  severity: 'ORANGE',
+  conflictType: 'CONSECUTIVE_DAYS',
+  defaults: { warnDays: 6 },
+  supersededBy: 'CONSEC-001',
+  windowDays: (config) => config.warnDays,
+  evaluate(ctx, config, facts) {
+    return checkStreak(ctx, facts, config.warnDays, (n) => `${ctx.employee.name} would work ${n} consecutive days. Requires approval.`);
+  },
+};
+
+module.exports = [hardLimit, warning];
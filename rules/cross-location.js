@@ -0,0 +1,35 @@
+/**
+ * XLOC-001 — Employee is scheduled at two locations on the same day.
+ */
+
+const { otherShifts, dayOf, differentLocation, isLaterOf } = require('./index');
+
+module.exports = {
+  id: 'XLOC-001',
+  name: 'One location per day',
+  description: 'Blocks scheduling an employee at a second location on a day they already work at another.',
+  severity: 'RED',
+  conflictType: 'CROSS_LOCATION_CONFLICT',
+  // By default only the roster's cross-location pool is checked; nobody else works both stores
+  defaults: { onlyCrossLocationPool: true },
+  evaluate(ctx, config) {
+    if (config.onlyCrossLocationPool && !ctx.employee.crossLocation) return [];
+
+    const { shift } = ctx;
+    const other = otherShifts(ctx).find(
+      (s) =>
+        dayOf(ctx, s.start) === shift.date &&
+        differentLocation(s, shift) &&
+        (ctx.mode === 'proposed' || isLaterOf(shift, s))
+    );
+    if (!other) return [];
+
+    return [
+      {
+        message: `${ctx.employee.name} already scheduled at ${other.location || 'another location'} on ${shift.date}.`,
+        otherShiftId: other.id,
+        otherLocation: other.location || null,
+      },
+    ];
+  },
+};
@@ -0,0 +1,227 @@
+/**
+ * rules/index.js — Scheduling rule engine
+ *
+ * Every scheduling check (leave, availability, cross-location, weekly hours,
+ * consecutive days, California overtime, rest between shifts, …) is a rule
+ * module in this directory. /schedule/validate, /conflicts and findCoverage
+ * all build a context for one shift and call evaluate(), so a rule behaves
+ * the same wherever it runs.
+ *
+ * A rule looks like:
+ * {
+ *   id: 'HOURS-001',
+ *   name: 'Weekly hours cap',
+ *   description: '…',
+ *   severity: 'ORANGE',               // RED blocks, ORANGE needs approval, YELLOW is informational
+ *   conflictType: 'OVERTIME_RISK',    // type reported by /conflicts
+ *   appliesTo: ['proposed', 'existing'],
+ *   defaults: { maxWeeklyHours: 40 }, // overridable per rule in RULES_CONFIG_PATH
+ *   windowDays: (config) => 7,        // days of calendar needed either side of the shift
+ *   supersededBy: 'CONSEC-001',       // optional: drop this finding when that rule also fired
+ *   evaluate(ctx, config, facts) { return [{ message, ...details }] },
+ * }
+ *
+ * The context describes one shift ("subject") plus the calendar around it:
+ * { mode: 'proposed' | 'existing', timeZone, shift, employee, shifts, leaves, availability }.
+ * In 'existing' mode the subject is one of ctx.shifts; in 'proposed' mode it isn't.
+ * Callers may add storeDayOf(shift), the store's day from store-calendar.js (or null),
+ * for rules about closures and special-day hours.
+ * Rules may record facts (e.g. weeklyHours) that callers report even when nothing fires.
+ *
+ * Config overrides (RULES_CONFIG_PATH, default ./rules-config.json):
+ * { "HOURS-001": { "maxWeeklyHours": 38 }, "AVAIL-FALLBACK": { "enabled": false } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dayKey, dayStart, dayEnd, addDaysToKey } = require('../calendar-cache');
+
+const SEVERITIES = ['RED', 'ORANGE', 'YELLOW'];
+const CONFIG_PATH = process.env.RULES_CONFIG_PATH || path.join(__dirname, '..', 'rules-config.json');
+
+const registry = new Map();
+let overrides = {};
+
+function loadConfig(file = CONFIG_PATH) {
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[rules] Could not read ${file}:`, err.message);
+    overrides = {};
+  }
+  return overrides;
+}
+
+function registerRule(rule) {
+  if (!rule || !rule.id || typeof rule.evaluate !== 'function') throw new Error('Rule needs an id and an evaluate() function');
+  if (!SEVERITIES.includes(rule.severity)) throw new Error(`Rule ${rule.id} has unknown severity ${rule.severity}`);
+  if (registry.has(rule.id)) throw new Error(`Rule ${rule.id} is already registered`);
+  registry.set(rule.id, { appliesTo: ['proposed', 'existing'], defaults: {}, ...rule });
+}
+
+/** Effective config for a rule: defaults, then overrides. Includes enabled and severity. */
+function getRuleConfig(id) {
+  const rule = registry.get(id);
+  if (!rule) throw new Error(`Unknown rule ${id}`);
+  return { enabled: true, severity: rule.severity, ...rule.defaults, ...(overrides[id] || {}) };
+}
+
+function listRules() {
+  return [...registry.values()].map((rule) => {
+    const { enabled, severity, ...config } = getRuleConfig(rule.id);
+    return {
+      id: rule.id,
+      name: rule.name,
+      description: rule.description,
+      severity,
+      enabled,
+      appliesTo: rule.appliesTo,
+      conflictType: rule.conflictType || null,
+      config,
+    };
+  });
+}
+
+// ── Shared helpers for rule modules ──────────────────────────────────────────
+
+/** Hours worked in a shift: its length less the unpaid break (Sling's breakDuration, in minutes). */
+function shiftHours(s) {
+  const length = (new Date(s.end) - new Date(s.start)) / 3600000;
+  return Math.max(0, length - (s.breakDuration || 0) / 60);
+}
+
+/** The subject employee's other shifts (excluding the subject itself). */
+function otherShifts(ctx) {
+  return ctx.shifts.filter((s) => s.employeeId === ctx.shift.employeeId && (ctx.mode === 'proposed' || s.id !== ctx.shift.id));
+}
+
+function dayOf(ctx, iso) {
+  return dayKey(iso, ctx.timeZone);
+}
+
+function formatTime(ctx, iso) {
+  return new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: ctx.timeZone });
+}
+
+/** Start and end instants (ms) of a local day. */
+function dayBounds(ctx, day) {
+  return { from: dayStart(day, ctx.timeZone), to: dayEnd(day, ctx.timeZone) };
+}
+
+/** Shifts at different locations? Compares ids when both are known, else names. */
+function differentLocation(a, b) {
+  if (a.locationId && b.locationId) return a.locationId !== b.locationId;
+  if (a.location && b.location) return a.location.toLowerCase() !== b.location.toLowerCase();
+  return false;
+}
+
+/** First and last day of the workweek containing day. weekStartsOn: 0 = Sunday, 1 = Monday. */
+function workweek(day, weekStartsOn) {
+  const dow = new Date(`${day}T12:00:00Z`).getUTCDay();
+  const first = addDaysToKey(day, -((dow - weekStartsOn + 7) % 7));
+  return { first, last: addDaysToKey(first, 6) };
+}
+
+// In 'existing' mode a pair of shifts is seen twice; report it on the later one only
+function isLaterOf(subject, other) {
+  const a = new Date(subject.start).getTime();
+  const b = new Date(other.start).getTime();
+  return a > b || (a === b && String(subject.id) > String(other.id));
+}
+
+/** Calendar range (ISO strings) callers must load to evaluate shifts between startDay and endDay. */
+function contextRange(startDay, endDay, timeZone) {
+  const days = Math.max(7, ...[...registry.values()].filter((r) => r.windowDays).map((r) => r.windowDays(getRuleConfig(r.id))));
+  return {
+    start: new Date(dayStart(addDaysToKey(startDay, -days), timeZone)).toISOString(),
+    end: new Date(dayEnd(addDaysToKey(endDay, days), timeZone)).toISOString(),
+  };
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Run every enabled rule that applies to ctx.mode against ctx.shift.
+ * @returns {{ findings: object[], facts: object }}
+ */
+function evaluate(input) {
+  const shift = { ...input.shift, date: input.shift.date || dayOf(input, input.shift.start) };
+  const ctx = {
+    leaves: [],
+    availability: [],
+    ...input,
+    shift,
+    employee: { id: shift.employeeId, name: shift.employee, crossLocation: false, ...(input.employee || {}) },
+  };
+
+  const facts = {};
+  const findings = [];
+  const base = { employee: ctx.employee.name, employeeId: shift.employeeId, date: shift.date, shiftId: shift.id || null };
+
+  for (const rule of registry.values()) {
+    if (!rule.appliesTo.includes(ctx.mode)) continue;
+    const config = getRuleConfig(rule.id);
+    if (!config.enabled) continue;
+
+    let results;
+    try {
+      results = rule.evaluate(ctx, config, facts) || [];
+    } catch (err) {
+      console.error(`[rules] ${rule.id} failed:`, err.message);
+      continue;
+    }
+    for (const r of results) {
+      findings.push({ rule: rule.id, severity: config.severity, type: rule.conflictType || rule.id, ...base, ...r });
+    }
+  }
+
+  const fired = new Set(findings.map((f) => f.rule));
+  const kept = findings.filter((f) => {
+    const rule = registry.get(f.rule);
+    return !(rule.supersededBy && fired.has(rule.supersededBy));
+  });
+  return { findings: kept, facts };
+}
+
+/** Overall status for a set of findings, as used by /schedule/validate. */
+function summarize(findings) {
+  if (findings.some((f) => f.severity === 'RED')) return 'BLOCKED';
+  if (findings.some((f) => f.severity === 'ORANGE')) return 'NEEDS_APPROVAL';
+  if (findings.length > 0) return 'UNCONFIRMED';
+  return 'APPROVED';
+}
+
+module.exports = {
+  registerRule,
+  getRuleConfig,
+  listRules,
+  loadConfig,
+  evaluate,
+  summarize,
+  contextRange,
+  shiftHours,
+  otherShifts,
+  dayOf,
+  dayBounds,
+  formatTime,
+  differentLocation,
+  isLaterOf,
+  workweek,
+  SEVERITIES,
+};
+
+// Built-in rules. Required after module.exports so they can use the helpers above.
+loadConfig();
+[
+  require('./leave'),
+  require('./availability'),
+  require('./overlap'),
+  require('./cross-location'),
+  require('./weekly-hours'),
+  require('./consecutive-days'),
+  require('./california-overtime'),
+  require('./rest-period'),
+  require('./store-calendar'),
+]
+  .flat()
+  .forEach(registerRule);
@@ -0,0 +1,27 @@
+/**
+ * LEAVE-001 — Employee is scheduled on a day they have leave.
+ */
+
+const { dayBounds } = require('./index');
+
+module.exports = {
+  id: 'LEAVE-001',
+  name: 'Approved leave',
+  description: 'Blocks shifts on a day the employee has leave.',
+  severity: 'RED',
+  conflictType: 'LEAVE_CONFLICT',
+  evaluate(ctx) {
+    const { from, to } = dayBounds(ctx, ctx.shift.date);
+    const leave = ctx.leaves.find(
+      (l) => l.employeeId === ctx.shift.employeeId && new Date(l.start) <= to && new Date(l.end) >= from
+    );
+    if (!leave) return [];
+
+    return [
+      {
+        message: `${ctx.employee.name} has approved leave on ${ctx.shift.date}${leave.note ? ` (${leave.note})` : ''}.`,
+        leaveId: leave.id,
+      },
+    ];
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * OVERLAP-001 — Employee already has a shift that overlaps this one.
+ */
+
+const { otherShifts, formatTime, isLaterOf } = require('./index');
+
+module.exports = {
+  id: 'OVERLAP-001',
+  name: 'Overlapping shifts',
+  description: 'Blocks a shift that overlaps another shift for the same employee.',
+  severity: 'RED',
+  conflictType: 'DOUBLE_BOOKED',
+  evaluate(ctx) {
+    const { shift } = ctx;
+    if (!shift.start || !shift.end) return [];
+
+    const start = new Date(shift.start);
+    const end = new Date(shift.end);
+    const clash = otherShifts(ctx).find(
+      (s) => new Date(s.start) < end && new Date(s.end) > start && (ctx.mode === 'proposed' || isLaterOf(shift, s))
+    );
+    if (!clash) return [];
+
+    return [
+      {
+        message: `${ctx.employee.name} already working ${formatTime(ctx, clash.start)}-${formatTime(ctx, clash.end)} on ${shift.date} (overlaps).`,
+        otherShiftId: clash.id,
+      },
+    ];
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * REST-001 — Too little rest between a shift on one day and a shift on the next
+ * (e.g. closing at 5pm and opening at 6:30am).
+ */
+
+const { otherShifts, dayOf, formatTime } = require('./index');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+module.exports = {
+  id: 'REST-001',
+  name: 'Minimum rest between shifts',
+  description: 'Needs approval when the gap between shifts on different days is shorter than the minimum rest.',
+  severity: 'ORANGE',
+  conflictType: 'INSUFFICIENT_REST',
+  defaults: { minRestHours: 10 },
+  windowDays: () => 1,
+  evaluate(ctx, config, facts) {
+    const { shift } = ctx;
+    if (!shift.start || !shift.end) return [];
+
+    const start = new Date(shift.start);
+    const end = new Date(shift.end);
+    const others = otherShifts(ctx).filter((s) => dayOf(ctx, s.start) !== shift.date);
+
+    // Shift just before this one and, for proposed shifts, the one just after.
+    // The existing schedule only looks back so each pair is reported once.
+    const before = others
+      .filter((s) => new Date(s.end) <= start)
+      .sort((a, b) => new Date(b.end) - new Date(a.end))[0];
+    const after =
+      ctx.mode === 'proposed'
+        ? others.filter((s) => new Date(s.start) >= end).sort((a, b) => new Date(a.start) - new Date(b.start))[0]
+        : null;
+
+    const gaps = [];
+    if (before) gaps.push({ other: before, hours: (start - new Date(before.end)) / 3600000, from: before.end, to: shift.start });
+    if (after) gaps.push({ other: after, hours: (new Date(after.start) - end) / 3600000, from: shift.end, to: after.start });
+    if (gaps.length === 0) return [];
+
+    facts.restGapHours = round2(Math.min(...gaps.map((g) => g.hours)));
+
+    return gaps
+      .filter((g) => g.hours < config.minRestHours)
+      .map((g) => ({
+        message: `${ctx.employee.name} gets only ${g.hours.toFixed(1)}hrs rest between ${dayOf(ctx, g.from)} ${formatTime(ctx, g.from)} and ${dayOf(ctx, g.to)} ${formatTime(ctx, g.to)} (min: ${config.minRestHours}).`,
+        gapHours: round2(g.hours),
+        otherShiftId: g.other.id,
+      }));
+  },
+};
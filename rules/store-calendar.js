@@ -0,0 +1,66 @@
+/**
+ * STORE-001 — Shift on a day the store calendar has the store closed (Thanksgiving).
+ * STORE-002 — Shift runs outside the hours the store calendar sets for the day
+ * (closing at 1pm on Christmas Eve).
+ *
+ * Both need ctx.storeDayOf(shift), which returns the store's day from
+ * store-calendar.js, or null when the shift's store isn't known.
+ */
+
+const { formatTime } = require('./index');
+const { zonedTime } = require('../calendar-cache');
+
+function planOf(ctx) {
+  return typeof ctx.storeDayOf === 'function' ? ctx.storeDayOf(ctx.shift) : null;
+}
+
+const onClosedDay = {
+  id: 'STORE-001',
+  name: 'Store closed',
+  description: 'Needs approval for shifts on a day the store calendar marks the store closed.',
+  severity: 'ORANGE',
+  conflictType: 'STORE_CLOSED',
+  evaluate(ctx) {
+    const plan = planOf(ctx);
+    if (!plan || !plan.closed || !plan.overrides.length) return [];
+
+    const where = ctx.shift.location || 'The store';
+    return [
+      {
+        message: `${where} is closed on ${ctx.shift.date}${plan.note ? ` (${plan.note})` : ''}; ${ctx.employee.name} is scheduled anyway.`,
+        calendar: plan.overrides,
+      },
+    ];
+  },
+};
+
+const outsideHours = {
+  id: 'STORE-002',
+  name: 'Special-day hours',
+  description: 'Flags shifts that start well before or end well after the hours the store calendar sets for a day.',
+  severity: 'YELLOW',
+  conflictType: 'OUTSIDE_STORE_HOURS',
+  defaults: { leadMinutes: 30, tailMinutes: 60 },
+  evaluate(ctx, config) {
+    const { shift } = ctx;
+    if (!shift.start || !shift.end) return [];
+    const plan = planOf(ctx);
+    // Usual hours are left to the shift templates; only hours the calendar set are checked
+    if (!plan || !plan.hoursOverridden) return [];
+
+    const earliest = zonedTime(shift.date, plan.hours.open - config.leadMinutes, ctx.timeZone);
+    const latest = zonedTime(shift.date, plan.hours.close + config.tailMinutes, ctx.timeZone);
+    if (new Date(shift.start).getTime() >= earliest && new Date(shift.end).getTime() <= latest) return [];
+
+    const open = new Date(zonedTime(shift.date, plan.hours.open, ctx.timeZone)).toISOString();
+    const close = new Date(zonedTime(shift.date, plan.hours.close, ctx.timeZone)).toISOString();
+    return [
+      {
+        message: `${ctx.employee.name} works ${formatTime(ctx, shift.start)}-${formatTime(ctx, shift.end)} on ${shift.date}, but the store is open ${formatTime(ctx, open)}-${formatTime(ctx, close)}${plan.note ? ` (${plan.note})` : ''}.`,
+        calendar: plan.overrides,
+      },
+    ];
+  },
+};
+
+module.exports = [onClosedDay, outsideHours];
@@ -0,0 +1,55 @@
+/**
+ * HOURS-001 — Employee's scheduled hours for the workweek exceed the cap.
+ */
+
+const { otherShifts, dayOf, shiftHours, workweek } = require('./index');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+module.exports = {
+  id: 'HOURS-001',
+  name: 'Weekly hours cap',
+  description: 'Needs approval when scheduled hours for the workweek go over the cap.',
+  severity: 'ORANGE',
+  conflictType: 'OVERTIME_RISK',
+  defaults: { maxWeeklyHours: 40, weekStartsOn: 1 },
+  windowDays: () => 7,
+  evaluate(ctx, config, facts) {
+    const { shift } = ctx;
+    const { first, last } = workweek(shift.date, config.weekStartsOn);
+    const weekShifts = otherShifts(ctx).filter((s) => {
+      const day = dayOf(ctx, s.start);
+      return day >= first && day <= last;
+    });
+    const subjectHours = shift.start && shift.end ? shiftHours(shift) : 0;
+    const max = config.maxWeeklyHours;
+
+    if (ctx.mode === 'proposed') {
+      const current = weekShifts.reduce((sum, s) => sum + shiftHours(s), 0);
+      const projected = current + subjectHours;
+      Object.assign(facts, { weeklyHours: round2(current), projectedHours: round2(projected), weekStart: first });
+      if (projected <= max) return [];
+      return [
+        {
+          message: `${ctx.employee.name} would have ${projected.toFixed(1)}hrs this week (max: ${max}).`,
+          currentHours: round2(current),
+          projectedHours: round2(projected),
+        },
+      ];
+    }
+
+    // Existing schedule: report only the shift that takes the week over the cap
+    const before = weekShifts
+      .filter((s) => new Date(s.start) < new Date(shift.start))
+      .reduce((sum, s) => sum + shiftHours(s), 0);
+    const total = weekShifts.reduce((sum, s) => sum + shiftHours(s), 0) + subjectHours;
+    Object.assign(facts, { weeklyHours: round2(total), weekStart: first });
+    if (before > max || before + subjectHours <= max) return [];
+    return [
+      {
+        message: `${ctx.employee.name} goes over ${max}hrs in the week of ${first} (${total.toFixed(1)}hrs scheduled).`,
+        weeklyHours: round2(total),
+      },
+    ];
+  },
+};
@@ -0,0 +1,173 @@
+/**
+ * schedule-watcher.js — Notice schedule changes made directly in Sling
+ *
+ * Managers edit shifts in the Sling app too, so every few minutes the next
+ * `days` days of the calendar are snapshotted and compared with the previous
+ * snapshot. Each difference becomes an event on the event bus:
+ * - schedule.shift_added / schedule.shift_removed
+ * - schedule.shift_time_changed (with the old start/end in `before`)
+ * - schedule.shift_reassigned (`from` / `to` employee, null is unassigned; `before` times)
+ * - schedule.shifts_published: shifts that went from draft to published, one
+ *   event per location per poll
+ * - schedule.leave_approved: time off that is newly approved
+ *
+ * Only the days both snapshots cover are compared, so shifts sliding in or out
+ * of the window as the days pass are not reported. The first poll (or the
+ * first after the snapshot is lost) only records a baseline. Changes made
+ * through this API are reported here as well, once Sling shows them.
+ */
+
+const { addDaysToKey, dayKey, zonedTime } = require('./calendar-cache');
+
+const CHANGE_TYPES = [
+  'schedule.shift_added',
+  'schedule.shift_removed',
+  'schedule.shift_time_changed',
+  'schedule.shift_reassigned',
+  'schedule.shifts_published',
+  'schedule.leave_approved',
+];
+
+function pickShift(s) {
+  return {
+    shiftId: s.id,
+    employeeId: s.employeeId || null,
+    employee: s.employeeId ? s.employee : null,
+    position: s.position || null,
+    positionId: s.positionId || null,
+    location: s.location || null,
+    locationId: s.locationId || null,
+    start: s.start,
+    end: s.end,
+    published: Boolean(s.published),
+  };
+}
+
+function pickLeave(l) {
+  return { leaveId: l.id, employeeId: l.employeeId, employee: l.employee, start: l.start, end: l.end, fullDay: Boolean(l.fullDay), note: l.note || '', approved: Boolean(l.approved) };
+}
+
+const byId = (list, pick) => Object.fromEntries(list.map((x) => [x.id, pick(x)]));
+
+/** Differences between two snapshots, as [type, data, locationId] triples. */
+function diffSnapshots(prev, cur) {
+  const from = Math.max(new Date(prev.window.start), new Date(cur.window.start));
+  const to = Math.min(new Date(prev.window.end), new Date(cur.window.end));
+  const inOverlap = (item) => {
+    const t = new Date(item.start).getTime();
+    return t >= from && t <= to;
+  };
+
+  const changes = [];
+  const published = new Map(); // locationId -> shifts
+
+  for (const [id, before] of Object.entries(prev.shifts)) {
+    const after = cur.shifts[id];
+    if (!after) {
+      if (inOverlap(before)) changes.push(['schedule.shift_removed', before, before.locationId]);
+      continue;
+    }
+    if (!inOverlap(before) && !inOverlap(after)) continue;
+
+    if (before.start !== after.start || before.end !== after.end) {
+      changes.push(['schedule.shift_time_changed', { ...after, before: { start: before.start, end: before.end } }, after.locationId]);
+    }
+    if (before.employeeId !== after.employeeId) {
+      changes.push([
+        'schedule.shift_reassigned',
+        {
+          ...after,
+          before: { start: before.start, end: before.end },
+          from: before.employeeId ? { id: before.employeeId, name: before.employee } : null,
+          to: after.employeeId ? { id: after.employeeId, name: after.employee } : null,
+        },
+        after.locationId,
+      ]);
+    }
+    if (!before.published && after.published) {
+      if (!published.has(after.locationId)) published.set(after.locationId, []);
+      published.get(after.locationId).push(after);
+    }
+  }
+
+  for (const [id, after] of Object.entries(cur.shifts)) {
+    if (!prev.shifts[id] && inOverlap(after)) changes.push(['schedule.shift_added', after, after.locationId]);
+  }
+
+  for (const [locationId, shifts] of published) {
+    const starts = shifts.map((s) => s.start).sort();
+    changes.push([
+      'schedule.shifts_published',
+      { count: shifts.length, shiftIds: shifts.map((s) => s.shiftId), first: starts[0], last: starts[starts.length - 1] },
+      locationId,
+    ]);
+  }
+
+  for (const [id, after] of Object.entries(cur.leaves)) {
+    const before = prev.leaves[id];
+    if (after.approved && !(before && before.approved) && (before || inOverlap(after))) {
+      changes.push(['schedule.leave_approved', after, null]);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Create the watcher.
+ *
+ * @param {object} opts
+ * @param {{get: () => object|null, set: (snapshot) => void}} opts.snapshot - where the last snapshot is kept
+ * @param {(startISO, endISO) => Promise<{shifts, leaves}>} opts.fetchCalendar - must bypass any cache
+ * @param {(type, data, opts) => object} opts.publish - event bus publish
+ * @param {string} [opts.timeZone]
+ * @param {number} [opts.days] - days ahead to watch, today included
+ */
+function createScheduleWatcher({ snapshot, fetchCalendar, publish, timeZone = 'America/Los_Angeles', days = 21 }) {
+  let inflight = null;
+  let lastPoll = null;
+
+  function watchWindow(now) {
+    const first = dayKey(now, timeZone);
+    const afterLast = addDaysToKey(first, days);
+    return {
+      start: new Date(zonedTime(first, 0, timeZone)).toISOString(),
+      end: new Date(zonedTime(afterLast, 0, timeZone) - 1).toISOString(),
+    };
+  }
+
+  async function run() {
+    const startedAt = new Date();
+    const range = watchWindow(startedAt);
+    const { shifts, leaves } = await fetchCalendar(range.start, range.end);
+    const cur = { takenAt: startedAt.toISOString(), window: range, shifts: byId(shifts, pickShift), leaves: byId(leaves, pickLeave) };
+
+    const prev = snapshot.get();
+    const changes = prev && prev.window ? diffSnapshots(prev, cur) : [];
+    snapshot.set(cur);
+
+    const events = changes.map(([type, data, locationId]) => publish(type, data, { locationId }));
+    lastPoll = { at: cur.takenAt, baseline: !prev, shifts: shifts.length, changes: events.length };
+    if (events.length) console.log(`[watch] ${events.length} schedule change(s) in Sling`);
+    return { ...lastPoll, window: range, events };
+  }
+
+  /** Snapshot, compare and publish. Overlapping calls share one poll. */
+  function poll() {
+    if (!inflight) {
+      inflight = run().finally(() => {
+        inflight = null;
+      });
+    }
+    return inflight;
+  }
+
+  function status() {
+    const prev = snapshot.get();
+    return { days, lastPoll, snapshot: prev ? { takenAt: prev.takenAt, window: prev.window, shifts: Object.keys(prev.shifts).length } : null };
+  }
+
+  return { poll, status };
+}
+
+module.exports = { createScheduleWatcher, diffSnapshots, CHANGE_TYPES };
@@ -0,0 +1,226 @@
+/**
+ * shift-notifier.js — Tell employees when their published shifts change
+ *
+ * Listens to the schedule watcher's events (schedule-watcher.js) and DMs every
+ * employee whose published shifts were moved, reassigned, added or removed:
+ *
+ *   Hey Sara! Your schedule changed:
+ *   • Your Tuesday shift moved from 7:00 AM–2:00 PM to 9:00 AM–4:00 PM
+ *   • You're now on Thursday, Oct 23 7:00 AM–3:00 PM (Barista, Clement Pixlcat)
+ *
+ * Changes are held per employee until none have arrived for batchMin, so one
+ * edit session produces one message; a shift moved twice is reported once,
+ * and one added then removed again not at all. During quiet hours messages
+ * wait until the quiet hours end, unless a changed shift starts before then.
+ * Employees for whom isOptedOut() is true are skipped.
+ */
+
+const { addDaysToKey, dayKey, zonedTime } = require('./calendar-cache');
+
+const MIN_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Kinds of change, in the order they're listed in a message
+const KINDS = ['moved', 'picked_up', 'added', 'dropped', 'removed'];
+
+/** "21-8" or "21:30-7:00" -> { start, end } in minutes after midnight, or null for "" / "off". */
+function parseQuietHours(value) {
+  if (!value || value === 'off') return null;
+  const m = String(value).match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) throw new Error(`Quiet hours must look like "21-8", got "${value}"`);
+  return { start: m[1] * 60 + parseInt(m[2] || '0', 10), end: m[3] * 60 + parseInt(m[4] || '0', 10) };
+}
+
+/**
+ * Create the notifier.
+ *
+ * @param {object} opts
+ * @param {object} opts.pending - Map-like store of employeeId -> batch
+ * @param {(employeeId, text) => Promise} opts.sendDM
+ * @param {(employeeId) => boolean} [opts.isOptedOut]
+ * @param {(employeeId) => string} [opts.firstNameOf]
+ * @param {(iso) => string} opts.formatTime
+ * @param {string} [opts.timeZone]
+ * @param {number} [opts.batchMin] - quiet period after the last change before sending
+ * @param {{start, end}|null} [opts.quietHours] - minutes after midnight, local time
+ * @param {() => number} [opts.clock]
+ */
+function createShiftNotifier({
+  pending,
+  sendDM,
+  isOptedOut = () => false,
+  firstNameOf = () => null,
+  formatTime,
+  timeZone = 'America/Los_Angeles',
+  batchMin = 10,
+  quietHours = { start: 21 * 60, end: 8 * 60 },
+  clock = Date.now,
+}) {
+  const localMinutes = (ms) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+        .formatToParts(new Date(ms))
+        .map((p) => [p.type, parseInt(p.value, 10)])
+    );
+    return parts.hour * 60 + parts.minute;
+  };
+
+  function isQuiet(ms) {
+    if (!quietHours) return false;
+    const m = localMinutes(ms);
+    const { start, end } = quietHours;
+    return start <= end ? m >= start && m < end : m >= start || m < end;
+  }
+
+  // Next time the quiet hours end after ms
+  function quietEndsAt(ms) {
+    const key = dayKey(ms, timeZone);
+    const today = zonedTime(key, quietHours.end, timeZone);
+    return today > ms ? today : zonedTime(addDaysToKey(key, 1), quietHours.end, timeZone);
+  }
+
+  const weekday = (iso) => new Date(iso).toLocaleDateString('en-US', { weekday: 'long', timeZone });
+  const day = (iso) => new Date(iso).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', timeZone });
+  const hours = (s) => `${formatTime(s.start)}–${formatTime(s.end)}`;
+
+  function describe(c) {
+    const where = [c.position, c.location].filter(Boolean).join(', ');
+    const suffix = where ? ` (${where})` : '';
+    switch (c.kind) {
+      case 'moved':
+        return dayKey(c.before.start, timeZone) === dayKey(c.start, timeZone)
+          ? `Your ${weekday(c.start)} shift moved from ${hours(c.before)} to ${hours(c)}`
+          : `Your ${day(c.before.start)} shift (${hours(c.before)}) moved to ${day(c.start)} ${hours(c)}`;
+      case 'picked_up':
+        return `You're now on ${day(c.start)} ${hours(c)}${suffix}`;
+      case 'added':
+        return `New shift: ${day(c.start)} ${hours(c)}${suffix}`;
+      case 'dropped':
+        return `You're off ${day(c.start)} ${hours(c)}${c.to ? ` — ${c.to} has it now` : ''}`;
+      case 'removed':
+        return `Your ${day(c.start)} shift (${hours(c)}) was removed`;
+      default:
+        return `${day(c.start)} ${hours(c)} changed`;
+    }
+  }
+
+  // Fold a new change for a shift into the one already waiting, if any
+  function merge(existing, change) {
+    if (!existing) return change;
+    const gone = ['dropped', 'removed'];
+    const gained = ['picked_up', 'added'];
+    if (gained.includes(existing.kind) && gone.includes(change.kind)) return null;
+    if (gained.includes(existing.kind)) return { ...existing, start: change.start, end: change.end };
+    if (gone.includes(existing.kind) && gained.includes(change.kind)) {
+      const before = { start: existing.start, end: existing.end };
+      return before.start === change.start && before.end === change.end ? null : { ...change, kind: 'moved', before };
+    }
+    if (existing.kind === 'moved' && change.kind === 'moved') {
+      return existing.before.start === change.start && existing.before.end === change.end ? null : { ...change, before: existing.before };
+    }
+    return change;
+  }
+
+  // Changes in a DM that is being sent; new changes don't merge into them
+  const changeKey = (c) => `${c.shiftId}@${c.at}`;
+  const sending = new Set();
+
+  function add(employeeId, employee, change) {
+    if (!employeeId || isOptedOut(employeeId)) return;
+    const now = clock();
+    const batch = pending.get(employeeId) || { employeeId, employee, changes: [], firstAt: new Date(now).toISOString(), attempts: 0 };
+    const open = (c) => c.shiftId === change.shiftId && !sending.has(changeKey(c));
+    const others = batch.changes.filter((c) => !open(c));
+    const merged = merge(batch.changes.find(open), { ...change, at: new Date(now).toISOString() });
+    const changes = merged ? [...others, merged] : others;
+    if (changes.length) pending.set(employeeId, { ...batch, employee: employee || batch.employee, changes, lastAt: new Date(now).toISOString() });
+    else pending.delete(employeeId);
+  }
+
+  /** Queue DMs for a schedule watcher event. Only published shifts that haven't ended count. */
+  function handle(event) {
+    const d = event.data || {};
+    if (!d.published || new Date(d.end).getTime() < clock()) return;
+    const shift = { shiftId: d.shiftId, start: d.start, end: d.end, position: d.position, location: d.location };
+
+    switch (event.type) {
+      case 'schedule.shift_time_changed':
+        add(d.employeeId, d.employee, { ...shift, kind: 'moved', before: d.before });
+        break;
+      case 'schedule.shift_reassigned':
+        // The one who lost it hears about the shift as they had it
+        if (d.from) add(d.from.id, d.from.name, { ...shift, ...d.before, kind: 'dropped', to: d.to ? d.to.name : null });
+        if (d.to) add(d.to.id, d.to.name, { ...shift, kind: 'picked_up' });
+        break;
+      case 'schedule.shift_added':
+        add(d.employeeId, d.employee, { ...shift, kind: 'added' });
+        break;
+      case 'schedule.shift_removed':
+        add(d.employeeId, d.employee, { ...shift, kind: 'removed' });
+        break;
+    }
+  }
+
+  function message(batch) {
+    const first = firstNameOf(batch.employeeId) || (batch.employee || '').split(' ')[0];
+    const lines = [...batch.changes]
+      .sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || new Date(a.start) - new Date(b.start))
+      .map((c) => `• ${describe(c)}`);
+    return `Hey${first ? ` ${first}` : ''}! Your schedule changed:\n${lines.join('\n')}\nCheck Sling for the full schedule.`;
+  }
+
+  /** When a batch will go out (ms), given no further changes. */
+  function dueAt(batch) {
+    const settled = new Date(batch.lastAt).getTime() + batchMin * MIN_MS;
+    if (!isQuiet(settled)) return settled;
+    const endsAt = quietEndsAt(settled);
+    const urgent = batch.changes.some((c) => new Date(c.start).getTime() < endsAt || (c.before && new Date(c.before.start).getTime() < endsAt));
+    return urgent ? settled : endsAt;
+  }
+
+  /** Send every batch that is due. Failed sends are retried on the next flush, up to 3 times. */
+  async function flush() {
+    const now = clock();
+    const sent = [];
+    for (const batch of [...pending.values()]) {
+      if (dueAt(batch) > now) continue;
+      if (isOptedOut(batch.employeeId)) {
+        pending.delete(batch.employeeId);
+        continue;
+      }
+      const text = message(batch);
+      const keys = batch.changes.map(changeKey);
+      keys.forEach((k) => sending.add(k));
+      try {
+        await sendDM(batch.employeeId, text);
+        settle(batch, keys);
+        sent.push({ employeeId: batch.employeeId, employee: batch.employee, changes: batch.changes.length, text });
+        console.log(`[notify] Sent ${batch.changes.length} schedule change(s) to ${batch.employee}`);
+      } catch (err) {
+        const attempts = batch.attempts + 1;
+        console.error(`[notify] DM to ${batch.employee} failed (attempt ${attempts}):`, err.message);
+        if (attempts >= MAX_ATTEMPTS) settle(batch, keys);
+        else pending.set(batch.employeeId, { ...(pending.get(batch.employeeId) || batch), attempts });
+      } finally {
+        keys.forEach((k) => sending.delete(k));
+      }
+    }
+    return sent;
+  }
+
+  // Drop the changes a DM carried; anything that came in while it was sending stays queued
+  function settle(batch, keys) {
+    const current = pending.get(batch.employeeId);
+    const left = current ? current.changes.filter((c) => !keys.includes(changeKey(c))) : [];
+    if (left.length) pending.set(batch.employeeId, { ...current, changes: left, attempts: 0 });
+    else pending.delete(batch.employeeId);
+  }
+
+  function list() {
+    return [...pending.values()].map((b) => ({ ...b, dueAt: new Date(dueAt(b)).toISOString(), preview: message(b) }));
+  }
+
+  return { handle, flush, list, batchMin, quietHours };
+}
+
+module.exports = { createShiftNotifier, parseQuietHours };
@@ -0,0 +1,250 @@
+/**
+ * shift-reminders.js — Remind employees of their upcoming shifts by Sling DM
+ *
+ * Every published shift gets one reminder: at reminderHour the evening before
+ * (default 7pm), or leadHoursOf(employee) hours before it starts when the
+ * employee has their own lead time (0 turns their reminders off). Someone
+ * with two shifts due at once gets one message:
+ *
+ *   Hi Sara! Reminder: you're working tomorrow, Tue, Oct 20:
+ *   • 7:00 AM–2:00 PM at Clement Pixlcat (Barista), with Maya and Bo
+ *   Can't make it? Reply here and we'll start finding cover.
+ *
+ * Replies are read until the shift starts and sorted by the same classifier
+ * as clock-in follow-ups (reply-classifier.js):
+ * - CALLING_OUT: thanked, ops is told and startCoverage() looks for cover
+ * - COVERED: the named coworker is resolved and ops is asked to make the swap
+ *   in Sling (nothing is reassigned automatically)
+ * Anything else ("thanks!") is kept on the record and otherwise ignored.
+ * The DM conversation is shared with the clock-in monitor: replies sent while
+ * one of its follow-ups is open (isClaimed) are its to read, not ours.
+ */
+
+const { addDaysToKey, dayKey, zonedTime } = require('./calendar-cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HORIZON_HOURS = 48;
+
+/**
+ * Create the reminder job.
+ *
+ * @param {object} opts
+ * @param {object} opts.reminders - Map-like store of shiftId -> reminder record
+ * @param {(startISO, endISO) => Promise<object[]>} opts.getShifts - published, assigned shifts (normalized)
+ * @param {(employeeId, text) => Promise<{conversationId}>} opts.sendDM
+ * @param {(conversationId, sinceISO) => Promise<{content, timestamp}[]>} opts.getReplies - the employee's messages
+ * @param {(text, ctx) => Promise<{intent, coverName}>} opts.classifyReply
+ * @param {(name) => Promise<{employee, error}>} opts.resolveCover
+ * @param {(text) => Promise} opts.notify - ops channel
+ * @param {(employeeId, atISO) => boolean} [opts.isClaimed] - another job is waiting on this person's reply
+ * @param {(record, reply) => Promise} [opts.startCoverage] - look for cover after a call-out
+ * @param {(employeeId) => number|null} [opts.leadHoursOf] - per-employee lead time
+ * @param {(employeeId) => string} opts.nameOf
+ * @param {(iso) => string} opts.formatTime
+ * @param {string} [opts.timeZone]
+ * @param {number} [opts.reminderHour] - local hour for evening-before reminders
+ * @param {number} [opts.minNoticeMin] - skip reminders that would land closer to the start than this
+ * @param {() => number} [opts.clock]
+ */
+function createShiftReminders({
+  reminders,
+  getShifts,
+  sendDM,
+  getReplies,
+  classifyReply,
+  resolveCover,
+  notify,
+  isClaimed = () => false,
+  startCoverage = async () => {},
+  leadHoursOf = () => null,
+  nameOf,
+  formatTime,
+  timeZone = 'America/Los_Angeles',
+  reminderHour = 19,
+  minNoticeMin = 60,
+  clock = Date.now,
+}) {
+  const day = (iso) => new Date(iso).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone });
+  const hours = (s) => `${formatTime(s.start)}–${formatTime(s.end)}`;
+
+  /** When a shift's reminder goes out (ms), or null when the employee has turned them off. */
+  function dueAt(shift) {
+    const lead = leadHoursOf(shift.employeeId);
+    if (lead === 0) return null;
+    const start = new Date(shift.start).getTime();
+    if (Number.isFinite(lead)) return start - lead * HOUR_MS;
+    return zonedTime(addDaysToKey(dayKey(shift.start, timeZone), -1), reminderHour * 60, timeZone);
+  }
+
+  function coworkersOf(shift, shifts) {
+    const ids = shifts
+      .filter(
+        (s) =>
+          s.employeeId !== shift.employeeId &&
+          s.locationId === shift.locationId &&
+          new Date(s.start) < new Date(shift.end) &&
+          new Date(s.end) > new Date(shift.start)
+      )
+      .map((s) => s.employeeId);
+    return [...new Set(ids)].map((id) => ({ id, name: nameOf(id) }));
+  }
+
+  function when(start, now) {
+    const key = dayKey(start, timeZone);
+    const today = dayKey(now, timeZone);
+    if (key === today) return `today, ${day(start)}`;
+    if (key === addDaysToKey(today, 1)) return `tomorrow, ${day(start)}`;
+    return day(start);
+  }
+
+  function message(first, records, now) {
+    const lines = records.map((r) => {
+      const where = `${r.location ? ` at ${r.location}` : ''}${r.position ? ` (${r.position})` : ''}`;
+      const names = r.coworkers.map((c) => c.name);
+      const crew = names.length ? `, with ${names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]}` : '';
+      return `• ${records.length > 1 && dayKey(r.start, timeZone) !== dayKey(records[0].start, timeZone) ? `${day(r.start)} ` : ''}${hours(r)}${where}${crew}`;
+    });
+    return `Hi ${first}! Reminder: you're working ${when(records[0].start, now)}:\n${lines.join('\n')}\nCan't make it? Reply here and we'll start finding cover.`;
+  }
+
+  async function sendDue(shifts, now) {
+    const due = new Map(); // employeeId -> shifts
+    for (const s of shifts) {
+      if (reminders.has(s.id)) continue;
+      const at = dueAt(s);
+      const start = new Date(s.start).getTime();
+      if (at === null || now < at || now > start - minNoticeMin * 60 * 1000) continue;
+      if (!due.has(s.employeeId)) due.set(s.employeeId, []);
+      due.get(s.employeeId).push(s);
+    }
+
+    const sent = [];
+    for (const [employeeId, list] of due) {
+      list.sort((a, b) => new Date(a.start) - new Date(b.start));
+      const records = list.map((s) => ({
+        shiftId: s.id,
+        employeeId,
+        employee: nameOf(employeeId),
+        start: s.start,
+        end: s.end,
+        position: s.position || null,
+        location: s.location || null,
+        locationId: s.locationId || null,
+        coworkers: coworkersOf(s, shifts),
+        status: 'sent',
+        sentAt: new Date(now).toISOString(),
+        conversationId: null,
+        repliesCheckedAt: new Date(now).toISOString(),
+        replies: [],
+      }));
+
+      try {
+        const result = await sendDM(employeeId, message(nameOf(employeeId).split(' ')[0], records, now));
+        for (const r of records) reminders.set(r.shiftId, { ...r, conversationId: (result && result.conversationId) || null });
+        sent.push({ employeeId, employee: records[0].employee, shifts: records.length });
+      } catch (err) {
+        // Not retried: the usual cause is no DM conversation with them yet
+        console.error(`[remind] Could not remind ${records[0].employee}:`, err.message);
+        for (const r of records) reminders.set(r.shiftId, { ...r, status: 'failed', error: err.message });
+      }
+    }
+    return sent;
+  }
+
+  async function reply(record, text) {
+    try {
+      await sendDM(record.employeeId, text);
+    } catch (err) {
+      console.error(`[remind] Could not reply to ${record.employee}:`, err.message);
+    }
+  }
+
+  // Act on one reply to the earliest open reminder in a conversation
+  async function handleReply(record, msg) {
+    const text = (msg.content || '').trim();
+    const at = msg.timestamp || new Date(clock()).toISOString();
+    const result = await classifyReply(text, { now: new Date(clock()), shiftStart: record.start });
+    const entry = { at, text, intent: result.intent, coverName: result.coverName || null };
+    const label = `${day(record.start)} ${hours(record)} shift${record.location ? ` at ${record.location}` : ''}`;
+
+    if (result.intent === 'CALLING_OUT') {
+      const next = { ...record, status: 'called_out', calledOut: { at, text }, replies: [...record.replies, entry] };
+      reminders.set(record.shiftId, next);
+      await reply(record, "Thanks for letting us know. We're finding cover now — a manager will confirm.");
+      await notify(`📵 *${record.employee}* can't make their ${label}: "${text}"`);
+      await startCoverage(next, entry);
+      return { shiftId: record.shiftId, employee: record.employee, intent: result.intent };
+    }
+
+    if (result.intent === 'COVERED' && result.coverName) {
+      const { employee: cover, error } = await resolveCover(result.coverName);
+      if (!cover) {
+        reminders.set(record.shiftId, { ...record, replies: [...record.replies, entry] });
+        await reply(record, error);
+        return { shiftId: record.shiftId, employee: record.employee, intent: result.intent, error };
+      }
+      reminders.set(record.shiftId, { ...record, status: 'cover_named', coveredBy: cover, replies: [...record.replies, entry] });
+      await reply(record, `Thanks! I'll let the managers know ${cover.name} is taking it — it isn't swapped in Sling until they confirm.`);
+      await notify(`🔁 *${record.employee}* says *${cover.name}* is covering their ${label}. Please make the swap in Sling.`);
+      return { shiftId: record.shiftId, employee: record.employee, intent: result.intent, coveredBy: cover };
+    }
+
+    reminders.set(record.shiftId, { ...record, replies: [...record.replies, entry] });
+    return null;
+  }
+
+  async function readReplies(now) {
+    const open = [...reminders.values()].filter((r) => r.status === 'sent' && r.conversationId && new Date(r.start).getTime() > now);
+    const byConversation = new Map();
+    for (const r of open) {
+      if (!byConversation.has(r.conversationId)) byConversation.set(r.conversationId, []);
+      byConversation.get(r.conversationId).push(r);
+    }
+
+    const handled = [];
+    for (const [conversationId, records] of byConversation) {
+      records.sort((a, b) => new Date(a.start) - new Date(b.start));
+      const since = records.map((r) => r.repliesCheckedAt).sort()[0];
+      let messages;
+      try {
+        messages = await getReplies(conversationId, since);
+      } catch (err) {
+        console.error(`[remind] Could not read replies from ${records[0].employee}:`, err.message);
+        continue;
+      }
+      const checkedAt = new Date(now).toISOString();
+      for (const r of records) reminders.set(r.shiftId, { ...reminders.get(r.shiftId), repliesCheckedAt: checkedAt });
+
+      messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      for (const m of messages) {
+        if (isClaimed(records[0].employeeId, m.timestamp)) continue;
+        // Each reply is about the earliest shift still waiting on one
+        const target = records.map((r) => reminders.get(r.shiftId)).find((r) => r.status === 'sent' && new Date(m.timestamp) > new Date(r.sentAt));
+        if (!target) continue;
+        const outcome = await handleReply(target, m);
+        if (outcome) handled.push(outcome);
+      }
+    }
+    return handled;
+  }
+
+  /** Send reminders that are due and act on replies to earlier ones. */
+  async function tick() {
+    const now = clock();
+    const shifts = await getShifts(new Date(now).toISOString(), new Date(now + HORIZON_HOURS * HOUR_MS).toISOString());
+    const sent = await sendDue(shifts, now);
+    const replies = await readReplies(now);
+    return { sent, replies };
+  }
+
+  /** Reminder records for shifts on a day (YYYY-MM-DD), earliest first. */
+  function list({ date } = {}) {
+    return [...reminders.values()]
+      .filter((r) => !date || dayKey(r.start, timeZone) === date)
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  return { tick, list, dueAt };
+}
+
+module.exports = { createShiftReminders };
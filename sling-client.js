@@ -0,0 +1,362 @@
+/**
+ * sling-client.js — Shared Sling API client
+ *
+ * Every Sling call in the service goes through here so that an expired
+ * token is handled in one place: on a 401 the client logs back in with the
+ * stored credentials, swaps the new token into the token store, tells
+ * listeners (so cached session info can be dropped) and retries once.
+ *
+ * Calls are also throttled and retried here: each request has a timeout,
+ * 429/5xx responses back off exponentially (honouring Retry-After), at most
+ * SLING_MAX_CONCURRENCY requests are in flight and at most
+ * SLING_MAX_PER_MINUTE are started in any rolling minute.
+ *
+ * Env:
+ * - SLING_TOKEN (initial token, optional if credentials are set)
+ * - SLING_EMAIL / SLING_PASSWORD (used to re-authenticate on 401)
+ * - SLING_TIMEOUT_MS (default 15000)
+ * - SLING_MAX_RETRIES (default 3)
+ * - SLING_MAX_CONCURRENCY (default 4)
+ * - SLING_MAX_PER_MINUTE (default 120)
+ */
+
+const SLING_BASE = 'https://api.getsling.com';
+
+const TIMEOUT_MS = parseInt(process.env.SLING_TIMEOUT_MS, 10) || 15000;
+const MAX_RETRIES = process.env.SLING_MAX_RETRIES != null ? parseInt(process.env.SLING_MAX_RETRIES, 10) : 3;
+const MAX_CONCURRENCY = parseInt(process.env.SLING_MAX_CONCURRENCY, 10) || 4;
+const MAX_PER_MINUTE = parseInt(process.env.SLING_MAX_PER_MINUTE, 10) || 120;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10000;
+
+// ── Token store ──────────────────────────────────────────────────────────────
+
+/**
+ * Default token store: keeps the token in memory, seeded from SLING_TOKEN.
+ * Any object with get() and set(token) can be plugged in via setTokenStore().
+ */
+function createMemoryTokenStore(initialToken) {
+  let token = initialToken || null;
+  return {
+    get() {
+      return token;
+    },
+    set(next) {
+      token = next || null;
+    },
+  };
+}
+
+let tokenStore = createMemoryTokenStore(process.env.SLING_TOKEN);
+
+function setTokenStore(store) {
+  if (!store || typeof store.get !== 'function' || typeof store.set !== 'function') {
+    throw new Error('Token store must implement get() and set(token)');
+  }
+  tokenStore = store;
+}
+
+async function getToken() {
+  return tokenStore.get();
+}
+
+// ── Re-authentication ────────────────────────────────────────────────────────
+
+const refreshListeners = [];
+
+/** Register a callback run after every successful token refresh. */
+function onTokenRefresh(listener) {
+  refreshListeners.push(listener);
+}
+
+function hasStoredCredentials() {
+  return Boolean(process.env.SLING_EMAIL && process.env.SLING_PASSWORD);
+}
+
+/**
+ * Log in to Sling and return the session token.
+ * Sling returns the token in the Authorization response header.
+ */
+async function login(email, password) {
+  let res;
+  try {
+    res = await fetch(`${SLING_BASE}/account/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+      // A hung login would hold every request waiting on the shared refresh
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+    throw new Error(timedOut ? `Sling login timeout after ${TIMEOUT_MS}ms` : `Sling login failed: ${err.message}`);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Sling login ${res.status}: ${text}`);
+  }
+
+  const token = res.headers.get('authorization');
+  if (!token) throw new Error('Sling login succeeded but returned no token');
+
+  const data = await res.json().catch(() => ({}));
+  return { token, user: data.user || null, org: data.org || null };
+}
+
+function notifyRefresh(token) {
+  for (const listener of refreshListeners) {
+    try {
+      listener(token);
+    } catch (err) {
+      console.error('[sling] Token refresh listener error:', err.message);
+    }
+  }
+}
+
+let _refreshInFlight = null;
+
+/**
+ * Log in with the stored credentials and replace the current token.
+ * Concurrent callers share one login request.
+ */
+async function refreshToken() {
+  if (!hasStoredCredentials()) {
+    throw new Error('Sling token expired and SLING_EMAIL/SLING_PASSWORD are not configured');
+  }
+
+  if (!_refreshInFlight) {
+    _refreshInFlight = (async () => {
+      const { token } = await login(process.env.SLING_EMAIL, process.env.SLING_PASSWORD);
+      await tokenStore.set(token);
+      console.log('[sling] Token refreshed');
+      notifyRefresh(token);
+      return token;
+    })().finally(() => {
+      _refreshInFlight = null;
+    });
+  }
+
+  return _refreshInFlight;
+}
+
+/** Store a token obtained elsewhere (e.g. /auth/login) and notify listeners. */
+async function setToken(token) {
+  await tokenStore.set(token);
+  notifyRefresh(token);
+}
+
+// ── Throttling ───────────────────────────────────────────────────────────────
+
+const stats = {
+  requests: 0,
+  retries: 0,
+  failures: 0,
+  timeouts: 0,
+  rateLimited: 0,
+  refreshes: 0,
+  inFlight: 0,
+  queued: 0,
+  lastError: null,
+  since: new Date().toISOString(),
+};
+
+const requestListeners = [];
+
+/** Register a callback run after every HTTP request sent to Sling (including retries). */
+function onRequest(listener) {
+  requestListeners.push(listener);
+}
+
+function getStats() {
+  return { ...stats, budget: { perMinute: MAX_PER_MINUTE, usedLastMinute: recentStarts.length }, maxConcurrency: MAX_CONCURRENCY };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waiting = [];
+const recentStarts = [];
+
+function pruneStarts(now) {
+  while (recentStarts.length && now - recentStarts[0] >= 60000) recentStarts.shift();
+}
+
+/** Wait for a free concurrency slot and room in the per-minute budget. */
+async function acquireSlot() {
+  // Queue behind earlier waiters too, so a new request can't jump ahead of them
+  if (stats.inFlight >= MAX_CONCURRENCY || waiting.length) {
+    stats.queued++;
+    // releaseSlot() hands its slot over, so inFlight already counts this request
+    await new Promise((resolve) => waiting.push(resolve));
+    stats.queued--;
+  } else {
+    stats.inFlight++;
+  }
+
+  let now = Date.now();
+  pruneStarts(now);
+  while (recentStarts.length >= MAX_PER_MINUTE) {
+    await sleep(recentStarts[0] + 60000 - now);
+    now = Date.now();
+    pruneStarts(now);
+  }
+  recentStarts.push(now);
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else stats.inFlight--;
+}
+
+function backoffDelay(attempt, res) {
+  const retryAfter = res && res.headers && res.headers.get ? res.headers.get('retry-after') : null;
+  if (retryAfter) {
+    const secs = parseFloat(retryAfter);
+    if (Number.isFinite(secs)) return Math.min(secs * 1000, BACKOFF_MAX_MS);
+  }
+  const exp = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+// POST is not idempotent: only retry it when Sling refused it outright (429).
+function isRetryable(method, status) {
+  if (status === 429) return true;
+  if (method === 'POST') return false;
+  return status >= 500;
+}
+
+// ── Requests ─────────────────────────────────────────────────────────────────
+
+async function sendOnce(method, path, body, authToken) {
+  const opts = {
+    method,
+    headers: { Authorization: authToken, 'Content-Type': 'application/json' },
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  };
+  if (body !== undefined) opts.body = JSON.stringify(body);
+  return fetch(`${SLING_BASE}${path}`, opts);
+}
+
+/**
+ * Send a request with timeout, throttling and backoff. Resolves with the last
+ * response (which may still be an error status); rejects only when the
+ * network call itself keeps failing.
+ */
+async function sendWithRetry(method, path, body, authToken) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot();
+    const startedAt = Date.now();
+    let res = null;
+    let error = null;
+
+    try {
+      res = await sendOnce(method, path, body, authToken);
+    } catch (err) {
+      error = err;
+    } finally {
+      releaseSlot();
+    }
+
+    stats.requests++;
+    const durationMs = Date.now() - startedAt;
+    for (const listener of requestListeners) {
+      try {
+        listener({ method, path, status: res ? res.status : null, durationMs, attempt, error: error ? error.message : null });
+      } catch (err) {
+        console.error('[sling] Request listener error:', err.message);
+      }
+    }
+
+    if (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      if (timedOut) stats.timeouts++;
+      // A timed-out POST may still have been applied; don't send it twice
+      const retryable = method !== 'POST' || !timedOut;
+      if (retryable && attempt < MAX_RETRIES) {
+        stats.retries++;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+      stats.failures++;
+      stats.lastError = { at: new Date().toISOString(), path, message: error.message };
+      throw new Error(timedOut ? `Sling API timeout after ${TIMEOUT_MS}ms: ${method} ${path}` : `Sling API request failed: ${error.message}`);
+    }
+
+    if (res.status === 429) stats.rateLimited++;
+    if (isRetryable(method, res.status) && attempt < MAX_RETRIES) {
+      stats.retries++;
+      console.warn(`[sling] ${method} ${path} -> ${res.status}, retry ${attempt + 1}/${MAX_RETRIES}`);
+      await sleep(backoffDelay(attempt, res));
+      continue;
+    }
+
+    return res;
+  }
+}
+
+/**
+ * Perform a Sling request. When no explicit token is passed, a 401 triggers a
+ * re-login with stored credentials and the request is retried once.
+ */
+async function slingRequest(method, path, body, token) {
+  const authToken = token || (await getToken());
+  const canRefresh = !token && hasStoredCredentials();
+  if (!authToken && !canRefresh) throw new Error('No Sling auth token configured');
+
+  let res = authToken ? await sendWithRetry(method, path, body, authToken) : null;
+
+  if (canRefresh && (!res || res.status === 401)) {
+    stats.refreshes++;
+    const fresh = await refreshToken();
+    res = await sendWithRetry(method, path, body, fresh);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    const err = new Error(`Sling API ${res.status}: ${text}`);
+    err.status = res.status;
+    stats.failures++;
+    stats.lastError = { at: new Date().toISOString(), path, message: err.message };
+    throw err;
+  }
+
+  const text = await res.text();
+  if (!text) return method === 'DELETE' ? { success: true } : null;
+  return JSON.parse(text);
+}
+
+async function slingGet(path, token) {
+  return slingRequest('GET', path, undefined, token);
+}
+
+async function slingPost(path, body, token) {
+  return slingRequest('POST', path, body, token);
+}
+
+async function slingPut(path, body, token) {
+  return slingRequest('PUT', path, body, token);
+}
+
+async function slingDelete(path, token) {
+  return slingRequest('DELETE', path, undefined, token);
+}
+
+module.exports = {
+  SLING_BASE,
+  slingGet,
+  slingPost,
+  slingPut,
+  slingDelete,
+  slingRequest,
+  login,
+  refreshToken,
+  setToken,
+  getToken,
+  onTokenRefresh,
+  onRequest,
+  getStats,
+  setTokenStore,
+  createMemoryTokenStore,
+  hasStoredCredentials,
+};
@@ -0,0 +1,215 @@
+/**
+ * state-store.js — Small on-disk store for bot and monitoring state
+ *
+ * Each collection is a JSON file in STATE_DIR (default ./data) and behaves
+ * like the Map or Set it replaces. Every change is written through to disk
+ * (batched over a short delay, atomically via a temp file + rename) and the
+ * file is read back on boot, so a restart doesn't lose clock-in follow-ups or
+ * forget that today's schedule was already posted. Writes of one file run one
+ * at a time, each through its own temp file, and a write overtaken by a newer
+ * one (flushSync() on shutdown) is dropped rather than renamed over it.
+ *
+ * Retention: each collection can drop entries older than ttlMs (by last write)
+ * and keep at most maxEntries (oldest dropped first). Pruning runs on load and
+ * on every write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FLUSH_DELAY_MS = 200;
+
+/** Where runtime state lives: STATE_DIR, or ./data. Other modules keep their own files here too. */
+function stateDir() {
+  return process.env.STATE_DIR || path.join(__dirname, 'data');
+}
+
+/**
+ * Create a store.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.dir] - directory for collection files
+ * @param {number} [opts.flushDelayMs] - how long writes are batched before hitting disk
+ */
+function createStateStore({ dir, flushDelayMs = FLUSH_DELAY_MS } = {}) {
+  const root = dir || stateDir();
+  const collections = new Map(); // name -> { entries, ttlMs, maxEntries, timer, dirty, version, saved, writing }
+  let tmpSeq = 0;
+
+  fs.mkdirSync(root, { recursive: true });
+
+  function fileOf(name) {
+    return path.join(root, `${name}.json`);
+  }
+
+  function prune(c) {
+    const now = Date.now();
+    if (c.ttlMs) {
+      for (const [key, entry] of c.entries) {
+        if (now - entry.updatedAt > c.ttlMs) c.entries.delete(key);
+      }
+    }
+    if (c.maxEntries && c.entries.size > c.maxEntries) {
+      const oldest = [...c.entries.entries()].sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+      for (const [key] of oldest.slice(0, c.entries.size - c.maxEntries)) c.entries.delete(key);
+    }
+  }
+
+  function serialize(c) {
+    return `${JSON.stringify([...c.entries.entries()].map(([key, e]) => [key, e.value, e.updatedAt]))}\n`;
+  }
+
+  // Keys keep their type (shift ids are numbers, conversation ids strings)
+  function load(name) {
+    const entries = new Map();
+    try {
+      const rows = JSON.parse(fs.readFileSync(fileOf(name), 'utf8'));
+      for (const [key, value, updatedAt] of rows) entries.set(key, { value, updatedAt });
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[state] Could not read ${name}:`, err.message);
+    }
+    return entries;
+  }
+
+  function tmpOf(file) {
+    return `${file}.${process.pid}.${++tmpSeq}.tmp`;
+  }
+
+  function writeSync(name, c) {
+    const file = fileOf(name);
+    const tmp = tmpOf(file);
+    c.version++; // an async write still in flight is now stale
+    fs.writeFileSync(tmp, serialize(c));
+    fs.renameSync(tmp, file);
+    c.saved = c.version;
+  }
+
+  function write(name, c) {
+    const version = ++c.version;
+    const run = c.writing.then(async () => {
+      if (version !== c.version) return;
+      const file = fileOf(name);
+      const tmp = tmpOf(file);
+      try {
+        await fs.promises.writeFile(tmp, serialize(c));
+        if (version === c.version) {
+          await fs.promises.rename(tmp, file);
+          c.saved = version;
+        }
+      } finally {
+        await fs.promises.unlink(tmp).catch(() => {});
+      }
+    });
+    c.writing = run.catch(() => {});
+    return run;
+  }
+
+  function scheduleWrite(name, c) {
+    prune(c);
+    c.dirty = true;
+    if (c.timer) return;
+    c.timer = setTimeout(() => {
+      c.timer = null;
+      c.dirty = false;
+      write(name, c).catch((err) => console.error(`[state] Could not save ${name}:`, err.message));
+    }, flushDelayMs);
+    c.timer.unref();
+  }
+
+  function open(name, { ttlMs = null, maxEntries = null } = {}) {
+    if (collections.has(name)) return collections.get(name);
+    const c = { entries: load(name), ttlMs, maxEntries, timer: null, dirty: false, version: 0, saved: 0, writing: Promise.resolve() };
+    prune(c);
+    collections.set(name, c);
+    return c;
+  }
+
+  /** A Map whose contents survive restarts. */
+  function map(name, opts) {
+    const c = open(name, opts);
+    const changed = () => scheduleWrite(name, c);
+    return {
+      get: (key) => (c.entries.has(key) ? c.entries.get(key).value : undefined),
+      has: (key) => c.entries.has(key),
+      set(key, value) {
+        c.entries.set(key, { value, updatedAt: Date.now() });
+        changed();
+        return this;
+      },
+      delete(key) {
+        const existed = c.entries.delete(key);
+        if (existed) changed();
+        return existed;
+      },
+      clear() {
+        c.entries.clear();
+        changed();
+      },
+      get size() {
+        return c.entries.size;
+      },
+      keys: () => c.entries.keys(),
+      values: () => [...c.entries.values()].map((e) => e.value)[Symbol.iterator](),
+      entries: () => [...c.entries.entries()].map(([key, e]) => [key, e.value])[Symbol.iterator](),
+      [Symbol.iterator]() {
+        return this.entries();
+      },
+    };
+  }
+
+  /** A Set whose contents survive restarts. */
+  function set(name, opts) {
+    const m = map(name, opts);
+    return {
+      has: (value) => m.has(value),
+      add(value) {
+        m.set(value, true);
+        return this;
+      },
+      delete: (value) => m.delete(value),
+      clear: () => m.clear(),
+      get size() {
+        return m.size;
+      },
+      values: () => m.keys(),
+      [Symbol.iterator]() {
+        return m.keys();
+      },
+    };
+  }
+
+  /** A single value (e.g. the date the daily schedule was last posted). */
+  function value(name, initial = null) {
+    const m = map(name);
+    return {
+      get: () => (m.has('value') ? m.get('value') : initial),
+      set: (next) => m.set('value', next),
+    };
+  }
+
+  /** Write every collection with pending changes now. Used on shutdown. */
+  function flushSync() {
+    for (const [name, c] of collections) {
+      if (c.timer) clearTimeout(c.timer);
+      c.timer = null;
+      // Also rewrite files whose last write hasn't landed yet
+      if (!c.dirty && c.saved === c.version) continue;
+      c.dirty = false;
+      try {
+        writeSync(name, c);
+      } catch (err) {
+        console.error(`[state] Could not save ${name}:`, err.message);
+      }
+    }
+  }
+
+  function stats() {
+    const out = { dir: root, collections: {} };
+    for (const [name, c] of collections) out.collections[name] = { entries: c.entries.size, ttlMs: c.ttlMs, maxEntries: c.maxEntries };
+    return out;
+  }
+
+  return { map, set, value, flushSync, stats };
+}
+
+module.exports = { createStateStore, stateDir };
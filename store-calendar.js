@@ -0,0 +1,268 @@
+/**
+ * store-calendar.js — Closures, short days and special days per store
+ *
+ * locations.json describes a store's usual week: hours per weekday, and
+ * minimum staffing and benchmarks for weekdays and weekends. This calendar
+ * changes single days, and everything that asks what a day looks like
+ * (coverage, findCoverage, the conflict checker, floor status, the daily
+ * brief) goes through dayPlan() so it sees the change.
+ *
+ * File (STORE_CALENDAR_PATH, default store-calendar.json in STATE_DIR). Until
+ * the first change is saved it starts from the checked-in ./store-calendar.json,
+ * which is only ever read:
+ * {
+ *   "days": [
+ *     { "id": "thanksgiving", "holiday": "Thanksgiving", "closed": true },
+ *     { "id": "christmas-eve", "holiday": "Christmas Eve", "hours": "7-13" },
+ *     { "id": "mlk-day", "holiday": "MLK Day", "dayType": "weekend" },
+ *     { "id": "ferry-market", "date": "2026-12-12", "through": "2026-12-13", "locations": ["ferry"], "hours": "8-16", "minStaff": 2 }
+ *   ]
+ * }
+ *
+ * - holiday: any holiday date-expressions.js knows, every year; date (and
+ *   optionally through) for one-off days
+ * - locations: store keys from locations.json; left out means every store
+ * - closed: no hours, no minimum staffing, no benchmark
+ * - hours: replaces the store's hours that day ("7-13")
+ * - dayType: "weekend" staffs and benchmarks the day like a weekend (a Monday
+ *   holiday), "weekday" the other way round
+ * - minStaff: replaces the minimum head-count for the day
+ * - note: shown wherever the day is reported
+ * When several entries cover the same store and day, later ones win field by field.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HOLIDAYS } = require('./date-expressions');
+const { addDaysToKey } = require('./calendar-cache');
+const { loadLocations, parseHours } = require('./locations');
+const { stateDir } = require('./state-store');
+
+const FIELDS = ['id', 'holiday', 'date', 'through', 'locations', 'closed', 'hours', 'dayType', 'minStaff', 'note'];
+const DAY_TYPES = ['weekday', 'weekend'];
+const MAX_RANGE_DAYS = 31;
+const SEED_FILE = path.join(__dirname, 'store-calendar.json');
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const isDateKey = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(`${s}T12:00:00Z`));
+
+function slug(str) {
+  return String(str).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function holidayFn(name) {
+  const t = String(name).toLowerCase().trim().replace(/\s+/g, ' ');
+  const found = HOLIDAYS.find(([pattern]) => new RegExp(`^(?:${pattern})$`).test(t));
+  return found ? found[1] : null;
+}
+
+// The saved entries, or the seed's when nothing has been saved yet
+function loadEntries(file, seed) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && Array.isArray(data.days) ? data.days : [];
+  } catch (err) {
+    if (err.code === 'ENOENT' && seed && seed !== file) return loadEntries(seed);
+    if (err.code !== 'ENOENT') console.error(`[store-calendar] Could not read ${file}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Create the calendar.
+ *
+ * @param {object} opts
+ * @param {object} opts.locations - registry from locations.js
+ * @param {string} [opts.file]
+ */
+function createStoreCalendar({ locations, file }) {
+  const calendarFile = file || process.env.STORE_CALENDAR_PATH || path.join(stateDir(), 'store-calendar.json');
+
+  /** Check an entry and compile it; throws a 400 error describing the first problem. */
+  function compile(raw, taken = new Set()) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw invalid('A calendar entry must be an object');
+    const unknown = Object.keys(raw).filter((k) => !FIELDS.includes(k));
+    if (unknown.length) throw invalid(`Unknown calendar field(s): ${unknown.join(', ')}`);
+
+    if (!raw.holiday === !raw.date) throw invalid('Give either holiday or date');
+    const dayIn = raw.holiday ? holidayFn(raw.holiday) : null;
+    if (raw.holiday && !dayIn) throw invalid(`Unknown holiday "${raw.holiday}"`);
+    if (raw.date && !isDateKey(raw.date)) throw invalid('date must be YYYY-MM-DD');
+    if (raw.through !== undefined) {
+      if (!raw.date) throw invalid('through only goes with date');
+      if (!isDateKey(raw.through) || raw.through < raw.date) throw invalid('through must be a YYYY-MM-DD on or after date');
+      if (raw.through > addDaysToKey(raw.date, MAX_RANGE_DAYS - 1)) throw invalid(`An entry covers at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    let stores = null;
+    if (raw.locations !== undefined) {
+      if (!Array.isArray(raw.locations) || !raw.locations.length) throw invalid('locations must be a list of store keys');
+      stores = raw.locations.map((key) => {
+        const l = locations.resolve(key);
+        if (!l) throw invalid(`Unknown store "${key}"`);
+        return l.key;
+      });
+    }
+
+    if (raw.closed !== undefined && typeof raw.closed !== 'boolean') throw invalid('closed must be true or false');
+    let hours = null;
+    if (raw.hours !== undefined) {
+      if (raw.closed) throw invalid('A closed day has no hours');
+      try {
+        hours = parseHours(raw.hours);
+      } catch (err) {
+        throw invalid(err.message);
+      }
+      if (hours.close <= hours.open) throw invalid('hours must close after they open');
+    }
+    if (raw.dayType !== undefined && !DAY_TYPES.includes(raw.dayType)) throw invalid(`dayType must be one of: ${DAY_TYPES.join(', ')}`);
+    if (raw.minStaff !== undefined && (!Number.isInteger(raw.minStaff) || raw.minStaff < 0)) throw invalid('minStaff must be a whole number');
+    if (raw.note !== undefined && typeof raw.note !== 'string') throw invalid('note must be a string');
+
+    let id = raw.id !== undefined ? String(raw.id) : slug(raw.holiday || `${raw.date}${raw.note ? `-${raw.note}` : ''}`);
+    if (raw.id !== undefined && (!id || taken.has(id))) throw invalid(`Calendar id "${raw.id}" is already in use`);
+    for (let n = 2; taken.has(id); n++) id = `${slug(raw.holiday || raw.date)}-${n}`;
+    taken.add(id);
+
+    return {
+      raw: { ...raw, id },
+      id,
+      stores,
+      covers: (isoDate) => (dayIn ? dayIn(Number(isoDate.slice(0, 4))) === isoDate : isoDate >= raw.date && isoDate <= (raw.through || raw.date)),
+      closed: raw.closed === true,
+      hours,
+      dayType: raw.dayType || null,
+      minStaff: raw.minStaff ?? null,
+      note: raw.note || raw.holiday || null,
+    };
+  }
+
+  function compileAll(list) {
+    const taken = new Set();
+    return list.map((raw) => compile(raw, taken));
+  }
+
+  let entries = [];
+  try {
+    entries = compileAll(loadEntries(calendarFile, SEED_FILE));
+  } catch (err) {
+    // A bad entry shouldn't take the server down; the file is fixed by hand or through the API
+    console.error(`[store-calendar] Ignoring ${calendarFile}:`, err.message);
+  }
+
+  async function persist(next) {
+    const tmp = `${calendarFile}.tmp`;
+    await fs.promises.mkdir(path.dirname(calendarFile), { recursive: true });
+    await fs.promises.writeFile(tmp, `${JSON.stringify({ days: next.map((e) => e.raw) }, null, 2)}\n`);
+    await fs.promises.rename(tmp, calendarFile);
+    entries = next;
+  }
+
+  // Writes run one at a time, each starting from the entries the last one left
+  let writes = Promise.resolve();
+  function update(change) {
+    const run = writes.then(async () => {
+      const { next, value } = change(entries);
+      if (next) await persist(next);
+      return value;
+    });
+    writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * What a store's day (YYYY-MM-DD) looks like once the calendar is applied:
+   * { date, location, closed, hours: {open, close} | null, hoursOverridden,
+   *   dayType, minStaff, benchmark, note, overrides: [entry ids] }. hours is
+   *   null when closed or when the store has no hours on file.
+   */
+  function dayPlan(location, isoDate) {
+    const weekend = [0, 6].includes(new Date(`${isoDate}T12:00:00Z`).getUTCDay());
+    const matching = entries.filter((e) => (!e.stores || e.stores.includes(location.key)) && e.covers(isoDate));
+
+    let hours = locations.hoursOn(location, isoDate);
+    let closed = Boolean(location.hours) && !hours;
+    let dayType = weekend ? 'weekend' : 'weekday';
+    let minStaff = null;
+    let hoursOverridden = false;
+    const notes = [];
+    for (const e of matching) {
+      if (e.closed) {
+        closed = true;
+        hours = null;
+      }
+      if (e.hours) {
+        closed = false;
+        hours = e.hours;
+        hoursOverridden = true;
+      }
+      if (e.dayType) dayType = e.dayType;
+      if (e.minStaff !== null) minStaff = e.minStaff;
+      if (e.note) notes.push(e.note);
+    }
+
+    return {
+      date: isoDate,
+      location: location.key,
+      closed,
+      hours: closed ? null : hours,
+      hoursOverridden: !closed && hoursOverridden,
+      dayType,
+      minStaff: closed ? 0 : minStaff ?? location.minStaff[dayType],
+      benchmark: closed || !location.benchmarks ? null : location.benchmarks[dayType] || null,
+      note: notes.join('; ') || null,
+      overrides: matching.map((e) => e.id),
+    };
+  }
+
+  /** Store-days between start and end (YYYY-MM-DD, inclusive) that an entry changes, by date. */
+  function overrides({ start, end, location } = {}) {
+    const stores = location ? [location] : locations.all();
+    const days = [];
+    for (let d = start; d <= end; d = addDaysToKey(d, 1)) {
+      for (const l of stores) {
+        const plan = dayPlan(l, d);
+        if (plan.overrides.length) days.push(plan);
+      }
+    }
+    return days;
+  }
+
+  /** Add an entry and persist it. Returns the stored entry. */
+  function add(raw) {
+    return update((current) => {
+      const entry = compile(raw, new Set(current.map((e) => e.id)));
+      return { next: [...current, entry], value: entry.raw };
+    });
+  }
+
+  /** Remove an entry by id; false when there is none. */
+  function remove(id) {
+    return update((current) =>
+      current.some((e) => e.id === id) ? { next: current.filter((e) => e.id !== id), value: true } : { next: null, value: false }
+    );
+  }
+
+  return {
+    entries: () => entries.map((e) => e.raw),
+    dayPlan,
+    overrides,
+    add,
+    remove,
+  };
+}
+
+let shared = null;
+
+/** The one calendar a process uses, so a change made through the API is seen by every module. */
+function sharedStoreCalendar() {
+  if (!shared) shared = createStoreCalendar({ locations: loadLocations() });
+  return shared;
+}
+
+module.exports = { createStoreCalendar, sharedStoreCalendar };
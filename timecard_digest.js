@@ -4,7 +4,8 @@
 // Sends weekly digest every Monday at 8am PT
 // ============================================
 
-const SLING_TOKEN = process.env.SLING_TOKEN;
+const { slingGet } = require('./sling-client');
+
 const SLING_ORG_ID = process.env.SLING_ORG_ID || '593037'; // Default org ID from index.js
 
 // Email configuration
@@ -16,20 +17,7 @@ const EMAIL_TO = ['jeff@pixlcatcoffee.com', 'david@pixlcatcoffee.com'];
 // STEP 1: Find the "timecard adjustments" conversation
 // ============================================
 async function findTimecardConversation() {
-  const conversationsUrl = `https://api.getsling.com/v1/${SLING_ORG_ID}/conversations`;
-  
-  const response = await fetch(conversationsUrl, {
-    headers: {
-      'Authorization': SLING_TOKEN,
-      'Content-Type': 'application/json'
-    }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to fetch conversations: ${response.status}`);
-  }
-  
-  const conversations = await response.json();
+  const conversations = await slingGet(`/v1/${SLING_ORG_ID}/conversations`);
   
   // Find conversation by name (case-insensitive)
   const timecardConv = conversations.find(c => 
@@ -66,20 +54,7 @@ async function getLastWeekMessages(conversationId) {
   console.log(`Fetching messages from ${lastMonday.toISOString()} to ${lastSunday.toISOString()}`);
   
   // Fetch messages from conversation
-  const messagesUrl = `https://api.getsling.com/v1/${SLING_ORG_ID}/conversations/${conversationId}/messages`;
-  
-  const response = await fetch(messagesUrl, {
-    headers: {
-      'Authorization': SLING_TOKEN,
-      'Content-Type': 'application/json'
-    }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to fetch messages: ${response.status}`);
-  }
-  
-  const allMessages = await response.json();
+  const allMessages = await slingGet(`/v1/${SLING_ORG_ID}/conversations/${conversationId}/messages`);
   
   console.log(`📥 Fetched ${allMessages.length} total messages from conversation`);
   if (allMessages.length > 0) {
@@ -0,0 +1,56 @@
+/**
+ * wages.js — SF hourly wage table
+ *
+ * Used by the daily brief for labor cost and by the California overtime
+ * rules to price premium hours. Names are matched exactly first, then by
+ * first name; anyone missing from the table is costed at the default rate.
+ */
+
+const DEFAULT_HOURLY_RATE = 20.0;
+
+// SF Employee Hourly Rates
+const SF_HOURLY_RATES = {
+  'Anya': 22.00,
+  'Brianna': 21.00,
+  'Clayton': 21.00,
+  'Clayton Durning': 21.00,
+  'Emily': 19.18,
+  'Emily Mutchie': 19.18,
+  'Hayden': 21.00,
+  'Hayden Gardiner': 21.00,
+  'Hera': 19.18,
+  'James': 21.00,
+  'Jessica': 22.00,
+  'Jessica Broussard': 22.00,
+  'Jesus': 24.00,
+  'Maya': 19.18,
+  'Maya M': 19.18,
+  'Maya Mendoza': 19.18,
+  'Maya L': 19.18,
+  'Mirä': 22.00,
+  'Mira': 22.00,
+  'Otilia': 19.18,
+  'Otilia Saetern': 19.18,
+  'Saige': 21.00,
+  'Sara': 19.18,
+  'Milla': 19.18,
+  'Milla L': 19.18
+};
+
+/** Hourly rate for a name: exact match, then first name, then the default. */
+function rateFor(name) {
+  const full = String(name || '').trim();
+  if (SF_HOURLY_RATES[full]) return SF_HOURLY_RATES[full];
+  const firstName = full.split(' ')[0];
+  return SF_HOURLY_RATES[firstName] || DEFAULT_HOURLY_RATE;
+}
+
+/**
+ * Extra cost of premium hours over straight time: overtime hours are paid
+ * 1.5x (0.5x on top), double-time hours 2x (1x on top).
+ */
+function premiumCost({ overtimeHours = 0, doubleTimeHours = 0 }, rate) {
+  return Math.round((overtimeHours * 0.5 + doubleTimeHours) * rate * 100) / 100;
+}
+
+module.exports = { SF_HOURLY_RATES, DEFAULT_HOURLY_RATE, rateFor, premiumCost };